@@ -55,6 +55,10 @@ async function initDb() {
   // Ensure reset columns exist even if the table was created before these fields were added
   await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token TEXT;`);
   await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token_expires TIMESTAMP;`);
+  // Email ownership; guest orders placed with the email are linked once it is verified
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verification_token TEXT;`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verification_expires TIMESTAMP;`);
 
   await pool.query(`
     CREATE TABLE IF NOT EXISTS orders (
@@ -127,8 +131,8 @@ async function initDb() {
   await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS late_order_flag_email_last_error TEXT;`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_orders_late_order_flagged_at ON orders(late_order_flagged_at) WHERE late_order_flagged_at IS NOT NULL;`);
 
-  // Bob Go tracking fields. Shipments are still created manually in Bob Go;
-  // these fields let Bob Go webhooks update customer-facing tracking.
+  // Bob Go tracking fields. Shipments are created manually in Bob Go or booked
+  // from the admin; these fields let Bob Go webhooks update customer-facing tracking.
   await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS bob_shipment_id TEXT;`);
   await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS bob_tracking_reference TEXT;`);
   await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS bob_tracking_url TEXT;`);
@@ -263,6 +267,21 @@ async function initDb() {
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_sync_history_started_at ON inventory_sync_history(started_at DESC);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_sync_history_status ON inventory_sync_history(status);`);
 
+  // Scheduler run history (inventory sync, price sync, Learning Centre) - survives deploys
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS scheduler_executions (
+      id SERIAL PRIMARY KEY,
+      job_type TEXT NOT NULL,
+      status TEXT NOT NULL,
+      trigger_type TEXT DEFAULT 'scheduled',
+      ran_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      duration_ms INTEGER,
+      summary JSONB DEFAULT '{}'::jsonb,
+      error TEXT
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_scheduler_executions_job_ran_at ON scheduler_executions(job_type, ran_at DESC);`);
+
   // Global site configuration key/value store (pricing etc.)
   await pool.query(`
     CREATE TABLE IF NOT EXISTS site_config (
@@ -327,6 +346,14 @@ async function initDb() {
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_customer_reviews_user ON customer_reviews(user_id);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_customer_reviews_product ON customer_reviews(product_id);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_customer_reviews_order ON customer_reviews(order_id);`);
+  // Moderation and photos. Reviews published before moderation existed stay approved.
+  await pool.query(`ALTER TABLE customer_reviews ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'approved';`);
+  await pool.query(`ALTER TABLE customer_reviews ADD COLUMN IF NOT EXISTS moderation_flags JSONB NOT NULL DEFAULT '[]'::jsonb;`);
+  await pool.query(`ALTER TABLE customer_reviews ADD COLUMN IF NOT EXISTS moderated_by TEXT;`);
+  await pool.query(`ALTER TABLE customer_reviews ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP;`);
+  await pool.query(`ALTER TABLE customer_reviews ADD COLUMN IF NOT EXISTS moderation_note TEXT;`);
+  await pool.query(`ALTER TABLE customer_reviews ADD COLUMN IF NOT EXISTS images JSONB NOT NULL DEFAULT '[]'::jsonb;`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_customer_reviews_moderation ON customer_reviews(moderation_status, created_at);`);
 
   // Local warehouse products - manually added inventory
   await pool.query(`
@@ -522,6 +549,8 @@ async function initDb() {
   await pool.query(`ALTER TABLE storefront_analytics_events ADD COLUMN IF NOT EXISTS interaction_id TEXT;`);
   await pool.query(`ALTER TABLE storefront_analytics_events ADD COLUMN IF NOT EXISTS order_reference TEXT;`);
   await pool.query(`ALTER TABLE storefront_analytics_events ADD COLUMN IF NOT EXISTS failure_reason TEXT;`);
+  await pool.query(`ALTER TABLE storefront_analytics_events ADD COLUMN IF NOT EXISTS marketing_consent BOOLEAN NOT NULL DEFAULT FALSE;`);
+  await pool.query(`ALTER TABLE storefront_analytics_events ADD COLUMN IF NOT EXISTS search_query TEXT;`);
   await pool.query(`
     CREATE TABLE IF NOT EXISTS storefront_analytics_audiences (
       visitor_id TEXT PRIMARY KEY,
@@ -612,6 +641,582 @@ async function initDb() {
        OR (campaign_name IS NULL AND campaign IS NOT NULL)
   `);
   
+  // Discount codes: admin-managed rules plus one redemption row per checkout.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS discount_codes (
+      id SERIAL PRIMARY KEY,
+      code TEXT UNIQUE NOT NULL,
+      description TEXT,
+      discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed_amount', 'free_delivery', 'buy_x_get_y')),
+      value DECIMAL(10,2),
+      max_discount_amount DECIMAL(10,2),
+      buy_quantity INTEGER,
+      get_quantity INTEGER,
+      min_order_value DECIMAL(10,2),
+      usage_limit_total INTEGER,
+      usage_limit_per_customer INTEGER,
+      starts_at TIMESTAMP,
+      ends_at TIMESTAMP,
+      applies_to_category TEXT,
+      applies_to_source TEXT CHECK (applies_to_source IN ('local', 'import')),
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by_email TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  // Keep the original hard-coded free delivery voucher working
+  await pool.query(`
+    INSERT INTO discount_codes (code, description, discount_type)
+    VALUES ('FREEDELIVERY', 'Free delivery on any order with a delivery fee', 'free_delivery')
+    ON CONFLICT (code) DO NOTHING;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS discount_code_redemptions (
+      id SERIAL PRIMARY KEY,
+      discount_code_id INTEGER NOT NULL REFERENCES discount_codes(id) ON DELETE CASCADE,
+      code TEXT NOT NULL,
+      order_number TEXT NOT NULL,
+      user_id TEXT,
+      customer_email TEXT,
+      discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+      local_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+      import_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'pending',
+      redeemed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(discount_code_id, order_number)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_discount_redemptions_code_status ON discount_code_redemptions(discount_code_id, status);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_discount_redemptions_order ON discount_code_redemptions(order_number);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_discount_redemptions_email ON discount_code_redemptions(LOWER(customer_email));`);
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_code TEXT;`);
+
+  // Local stock held by open PayFast checkouts (keyed by master order number)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS local_stock_reservations (
+      id SERIAL PRIMARY KEY,
+      order_number TEXT NOT NULL,
+      local_product_id INTEGER NOT NULL REFERENCES local_products(id) ON DELETE CASCADE,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      status TEXT NOT NULL DEFAULT 'held',
+      expires_at TIMESTAMP NOT NULL,
+      committed_at TIMESTAMP,
+      released_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(order_number, local_product_id)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_local_stock_reservations_held ON local_stock_reservations(local_product_id, expires_at) WHERE status = 'held';`);
+
+  // Audit trail for every local stock change (sales, admin edits, bulk updates)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS local_stock_movements (
+      id SERIAL PRIMARY KEY,
+      local_product_id INTEGER NOT NULL REFERENCES local_products(id) ON DELETE CASCADE,
+      quantity_change INTEGER NOT NULL,
+      quantity_before INTEGER NOT NULL,
+      quantity_after INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      order_number TEXT,
+      actor_email TEXT,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_local_stock_movements_product ON local_stock_movements(local_product_id, created_at DESC);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_local_stock_movements_order ON local_stock_movements(order_number);`);
+
+  // Admin cancellations and PayFast refunds (refunds are issued in the PayFast
+  // dashboard; we record the amount and PayFast reference here)
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;`);
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;`);
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_by_email TEXT;`);
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount REAL DEFAULT 0;`);
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS refund_status TEXT;`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS order_refunds (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+      payfast_reference TEXT,
+      reason TEXT,
+      actor_email TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_order_refunds_order ON order_refunds(order_id, created_at DESC);`);
+
+  // Product bundles: admin-managed sets of local and/or curated CJ products
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bundles (
+      id SERIAL PRIMARY KEY,
+      slug TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      eyebrow TEXT,
+      description TEXT,
+      saving DECIMAL(10,2) NOT NULL CHECK (saving > 0),
+      starts_at TIMESTAMP,
+      ends_at TIMESTAMP,
+      is_active BOOLEAN DEFAULT TRUE,
+      sort_order INTEGER DEFAULT 0,
+      created_by_email TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  // product_id points at local_products or curated_products depending on source
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bundle_items (
+      id SERIAL PRIMARY KEY,
+      bundle_id INTEGER NOT NULL REFERENCES bundles(id) ON DELETE CASCADE,
+      source TEXT NOT NULL CHECK (source IN ('local', 'import')),
+      product_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+      sort_order INTEGER DEFAULT 0,
+      UNIQUE(bundle_id, source, product_id)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_bundle_items_product ON bundle_items(source, product_id);`);
+
+  // Abandoned cart recovery: who owns each cart, one send-log row per cart version,
+  // and marketing unsubscribes (list = 'cart_recovery' or 'all')
+  await pool.query(`ALTER TABLE carts ADD COLUMN IF NOT EXISTS customer_email TEXT;`);
+  await pool.query(`ALTER TABLE carts ADD COLUMN IF NOT EXISTS customer_name TEXT;`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_carts_updated_at ON carts(updated_at);`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS cart_recovery_emails (
+      id SERIAL PRIMARY KEY,
+      cart_id INTEGER,
+      user_id TEXT NOT NULL,
+      customer_email TEXT NOT NULL,
+      cart_updated_at TIMESTAMP NOT NULL,
+      status TEXT NOT NULL DEFAULT 'sending',
+      discount_code TEXT,
+      message_id TEXT,
+      error TEXT,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, cart_updated_at)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_cart_recovery_emails_email ON cart_recovery_emails(customer_email, created_at DESC);`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS email_unsubscribes (
+      id SERIAL PRIMARY KEY,
+      email TEXT NOT NULL,
+      list TEXT NOT NULL,
+      source TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(email, list)
+    );
+  `);
+
+  // Wishlists (signed-in users) and back-in-stock alerts (signed-in or guest).
+  // source 'local' -> local_products.id, 'import' -> curated_products.id
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS wishlist_items (
+      id SERIAL PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      source TEXT NOT NULL CHECK (source IN ('local', 'import')),
+      product_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, source, product_id)
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS back_in_stock_subscriptions (
+      id SERIAL PRIMARY KEY,
+      source TEXT NOT NULL CHECK (source IN ('local', 'import')),
+      product_id INTEGER NOT NULL,
+      user_id TEXT,
+      email TEXT NOT NULL,
+      phone TEXT,
+      sms_opt_in BOOLEAN DEFAULT FALSE,
+      status TEXT NOT NULL DEFAULT 'active',
+      token TEXT UNIQUE NOT NULL,
+      notified_at TIMESTAMP,
+      notify_error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_back_in_stock_active ON back_in_stock_subscriptions(source, product_id, email) WHERE status = 'active';`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_back_in_stock_user ON back_in_stock_subscriptions(user_id) WHERE user_id IS NOT NULL;`);
+  // Send attempts and claim time, so failed alerts are retried and interrupted ones reclaimed
+  await pool.query(`ALTER TABLE back_in_stock_subscriptions ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;`);
+  await pool.query(`ALTER TABLE back_in_stock_subscriptions ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP;`);
+
+  // Curated product price history: one row per cost/retail change (CJ price sync or admin edit)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS product_price_history (
+      id SERIAL PRIMARY KEY,
+      curated_product_id INTEGER NOT NULL REFERENCES curated_products(id) ON DELETE CASCADE,
+      source TEXT NOT NULL,
+      cj_cost_usd NUMERIC(10,2),
+      previous_cost_usd NUMERIC(10,2),
+      usd_to_zar NUMERIC(10,4),
+      cost_zar NUMERIC(10,2),
+      retail_price NUMERIC(10,2),
+      previous_retail_price NUMERIC(10,2),
+      margin_percent NUMERIC(6,1),
+      actor_email TEXT,
+      recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_product_price_history_product ON product_price_history(curated_product_id, recorded_at DESC);`);
+
+  // Curated pricing rules: markup/min margin/rounding by category, cost band or product.
+  // Defaults for products no rule matches stay in site_config (price_markup etc.)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pricing_rules (
+      id SERIAL PRIMARY KEY,
+      scope TEXT NOT NULL CHECK (scope IN ('product', 'category', 'price_band')),
+      category TEXT,
+      min_cost_zar NUMERIC(10,2),
+      max_cost_zar NUMERIC(10,2),
+      curated_product_id INTEGER REFERENCES curated_products(id) ON DELETE CASCADE,
+      markup NUMERIC(6,3),
+      min_margin_zar NUMERIC(10,2),
+      fixed_price NUMERIC(10,2),
+      rounding TEXT,
+      priority INTEGER NOT NULL DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      notes TEXT,
+      created_by_email TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_pricing_rules_scope ON pricing_rules(scope, is_active);`);
+  await pool.query(`INSERT INTO site_config (key, value) VALUES ('price_min_margin_zar','0') ON CONFLICT (key) DO NOTHING;`);
+  await pool.query(`INSERT INTO site_config (key, value) VALUES ('price_rounding','none') ON CONFLICT (key) DO NOTHING;`);
+
+  // USD→ZAR refreshes: each applied change or failed provider round, newest first
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS exchange_rate_history (
+      id SERIAL PRIMARY KEY,
+      status TEXT NOT NULL,
+      source TEXT,
+      rate NUMERIC(10,4),
+      previous_rate NUMERIC(10,4),
+      change_percent NUMERIC(6,1),
+      alerted BOOLEAN DEFAULT FALSE,
+      trigger_type TEXT,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_exchange_rate_history_created ON exchange_rate_history(created_at DESC);`);
+
+  // Bob Go shipment booking for local orders: the courier rate chosen at checkout,
+  // the booking state (booking/booked/failed) and the label PDF.
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS bob_selected_rate JSONB;`);
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS bob_shipment_status TEXT;`);
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS bob_shipment_error TEXT;`);
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS bob_shipment_requested_at TIMESTAMP;`);
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS bob_label_url TEXT;`);
+
+  // Unified order lifecycle (see services/orderLifecycleRules.js) and the audit
+  // trail of every transition: who, from where and why.
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS lifecycle_state TEXT;`);
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS lifecycle_updated_at TIMESTAMP;`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_orders_lifecycle_state ON orders(lifecycle_state);`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS order_events (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      event_type TEXT NOT NULL,
+      from_state TEXT,
+      to_state TEXT,
+      actor_type TEXT NOT NULL DEFAULT 'system',
+      actor_email TEXT,
+      source TEXT,
+      reason TEXT,
+      details JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id, created_at);`);
+
+  // CJ submission queue for paid -IMPORT orders: one job per order, retried with
+  // backoff (queued/running) until CJ accepts it (succeeded) or it is dead-lettered;
+  // jobs still waiting when their order is cancelled are marked cancelled.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS cj_submission_jobs (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 6,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      last_error_kind TEXT,
+      locked_at TIMESTAMP,
+      cj_order_id TEXT,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_cj_submission_jobs_due ON cj_submission_jobs(status, next_attempt_at);`);
+
+  // Last time the CJ reconciler polled an order (services/cjOrderSync.js).
+  await pool.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS cj_status_checked_at TIMESTAMP;`);
+
+  // Inbound webhook inbox (CJ, Bob Go, PayFast): every delivery with its headers,
+  // signature verdict and processing result. The partial unique index lets only one
+  // delivery per provider event be processing or processed at a time.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS webhook_inbox (
+      id SERIAL PRIMARY KEY,
+      provider TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      method TEXT,
+      path TEXT,
+      headers JSONB,
+      payload JSONB,
+      signature_status TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'received',
+      http_status INTEGER,
+      result JSONB,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      claimed_at TIMESTAMP,
+      duplicate_of INTEGER REFERENCES webhook_inbox(id) ON DELETE SET NULL,
+      replay_count INTEGER NOT NULL DEFAULT 0,
+      last_replayed_at TIMESTAMP,
+      last_replayed_by TEXT,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      processed_at TIMESTAMP
+    );
+  `);
+  await pool.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_inbox_event_claim
+    ON webhook_inbox(provider, event_id)
+    WHERE status IN ('processing', 'processed');
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_webhook_inbox_received ON webhook_inbox(received_at DESC);`);
+
+  // PayFast notifications that passed the signature check but failed the source,
+  // amount or postback checks, held for an admin to approve or dismiss.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS suspicious_payments (
+      id SERIAL PRIMARY KEY,
+      order_reference TEXT,
+      pf_payment_id TEXT,
+      payment_status TEXT,
+      amount_gross NUMERIC(10, 2),
+      expected_amount NUMERIC(10, 2),
+      source_ip TEXT,
+      failures JSONB NOT NULL DEFAULT '[]'::jsonb,
+      webhook_id INTEGER REFERENCES webhook_inbox(id) ON DELETE SET NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      reviewed_by TEXT,
+      reviewed_at TIMESTAMP,
+      review_note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_suspicious_payments_status ON suspicious_payments(status, created_at DESC);`);
+
+  // Customer address book; checkout and rate quotes accept an addressId from it.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS customer_addresses (
+      id SERIAL PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      label TEXT,
+      recipient_name TEXT,
+      phone TEXT,
+      address TEXT NOT NULL,
+      suburb TEXT,
+      city TEXT NOT NULL,
+      province TEXT NOT NULL,
+      postal_code TEXT NOT NULL,
+      is_default BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_customer_addresses_user ON customer_addresses(user_id);`);
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default ON customer_addresses(user_id) WHERE is_default;`);
+
+  // Post-delivery review request emails, at most one per order.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS review_request_emails (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+      customer_email TEXT NOT NULL,
+      delivered_at TIMESTAMP,
+      product_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+      status TEXT NOT NULL DEFAULT 'sending',
+      message_id TEXT,
+      error TEXT,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_review_request_emails_created ON review_request_emails(created_at DESC);`);
+
+  // Daily analytics rollups for funnel and cohort reports: one row per customer
+  // session per South African day, plus the days that have been rolled up
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS analytics_session_rollups (
+      day DATE NOT NULL,
+      session_id TEXT NOT NULL,
+      visitor_id TEXT NOT NULL,
+      source TEXT NOT NULL DEFAULT 'Direct',
+      campaign TEXT NOT NULL DEFAULT '(none)',
+      device_type TEXT NOT NULL DEFAULT 'Unknown',
+      province_name TEXT NOT NULL DEFAULT 'Unknown',
+      started_at TIMESTAMP,
+      event_count INTEGER NOT NULL DEFAULT 0,
+      step_times JSONB NOT NULL DEFAULT '{}'::jsonb,
+      purchased BOOLEAN NOT NULL DEFAULT FALSE,
+      PRIMARY KEY (day, session_id)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_analytics_session_rollups_visitor ON analytics_session_rollups(visitor_id, day);`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS analytics_rollup_days (
+      day DATE PRIMARY KEY,
+      sessions INTEGER NOT NULL DEFAULT 0,
+      rolled_up_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Daily per-page, per-product, per-source and per-province metrics, written
+  // with the session rollups so insights outlive pruned raw events
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS analytics_daily_page_metrics (
+      day DATE NOT NULL,
+      page_path TEXT NOT NULL,
+      page_title TEXT,
+      views INTEGER NOT NULL DEFAULT 0,
+      sessions INTEGER NOT NULL DEFAULT 0,
+      exits INTEGER NOT NULL DEFAULT 0,
+      exit_seconds BIGINT NOT NULL DEFAULT 0,
+      PRIMARY KEY (day, page_path)
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS analytics_daily_product_metrics (
+      day DATE NOT NULL,
+      product_id TEXT NOT NULL,
+      product_name TEXT,
+      product_category TEXT,
+      views INTEGER NOT NULL DEFAULT 0,
+      clicks INTEGER NOT NULL DEFAULT 0,
+      add_to_cart INTEGER NOT NULL DEFAULT 0,
+      sessions INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (day, product_id)
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS analytics_daily_source_metrics (
+      day DATE NOT NULL,
+      source TEXT NOT NULL,
+      medium TEXT NOT NULL,
+      sessions INTEGER NOT NULL DEFAULT 0,
+      visitors INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (day, source, medium)
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS analytics_daily_province_metrics (
+      day DATE NOT NULL,
+      country_code TEXT NOT NULL DEFAULT '',
+      timezone_name TEXT NOT NULL DEFAULT '',
+      province_name TEXT NOT NULL DEFAULT '',
+      municipality_name TEXT NOT NULL DEFAULT '',
+      sessions INTEGER NOT NULL DEFAULT 0,
+      visitors INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (day, country_code, timezone_name, province_name, municipality_name)
+    );
+  `);
+
+  // Raw analytics days pruned by the retention job (file_path is set when archived)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS analytics_event_archives (
+      day DATE PRIMARY KEY,
+      mode TEXT NOT NULL,
+      file_path TEXT,
+      archived_rows INTEGER NOT NULL DEFAULT 0,
+      deleted_rows INTEGER NOT NULL DEFAULT 0,
+      bytes BIGINT,
+      archived_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Conversions queued for GA4 / Meta, one row per destination (hashed identifiers only)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversion_exports (
+      id SERIAL PRIMARY KEY,
+      destination TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      conversion JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 6,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_at TIMESTAMP,
+      response_status INTEGER,
+      response_body TEXT,
+      last_error TEXT,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (destination, event_id)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_conversion_exports_due ON conversion_exports(status, next_attempt_at);`);
+
+  // Item-to-item similarity, rebuilt by the recommendation job (keys are "<source>:<id>")
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS product_recommendations (
+      product_key TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      related_key TEXT NOT NULL,
+      score DOUBLE PRECISION NOT NULL,
+      support INTEGER NOT NULL,
+      computed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (product_key, kind, related_key)
+    );
+  `);
+
+  // Trigram matching for typo-tolerant product search. Hosted databases may not
+  // let this role create extensions; search then falls back to substring matches.
+  try {
+    await pool.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+  } catch (err) {
+    console.warn('⚠️ pg_trgm extension unavailable, product search typo tolerance disabled:', err.message);
+  }
+
+  // Seed the two launch bundles that used to be hard-coded in config (first run only)
+  await pool.query(`
+    WITH seeded AS (
+      INSERT INTO bundles (slug, name, eyebrow, description, saving, sort_order)
+      SELECT * FROM (VALUES
+        ('daily-essentials', 'Daily Essentials Kit', 'A simpler start', 'Three everyday changing essentials chosen to make the early days feel a little easier.', 18.00, 0),
+        ('bath-time', 'Gentle Bath Time Trio', 'Bath time, sorted', 'A practical trio for washing, moisturising and keeping delicate skin comfortable.', 10.00, 1)
+      ) AS seed(slug, name, eyebrow, description, saving, sort_order)
+      WHERE NOT EXISTS (SELECT 1 FROM bundles)
+      RETURNING id, slug
+    )
+    INSERT INTO bundle_items (bundle_id, source, product_id, sort_order)
+    SELECT seeded.id, 'local', item.product_id, item.sort_order
+    FROM seeded
+    JOIN (VALUES
+      ('daily-essentials', 4, 0), ('daily-essentials', 17, 1), ('daily-essentials', 30, 2),
+      ('bath-time', 21, 0), ('bath-time', 28, 1), ('bath-time', 29, 2)
+    ) AS item(slug, product_id, sort_order) ON item.slug = seeded.slug;
+  `);
+
   console.log('✅ PostgreSQL database initialized successfully');
 }
 
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { createRemoteJWKSet, jwtVerify } from 'jose';
+import { isEmailVerifiedClaim } from '../services/guestOrderLinkingRules.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'snuggleup-secret-key-change-in-production';
 const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET || '6Mi5NgpwsKlmvdIHeqWr7wOm5CaeUM8A2B+47hJvL5U7y5RtsHq3f8zSrV9DtkIQCfby7HcA3zmYkaOwZNiaoQ==';
@@ -39,6 +40,8 @@ export const authenticateToken = async (req, res, next) => {
       userId: payload.sub,
       email: payload.email,
       name: nameClaim,
+      emailVerified: isEmailVerifiedClaim(payload),
+      sessionId: payload.session_id || null,
       supabaseUser: true,
     };
     console.log('✅ Token verified via JWKS (RS256)');
@@ -58,6 +61,8 @@ export const authenticateToken = async (req, res, next) => {
         userId: decoded.sub,
         email: decoded.email,
         name: nameClaim,
+        emailVerified: isEmailVerifiedClaim(decoded),
+        sessionId: decoded.session_id || null,
         supabaseUser: true,
       };
       console.log('✅ Token verified via HS256 (Supabase JWT Secret)');
@@ -105,6 +110,8 @@ export const optionalAuth = async (req, res, next) => {
       userId: payload.sub,
       email: payload.email,
       name: nameClaim,
+      emailVerified: isEmailVerifiedClaim(payload),
+      sessionId: payload.session_id || null,
       supabaseUser: true,
     };
     return next();
@@ -121,6 +128,8 @@ export const optionalAuth = async (req, res, next) => {
         userId: decoded.sub,
         email: decoded.email,
         name: nameClaim,
+        emailVerified: isEmailVerifiedClaim(decoded),
+        sessionId: decoded.session_id || null,
         supabaseUser: true,
       };
       return next();
@@ -139,9 +148,10 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-export const generateToken = (userId, email) => {
+// emailVerified is set once the user has confirmed their email address
+export const generateToken = (userId, email, { emailVerified = false } = {}) => {
   return jwt.sign(
-    { userId, email },
+    { userId, email, ...(emailVerified ? { emailVerified: true } : {}) },
     JWT_SECRET,
     { expiresIn: '7d' } // Token expires in 7 days
   );
@@ -0,0 +1,145 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  createAddress,
+  deleteAddress,
+  getAddress,
+  listAddresses,
+  resolveSavedAddress,
+  setDefaultAddress,
+  updateAddress,
+} from '../services/addressBook.js';
+
+export const router = express.Router();
+
+router.use(authenticateToken);
+
+const getUserId = (req) => req.user?.userId || req.user?.id || req.user?.sub || null;
+
+export const ADDRESS_ERROR_STATUS = {
+  unauthenticated: 401,
+  not_found: 404,
+  invalid: 400,
+  limit: 409,
+};
+
+const sendAddressResult = (res, result, successStatus = 200) => {
+  if (result.error) {
+    return res.status(ADDRESS_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+  }
+  return res.status(successStatus).json({ address: result.address });
+};
+
+// Checkout and rate routes accept { addressId } in place of a typed address.
+// Returns the shippingDetails to use (merged over any sent with the request),
+// or sends the error response and returns null.
+export const shippingDetailsForRequest = async (req, res, shippingDetails = {}) => {
+  const addressId = req.body?.addressId;
+  if (addressId === undefined || addressId === null || addressId === '') return shippingDetails || {};
+
+  const result = await resolveSavedAddress(req.user, addressId);
+  if (result.error) {
+    res.status(ADDRESS_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    return null;
+  }
+  return { ...(shippingDetails || {}), ...result.shippingDetails };
+};
+
+// GET /api/addresses - Saved addresses, default first
+router.get('/', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID not found' });
+    }
+    const addresses = await listAddresses(userId);
+    res.json({
+      addresses,
+      defaultAddress: addresses.find((address) => address.isDefault) || null,
+    });
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({ error: 'Failed to retrieve addresses' });
+  }
+});
+
+// GET /api/addresses/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID not found' });
+    }
+    const address = await getAddress(userId, req.params.id);
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    res.json({ address });
+  } catch (error) {
+    console.error('Get address error:', error);
+    res.status(500).json({ error: 'Failed to retrieve address' });
+  }
+});
+
+// POST /api/addresses - Save an address
+// { label, recipientName, phone, address, suburb, city, province, postalCode, isDefault }
+router.post('/', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID not found' });
+    }
+    sendAddressResult(res, await createAddress(userId, req.body || {}), 201);
+  } catch (error) {
+    console.error('Create address error:', error);
+    res.status(500).json({ error: 'Failed to save address' });
+  }
+});
+
+// PUT /api/addresses/:id - Update a saved address; omitted fields are kept
+router.put('/:id', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID not found' });
+    }
+    sendAddressResult(res, await updateAddress(userId, req.params.id, req.body || {}));
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(500).json({ error: 'Failed to update address' });
+  }
+});
+
+// POST /api/addresses/:id/default - Make this the address checkout prefills
+router.post('/:id/default', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID not found' });
+    }
+    sendAddressResult(res, await setDefaultAddress(userId, req.params.id));
+  } catch (error) {
+    console.error('Set default address error:', error);
+    res.status(500).json({ error: 'Failed to set default address' });
+  }
+});
+
+// DELETE /api/addresses/:id
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID not found' });
+    }
+    const result = await deleteAddress(userId, req.params.id);
+    if (result.error) {
+      return res.status(ADDRESS_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    }
+    res.json({ id: result.address.id, deleted: true });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({ error: 'Failed to delete address' });
+  }
+});
+
+export default router;
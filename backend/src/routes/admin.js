@@ -5,37 +5,105 @@ import { cjClient } from '../services/cjClient.js';
 import { getRuntimeConfig, setShippingFallbackEnabled, isShippingFallbackEnabled } from '../services/configService.js';
 import { generateSEOTitles } from '../services/seoTitleGenerator.js';
 import { generateProductDescription, getAvailableProviders } from '../services/descriptionGenerator.js';
-import { getOrderById, buildCJOrderData, updateOrderCJInfo, updateOrderBobTracking } from './orders.js';
-import { getSchedulerHealth, generateSchedulerReport, getExecutionHistory } from '../services/schedulerMonitor.js';
+import { getOrderById, updateOrderBobTracking } from './orders.js';
+import { createBobShipmentForOrder, processBobWebhook } from './bob.js';
+import { getSchedulerHealth, generateSchedulerReport, getExecutionHistory, JOB_TYPES } from '../services/schedulerMonitor.js';
 import { notifyTrackingUpdateIfNeeded } from '../services/trackingNotifications.js';
+import { normalizeDiscountCodeInput } from '../services/discountCodeRules.js';
+import { cancelOrder, recordOrderRefund } from '../services/orderCancellation.js';
+import { getOrderTimeline, setOrderStatus, transitionOrder } from '../services/orderLifecycle.js';
+import {
+  cjSubmissionQueueEnabled,
+  getRecentCJSubmissions,
+  listCJSubmissionJobs,
+  retryCJSubmissionJob,
+  submitOrderToCJNow,
+} from '../services/cjSubmissionQueue.js';
+import { CJ_SUBMISSION_JOB_STATUSES } from '../services/cjSubmissionRules.js';
+import { cjOrderSyncEnabled, runCJOrderSync } from '../services/cjOrderSync.js';
+import { getWebhook, listWebhooks, replayWebhook } from '../services/webhookInbox.js';
+import { WEBHOOK_INBOX_STATUSES, WEBHOOK_PROVIDERS } from '../services/webhookInboxRules.js';
+import { processCJWebhook } from './cj.js';
+import { processPayFastNotification } from './payments.js';
+import {
+  getSuspiciousPayment,
+  listSuspiciousPayments,
+  reviewSuspiciousPayment,
+} from '../services/payfastIpn.js';
+import { normalizeBundleInput } from '../services/bundleRules.js';
+import { getBundle, listBundles, saveBundle } from '../services/bundles.js';
+import { getCartRecoveryConfig, runCartRecovery } from '../services/cartRecovery.js';
+import { getReviewRequestConfig, reviewRequestsEnabled, runReviewRequests } from '../services/reviewRequests.js';
+import { syncProductPrices } from '../services/priceSync.js';
+import { getExchangeRateStatus, refreshExchangeRate, setExchangeRateOverride } from '../services/exchangeRates.js';
+import { isPlausibleRate } from '../services/exchangeRateRules.js';
+import { ROUNDING_MODES, calculateRetailPrice, normalizePricingRuleInput } from '../services/pricingRules.js';
+import {
+  applyPricing,
+  deletePricingRule,
+  describePricingContext,
+  listPricingRules,
+  loadPricingContext,
+  previewPricing,
+  savePricingRule,
+} from '../services/pricingEngine.js';
+import {
+  getPriceAlertThresholds,
+  getPriceHistory,
+  recordPriceChange,
+  updatePriceAlertThresholds,
+} from '../services/priceHistory.js';
 import {
   buildSupplierPickupMessage,
   buildSupplierWhatsappUrl,
   ensureSupplierPickupToken,
   supplierPickupFrontendUrl,
 } from '../services/supplierPickup.js';
-import crypto from 'crypto';
+import { findAccountUserId, findGuestOrders, linkGuestOrders } from '../services/guestOrderLinking.js';
+import { normalizeGuestMergeInput } from '../services/guestOrderLinkingRules.js';
+import { CLOUDINARY_REQUIRED_ENV, createUploadSignature } from '../services/cloudinaryUpload.js';
+import { deleteReview, listReviewsForModeration, moderateReview } from '../services/reviewModeration.js';
+import { REVIEW_STATUSES } from '../services/reviewModerationRules.js';
+import {
+  getCohortReport,
+  getFunnelReport,
+  getRollupCoverage,
+  getRollupTrafficInsights,
+  runAnalyticsRollups,
+} from '../services/analyticsRollups.js';
+import {
+  getAnalyticsRetentionConfig,
+  getRawEventWindowStart,
+  listAnalyticsArchives,
+  runAnalyticsRetention,
+} from '../services/analyticsRetention.js';
+import {
+  activeConversionDestinations,
+  conversionConsentRequired,
+  conversionExportDryRun,
+  conversionExportEnabled,
+  listConversionExports,
+  retryConversionExport,
+  runConversionExports,
+} from '../services/conversionExport.js';
+import { CONVERSION_DESTINATIONS, CONVERSION_EXPORT_STATUSES } from '../services/conversionExportRules.js';
+import {
+  getRecommendationConfig,
+  getRecommendationStatus,
+  recommendationsEnabled,
+  runRecommendationJob,
+} from '../services/recommendations.js';
+import { getSearchReport } from '../services/productSearch.js';
+import {
+  monthDateRange,
+  normalizeBreakdown,
+  normalizeFunnelSteps,
+  normalizeReportRange,
+  rangeNeedsRollups,
+} from '../services/analyticsReportingRules.js';
 
 export const router = express.Router();
 
-// In-memory store for recent CJ submissions (for debugging)
-const recentCJSubmissions = [];
-const MAX_STORED_SUBMISSIONS = 20;
-
-function storeCJSubmission(orderNumber, request, response, error = null) {
-  recentCJSubmissions.unshift({
-    timestamp: new Date().toISOString(),
-    orderNumber,
-    request,
-    response,
-    error,
-    url: 'https://developers.cjdropshipping.com/api2.0/v1/shopping/order/createOrderV2'
-  });
-  if (recentCJSubmissions.length > MAX_STORED_SUBMISSIONS) {
-    recentCJSubmissions.pop();
-  }
-}
-
 const analyticsMonthWindow = (monthValue) => {
   const match = /^(\d{4})-(\d{2})$/.exec(String(monthValue || ''));
   if (!match) return null;
@@ -231,12 +299,14 @@ async function loadPricingConfig() {
 }
 loadPricingConfig();
 
-async function updatePricingConfig({ usdToZar, priceMarkup }) {
+async function updatePricingConfig({ usdToZar, priceMarkup, minMarginZar, rounding }) {
   const updates = [];
   if (usdToZar !== undefined) {
     const num = parseFloat(usdToZar);
     if (!Number.isFinite(num) || num < 5) throw new Error('usdToZar must be >=5');
     await pool.query(`INSERT INTO site_config (key,value) VALUES ('usd_to_zar',$1) ON CONFLICT (key) DO UPDATE SET value=$1, updated_at=NOW()`, [num.toString()]);
+    // Replaced by the next automatic refresh unless a rate override is pinned
+    await pool.query(`INSERT INTO site_config (key,value) VALUES ('usd_to_zar_source','manual') ON CONFLICT (key) DO UPDATE SET value='manual', updated_at=NOW()`);
     USD_TO_ZAR = num;
     updates.push('usd_to_zar');
   }
@@ -247,6 +317,17 @@ async function updatePricingConfig({ usdToZar, priceMarkup }) {
     PRICE_MARKUP = num;
     updates.push('price_markup');
   }
+  if (minMarginZar !== undefined) {
+    const num = parseFloat(minMarginZar);
+    if (!Number.isFinite(num) || num < 0) throw new Error('minMarginZar must be >=0');
+    await pool.query(`INSERT INTO site_config (key,value) VALUES ('price_min_margin_zar',$1) ON CONFLICT (key) DO UPDATE SET value=$1, updated_at=NOW()`, [num.toString()]);
+    updates.push('price_min_margin_zar');
+  }
+  if (rounding !== undefined) {
+    if (!ROUNDING_MODES.includes(rounding)) throw new Error(`rounding must be one of ${ROUNDING_MODES.join(', ')}`);
+    await pool.query(`INSERT INTO site_config (key,value) VALUES ('price_rounding',$1) ON CONFLICT (key) DO UPDATE SET value=$1, updated_at=NOW()`, [rounding]);
+    updates.push('price_rounding');
+  }
   return updates;
 }
 
@@ -276,34 +357,53 @@ router.get('/debug', (req, res) => {
 });
 
 // Scheduler health status (JSON for frontend integration)
-router.get('/scheduler-health', (req, res) => {
-  res.json(getSchedulerHealth());
+router.get('/scheduler-health', async (req, res) => {
+  try {
+    res.json(await getSchedulerHealth());
+  } catch (error) {
+    console.error('Scheduler health error:', error);
+    res.status(500).json({ error: 'Failed to load scheduler health' });
+  }
 });
 
 // Scheduler execution history (for charts)
-router.get('/scheduler-history', (req, res) => {
+router.get('/scheduler-history', async (req, res) => {
   const { type = 'inventory', limit = 50 } = req.query;
-  if (!['inventory', 'price'].includes(type)) {
-    return res.status(400).json({ error: 'type must be "inventory" or "price"' });
+  if (!Object.values(JOB_TYPES).includes(type)) {
+    return res.status(400).json({ error: 'type must be "inventory", "price" or "learning_centre"' });
+  }
+  try {
+    res.json(await getExecutionHistory(type, Number(limit)));
+  } catch (error) {
+    console.error('Scheduler history error:', error);
+    res.status(500).json({ error: 'Failed to load scheduler history' });
   }
-  res.json(getExecutionHistory(type, Number(limit)));
 });
 
 // Scheduler text report (downloadable)
-router.get('/scheduler-report', (req, res) => {
-  const report = generateSchedulerReport();
-  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-  res.setHeader('Content-Disposition', 'attachment; filename="scheduler-report.txt"');
-  res.send(report);
+router.get('/scheduler-report', async (req, res) => {
+  try {
+    const report = await generateSchedulerReport();
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="scheduler-report.txt"');
+    res.send(report);
+  } catch (error) {
+    console.error('Scheduler report error:', error);
+    res.status(500).json({ error: 'Failed to generate scheduler report' });
+  }
 });
 
 // Pricing config introspection (helps debug env issues in deployment)
 router.get('/pricing-config', async (req, res) => {
   // Always reload to reflect external changes (cheap query)
   await loadPricingConfig();
+  const pricing = await loadPricingContext();
   res.json({
     usdToZar: USD_TO_ZAR,
     priceMarkup: PRICE_MARKUP,
+    minMarginZar: pricing.defaults.minMarginZar,
+    rounding: pricing.defaults.rounding,
+    activeRules: pricing.rules.length,
     source: 'db',
   });
 });
@@ -314,36 +414,17 @@ router.get('/pricing-config', async (req, res) => {
 // Admin-only as it uses backend secrets.
 router.post('/upload-signature', (req, res) => {
   try {
-    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-    const apiKey = process.env.CLOUDINARY_API_KEY;
-    const apiSecret = process.env.CLOUDINARY_API_SECRET;
+    const rawFolder = (req.body && req.body.folder) ? String(req.body.folder) : 'uploads';
+    const upload = createUploadSignature(rawFolder);
 
-    if (!cloudName || !apiKey || !apiSecret) {
+    if (!upload) {
       return res.status(500).json({
         error: 'Cloudinary env not configured',
-        required: ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET']
+        required: CLOUDINARY_REQUIRED_ENV
       });
     }
 
-    const rawFolder = (req.body && req.body.folder) ? String(req.body.folder) : 'uploads';
-    const folder = `snuggleup/${rawFolder}`; // namespace under project
-    const timestamp = Math.floor(Date.now() / 1000);
-
-    // Cloudinary signature is sha1 of the param string + secret.
-    // Only sign what Cloudinary expects: sorted params.
-    const toSign = `folder=${folder}&timestamp=${timestamp}`;
-    const signature = crypto
-      .createHash('sha1')
-      .update(toSign + apiSecret)
-      .digest('hex');
-
-    res.json({
-      signature,
-      timestamp,
-      folder,
-      cloudName,
-      apiKey
-    });
+    res.json(upload);
   } catch (e) {
     console.error('Failed to create Cloudinary signature:', e);
     res.status(500).json({ error: 'Failed to create signature' });
@@ -365,31 +446,33 @@ router.post('/config/shipping-fallback', (req, res) => {
 // Update pricing config and optionally recalc/sync prices
 router.put('/pricing-config', async (req, res) => {
   try {
-    const { usdToZar, priceMarkup, recalcSuggested, syncRetail } = req.body || {};
-    if (usdToZar === undefined && priceMarkup === undefined) {
-      return res.status(400).json({ error: 'Provide usdToZar and/or priceMarkup' });
+    const { usdToZar, priceMarkup, minMarginZar, rounding, recalcSuggested, syncRetail } = req.body || {};
+    if ([usdToZar, priceMarkup, minMarginZar, rounding].every(value => value === undefined)) {
+      return res.status(400).json({ error: 'Provide usdToZar, priceMarkup, minMarginZar and/or rounding' });
     }
-    const changed = await updatePricingConfig({ usdToZar, priceMarkup });
+    const changed = await updatePricingConfig({ usdToZar, priceMarkup, minMarginZar, rounding });
     let recalcCount = 0;
-    if (recalcSuggested) {
-      const update = await pool.query(`UPDATE curated_products SET suggested_price = ROUND((cj_cost_price * $1 * $2) * 100) / 100, updated_at = NOW() RETURNING id`, [USD_TO_ZAR, PRICE_MARKUP]);
-      recalcCount = update.rowCount;
-    }
     let syncCount = 0;
-    if (syncRetail) {
-      const sync = await pool.query(`UPDATE curated_products SET custom_price = suggested_price, updated_at = NOW() RETURNING id`);
-      syncCount = sync.rowCount;
+    let pricing = null;
+    if (recalcSuggested || syncRetail) {
+      const applied = await applyPricing({ syncRetail: !!syncRetail, actorEmail: req.access?.email || req.user?.email || null });
+      recalcCount = applied.updated;
+      syncCount = applied.retailUpdated;
+      pricing = applied.context;
     }
+    pricing = pricing || await loadPricingContext();
     res.json({
       success: true,
       changed,
       usdToZar: USD_TO_ZAR,
       priceMarkup: PRICE_MARKUP,
+      minMarginZar: pricing.defaults.minMarginZar,
+      rounding: pricing.defaults.rounding,
       recalcSuggested: !!recalcSuggested,
       recalcCount,
       syncRetail: !!syncRetail,
       syncCount,
-      formula: `USD cost × ${USD_TO_ZAR} × ${PRICE_MARKUP}`
+      formula: describePricingContext(pricing)
     });
   } catch (e) {
     res.status(400).json({ error: e.message });
@@ -593,12 +676,13 @@ router.post('/products', async (req, res) => {
       return res.status(400).json({ error: 'Invalid price: must be a positive number' });
     }
     
-    const costZAR = Math.round(costUSD * USD_TO_ZAR * 100) / 100;
+    const pricing = await loadPricingContext();
+    const costZAR = Math.round(costUSD * pricing.usdToZar * 100) / 100;
 
-    // Use custom suggested price if provided, otherwise apply markup to ZAR cost
+    // Use custom suggested price if provided, otherwise apply the pricing rules to the ZAR cost
     const suggested_price = custom_suggested_price 
       ? Math.round(Number(custom_suggested_price) * 100) / 100
-      : Math.round(costZAR * PRICE_MARKUP * 100) / 100;
+      : calculateRetailPrice({ category, costUsd: costUSD }, pricing).price;
 
     console.log(`💰 Cost: $${costUSD} USD → R${costZAR} ZAR, ${custom_suggested_price ? 'custom' : 'default'} retail: R${suggested_price} (${(suggested_price / costZAR).toFixed(2)}x markup)`);
 
@@ -756,6 +840,11 @@ router.put('/products/:id', async (req, res) => {
     updates.push(`updated_at = NOW()`);
     values.push(id);
 
+    const touchesPrice = [custom_price, req.body.cj_cost_price, req.body.suggested_price].some(v => v !== undefined);
+    const before = touchesPrice
+      ? (await pool.query('SELECT cj_cost_price, suggested_price, custom_price FROM curated_products WHERE id = $1', [id])).rows[0]
+      : null;
+
     const result = await pool.query(`
       UPDATE curated_products 
       SET ${updates.join(', ')}
@@ -767,6 +856,25 @@ router.put('/products/:id', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    if (before) {
+      const product = result.rows[0];
+      const oldRetail = Number(before.custom_price ?? before.suggested_price);
+      const newRetail = Number(product.custom_price ?? product.suggested_price);
+      if (Number(before.cj_cost_price) !== Number(product.cj_cost_price) || oldRetail !== newRetail) {
+        await loadPricingConfig();
+        await recordPriceChange({
+          productId: product.id,
+          source: 'admin_edit',
+          oldCostUsd: before.cj_cost_price,
+          newCostUsd: product.cj_cost_price,
+          oldRetailZar: oldRetail,
+          newRetailZar: newRetail,
+          usdToZar: USD_TO_ZAR,
+          actorEmail: req.access?.email || req.user?.email || null,
+        });
+      }
+    }
+
     res.json({ product: result.rows[0] });
   } catch (error) {
     console.error('Update product error:', error);
@@ -936,98 +1044,180 @@ router.post('/products/fix-inflated', async (req, res) => {
 // Recalculate suggested prices for all products
 // POST /api/admin/products/recalculate-suggested-prices
 router.post('/products/recalculate-suggested-prices', async (req, res) => {
-  const client = await pool.connect();
   try {
     // Ensure latest pricing config
     await loadPricingConfig();
-    await client.query('BEGIN');
-    
-    // Get current state before update
-    const before = await client.query(
-      `SELECT id, product_name, cj_cost_price, suggested_price FROM curated_products ORDER BY id LIMIT 5`
-    );
-
-    // Recalculate: suggested_price = cj_cost_price (USD) × USD_TO_ZAR × PRICE_MARKUP
-    const update = await client.query(
-      `UPDATE curated_products
-       SET suggested_price = ROUND((cj_cost_price * $1 * $2) * 100) / 100,
-           updated_at = NOW()
-       WHERE TRUE
-       RETURNING id, product_name, cj_cost_price, suggested_price`,
-      [USD_TO_ZAR, PRICE_MARKUP]
-    );
-    
-    await client.query('COMMIT');
+    const result = await applyPricing({ syncRetail: false, actorEmail: req.access?.email || req.user?.email || null });
+    const formula = describePricingContext(result.context);
 
-    console.log(`✓ Recalculated suggested prices for ${update.rows.length} products (USD × ${USD_TO_ZAR} × ${PRICE_MARKUP})`);
+    console.log(`✓ Recalculated suggested prices for ${result.updated} products (${formula})`);
     
     res.json({ 
       success: true,
-      updated: update.rows.length,
-      formula: `USD cost × ${USD_TO_ZAR} × ${PRICE_MARKUP}`,
-      beforeSample: before.rows,
-      afterSample: update.rows.slice(0, 5)
+      updated: result.updated,
+      formula,
+      beforeSample: result.products.slice(0, 5).map(p => ({ id: p.id, product_name: p.name, cj_cost_price: p.costUsd, suggested_price: p.oldSuggestedPrice })),
+      afterSample: result.products.slice(0, 5).map(p => ({ id: p.id, product_name: p.name, cj_cost_price: p.costUsd, suggested_price: p.newPrice }))
     });
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error('Recalculate suggested prices error:', error);
     res.status(500).json({ error: 'Failed to recalculate suggested prices' });
-  } finally {
-    client.release();
   }
 });
 
+
 // Sync all retail prices to corrected suggested prices
 // POST /api/admin/products/sync-retail-to-suggested
 router.post('/products/sync-retail-to-suggested', async (req, res) => {
-  const client = await pool.connect();
   try {
     await loadPricingConfig();
-    await client.query('BEGIN');
-    
-    // Get current state before update
-    const before = await client.query(
-      `SELECT id, product_name, custom_price, suggested_price FROM curated_products ORDER BY id LIMIT 5`
-    );
-
-    // First recalculate suggested_price from ZAR cost
-    const recalc = await client.query(
-      `UPDATE curated_products
-       SET suggested_price = ROUND((cj_cost_price * $1 * $2) * 100) / 100
-       WHERE TRUE`,
-      [USD_TO_ZAR, PRICE_MARKUP]
-    );
-
-    // Then sync custom_price to match the corrected suggested_price
-    const update = await client.query(
-      `UPDATE curated_products
-       SET custom_price = suggested_price,
-           updated_at = NOW()
-       WHERE TRUE
-       RETURNING id, product_name, suggested_price, custom_price`,
-      []
-    );
-    
-    await client.query('COMMIT');
+    // Recalculates suggested_price with the pricing rules and copies it to custom_price
+    const result = await applyPricing({ syncRetail: true, actorEmail: req.access?.email || req.user?.email || null });
+    const formula = describePricingContext(result.context);
 
-    console.log(`✓ Synced ${update.rows.length} products: custom_price → suggested_price (USD × ${USD_TO_ZAR} × ${PRICE_MARKUP})`);
+    console.log(`✓ Synced ${result.retailUpdated} products: custom_price → suggested_price (${formula})`);
     
     res.json({ 
       success: true,
-      updated: update.rows.length,
-      message: `All retail prices synced to corrected suggested prices (${USD_TO_ZAR} ZAR × ${PRICE_MARKUP} markup)`,
-      beforeSample: before.rows,
-      afterSample: update.rows.slice(0, 5)
+      updated: result.retailUpdated,
+      message: `All retail prices synced to suggested prices (${formula})`,
+      beforeSample: result.products.slice(0, 5).map(p => ({ id: p.id, product_name: p.name, custom_price: p.oldRetailPrice, suggested_price: p.oldSuggestedPrice })),
+      afterSample: result.products.slice(0, 5).map(p => ({ id: p.id, product_name: p.name, suggested_price: p.newPrice, custom_price: p.newPrice }))
     });
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error('Sync retail to suggested error:', error);
     res.status(500).json({ error: 'Failed to sync retail prices' });
-  } finally {
-    client.release();
   }
 });
 
+// ======== Exchange rate ========
+// USD→ZAR refreshed from the provider chain (EXCHANGE_RATE_PROVIDERS); an
+// override pins the rate until it is cleared.
+
+// GET /api/admin/exchange-rate
+router.get('/exchange-rate', async (req, res) => {
+  try {
+    res.json(await getExchangeRateStatus());
+  } catch (error) {
+    console.error('Exchange rate status error:', error);
+    res.status(500).json({ error: 'Failed to load exchange rate' });
+  }
+});
+
+// POST /api/admin/exchange-rate/refresh
+router.post('/exchange-rate/refresh', async (req, res) => {
+  try {
+    const result = await refreshExchangeRate({ trigger: 'manual' });
+    await loadPricingConfig();
+    res.json(result);
+  } catch (error) {
+    console.error('Exchange rate refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh exchange rate' });
+  }
+});
+
+// PUT /api/admin/exchange-rate/override { rate: number | null }
+router.put('/exchange-rate/override', async (req, res) => {
+  try {
+    const raw = req.body?.rate;
+    const rate = raw === null || raw === undefined || raw === '' ? null : Number(raw);
+    if (rate !== null && !isPlausibleRate(rate)) {
+      return res.status(400).json({ error: 'rate must be between 5 and 50, or null to clear the override' });
+    }
+    const result = await setExchangeRateOverride(rate, { actorEmail: req.access?.email || req.user?.email || null });
+    await loadPricingConfig();
+    res.json({ override: rate, ...result });
+  } catch (error) {
+    console.error('Exchange rate override error:', error);
+    res.status(500).json({ error: 'Failed to update exchange rate override' });
+  }
+});
+
+// ======== Pricing rules ========
+// Markup, minimum rand margin and rounding by category, cost band (ZAR) or
+// single product. Products no rule matches use the pricing-config defaults.
+
+// GET /api/admin/pricing-rules
+router.get('/pricing-rules', async (req, res) => {
+  try {
+    const [rules, pricing] = await Promise.all([listPricingRules(), loadPricingContext()]);
+    res.json({ rules, defaults: pricing.defaults, usdToZar: pricing.usdToZar, roundingModes: ROUNDING_MODES });
+  } catch (error) {
+    console.error('List pricing rules error:', error);
+    res.status(500).json({ error: 'Failed to load pricing rules' });
+  }
+});
+
+// Dry run: every curated product's current and rule-engine price. Writes nothing.
+// GET /api/admin/pricing-rules/preview?changedOnly=true
+router.get('/pricing-rules/preview', async (req, res) => {
+  try {
+    const { context, products } = await previewPricing();
+    const changedOnly = req.query.changedOnly === 'true';
+    res.json({
+      formula: describePricingContext(context),
+      total: products.length,
+      suggestedChanges: products.filter(p => p.suggestedChanged).length,
+      retailChanges: products.filter(p => p.retailChanged).length,
+      products: changedOnly ? products.filter(p => p.suggestedChanged || p.retailChanged) : products,
+    });
+  } catch (error) {
+    console.error('Preview pricing rules error:', error);
+    res.status(500).json({ error: 'Failed to preview prices' });
+  }
+});
+
+router.post('/pricing-rules', async (req, res) => {
+  try {
+    const { values, error } = normalizePricingRuleInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const rule = await savePricingRule({ values, actorEmail: req.access?.email || req.user?.email || null });
+    res.status(201).json({ rule });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Curated product not found' });
+    }
+    console.error('Create pricing rule error:', error);
+    res.status(500).json({ error: 'Failed to create pricing rule' });
+  }
+});
+
+router.put('/pricing-rules/:id', async (req, res) => {
+  try {
+    const { values, error } = normalizePricingRuleInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const rule = await savePricingRule({ id: req.params.id, values });
+    if (!rule) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+    res.json({ rule });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Curated product not found' });
+    }
+    console.error('Update pricing rule error:', error);
+    res.status(500).json({ error: 'Failed to update pricing rule' });
+  }
+});
+
+router.delete('/pricing-rules/:id', async (req, res) => {
+  try {
+    const deleted = await deletePricingRule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete pricing rule error:', error);
+    res.status(500).json({ error: 'Failed to delete pricing rule' });
+  }
+});
+
+
 // Search supplier products (for adding to curated list)
 // Supports both name search and direct PID lookup
 router.get('/cj-products/search', async (req, res) => {
@@ -1243,6 +1433,347 @@ router.get('/products/search', async (req, res) => {
   }
 });
 
+// ============ DISCOUNT CODES ============
+
+const DISCOUNT_CODE_COLUMNS = [
+  'code',
+  'description',
+  'discount_type',
+  'value',
+  'max_discount_amount',
+  'buy_quantity',
+  'get_quantity',
+  'min_order_value',
+  'usage_limit_total',
+  'usage_limit_per_customer',
+  'starts_at',
+  'ends_at',
+  'applies_to_category',
+  'applies_to_source',
+  'is_active',
+];
+
+// List discount codes with their redemption counts
+router.get('/discount-codes', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        dc.*,
+        COUNT(dcr.id) FILTER (WHERE dcr.status = 'redeemed')::int AS redeemed_count,
+        COUNT(dcr.id) FILTER (WHERE dcr.status = 'pending')::int AS pending_count,
+        COALESCE(SUM(dcr.discount_amount) FILTER (WHERE dcr.status = 'redeemed'), 0) AS redeemed_value
+      FROM discount_codes dc
+      LEFT JOIN discount_code_redemptions dcr ON dcr.discount_code_id = dc.id
+      GROUP BY dc.id
+      ORDER BY dc.created_at DESC
+    `);
+    res.json({ discountCodes: result.rows });
+  } catch (error) {
+    console.error('Get discount codes error:', error);
+    res.status(500).json({ error: 'Failed to fetch discount codes' });
+  }
+});
+
+// Single discount code with its latest redemptions
+router.get('/discount-codes/:id', async (req, res) => {
+  try {
+    const codeResult = await pool.query('SELECT * FROM discount_codes WHERE id = $1', [req.params.id]);
+    if (codeResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Discount code not found' });
+    }
+    const redemptions = await pool.query(`
+      SELECT id, order_number, user_id, customer_email, discount_amount, local_amount, import_amount, status, redeemed_at, created_at
+      FROM discount_code_redemptions
+      WHERE discount_code_id = $1
+      ORDER BY created_at DESC
+      LIMIT 100
+    `, [req.params.id]);
+    res.json({ discountCode: codeResult.rows[0], redemptions: redemptions.rows });
+  } catch (error) {
+    console.error('Get discount code error:', error);
+    res.status(500).json({ error: 'Failed to fetch discount code' });
+  }
+});
+
+// Create a discount code
+router.post('/discount-codes', async (req, res) => {
+  try {
+    const { values, error } = normalizeDiscountCodeInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const params = DISCOUNT_CODE_COLUMNS.map((column) => values[column]);
+    const result = await pool.query(`
+      INSERT INTO discount_codes (${DISCOUNT_CODE_COLUMNS.join(', ')}, created_by_email)
+      VALUES (${DISCOUNT_CODE_COLUMNS.map((_, index) => `$${index + 1}`).join(', ')}, $${DISCOUNT_CODE_COLUMNS.length + 1})
+      RETURNING *
+    `, [...params, req.access?.email || req.user?.email || null]);
+
+    res.status(201).json({ discountCode: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A discount code with this code already exists' });
+    }
+    console.error('Create discount code error:', error);
+    res.status(500).json({ error: 'Failed to create discount code' });
+  }
+});
+
+// Update a discount code. Fields left out of the body keep their current values.
+router.put('/discount-codes/:id', async (req, res) => {
+  try {
+    const existing = await pool.query('SELECT * FROM discount_codes WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Discount code not found' });
+    }
+
+    const { values, error } = normalizeDiscountCodeInput({ ...existing.rows[0], ...(req.body || {}) });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const params = DISCOUNT_CODE_COLUMNS.map((column) => values[column]);
+    const result = await pool.query(`
+      UPDATE discount_codes
+      SET ${DISCOUNT_CODE_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+          updated_at = NOW()
+      WHERE id = $${DISCOUNT_CODE_COLUMNS.length + 1}
+      RETURNING *
+    `, [...params, req.params.id]);
+
+    res.json({ discountCode: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A discount code with this code already exists' });
+    }
+    console.error('Update discount code error:', error);
+    res.status(500).json({ error: 'Failed to update discount code' });
+  }
+});
+
+// Delete a discount code. Codes that have been used are deactivated instead so
+// their redemption history stays attached to the orders.
+router.delete('/discount-codes/:id', async (req, res) => {
+  try {
+    const used = await pool.query(
+      'SELECT 1 FROM discount_code_redemptions WHERE discount_code_id = $1 LIMIT 1',
+      [req.params.id]
+    );
+
+    if (used.rowCount > 0) {
+      const result = await pool.query(
+        'UPDATE discount_codes SET is_active = FALSE, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Discount code not found' });
+      }
+      return res.json({ success: true, deactivated: true, discountCode: result.rows[0] });
+    }
+
+    const result = await pool.query('DELETE FROM discount_codes WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Discount code not found' });
+    }
+    res.json({ success: true, deleted: true });
+  } catch (error) {
+    console.error('Delete discount code error:', error);
+    res.status(500).json({ error: 'Failed to delete discount code' });
+  }
+});
+
+// ============ BUNDLES ============
+
+// List all bundles, including inactive and scheduled ones
+router.get('/bundles', async (req, res) => {
+  try {
+    res.json({ bundles: await listBundles() });
+  } catch (error) {
+    console.error('Get bundles error:', error);
+    res.status(500).json({ error: 'Failed to fetch bundles' });
+  }
+});
+
+router.get('/bundles/:id', async (req, res) => {
+  try {
+    const bundle = await getBundle(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+    res.json({ bundle });
+  } catch (error) {
+    console.error('Get bundle error:', error);
+    res.status(500).json({ error: 'Failed to fetch bundle' });
+  }
+});
+
+// Create a bundle from local and/or curated CJ products
+router.post('/bundles', async (req, res) => {
+  try {
+    const { values, items, error } = normalizeBundleInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const bundle = await saveBundle({
+      values,
+      items,
+      actorEmail: req.access?.email || req.user?.email || null,
+    });
+    res.status(201).json({ bundle });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A bundle with this slug already exists' });
+    }
+    console.error('Create bundle error:', error);
+    res.status(500).json({ error: 'Failed to create bundle' });
+  }
+});
+
+// Update a bundle. Fields left out of the body keep their current values;
+// when items are sent they replace the existing list.
+router.put('/bundles/:id', async (req, res) => {
+  try {
+    const existing = await getBundle(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+
+    const { values, items, error } = normalizeBundleInput({ ...existing, ...(req.body || {}) });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const bundle = await saveBundle({ id: existing.id, values, items });
+    if (!bundle) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+    res.json({ bundle });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A bundle with this slug already exists' });
+    }
+    console.error('Update bundle error:', error);
+    res.status(500).json({ error: 'Failed to update bundle' });
+  }
+});
+
+router.delete('/bundles/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM bundles WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+    res.json({ success: true, deleted: true });
+  } catch (error) {
+    console.error('Delete bundle error:', error);
+    res.status(500).json({ error: 'Failed to delete bundle' });
+  }
+});
+
+// ============ CART RECOVERY ============
+
+// Reminder settings, recent sends and how many reminded carts went on to pay
+router.get('/cart-recovery', async (req, res) => {
+  try {
+    const stats = await pool.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE r.status = 'sent')::int AS sent,
+        COUNT(*) FILTER (WHERE r.status = 'failed')::int AS failed,
+        COUNT(*) FILTER (
+          WHERE r.status = 'sent' AND EXISTS (
+            SELECT 1 FROM orders o
+            WHERE (o.user_id = r.user_id OR LOWER(o.customer_email) = r.customer_email)
+              AND o.status IN ('paid', 'completed')
+              AND o.created_at >= r.sent_at
+          )
+        )::int AS recovered
+      FROM cart_recovery_emails r
+      WHERE r.created_at > NOW() - INTERVAL '30 days'
+    `);
+    const recent = await pool.query(`
+      SELECT id, user_id, customer_email, cart_updated_at, status, discount_code, error, sent_at, created_at
+      FROM cart_recovery_emails
+      ORDER BY created_at DESC
+      LIMIT 50
+    `);
+    const unsubscribes = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM email_unsubscribes WHERE list IN ('cart_recovery', 'all')`
+    );
+
+    res.json({
+      enabled: process.env.CART_RECOVERY_ENABLED === 'true',
+      config: getCartRecoveryConfig(),
+      last30Days: stats.rows[0],
+      unsubscribed: unsubscribes.rows[0].count,
+      recent: recent.rows,
+    });
+  } catch (error) {
+    console.error('Get cart recovery error:', error);
+    res.status(500).json({ error: 'Failed to fetch cart recovery status' });
+  }
+});
+
+// Run the reminder job now. { dryRun: true } only counts the carts that would be emailed.
+router.post('/cart-recovery/run', async (req, res) => {
+  try {
+    const result = await runCartRecovery({ dryRun: req.body?.dryRun === true });
+    res.json(result);
+  } catch (error) {
+    console.error('Run cart recovery error:', error);
+    res.status(500).json({ error: 'Failed to run cart recovery' });
+  }
+});
+
+// Post-delivery review requests: 30-day outcome and the latest sends
+router.get('/review-requests', async (req, res) => {
+  try {
+    const stats = await pool.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE r.status = 'sent')::int AS sent,
+        COUNT(*) FILTER (WHERE r.status = 'failed')::int AS failed,
+        COUNT(*) FILTER (WHERE r.status = 'skipped')::int AS skipped,
+        COUNT(*) FILTER (
+          WHERE r.status = 'sent' AND EXISTS (
+            SELECT 1 FROM customer_reviews cr
+            WHERE cr.order_id = r.order_id AND cr.created_at >= r.sent_at
+          )
+        )::int AS reviewed
+      FROM review_request_emails r
+      WHERE r.created_at > NOW() - INTERVAL '30 days'
+    `);
+    const recent = await pool.query(`
+      SELECT r.id, r.order_id, o.order_number, r.customer_email, r.delivered_at, r.product_ids,
+             r.status, r.error, r.sent_at, r.created_at
+      FROM review_request_emails r
+      LEFT JOIN orders o ON o.id = r.order_id
+      ORDER BY r.created_at DESC
+      LIMIT 50
+    `);
+    res.json({
+      enabled: reviewRequestsEnabled(),
+      config: getReviewRequestConfig(),
+      last30Days: stats.rows[0],
+      recent: recent.rows,
+    });
+  } catch (error) {
+    console.error('Review requests stats error:', error);
+    res.status(500).json({ error: 'Failed to load review requests' });
+  }
+});
+
+// Run review requests now; { dryRun: true } only counts who would be emailed
+router.post('/review-requests/run', async (req, res) => {
+  try {
+    const result = await runReviewRequests({ dryRun: req.body?.dryRun === true });
+    res.json(result);
+  } catch (error) {
+    console.error('Run review requests error:', error);
+    res.status(500).json({ error: 'Failed to run review requests' });
+  }
+});
+
 // ============ ORDER MANAGEMENT ============
 
 // Get all orders with filters
@@ -1281,40 +1812,270 @@ router.get('/orders', async (req, res) => {
   }
 });
 
+const TRANSITION_ERROR_STATUS = {
+  not_found: 404,
+  invalid_state: 400,
+  invalid_transition: 409,
+};
+
 // Update order status
 router.put('/orders/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
 
-    if (!['pending', 'paid', 'completed', 'failed', 'cancelled'].includes(status)) {
+    // Cancelling restocks, voids CJ and emails the customer, so it has its own action.
+    if (status === 'cancelled') {
+      return res.status(400).json({ error: 'Use POST /api/admin/orders/:id/cancel to cancel an order' });
+    }
+    if (!['pending', 'paid', 'completed', 'failed'].includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    const result = await pool.query(`
-      UPDATE orders 
-      SET status = $1, updated_at = NOW()
-      WHERE id = $2
-      RETURNING *
-    `, [status, id]);
+    const result = await setOrderStatus(id, status, {
+      actorEmail: req.access?.email || req.user?.email || null,
+      reason: String(req.body?.reason || '').trim() || null,
+    });
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+    if (result.error) {
+      return res.status(TRANSITION_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
     }
 
-    res.json({ order: result.rows[0] });
+    res.json({ order: result.order });
   } catch (error) {
     console.error('Update order error:', error);
     res.status(500).json({ error: 'Failed to update order' });
   }
 });
 
-// Privacy-safe storefront traffic and engagement. This deliberately excludes
-// customer identity and financial data; orders remain in the existing analytics endpoint.
-router.get('/traffic-insights', async (_req, res) => {
-  try {
-    const [summaryResult, sourcesResult, regionsResult, pagesResult, productsResult, hourlyResult, funnelResult, purchasesResult, staffResult, surveyResult, journeysResult, botResult] = await Promise.all([
-      pool.query(`
+// Full lifecycle timeline (transitions, actors, reasons and courier scans)
+router.get('/orders/:id/timeline', async (req, res) => {
+  try {
+    const timeline = await getOrderTimeline(req.params.id, { audience: 'admin' });
+    if (!timeline) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ timeline });
+  } catch (error) {
+    console.error('Get order timeline error:', error);
+    res.status(500).json({ error: 'Failed to fetch order timeline' });
+  }
+});
+
+// Move an order along its fulfilment lifecycle by hand, e.g. a parcel handed
+// over outside Bob Go. Cancelling and refunding have their own actions below.
+router.post('/orders/:id/transition', async (req, res) => {
+  try {
+    const result = await transitionOrder(req.params.id, String(req.body?.state || '').trim(), {
+      actorEmail: req.access?.email || req.user?.email || null,
+      reason: String(req.body?.reason || '').trim() || null,
+    });
+
+    if (result.error) {
+      return res.status(TRANSITION_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    }
+
+    res.json({ order: result.order });
+  } catch (error) {
+    console.error('Order transition error:', error);
+    res.status(500).json({ error: 'Failed to update order state' });
+  }
+});
+
+const CANCELLATION_ERROR_STATUS = {
+  not_found: 404,
+  already_cancelled: 409,
+  shipped: 409,
+  invalid_refund: 400,
+};
+
+// Cancel an order: restocks local items, voids the CJ submission and emails the customer.
+// Optionally records the PayFast refund in the same step.
+router.post('/orders/:id/cancel', async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'A cancellation reason is required' });
+    }
+
+    const result = await cancelOrder({
+      orderId: req.params.id,
+      reason,
+      actorEmail: req.access?.email || req.user?.email || null,
+      refundAmount: req.body?.refundAmount,
+      payfastReference: String(req.body?.payfastReference || '').trim() || null,
+      notifyCustomer: req.body?.notifyCustomer !== false,
+    });
+
+    if (!result.cancelled) {
+      return res.status(CANCELLATION_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
+
+// Refunds recorded against an order
+router.get('/orders/:id/refunds', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM order_refunds WHERE order_id = $1 ORDER BY created_at DESC',
+      [req.params.id]
+    );
+    res.json({ refunds: result.rows });
+  } catch (error) {
+    console.error('Get order refunds error:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
+// Record a full or partial refund issued in the PayFast dashboard
+router.post('/orders/:id/refunds', async (req, res) => {
+  try {
+    const result = await recordOrderRefund({
+      orderId: req.params.id,
+      amount: req.body?.amount,
+      payfastReference: String(req.body?.payfastReference || '').trim() || null,
+      reason: String(req.body?.reason || '').trim() || null,
+      actorEmail: req.access?.email || req.user?.email || null,
+    });
+
+    if (!result.recorded) {
+      return res.status(CANCELLATION_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    }
+
+    res.status(201).json({ refund: result.refund, order: result.order });
+  } catch (error) {
+    console.error('Record refund error:', error);
+    res.status(500).json({ error: 'Failed to record refund' });
+  }
+});
+
+// Guest checkout orders by checkout email and/or order numbers, to preview a merge
+router.get('/customers/guest-orders', async (req, res) => {
+  try {
+    const email = String(req.query.email || '').trim() || null;
+    const orderNumbers = String(req.query.orderNumbers || '')
+      .split(',')
+      .map((number) => number.trim())
+      .filter(Boolean);
+    if (!email && orderNumbers.length === 0) {
+      return res.status(400).json({ error: 'email or orderNumbers is required' });
+    }
+    res.json({ orders: await findGuestOrders({ email, orderNumbers }) });
+  } catch (error) {
+    console.error('Guest orders lookup error:', error);
+    res.status(500).json({ error: 'Failed to load guest orders' });
+  }
+});
+
+// Link guest orders to a customer account by hand, e.g. when the customer
+// checked out with a different email from the one on their account.
+router.post('/customers/merge-guest-orders', async (req, res) => {
+  try {
+    const input = normalizeGuestMergeInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+    const { accountEmail, email, orderNumbers } = input.values;
+    const userId = input.values.userId || await findAccountUserId(accountEmail);
+    if (!userId) {
+      return res.status(404).json({ error: `No customer account found for ${accountEmail}` });
+    }
+
+    const actorEmail = req.access?.email || req.user?.email || null;
+    const note = String(req.body?.note || '').trim();
+    const linked = await linkGuestOrders({
+      userId,
+      email,
+      orderNumbers,
+      actorType: 'admin',
+      actorEmail,
+      source: 'admin_merge',
+      reason: note || 'Guest orders merged into customer account by admin',
+    });
+    if (linked.length === 0) {
+      return res.status(404).json({ error: 'No matching guest orders to merge' });
+    }
+
+    res.json({ userId, merged: linked });
+  } catch (error) {
+    console.error('Merge guest orders error:', error);
+    res.status(500).json({ error: 'Failed to merge guest orders' });
+  }
+});
+
+// Customer review moderation queue (pending first, oldest first)
+router.get('/reviews', async (req, res) => {
+  try {
+    const status = req.query.status === 'all' ? null : String(req.query.status || 'pending');
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${REVIEW_STATUSES.join(', ')} or all` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const productId = String(req.query.productId || '').trim() || null;
+    res.json(await listReviewsForModeration({ status, productId, limit, offset }));
+  } catch (error) {
+    console.error('Review moderation list error:', error);
+    res.status(500).json({ error: 'Failed to load reviews' });
+  }
+});
+
+// Approve (publish) or reject a review: { action: 'approve' | 'reject', note }
+router.post('/reviews/:id/moderate', async (req, res) => {
+  try {
+    const action = String(req.body?.action || '');
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'action must be approve or reject' });
+    }
+    const result = await moderateReview(req.params.id, {
+      status: action === 'approve' ? 'approved' : 'rejected',
+      actorEmail: req.access?.email || req.user?.email || null,
+      note: req.body?.note,
+    });
+    if (result.error) {
+      return res.status(result.reason === 'not_found' ? 404 : 400).json({ error: result.error });
+    }
+    res.json({ review: result.review });
+  } catch (error) {
+    console.error('Review moderation error:', error);
+    res.status(500).json({ error: 'Failed to moderate review' });
+  }
+});
+
+router.delete('/reviews/:id', async (req, res) => {
+  try {
+    const deleted = await deleteReview(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    res.json({ success: true, id: deleted.id });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ error: 'Failed to delete review' });
+  }
+});
+
+// Privacy-safe storefront traffic and engagement. This deliberately excludes
+// customer identity and financial data; orders remain in the existing analytics endpoint.
+// When raw events are kept for less than 30 days, the summary, sources, regions,
+// pages, products and funnel come from the daily rollups instead.
+router.get('/traffic-insights', async (_req, res) => {
+  try {
+    const rawEventsSince = getRawEventWindowStart();
+    const recent = normalizeReportRange({});
+    const rollups = rangeNeedsRollups(recent.from, rawEventsSince) ? await getRollupTrafficInsights(recent) : null;
+    // When raw events no longer cover the period, rollups stand in for the summary,
+    // source, region, page, product, hourly and funnel queries, which are skipped.
+    // Staff, survey, journey and bot sections only exist as raw events and are
+    // flagged in rawWindowOnly so the dashboard can say they start at rawEventsSince.
+    const NO_ROWS = { rows: [] };
+    const [summaryResult, sourcesResult, regionsResult, pagesResult, productsResult, hourlyResult, funnelResult, purchasesResult, staffResult, surveyResult, journeysResult, botResult] = await Promise.all([
+      rollups ? NO_ROWS : pool.query(`
         SELECT
           COUNT(DISTINCT visitor_id) AS visitors,
           COUNT(DISTINCT session_id) AS sessions,
@@ -1326,7 +2087,7 @@ router.get('/traffic-insights', async (_req, res) => {
           AND COALESCE(device_type, '') <> 'Bot'
           AND occurred_at >= NOW() - INTERVAL '30 days'
       `),
-      pool.query(`
+      rollups ? NO_ROWS : pool.query(`
         SELECT
           COALESCE(NULLIF(source, ''), CASE WHEN referrer_host IS NULL OR referrer_host = '' THEN 'Direct' ELSE referrer_host END) AS source,
           COALESCE(NULLIF(medium, ''), 'organic / referral') AS medium,
@@ -1339,7 +2100,7 @@ router.get('/traffic-insights', async (_req, res) => {
         ORDER BY sessions DESC
         LIMIT 8
       `),
-      pool.query(`
+      rollups ? NO_ROWS : pool.query(`
         SELECT
           country_code,
           timezone_name,
@@ -1364,7 +2125,7 @@ router.get('/traffic-insights', async (_req, res) => {
         ORDER BY sessions DESC
         LIMIT 12
       `),
-      pool.query(`
+      rollups ? NO_ROWS : pool.query(`
         SELECT page_path, MAX(page_title) AS page_title, COUNT(*) AS views
         FROM storefront_analytics_events
         WHERE traffic_type = 'customer' AND is_internal_traffic = FALSE AND is_duplicate = FALSE
@@ -1374,7 +2135,7 @@ router.get('/traffic-insights', async (_req, res) => {
         ORDER BY views DESC
         LIMIT 10
       `),
-      pool.query(`
+      rollups ? NO_ROWS : pool.query(`
         SELECT product_id, MAX(product_name) AS product_name, MAX(product_category) AS product_category,
                COUNT(*) FILTER (WHERE event_name = 'product_view') AS views,
                COUNT(*) FILTER (WHERE event_name = 'product_click') AS clicks,
@@ -1388,7 +2149,7 @@ router.get('/traffic-insights', async (_req, res) => {
         ORDER BY views DESC, clicks DESC
         LIMIT 10
       `),
-      pool.query(`
+      rollups ? NO_ROWS : pool.query(`
         SELECT EXTRACT(HOUR FROM (occurred_at AT TIME ZONE 'UTC' AT TIME ZONE 'Africa/Johannesburg'))::int AS hour, COUNT(DISTINCT session_id) AS sessions
         FROM storefront_analytics_events
         WHERE traffic_type = 'customer' AND is_internal_traffic = FALSE AND is_duplicate = FALSE
@@ -1398,7 +2159,7 @@ router.get('/traffic-insights', async (_req, res) => {
         ORDER BY sessions DESC, hour ASC
         LIMIT 6
       `),
-      pool.query(`
+      rollups ? NO_ROWS : pool.query(`
         SELECT
           COUNT(DISTINCT session_id) FILTER (WHERE event_name = 'session_start') AS visitors,
           COUNT(DISTINCT session_id) FILTER (WHERE event_name = 'product_view') AS product_viewers,
@@ -1420,7 +2181,7 @@ router.get('/traffic-insights', async (_req, res) => {
           AND COALESCE(device_type, '') <> 'Bot'
           AND occurred_at >= NOW() - INTERVAL '30 days'
       `),
-      pool.query(`
+      rollups ? NO_ROWS : pool.query(`
         WITH analytics_start AS (
           SELECT GREATEST(
             NOW() - INTERVAL '30 days',
@@ -1721,7 +2482,7 @@ router.get('/traffic-insights', async (_req, res) => {
       `),
     ]);
 
-    const funnelRow = funnelResult.rows[0] || {};
+    const funnelRow = rollups?.funnel || funnelResult.rows[0] || {};
     const surveyFeedback = Object.values(surveyResult.rows.reduce((groups, row) => {
       const key = row.question_key;
       if (!groups[key]) {
@@ -1754,7 +2515,7 @@ router.get('/traffic-insights', async (_req, res) => {
       { key: 'payment_clicked_sessions', label: 'Clicked payment', value: Number(funnelRow.payment_clicked_sessions || 0) },
       { key: 'payfast_sessions', label: 'Reached PayFast', value: Number(funnelRow.payfast_sessions || 0) },
       { key: 'payment_success_sessions', label: 'Payment succeeded', value: Number(funnelRow.payment_success_sessions || 0) },
-      { key: 'purchases', label: 'Purchase completed', value: Math.max(Number(funnelRow.purchase_sessions || 0), Number(purchasesResult.rows[0]?.purchases || 0)), verified: true },
+      { key: 'purchases', label: 'Purchase completed', value: Math.max(Number(funnelRow.purchase_sessions || 0), Number(rollups ? rollups.purchases : purchasesResult.rows[0]?.purchases || 0)), verified: true },
     ].map((stage, index, stages) => {
       const previous = index > 0 ? stages[index - 1].value : stage.value;
       const retainedPercent = index === 0 ? 100 : (previous > 0 ? Math.min(100, Math.round((stage.value / previous) * 1000) / 10) : 0);
@@ -1767,17 +2528,20 @@ router.get('/traffic-insights', async (_req, res) => {
 
     res.json({
       period: 'Last 30 days',
-      summary: summaryResult.rows[0] || {},
-      sources: sourcesResult.rows,
-      regions: regionsResult.rows,
-      pages: pagesResult.rows,
-      products: productsResult.rows,
-      popularHours: hourlyResult.rows,
+      summary: rollups?.summary || summaryResult.rows[0] || {},
+      sources: rollups?.sources || sourcesResult.rows,
+      regions: rollups?.regions || regionsResult.rows,
+      pages: rollups?.pages || pagesResult.rows,
+      products: rollups?.products || productsResult.rows,
+      popularHours: rollups?.popularHours || hourlyResult.rows,
       funnel,
       staffActivity: staffResult.rows,
       surveyFeedback,
       journeys: journeysResult.rows,
       botSummary: botResult.rows[0] || { visitors: 0, sessions: 0, events: 0 },
+      dataSource: rollups ? 'rollups' : 'raw_events',
+      rawWindowOnly: rollups ? ['staffActivity', 'surveyFeedback', 'journeys', 'botSummary'] : [],
+      rawEventsSince,
       timeZone: 'Africa/Johannesburg',
     });
   } catch (error) {
@@ -1786,11 +2550,70 @@ router.get('/traffic-insights', async (_req, res) => {
   }
 });
 
+// Traffic insights for any date range, read from the daily rollups
+router.get('/traffic-insights/rollups', async (req, res) => {
+  const range = normalizeReportRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  try {
+    const [insights, coverage] = await Promise.all([
+      getRollupTrafficInsights(range),
+      getRollupCoverage(range),
+    ]);
+    res.json({ ...insights, range, coverage, timeZone: 'Africa/Johannesburg' });
+  } catch (error) {
+    console.error('Rollup traffic insights error:', error);
+    res.status(500).json({ error: 'Unable to load traffic insights' });
+  }
+});
+
 // Full calendar-month export. Customer journeys are anonymous and combined by
 // visitor across tabs/sessions. Bots are intentionally returned only as totals.
+// Months older than the raw-event window only have rollups: totals, no journeys.
 router.get('/traffic-insights/export', async (req, res) => {
   const window = analyticsMonthWindow(req.query.month);
   if (!window) return res.status(400).json({ error: 'Month must use YYYY-MM format' });
+  const period = {
+    month: window.month,
+    label: new Intl.DateTimeFormat('en-ZA', { month: 'long', year: 'numeric', timeZone: 'Africa/Johannesburg' }).format(new Date(window.start)),
+    start: window.start,
+    end: window.end,
+  };
+
+  const monthRange = monthDateRange(window.month);
+  const rawEventsSince = getRawEventWindowStart();
+  if (rangeNeedsRollups(monthRange.from, rawEventsSince)) {
+    try {
+      const { summary, funnel } = await getRollupTrafficInsights(monthRange);
+      // Sessions per step; a session counted under two similar steps is not deduplicated
+      const sessionsAt = (...keys) => Math.max(...keys.map((key) => Number(funnel[key] || 0)));
+      return res.json({
+        period,
+        summary: {
+          visitors: Number(summary.visitors || 0),
+          sessions: Number(summary.sessions || 0),
+          events: Number(summary.events || 0),
+          pageViews: Number(summary.page_views || 0),
+          productViews: Number(summary.product_views || 0),
+          addToCartActions: Number(summary.add_to_cart || 0),
+          checkoutSessions: sessionsAt('checkout_clicked_sessions', 'checkout_loaded_sessions'),
+          paymentSessions: sessionsAt('payment_clicked_sessions', 'payfast_sessions'),
+          purchases: sessionsAt('payment_success_sessions', 'purchase_sessions'),
+        },
+        botSummary: null,
+        similarBehavior: null,
+        journeys: [],
+        journeysAvailable: false,
+        dataSource: 'rollups',
+        rawEventsSince,
+        truncated: false,
+        timeZone: 'Africa/Johannesburg',
+      });
+    } catch (error) {
+      console.error('Monthly traffic rollup export error:', error.message);
+      return res.status(500).json({ error: 'Unable to prepare the monthly analytics report' });
+    }
+  }
 
   try {
     const [eventsResult, botResult] = await Promise.all([
@@ -1841,12 +2664,7 @@ router.get('/traffic-insights/export', async (req, res) => {
     ));
 
     return res.json({
-      period: {
-        month: window.month,
-        label: new Intl.DateTimeFormat('en-ZA', { month: 'long', year: 'numeric', timeZone: 'Africa/Johannesburg' }).format(new Date(window.start)),
-        start: window.start,
-        end: window.end,
-      },
+      period,
       summary: {
         visitors: journeys.length,
         sessions: sessionIds.size,
@@ -1871,6 +2689,9 @@ router.get('/traffic-insights/export', async (req, res) => {
         })),
       },
       journeys,
+      journeysAvailable: true,
+      dataSource: 'raw_events',
+      rawEventsSince,
       truncated: eventsResult.rows.length >= 100000,
       timeZone: 'Africa/Johannesburg',
     });
@@ -1880,8 +2701,187 @@ router.get('/traffic-insights/export', async (req, res) => {
   }
 });
 
+// Conversion funnel over the daily session rollups, e.g.
+// ?steps=product_view,add_to_cart,purchase_complete&breakdown=source&from=2026-01-01&to=2026-01-31
+router.get('/reports/funnel', async (req, res) => {
+  const range = normalizeReportRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+  const funnel = normalizeFunnelSteps(req.query.steps);
+  if (funnel.error) return res.status(400).json({ error: funnel.error });
+  const breakdown = normalizeBreakdown(req.query.breakdown);
+  if (breakdown.error) return res.status(400).json({ error: breakdown.error });
+
+  try {
+    const [report, coverage] = await Promise.all([
+      getFunnelReport({ steps: funnel.steps, from: range.from, to: range.to, column: breakdown.column }),
+      getRollupCoverage(range),
+    ]);
+    res.json({ ...report, breakdown: breakdown.breakdown, range, coverage });
+  } catch (error) {
+    console.error('Funnel report error:', error);
+    res.status(500).json({ error: 'Failed to load funnel report' });
+  }
+});
+
+// Weekly acquisition cohorts (by first visit) with purchase and repeat-purchase rates
+router.get('/reports/cohorts', async (req, res) => {
+  const range = normalizeReportRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  try {
+    const [cohorts, coverage] = await Promise.all([
+      getCohortReport(range),
+      getRollupCoverage(range),
+    ]);
+    res.json({ cohorts, range, coverage });
+  } catch (error) {
+    console.error('Cohort report error:', error);
+    res.status(500).json({ error: 'Failed to load cohort report' });
+  }
+});
+
+// Roll up pending days now, or rebuild { from, to } after a backfill
+router.post('/reports/rollups/run', async (req, res) => {
+  let range = {};
+  if (req.body?.from || req.body?.to) {
+    range = normalizeReportRange({ from: req.body.from, to: req.body.to });
+    if (range.error) return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    const result = await runAnalyticsRollups({ ...range, notBefore: getRawEventWindowStart() });
+    res.json(result);
+  } catch (error) {
+    console.error('Run analytics rollups error:', error);
+    res.status(500).json({ error: 'Failed to run analytics rollups' });
+  }
+});
+
+// Raw-event retention settings and the days already archived or pruned
+router.get('/reports/retention', async (_req, res) => {
+  try {
+    const config = getAnalyticsRetentionConfig();
+    const archives = await listAnalyticsArchives();
+    res.json({
+      rawRetentionDays: config.rawRetentionDays,
+      mode: config.mode,
+      archiveDir: config.mode === 'archive' ? config.archiveDir : null,
+      rawEventsSince: getRawEventWindowStart(),
+      archives,
+    });
+  } catch (error) {
+    console.error('Analytics retention status error:', error);
+    res.status(500).json({ error: 'Failed to load analytics retention status' });
+  }
+});
+
+router.post('/reports/retention/run', async (req, res) => {
+  try {
+    const result = await runAnalyticsRetention({ dryRun: req.body?.dryRun === true });
+    res.json(result);
+  } catch (error) {
+    console.error('Run analytics retention error:', error);
+    res.status(500).json({ error: 'Failed to run analytics retention' });
+  }
+});
+
+// Storefront searches from raw `search` events: top queries and zero-result ones
+router.get('/reports/searches', async (req, res) => {
+  const range = normalizeReportRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const report = await getSearchReport({ from: range.from, to: range.to, limit });
+    res.json({ ...report, range, rawEventsSince: getRawEventWindowStart() });
+  } catch (error) {
+    console.error('Search report error:', error);
+    res.status(500).json({ error: 'Failed to load search report' });
+  }
+});
+
+// Server-side conversion forwarding (GA4 Measurement Protocol / Meta Conversions API)
+const CONVERSION_EXPORT_ERROR_STATUS = {
+  not_found: 404,
+  not_retryable: 409,
+};
+
+router.get('/conversions/exports', async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    const destination = req.query.destination ? String(req.query.destination) : null;
+    if (status && !CONVERSION_EXPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${CONVERSION_EXPORT_STATUSES.join(', ')}` });
+    }
+    if (destination && !CONVERSION_DESTINATIONS.includes(destination)) {
+      return res.status(400).json({ error: `destination must be one of ${CONVERSION_DESTINATIONS.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { exports, counts } = await listConversionExports({ status, destination, limit });
+    res.json({
+      enabled: conversionExportEnabled(),
+      dryRun: conversionExportDryRun(),
+      consentRequired: conversionConsentRequired(),
+      destinations: activeConversionDestinations(),
+      counts,
+      exports,
+    });
+  } catch (error) {
+    console.error('Conversion exports error:', error);
+    res.status(500).json({ error: 'Failed to load conversion exports' });
+  }
+});
+
+// Deliver due exports now instead of waiting for the worker
+router.post('/conversions/exports/run', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || 50, 1), 200);
+    res.json(await runConversionExports({ limit }));
+  } catch (error) {
+    console.error('Run conversion exports error:', error);
+    res.status(500).json({ error: 'Failed to run conversion exports' });
+  }
+});
+
+router.post('/conversions/exports/:id/retry', async (req, res) => {
+  try {
+    const result = await retryConversionExport(req.params.id);
+    if (result.error) {
+      return res.status(CONVERSION_EXPORT_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Conversion export retry error:', error);
+    res.status(500).json({ error: 'Failed to retry conversion export' });
+  }
+});
+
+// Product recommendations: when the similarity table was last rebuilt and how big it is
+router.get('/recommendations', async (_req, res) => {
+  try {
+    res.json({
+      enabled: recommendationsEnabled(),
+      config: getRecommendationConfig(),
+      kinds: await getRecommendationStatus(),
+    });
+  } catch (error) {
+    console.error('Recommendation status error:', error);
+    res.status(500).json({ error: 'Failed to load recommendation status' });
+  }
+});
+
+// Rebuild recommendations now, e.g. after importing a batch of products
+router.post('/recommendations/run', async (_req, res) => {
+  try {
+    res.json(await runRecommendationJob());
+  } catch (error) {
+    console.error('Run recommendation job error:', error);
+    res.status(500).json({ error: 'Failed to rebuild recommendations' });
+  }
+});
+
 // Link or update Bob Go tracking for an order.
-// The Bob Go shipment is still created manually; this only stores the reference
+// For shipments created manually in Bob Go; this only stores the reference
 // and gives webhooks a reliable way to update the customer-facing timeline.
 router.put('/orders/:id/tracking', async (req, res) => {
   try {
@@ -1907,6 +2907,10 @@ router.put('/orders/:id/tracking', async (req, res) => {
       bobHealthStatus: textOrNull(req.body?.bobHealthStatus),
       bobHealthStatusReason: textOrNull(req.body?.bobHealthStatusReason),
       bobTrackingEvents: trackingEvents,
+    }, {
+      actorType: 'admin',
+      actorEmail: req.access?.email || req.user?.email || null,
+      source: 'admin_tracking',
     });
 
     if (!updatedOrder) {
@@ -1941,6 +2945,26 @@ router.put('/orders/:id/tracking', async (req, res) => {
   }
 });
 
+// Book the Bob Go shipment for a paid -LOCAL order (or retry a missing label).
+router.post('/orders/:id/bob-shipment', async (req, res) => {
+  try {
+    const result = await createBobShipmentForOrder(req.params.id, {
+      trigger: 'admin',
+      actorEmail: req.access?.email || req.user?.email || null,
+    });
+
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('[admin] Bob Go shipment error:', error);
+    res.status(500).json({ error: 'Failed to create Bob Go shipment' });
+  }
+});
+
 // Generate the no-login supplier pickup link and WhatsApp share URL for an order.
 router.post('/orders/:id/supplier-pickup-link', async (req, res) => {
   try {
@@ -2202,9 +3226,10 @@ router.get('/orders/:orderId/debug', async (req, res) => {
 // Get recent CJ submissions for debugging
 router.get('/cj/recent-submissions', async (req, res) => {
   try {
+    const submissions = getRecentCJSubmissions();
     res.json({
-      submissions: recentCJSubmissions,
-      count: recentCJSubmissions.length,
+      submissions,
+      count: submissions.length,
       note: 'Recent CJ order submissions with full request/response data'
     });
   } catch (error) {
@@ -2213,163 +3238,243 @@ router.get('/cj/recent-submissions', async (req, res) => {
   }
 });
 
-// Submit paid order to CJ Dropshipping
+const CJ_SUBMISSION_ERROR_STATUS = {
+  not_found: 404,
+  not_paid: 400,
+  already_submitted: 400,
+  no_cj_products: 400,
+  missing_order_id: 502,
+  already_succeeded: 409,
+  order_cancelled: 409,
+  busy: 409,
+};
+
+const cjSubmissionJobSummary = (job) => (job ? {
+  id: job.id,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.max_attempts,
+  nextAttemptAt: job.status === 'queued' ? job.next_attempt_at : null,
+  lastError: job.last_error,
+} : null);
+
+// Maps a cjSubmissionQueue outcome onto the submit-to-cj response shape.
+const sendCJSubmissionOutcome = (res, { busy, job, result, error }) => {
+  if (busy) {
+    return res.status(409).json({ error: 'A CJ submission for this order is already running' });
+  }
+  if (result?.submitted) {
+    return res.json({
+      success: true,
+      message: 'Order submitted to CJ successfully',
+      cjOrderId: result.cjOrderId,
+      cjOrderNumber: result.cjOrderNumber,
+      orderNumber: result.order?.order_number,
+      ...(result.note ? { note: result.note } : {}),
+      job: cjSubmissionJobSummary(job),
+    });
+  }
+  if (result) {
+    const { submitted, reason, order, ...body } = result;
+    return res.status(CJ_SUBMISSION_ERROR_STATUS[reason] || 400).json({ ...body, job: cjSubmissionJobSummary(job) });
+  }
+  return res.status(500).json({
+    error: 'Failed to submit order to CJ',
+    details: error?.message,
+    job: cjSubmissionJobSummary(job),
+  });
+};
+
+// Submit paid order to CJ Dropshipping. Runs the order's submission job now; if
+// CJ fails, the job stays queued for the background worker to retry.
 router.post('/orders/:orderId/submit-to-cj', async (req, res) => {
   try {
-    const { orderId } = req.params;
+    const outcome = await submitOrderToCJNow(req.params.orderId, {
+      actorEmail: req.access?.email || req.user?.email || null,
+    });
+    sendCJSubmissionOutcome(res, outcome);
+  } catch (error) {
+    console.error('[admin] Submit to CJ error:', error);
+    res.status(500).json({
+      error: 'Failed to submit order to CJ',
+      details: error.message
+    });
+  }
+});
 
-    // 1. Fetch order from database
-    const order = await getOrderById(orderId);
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+// CJ submission queue: dead-lettered jobs first, then running, queued and done.
+router.get('/cj/submission-queue', async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !CJ_SUBMISSION_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${CJ_SUBMISSION_JOB_STATUSES.join(', ')}` });
     }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { jobs, counts } = await listCJSubmissionJobs({ status, limit });
+    res.json({
+      enabled: cjSubmissionQueueEnabled(),
+      counts,
+      jobs,
+    });
+  } catch (error) {
+    console.error('CJ submission queue error:', error);
+    res.status(500).json({ error: 'Failed to load CJ submission queue' });
+  }
+});
 
-    // 2. Validate order status
-    if (order.status !== 'paid') {
-      return res.status(400).json({ error: `Order status is ${order.status}, must be paid to submit to CJ` });
+// Retry a queued or dead-lettered job now, with a fresh set of attempts.
+router.post('/cj/submission-queue/:id/retry', async (req, res) => {
+  try {
+    const outcome = await retryCJSubmissionJob(req.params.id, {
+      actorEmail: req.access?.email || req.user?.email || null,
+    });
+    if (outcome.reason && !outcome.result) {
+      return res.status(CJ_SUBMISSION_ERROR_STATUS[outcome.reason] || 400).json({ error: outcome.error });
     }
+    sendCJSubmissionOutcome(res, outcome);
+  } catch (error) {
+    console.error('CJ submission retry error:', error);
+    res.status(500).json({ error: 'Failed to retry CJ submission' });
+  }
+});
 
-    // 3. Check if already submitted
-    if (order.cj_order_id) {
-      return res.status(400).json({ 
-        error: 'Order already submitted to CJ',
-        cjOrderId: order.cj_order_id,
-        cjOrderNumber: order.cj_order_number
-      });
-    }
+// Poll CJ now for submitted orders with missing or stale tracking, instead of
+// waiting for the scheduled reconciler.
+router.post('/cj/order-sync', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || 25, 1), 100);
+    const result = await runCJOrderSync({ limit });
+    res.json({ enabled: cjOrderSyncEnabled(), ...result });
+  } catch (error) {
+    console.error('CJ order sync error:', error);
+    res.status(500).json({ error: 'Failed to sync CJ orders' });
+  }
+});
 
-    // 4. Build CJ order payload
-    const cjOrderData = buildCJOrderData(order);
+// Inbound webhook inbox (CJ, Bob Go, PayFast)
+const WEBHOOK_PROCESSORS = {
+  cj: processCJWebhook,
+  bob: processBobWebhook,
+  payfast: processPayFastNotification,
+};
 
-    // 5. Validate we have CJ products
-    if (!cjOrderData.products || cjOrderData.products.length === 0) {
-      return res.status(400).json({ 
-        error: 'No CJ products found in order. Cart items must have cj_vid.' 
-      });
-    }
+const WEBHOOK_REPLAY_ERROR_STATUS = {
+  not_found: 404,
+  invalid_signature: 409,
+  unknown_provider: 400,
+  already_processed: 409,
+  busy: 409,
+};
 
-    // 5.1 Validate/adjust logistic line based on CJ freight availability to ZA
-    try {
-      const postalCode = order.shipping_postal_code || '2196';
-      const perProductOptions = [];
-      for (const p of cjOrderData.products) {
-        try {
-          const opts = await cjClient.getFreightQuote({
-            startCountryCode: 'CN',
-            endCountryCode: 'ZA',
-            postalCode,
-            products: [{ vid: p.vid, quantity: p.quantity || 1 }]
-          });
-          perProductOptions.push(new Set((opts || []).map(o => o.logisticName)));
-        } catch (fqErr) {
-          perProductOptions.push(new Set());
-          console.warn(`[admin] Freight options lookup failed for vid ${p.vid}:`, fqErr.message);
-        }
-      }
-      // Compute intersection of logistic names across all products
-      let intersection = null;
-      for (const s of perProductOptions) {
-        if (intersection === null) {
-          intersection = new Set(s);
-        } else {
-          intersection = new Set([...intersection].filter(x => s.has(x)));
-        }
-      }
-      const commonOptions = intersection ? [...intersection] : [];
-      if (commonOptions.length === 0) {
-        console.warn('[admin] No common logistic line across products to ZA. CJ may reject order.');
-      } else if (!commonOptions.includes(cjOrderData.logisticName)) {
-        const fallback = commonOptions[0];
-        console.log(`[admin] Adjusting logisticName from ${cjOrderData.logisticName} to ${fallback} based on CJ availability`);
-        cjOrderData.logisticName = fallback;
-      }
-    } catch (adjustErr) {
-      console.warn('[admin] Logistic line adjustment skipped due to error:', adjustErr.message);
+router.get('/webhooks', async (req, res) => {
+  try {
+    const provider = req.query.provider ? String(req.query.provider) : null;
+    const status = req.query.status ? String(req.query.status) : null;
+    if (provider && !WEBHOOK_PROVIDERS.includes(provider)) {
+      return res.status(400).json({ error: `provider must be one of ${WEBHOOK_PROVIDERS.join(', ')}` });
     }
-
-    // 6. Submit order to CJ API
-    console.log(`[admin] Submitting order ${order.order_number} to CJ with data:`, JSON.stringify(cjOrderData, null, 2));
-    
-    let cjResponse;
-    let cjOrderId;
-    let cjOrderNumber;
-    
-    try {
-      cjResponse = await cjClient.createOrder(cjOrderData);
-      cjOrderId = cjResponse?.orderId;
-      cjOrderNumber = cjResponse?.orderNumber || cjResponse?.orderNum;
-      
-      // Store successful submission
-      storeCJSubmission(order.order_number, cjOrderData, cjResponse);
-    } catch (cjError) {
-      // Store failed submission
-      storeCJSubmission(order.order_number, cjOrderData, cjError.response || null, cjError.message);
-      
-      // IMPORTANT: CJ API may create the order even if returns an error
-      // (e.g., "Balance is insufficient" after order is created)
-      // Try to recover by checking if order was created by searching CJ by order number
-      console.warn(`[admin] CJ order creation threw error: ${cjError.message}`);
-      console.log(`[admin] Attempting recovery: checking if order was created on CJ despite error...`);
-      
-      try {
-        // Try to find the order in CJ by its order number
-        // We'll use a search/list approach - for now, we don't have a direct lookup, so re-throw
-        throw cjError;
-      } catch (recoveryError) {
-        throw cjError; // Re-throw the original CJ error if recovery fails
-      }
+    if (status && !WEBHOOK_INBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${WEBHOOK_INBOX_STATUSES.join(', ')}` });
     }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = await listWebhooks({
+      provider,
+      status,
+      eventId: req.query.eventId ? String(req.query.eventId) : null,
+      limit,
+      offset,
+    });
+    res.json({ ...result, limit, offset });
+  } catch (error) {
+    console.error('Webhook inbox error:', error);
+    res.status(500).json({ error: 'Failed to load webhook inbox' });
+  }
+});
 
-    if (!cjOrderId) {
-      console.error('[admin] CJ order creation returned no orderId:', cjResponse);
-      return res.status(502).json({ 
-        error: 'CJ order creation failed',
-        details: 'Missing orderId from CJ',
-        cjResponse
-      });
+router.get('/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
+    res.json({ webhook });
+  } catch (error) {
+    console.error('Webhook detail error:', error);
+    res.status(500).json({ error: 'Failed to load webhook' });
+  }
+});
 
-    // 7. Update local order with CJ info
-    await updateOrderCJInfo(orderId, cjOrderId, cjOrderNumber, 'SUBMITTED');
-
-    console.log(`[admin] ✓ Order ${order.order_number} submitted to CJ. CJ Order ID: ${cjOrderId}, CJ Order #: ${cjOrderNumber}`);
-
-    res.json({
-      success: true,
-      message: 'Order submitted to CJ successfully',
-      cjOrderId,
-      cjOrderNumber,
-      orderNumber: order.order_number
+// Re-run a stored delivery through today's processing code, e.g. after a bug fix.
+router.post('/webhooks/:id/replay', async (req, res) => {
+  try {
+    const result = await replayWebhook(req.params.id, (provider) => WEBHOOK_PROCESSORS[provider], {
+      actorEmail: req.access?.email || req.user?.email || null,
+      ignoreSignature: req.body?.ignoreSignature === true,
     });
+    if (result.error) {
+      return res.status(WEBHOOK_REPLAY_ERROR_STATUS[result.reason] || 400).json({ error: result.error });
+    }
+    res.json({ webhook: result.entry, response: { status: result.response.status, body: result.response.body } });
+  } catch (error) {
+    console.error('Webhook replay error:', error);
+    res.status(500).json({ error: 'Failed to replay webhook' });
+  }
+});
 
+// PayFast payments held back by the IPN checks (source address, amount, postback)
+router.get('/payments/suspicious', async (req, res) => {
+  try {
+    const status = req.query.status === 'all' ? null : String(req.query.status || 'open');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({ payments: await listSuspiciousPayments({ status, limit }) });
   } catch (error) {
-    console.error('[admin] Submit to CJ error:', error);
-    
-    // IMPORTANT: CJ API may create order even if returns an error (e.g., "Balance is insufficient")
-    // Try to detect if order was created despite the error by checking if our order now has CJ info
-    try {
-      const updatedOrder = await getOrderById(orderId);
-      if (updatedOrder?.cj_order_id) {
-        // Order was actually created! Return success
-        console.log(`[admin] ✓ Despite error, order ${updatedOrder.order_number} was created on CJ. CJ Order ID: ${updatedOrder.cj_order_id}`);
-        return res.json({
-          success: true,
-          message: 'Order submitted to CJ successfully',
-          cjOrderId: updatedOrder.cj_order_id,
-          cjOrderNumber: updatedOrder.cj_order_number,
-          orderNumber: updatedOrder.order_number,
-          note: 'Order was created despite initial error response'
-        });
+    console.error('Suspicious payments error:', error);
+    res.status(500).json({ error: 'Failed to load suspicious payments' });
+  }
+});
+
+// Approve applies the held notification exactly as if it had passed the checks;
+// dismiss closes the review and leaves the orders untouched.
+router.post('/payments/suspicious/:id/review', async (req, res) => {
+  try {
+    const action = String(req.body?.action || '');
+    if (!['approve', 'dismiss'].includes(action)) {
+      return res.status(400).json({ error: 'action must be approve or dismiss' });
+    }
+    const actorEmail = req.access?.email || req.user?.email || null;
+    const payment = await getSuspiciousPayment(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Suspicious payment not found' });
+    }
+    if (payment.status !== 'open') {
+      return res.status(409).json({ error: `This payment was already ${payment.status}` });
+    }
+
+    let response = null;
+    if (action === 'approve') {
+      if (!payment.webhook_id) {
+        return res.status(409).json({ error: 'The original notification is no longer stored' });
+      }
+      const replay = await replayWebhook(payment.webhook_id, (provider) => WEBHOOK_PROCESSORS[provider], { actorEmail });
+      if (replay.error) {
+        return res.status(WEBHOOK_REPLAY_ERROR_STATUS[replay.reason] || 400).json({ error: replay.error });
+      }
+      response = { status: replay.response.status, body: replay.response.body };
+      if (replay.response.status >= 400) {
+        return res.status(502).json({ error: 'The payment could not be applied', response });
       }
-    } catch (checkError) {
-      console.error('[admin] Error checking if order was created:', checkError);
     }
-    
-    res.status(500).json({ 
-      error: 'Failed to submit order to CJ',
-      details: error.message 
+
+    const reviewed = await reviewSuspiciousPayment(payment.id, {
+      status: action === 'approve' ? 'approved' : 'dismissed',
+      actorEmail,
+      note: req.body?.note,
     });
+    res.json({ payment: reviewed, response });
+  } catch (error) {
+    console.error('Suspicious payment review error:', error);
+    res.status(500).json({ error: 'Failed to review payment' });
   }
 });
 
@@ -2626,88 +3731,18 @@ router.post('/orders/create-test', requireAdmin, async (req, res) => {
 router.post('/products/sync-cj-prices', async (req, res) => {
   try {
     const { limit = 50 } = req.body;
-
-    // Get active products with CJ PIDs
-    const result = await pool.query(`
-      SELECT id, cj_pid, product_name, cj_cost_price, custom_price 
-      FROM curated_products 
-      WHERE cj_pid IS NOT NULL AND is_active = TRUE
-      ORDER BY updated_at ASC
-      LIMIT $1
-    `, [limit]);
-
-    if (result.rows.length === 0) {
-      return res.json({ 
-        success: true, 
-        message: 'No products to sync',
-        synced: 0,
-        priceChanges: []
-      });
-    }
-
-    console.log(`[admin] Syncing prices for ${result.rows.length} products from CJ...`);
-
-    const priceChanges = [];
-    const errors = [];
-    let syncedCount = 0;
-
-    for (const product of result.rows) {
-      try {
-        // Fetch current CJ price
-        const cjProduct = await cjClient.getProductDetails(product.cj_pid);
-        const currentCJPrice = parseFloat(cjProduct.price || 0);
-
-        if (currentCJPrice <= 0) {
-          errors.push({ id: product.id, name: product.product_name, reason: 'Invalid CJ price' });
-          continue;
-        }
-
-        const storedCJPrice = parseFloat(product.cj_cost_price || 0);
-        const priceDiff = Math.abs(currentCJPrice - storedCJPrice);
-        const percentChange = storedCJPrice > 0 ? (priceDiff / storedCJPrice) * 100 : 0;
-
-        // Always update if price is different (even by 0.01%)
-        if (currentCJPrice !== storedCJPrice) {
-          await loadPricingConfig(); // Ensure latest markup config
-          const costZAR = Math.round(currentCJPrice * USD_TO_ZAR * 100) / 100;
-          const newRetailPrice = Math.round(costZAR * PRICE_MARKUP * 100) / 100;
-
-          await pool.query(`
-            UPDATE curated_products 
-            SET cj_cost_price = $1, 
-                suggested_price = $2,
-                custom_price = $3,
-                updated_at = NOW()
-            WHERE id = $4
-          `, [currentCJPrice, newRetailPrice, newRetailPrice, product.id]);
-
-          if (percentChange > 0.5) { // Only log significant changes (>0.5%)
-            priceChanges.push({
-              id: product.id,
-              name: product.product_name,
-              oldCostUSD: storedCJPrice,
-              newCostUSD: currentCJPrice,
-              oldPriceZAR: product.custom_price,
-              newPriceZAR: newRetailPrice,
-              percentChange: Math.round(percentChange * 10) / 10,
-              increased: currentCJPrice > storedCJPrice
-            });
-          }
-
-          syncedCount++;
-        }
-      } catch (err) {
-        errors.push({ id: product.id, name: product.product_name, reason: err.message });
-        console.error(`[admin] Price sync failed for ${product.cj_pid}:`, err.message);
-      }
-    }
+    // Same path as the scheduled job so manual syncs land in price history and alerts too
+    const result = await syncProductPrices({ limit, syncType: 'manual' });
 
     res.json({
       success: true,
-      message: `Synced ${syncedCount} products, ${priceChanges.length} prices changed significantly`,
-      synced: syncedCount,
-      priceChanges,
-      errors: errors.length > 0 ? errors : undefined
+      message: result.processed === 0
+        ? 'No products to sync'
+        : `Synced ${result.synced} products, ${result.priceChanges.length} prices changed significantly`,
+      synced: result.synced,
+      priceChanges: result.priceChanges,
+      priceAlerts: result.priceAlerts,
+      errors: result.errors.length > 0 ? result.errors : undefined
     });
   } catch (error) {
     console.error('[admin] Sync CJ prices error:', error);
@@ -2719,3 +3754,47 @@ router.post('/products/sync-cj-prices', async (req, res) => {
   }
 });
 
+// Cost vs retail over time for one curated product (for charting)
+// GET /api/admin/products/:id/price-history?days=180
+router.get('/products/:id/price-history', async (req, res) => {
+  try {
+    const id = Number.parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid product id' });
+    }
+    const days = Math.min(730, Math.max(1, Number.parseInt(req.query.days, 10) || 180));
+    const history = await getPriceHistory(id, { days });
+    if (!history) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json({ ...history, days, thresholds: await getPriceAlertThresholds() });
+  } catch (error) {
+    console.error('[admin] Price history error:', error);
+    res.status(500).json({ error: 'Failed to load price history' });
+  }
+});
+
+// Price alert thresholds for the owner digest sent after each price sync
+router.get('/price-alerts/settings', async (req, res) => {
+  try {
+    res.json({ thresholds: await getPriceAlertThresholds() });
+  } catch (error) {
+    console.error('[admin] Price alert settings error:', error);
+    res.status(500).json({ error: 'Failed to load price alert settings' });
+  }
+});
+
+// PUT /api/admin/price-alerts/settings { costJumpPercent?, marginFloorPercent? }
+router.put('/price-alerts/settings', async (req, res) => {
+  try {
+    const result = await updatePriceAlertThresholds(req.body || {});
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('[admin] Update price alert settings error:', error);
+    res.status(500).json({ error: 'Failed to update price alert settings' });
+  }
+});
+
@@ -17,6 +17,8 @@ import {
   normalizeEventSequence,
 } from '../services/analyticsEventTiming.js';
 import { requestAnalyticsLocation } from '../services/analyticsLocation.js';
+import { buildConversion, hashIdentifier, normalizeConsent } from '../services/conversionExportRules.js';
+import { enqueueConversion, storefrontPageUrl } from '../services/conversionExport.js';
 
 export const router = express.Router();
 
@@ -295,6 +297,7 @@ router.post('/events', optionalAuth, async (req, res) => {
     const pageLoadId = cleanText(body.pageLoadId, 96) || null;
     const interactionId = cleanText(body.interactionId, 96) || null;
     const cartItems = cleanCartItems(body.cartItems);
+    const marketingConsent = normalizeConsent(body.marketingConsent);
     const dedupeKey = createAnalyticsEventDedupeKey({
       sessionId,
       eventName,
@@ -312,7 +315,7 @@ router.post('/events', optionalAuth, async (req, res) => {
       provinceName,
       municipalityName,
     } = requestAnalyticsLocation(req);
-    await pool.query(
+    const inserted = await pool.query(
       `INSERT INTO storefront_analytics_events
        (event_name, session_id, visitor_id, page_path, page_title, product_id,
         product_name, product_category, source, medium, campaign, referrer_host,
@@ -324,12 +327,12 @@ router.post('/events', optionalAuth, async (req, res) => {
         city_name, region_name, province_name, municipality_name,
         ad_group, client_occurred_at, event_sequence,
         cart_items, cart_value, delivery_cost, delivery_option, interaction_id,
-        order_reference, failure_reason)
+        order_reference, failure_reason, marketing_consent)
        VALUES (
          $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,
          $18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,$31,$32,$33,
          $34,$35,$36,$37,$38,$39,$40,$41,$42,$43,$44,$45,$46,$47,$48,$49,$50,
-         $51,$52
+         $51,$52,$53
        )
        ON CONFLICT (event_dedupe_key)
        WHERE event_dedupe_key IS NOT NULL
@@ -387,8 +390,32 @@ router.post('/events', optionalAuth, async (req, res) => {
         interactionId,
         cleanText(body.orderReference, 160) || null,
         cleanText(body.failureReason, 160) || null,
+        marketingConsent,
       ]
     );
+
+    // Customer add-to-carts are forwarded to ad platforms (services/conversionExport.js)
+    if (
+      eventName === 'add_to_cart'
+      && inserted.rowCount > 0
+      && classification.trafficType === 'customer'
+      && !classification.isInternalTraffic
+      && deviceType !== 'Bot'
+    ) {
+      const productId = cleanText(body.productId, 120) || null;
+      const addedItems = cartItems.filter((item) => !productId || item.productId === productId);
+      await enqueueConversion(buildConversion({
+        kind: 'add_to_cart',
+        eventId: interactionId || `atc_${hashIdentifier(dedupeKey).slice(0, 32)}`,
+        visitorId,
+        sessionId,
+        cartItems: addedItems.length > 0
+          ? addedItems
+          : [{ productId, productName: cleanText(body.productName, 240) || null, productCategory: cleanText(body.productCategory, 120) || null }],
+        gclid: cleanText(body.gclid, 240) || null,
+        pageUrl: storefrontPageUrl(pagePath),
+      }), { consent: marketingConsent });
+    }
     return res.status(202).json({ ok: true });
   } catch (error) {
     console.error('[storefront-analytics] event rejected:', error.message);
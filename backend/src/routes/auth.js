@@ -1,11 +1,32 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import db from '../db.js';
 import { authenticateToken, generateToken } from '../middleware/auth.js';
 import { getUserAccess } from '../middleware/admin.js';
+import { sendEmailVerificationEmail } from '../services/emailService.js';
+import { linkGuestOrders } from '../services/guestOrderLinking.js';
 
 export const router = express.Router();
 
+const EMAIL_VERIFICATION_HOURS = 48;
+
+const hashVerificationToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Emails a confirmation link. Only the token's hash is stored.
+const sendEmailVerification = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expires = new Date(Date.now() + EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000);
+  await db.query(
+    'UPDATE users SET email_verification_token = $1, email_verification_expires = $2 WHERE id = $3',
+    [hashVerificationToken(token), expires, user.id]
+  );
+  const frontendBase = (process.env.FRONTEND_URL || 'https://snuggleup.co.za').replace(/\/+$/, '');
+  const verifyUrl = `${frontendBase}/#/verify-email?token=${encodeURIComponent(token)}`;
+  const result = await sendEmailVerificationEmail({ to: user.email, name: user.name, verifyUrl });
+  return Boolean(result?.success);
+};
+
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -39,9 +60,18 @@ router.post('/register', async (req, res) => {
     // Generate token
     const token = generateToken(userId, email);
 
+    // Guest orders placed with this email are linked once it is confirmed
+    let emailVerificationSent = false;
+    try {
+      emailVerificationSent = await sendEmailVerification({ id: userId, email, name });
+    } catch (verificationError) {
+      console.error('Email verification send error:', verificationError);
+    }
+
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      emailVerificationSent,
       user: {
         id: userId,
         email,
@@ -79,7 +109,7 @@ router.post('/login', async (req, res) => {
     }
 
   // Generate token
-  const token = generateToken(user.id, user.email);
+  const token = generateToken(user.id, user.email, { emailVerified: Boolean(user.email_verified_at) });
 
     res.json({
       message: 'Login successful',
@@ -88,7 +118,8 @@ router.post('/login', async (req, res) => {
         id: user.id,
         email: user.email,
         name: user.name,
-        phone: user.phone
+        phone: user.phone,
+        emailVerified: Boolean(user.email_verified_at)
       }
     });
   } catch (error) {
@@ -154,6 +185,71 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// Confirm email ownership and link guest orders placed with that email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+    const found = await db.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+           email_verification_token = NULL,
+           email_verification_expires = NULL
+       WHERE email_verification_token = $1 AND email_verification_expires > CURRENT_TIMESTAMP
+       RETURNING id, email, name`,
+      [hashVerificationToken(token)]
+    );
+    if (!found.rows || found.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+    const user = found.rows[0];
+
+    const linkedOrders = await linkGuestOrders({
+      userId: user.id,
+      email: user.email,
+      actorEmail: user.email,
+      source: 'email_verification',
+      reason: 'Guest checkout email verified by the account owner',
+    });
+
+    res.json({
+      message: 'Email verified',
+      token: generateToken(user.id, user.email, { emailVerified: true }),
+      linkedOrders: linkedOrders.map(order => order.order_number),
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send a fresh confirmation link to the signed-in user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const found = await db.query(
+      'SELECT id, email, name, email_verified_at FROM users WHERE id::text = $1',
+      [String(req.user.userId)]
+    );
+    if (!found.rows || found.rows.length === 0) {
+      return res.status(404).json({ error: 'No account found; Supabase accounts confirm email through Supabase' });
+    }
+    const user = found.rows[0];
+    if (user.email_verified_at) {
+      return res.json({ message: 'Email already verified', alreadyVerified: true });
+    }
+    const sent = await sendEmailVerification(user);
+    if (!sent) {
+      return res.status(503).json({ error: 'Verification email could not be sent' });
+    }
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
 // Get current user profile
 router.get('/access', authenticateToken, async (req, res) => {
   try {
@@ -4,6 +4,20 @@ import crypto from 'crypto';
 import pool from '../db.js';
 import { updateOrderBobTracking } from './orders.js';
 import { notifyTrackingUpdateIfNeeded } from '../services/trackingNotifications.js';
+import { processWebhook, recordWebhook } from '../services/webhookInbox.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { shippingDetailsForRequest } from './addresses.js';
+import {
+  buildShipmentPayload,
+  missingShipmentFields,
+  normalizeProvince,
+  numberFrom,
+  parcelsFromCart,
+  selectedCourierRate,
+  shipmentTrackingFromResponse,
+  stringFrom,
+  waybillUrlFromResponse,
+} from '../services/bobShipmentRules.js';
 
 export const router = express.Router();
 
@@ -22,6 +36,7 @@ const getBobEnvironment = () => (
 const getBobAuthToken = () => process.env.BOB_API_TOKEN || '';
 const bobMutationsEnabled = () => process.env.BOB_ENABLE_MUTATIONS === 'true';
 const rawBobRateProxyEnabled = () => process.env.BOB_ENABLE_RAW_RATE_PROXY === 'true';
+export const bobAutoShipmentsEnabled = () => process.env.BOB_AUTO_CREATE_SHIPMENTS === 'true';
 const getCourierRatesPath = () => process.env.BOB_COURIER_RATES_PATH || 'rates';
 const getCourierRateRequestTimeoutMs = () => Math.min(
   Math.max(Number(process.env.BOB_RATE_REQUEST_TIMEOUT_MS || 10000), 1000),
@@ -79,32 +94,6 @@ const proxyToBob = async ({ method = 'GET', path, body, headers = {} }) => {
   };
 };
 
-const numberFrom = (...values) => {
-  for (const value of values) {
-    if (value === undefined || value === null || value === '') continue;
-    if (typeof value === 'number' && Number.isFinite(value)) return value;
-    if (typeof value === 'string') {
-      const cleaned = value.replace(/[^\d.-]/g, '');
-      const parsed = Number(cleaned);
-      if (Number.isFinite(parsed)) return parsed;
-    }
-    if (typeof value === 'object') {
-      const parsed = numberFrom(value.amount, value.value, value.total, value.price);
-      if (Number.isFinite(parsed)) return parsed;
-    }
-  }
-  return 0;
-};
-
-const stringFrom = (...values) => {
-  for (const value of values) {
-    if (value === undefined || value === null) continue;
-    const text = String(value).trim();
-    if (text) return text;
-  }
-  return '';
-};
-
 const getBobWebhookSecret = () => process.env.BOB_WEBHOOK_SECRET || '';
 
 const safeSecretEquals = (expected, received) => {
@@ -393,38 +382,6 @@ const getWarehouseAddress = () => ({
   code: process.env.BOB_COLLECTION_POSTAL_CODE || '',
 });
 
-const normalizeProvince = (province = '') => {
-  const text = String(province || '').trim();
-  if (!text) return 'Gauteng';
-  return text;
-};
-
-const dimensionsFromItem = (item = {}) => {
-  const rawDimensions = item.dimensions || item.raw?.dimensions || {};
-  if (typeof rawDimensions === 'object' && !Array.isArray(rawDimensions)) return rawDimensions;
-
-  try {
-    const parsed = JSON.parse(rawDimensions);
-    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
-  } catch {
-    return {};
-  }
-};
-
-const parcelsFromCart = (items = []) => items.flatMap((item) => {
-  const quantity = Math.max(Math.floor(Number(item.quantity || 1)), 1);
-  const dimensions = dimensionsFromItem(item);
-  const parcel = {
-    description: stringFrom(item.name, item.description, 'Parcel'),
-    submitted_length_cm: Math.max(numberFrom(item.length_cm, item.length, dimensions.length_cm, dimensions.length, dimensions.l), 30),
-    submitted_width_cm: Math.max(numberFrom(item.width_cm, item.width, dimensions.width_cm, dimensions.width, dimensions.w), 25),
-    submitted_height_cm: Math.max(numberFrom(item.height_cm, item.height, dimensions.height_cm, dimensions.height, dimensions.h), 15),
-    submitted_weight_kg: Math.max(numberFrom(item.weight_kg, item.weight, item.product_weight, item.raw?.weight_kg), 0.2),
-  };
-
-  return Array.from({ length: quantity }, () => ({ ...parcel }));
-});
-
 const buildCheckoutRatesPayload = ({ items, destination, orderValue }) => {
   const deliveryAddress = {
     company: destination?.company || '',
@@ -693,6 +650,8 @@ const normalizeRate = (rate, index) => {
       rate.transitTime
     ),
     type: detectRateType(rate),
+    providerSlug: stringFrom(rate.provider_slug, rate.providerSlug, rate.provider?.slug) || null,
+    serviceLevelCode: stringFrom(rate.service_level_code, rate.service_level?.code, rate.serviceLevel?.code, rate.service_code) || null,
     raw: rate,
   };
 };
@@ -723,6 +682,206 @@ const blockRawBobRateProxyUnlessEnabled = (req, res, next) => {
   });
 };
 
+// ============ SHIPMENT BOOKING ============
+// Paid -LOCAL orders are booked with the courier service the customer chose at
+// checkout (orders.bob_selected_rate). Economy orders have no live rate, so they
+// fall back to BOB_DEFAULT_PROVIDER_SLUG / BOB_DEFAULT_SERVICE_LEVEL_CODE.
+
+const getWaybillPath = () => process.env.BOB_WAYBILL_PATH || 'shipments/waybill';
+
+const getCollectionContact = () => ({
+  name: process.env.BOB_COLLECTION_CONTACT_NAME || process.env.BOB_COLLECTION_COMPANY || 'SnuggleUp',
+  phone: process.env.BOB_COLLECTION_CONTACT_PHONE || process.env.SNUGGLEUP_OWNER_PHONE || '',
+  email: process.env.BOB_COLLECTION_CONTACT_EMAIL || process.env.SNUGGLEUP_OWNER_EMAIL || '',
+});
+
+const defaultCourierRate = () => selectedCourierRate({
+  providerSlug: process.env.BOB_DEFAULT_PROVIDER_SLUG,
+  serviceLevelCode: process.env.BOB_DEFAULT_SERVICE_LEVEL_CODE,
+});
+
+const bobErrorMessage = (result, fallback) => stringFrom(
+  result.data?.message,
+  result.data?.error,
+  result.data?.detail,
+  result.data?.errors?.[0]?.message,
+  fallback
+);
+
+const parseOrderItems = (items) => {
+  if (Array.isArray(items)) return items;
+  try {
+    const parsed = JSON.parse(items || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const fetchBobWaybillUrl = async (trackingReference) => {
+  const result = await proxyToBob({
+    method: 'GET',
+    path: `${getWaybillPath()}?tracking_reference=${encodeURIComponent(trackingReference)}`,
+  });
+  if (!result.ok) {
+    throw new Error(bobErrorMessage(result, `Waybill request failed with HTTP ${result.status}`));
+  }
+  const url = waybillUrlFromResponse(result.data);
+  if (!url) {
+    throw new Error('Bob Go did not return a waybill URL');
+  }
+  return url;
+};
+
+const storeShipmentLabel = async (orderId, labelUrl, labelError) => {
+  const { rows } = await pool.query(
+    `UPDATE orders
+     SET bob_label_url = COALESCE($1, bob_label_url),
+         supplier_waybill_url = COALESCE($1, supplier_waybill_url),
+         bob_shipment_status = 'booked',
+         bob_shipment_error = $2,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [labelUrl, labelError ? `Label: ${labelError}` : null, orderId]
+  );
+  return rows[0] ? { ...rows[0], items: parseOrderItems(rows[0].items) } : null;
+};
+
+// Creates the Bob Go shipment for a paid local order, then stores the shipment id,
+// tracking reference and label PDF. Calling it again for a booked order only retries
+// a missing label. Returns { order, labelUrl } or { status, error }.
+export const createBobShipmentForOrder = async (orderId, { trigger = 'admin', actorEmail = null } = {}) => {
+  if (!bobMutationsEnabled()) {
+    return { status: 403, error: 'Courier order and shipment operations are disabled' };
+  }
+  const missingCollectionVariables = missingCollectionAddressConfig();
+  if (missingCollectionVariables.length > 0) {
+    return { status: 503, error: 'Collection address is incomplete', missingCollectionVariables };
+  }
+
+  const { rows: [order] } = await pool.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+  if (!order) {
+    return { status: 404, error: 'Order not found' };
+  }
+  if (!String(order.order_number || '').endsWith('-LOCAL')) {
+    return { status: 400, error: 'Only local warehouse orders are shipped with Bob Go' };
+  }
+
+  if (order.bob_shipment_id) {
+    if (order.bob_label_url || !order.bob_tracking_reference) {
+      return { status: 409, error: 'A Bob Go shipment already exists for this order' };
+    }
+    try {
+      const labelUrl = await fetchBobWaybillUrl(order.bob_tracking_reference);
+      return { order: await storeShipmentLabel(order.id, labelUrl, null), labelUrl };
+    } catch (error) {
+      await storeShipmentLabel(order.id, null, error.message);
+      return { status: 502, error: 'Bob Go label download failed', details: error.message };
+    }
+  }
+
+  if (order.status !== 'paid') {
+    return { status: 409, error: 'Only paid orders can be shipped' };
+  }
+  const rate = selectedCourierRate(order.bob_selected_rate) || defaultCourierRate();
+  if (!rate) {
+    return { status: 400, error: 'No courier service was selected for this order' };
+  }
+  const missingFields = missingShipmentFields(order);
+  if (missingFields.length > 0) {
+    return { status: 400, error: `Order is missing ${missingFields.join(', ')}` };
+  }
+
+  // Claim the order so an IPN retry and an admin click cannot both book it. A claim
+  // older than ten minutes is treated as abandoned.
+  const claim = await pool.query(
+    `UPDATE orders
+     SET bob_shipment_status = 'booking',
+         bob_shipment_error = NULL,
+         bob_shipment_requested_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+       AND bob_shipment_id IS NULL
+       AND (COALESCE(bob_shipment_status, '') <> 'booking'
+         OR bob_shipment_requested_at < CURRENT_TIMESTAMP - INTERVAL '10 minutes')`,
+    [order.id]
+  );
+  if (claim.rowCount === 0) {
+    return { status: 409, error: 'A Bob Go shipment is already being booked for this order' };
+  }
+
+  let result;
+  try {
+    result = await proxyToBob({
+      method: 'POST',
+      path: 'shipments',
+      body: buildShipmentPayload({
+        order,
+        items: parseOrderItems(order.items),
+        rate,
+        collectionAddress: getWarehouseAddress(),
+        collectionContact: getCollectionContact(),
+      }),
+    });
+  } catch (error) {
+    result = { ok: false, status: 502, data: { message: error.name === 'AbortError' ? 'Bob Go timed out' : error.message } };
+  }
+
+  const tracking = shipmentTrackingFromResponse(result.data);
+  if (!result.ok || !tracking.bobShipmentId) {
+    const details = bobErrorMessage(result, `Shipment creation failed with HTTP ${result.status}`);
+    await pool.query(
+      `UPDATE orders SET bob_shipment_status = 'failed', bob_shipment_error = $1 WHERE id = $2`,
+      [details, order.id]
+    );
+    console.warn('[bob] shipment booking failed', { orderNumber: order.order_number, trigger, details });
+    return { status: 502, error: 'Bob Go shipment creation failed', details };
+  }
+
+  let labelUrl = null;
+  let labelError = null;
+  if (tracking.bobTrackingReference) {
+    try {
+      labelUrl = await fetchBobWaybillUrl(tracking.bobTrackingReference);
+    } catch (error) {
+      labelError = error.message;
+    }
+  }
+
+  await updateOrderBobTracking(order.id, {
+    ...tracking,
+    bobCourierName: tracking.bobCourierName || rate.courier,
+    bobServiceLevel: tracking.bobServiceLevel || rate.service || rate.serviceLevelCode,
+  }, {
+    actorType: trigger === 'admin' ? 'admin' : 'system',
+    actorEmail,
+    source: 'bob_shipment',
+    reason: `Booked ${rate.providerSlug} ${rate.serviceLevelCode}`,
+    eventType: 'shipment_booked',
+    details: { shipmentId: tracking.bobShipmentId, trackingReference: tracking.bobTrackingReference },
+  });
+  const updatedOrder = await storeShipmentLabel(order.id, labelUrl, labelError);
+
+  console.log('[bob] shipment booked', {
+    orderNumber: order.order_number,
+    shipmentId: tracking.bobShipmentId,
+    trackingReference: tracking.bobTrackingReference,
+    label: Boolean(labelUrl),
+    trigger,
+    actorEmail,
+  });
+
+  notifyTrackingUpdateIfNeeded({
+    previousOrder: order,
+    updatedOrder,
+    source: `shipment-${trigger}`,
+  }).catch((emailError) => {
+    console.warn('[tracking-email] shipment notification error:', emailError.message);
+  });
+
+  return { order: updatedOrder, labelUrl, labelError };
+};
+
 router.get('/health', (_req, res) => {
   res.json({
     ok: true,
@@ -731,25 +890,23 @@ router.get('/health', (_req, res) => {
     environment: getBobEnvironment(),
     tokenConfigured: Boolean(getBobAuthToken()),
     mutationsEnabled: bobMutationsEnabled(),
+    autoShipmentsEnabled: bobAutoShipmentsEnabled(),
     webhookSecretConfigured: Boolean(getBobWebhookSecret()),
     collectionAddressConfigured: missingCollectionAddressConfig().length === 0,
     missingCollectionVariables: missingCollectionAddressConfig(),
   });
 });
 
-const handleBobTrackingWebhook = async (req, res) => {
+// Applies a Bob Go tracking callback. Used by the webhook routes below and by
+// replays from the admin webhook inbox.
+export const processBobWebhook = async (body = {}, { headers = {} } = {}) => {
   try {
-    if (!verifyBobWebhookSecret(req)) {
-      console.warn('[bob] rejected webhook with invalid secret');
-      return res.status(401).json({ ok: false, error: 'Invalid webhook secret' });
-    }
-
-    const parsed = parseBobWebhookPayload(req.body || {});
+    const parsed = parseBobWebhookPayload(body || {});
     const payload = parsed.payload;
     const topic = parsed.topic || stringFrom(
-      req.get('x-bobgo-topic'),
-      req.get('x-webhook-topic'),
-      req.get('x-event-topic')
+      headers['x-bobgo-topic'],
+      headers['x-webhook-topic'],
+      headers['x-event-topic']
     );
     const match = await findOrderForBobWebhook(payload);
 
@@ -759,11 +916,14 @@ const handleBobTrackingWebhook = async (req, res) => {
         orderCandidates: match.orderCandidates,
         trackingCandidates: match.trackingCandidates,
       });
-      return res.status(200).json({
-        ok: true,
-        matched: false,
-        message: 'Webhook received, but no matching SnuggleUp order was found.',
-      });
+      return {
+        status: 200,
+        body: {
+          ok: true,
+          matched: false,
+          message: 'Webhook received, but no matching SnuggleUp order was found.',
+        },
+      };
     }
 
     let existingEvents = [];
@@ -779,7 +939,8 @@ const handleBobTrackingWebhook = async (req, res) => {
     const mergedEvents = mergeTrackingEvents(existingEvents, incomingEvents);
     const updatedOrder = await updateOrderBobTracking(
       match.order.id,
-      bobTrackingDataFromPayload(payload, topic, mergedEvents)
+      bobTrackingDataFromPayload(payload, topic, mergedEvents),
+      { actorType: 'bob', source: 'bob_webhook', reason: topic || null }
     );
 
     notifyTrackingUpdateIfNeeded({
@@ -798,11 +959,35 @@ const handleBobTrackingWebhook = async (req, res) => {
       events: mergedEvents.length,
     });
 
-    return res.status(200).json({
-      ok: true,
-      matched: true,
-      orderNumber: updatedOrder?.order_number || match.order.order_number,
+    return {
+      status: 200,
+      body: {
+        ok: true,
+        matched: true,
+        orderNumber: updatedOrder?.order_number || match.order.order_number,
+      },
+    };
+  } catch (error) {
+    console.error('[bob] tracking webhook error:', error);
+    return { status: 500, body: { ok: false, error: 'Failed to process Bob Go webhook' }, error: error.message };
+  }
+};
+
+const handleBobTrackingWebhook = async (req, res) => {
+  try {
+    const secretValid = verifyBobWebhookSecret(req);
+    const entry = await recordWebhook({
+      provider: 'bob',
+      req,
+      signatureStatus: !getBobWebhookSecret() ? 'unsigned' : (secretValid ? 'valid' : 'invalid'),
     });
+    if (!secretValid) {
+      console.warn('[bob] rejected webhook with invalid secret');
+      return res.status(401).json({ ok: false, error: 'Invalid webhook secret' });
+    }
+
+    const response = await processWebhook(entry, processBobWebhook);
+    return res.status(response.status).json(response.body);
   } catch (error) {
     console.error('[bob] tracking webhook error:', error);
     return res.status(500).json({ ok: false, error: 'Failed to process Bob Go webhook' });
@@ -814,9 +999,12 @@ router.post('/webhooks/tracking', handleBobTrackingWebhook);
 
 // Checkout-safe rate endpoint. This only asks Bob Go for test/live rates and never
 // creates Bob Go orders, shipments, waybills, bookings, or tracking records.
-router.post('/checkout-rates', async (req, res) => {
+router.post('/checkout-rates', optionalAuth, async (req, res) => {
   try {
-    const { items = [], destination = {}, orderValue = 0 } = req.body || {};
+    const { items = [], orderValue = 0 } = req.body || {};
+    // Signed-in customers may quote to a saved address with { addressId }
+    const destination = await shippingDetailsForRequest(req, res, req.body?.destination);
+    if (!destination) return;
     const postalCode = String(destination.postalCode || '').trim();
 
     if (!Array.isArray(items) || items.length === 0) {
@@ -1,10 +1,92 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
 import pool from '../db.js';
+import { unsubscribeFromCartRecovery, verifyUnsubscribeToken } from '../services/cartRecovery.js';
+import { getCartRecommendations } from '../services/recommendations.js';
+import { normalizeRecommendationLimit, orderItemKeys } from '../services/recommendationRules.js';
 
 export const router = express.Router();
 
-// All cart routes require authentication
+const storefrontUrl = () => (process.env.FRONTEND_URL || 'https://snuggleup.co.za').replace(/\/+$/g, '');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const emailPreferencePage = (content) => `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>SnuggleUp</title></head>
+<body style="font-family: Arial, sans-serif; background: #f7fbfa; color: #1f2933; text-align: center; padding: 60px 16px;">
+  ${content}
+  <p><a href="${storefrontUrl()}" style="color: #126f71;">Back to SnuggleUp</a></p>
+</body>
+</html>`;
+
+export const unsubscribePage = (message) => emailPreferencePage(
+  `<h1 style="color: #126f71; font-size: 22px;">${message}</h1>`
+);
+
+// Mail scanners and link prefetchers follow GETs, so an emailed unsubscribe link
+// only shows this button; the opt-out itself is a POST back to the same URL.
+export const unsubscribeConfirmPage = (message, action) => emailPreferencePage(`<h1 style="color: #126f71; font-size: 22px;">${message}</h1>
+  <form method="post" action="${escapeHtml(action)}">
+    <button type="submit" style="background: #126f71; color: #fff; border: 0; border-radius: 6px; padding: 12px 24px; font-size: 16px; cursor: pointer;">Unsubscribe</button>
+  </form>`);
+
+// RFC 8058 one-click posts List-Unsubscribe=One-Click; the confirm button does not.
+export const unsubscribeSource = (req) => (
+  req.body?.['List-Unsubscribe'] === 'One-Click' ? 'list_unsubscribe' : 'email_link'
+);
+
+const cartUnsubscribeEmail = (req) => {
+  const email = String(req.query.e || '').trim().toLowerCase();
+  return email && verifyUnsubscribeToken(email, req.query.t) ? email : null;
+};
+
+// GET /api/cart/unsubscribe - Confirm page for the signed link in cart reminder emails (public)
+router.get('/unsubscribe', (req, res) => {
+  if (!cartUnsubscribeEmail(req)) {
+    return res.status(400).type('html').send(unsubscribePage('This unsubscribe link is invalid or has expired.'));
+  }
+  res.type('html').send(unsubscribeConfirmPage('Stop cart reminder emails?', req.originalUrl));
+});
+
+// POST /api/cart/unsubscribe - Opt out of abandoned cart reminders: the confirm
+// button, or mail clients that support one-click List-Unsubscribe.
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const email = cartUnsubscribeEmail(req);
+    if (!email) {
+      return res.status(400).type('html').send(unsubscribePage('This unsubscribe link is invalid or has expired.'));
+    }
+
+    await unsubscribeFromCartRecovery(email, unsubscribeSource(req));
+    res.type('html').send(unsubscribePage('You will no longer receive cart reminder emails.'));
+  } catch (error) {
+    console.error('Cart reminder unsubscribe error:', error);
+    res.status(500).type('html').send(unsubscribePage('Something went wrong. Please email support@snuggleup.co.za.'));
+  }
+});
+
+// POST /api/cart/recommendations - Suggestions for the cart lines in the body
+// (public, so guest carts get them too). Cart items and sold-out products are left out.
+router.post('/recommendations', async (req, res) => {
+  try {
+    const items = Array.isArray(req.body?.items) ? req.body.items.slice(0, 100) : [];
+    const products = await getCartRecommendations(orderItemKeys(items), {
+      limit: normalizeRecommendationLimit(req.body?.limit),
+    });
+    res.json({ products });
+  } catch (error) {
+    console.error('Cart recommendations error:', error);
+    res.status(500).json({ error: 'Failed to fetch recommendations' });
+  }
+});
+
+// All other cart routes require authentication
 router.use(authenticateToken);
 
 // GET /api/cart - Get user's cart
@@ -128,14 +210,22 @@ router.post('/', async (req, res) => {
       }
     }
 
-    // Upsert cart (insert or update if exists)
+    // Upsert cart (insert or update if exists). The owner's email is kept for cart reminders.
     const result = await pool.query(
-      `INSERT INTO carts (user_id, items, updated_at)
-       VALUES ($1, $2, NOW())
+      `INSERT INTO carts (user_id, items, customer_email, customer_name, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
        ON CONFLICT (user_id)
-       DO UPDATE SET items = $2, updated_at = NOW()
+       DO UPDATE SET items = $2,
+                     customer_email = COALESCE($3, carts.customer_email),
+                     customer_name = COALESCE($4, carts.customer_name),
+                     updated_at = NOW()
        RETURNING items, updated_at`,
-      [userId, JSON.stringify(items)]
+      [
+        userId,
+        JSON.stringify(items),
+        String(req.user.email || '').trim().toLowerCase() || null,
+        req.user.name || null,
+      ]
     );
 
     res.json({
@@ -6,6 +6,8 @@ import { syncCuratedInventory, getCuratedInventorySnapshot } from '../services/i
 import { updateOrderTracking } from './orders.js';
 import { sendTrackingEmail } from '../services/emailService.js';
 import pool from '../db.js';
+import { syncOrderLifecycle } from '../services/orderLifecycle.js';
+import { processWebhook, recordWebhook } from '../services/webhookInbox.js';
 
 export const router = express.Router();
 
@@ -218,24 +220,12 @@ router.get('/tracking/:trackNumber', optionalAuth, async (req, res) => {
   }
 });
 
-// 7. Webhook endpoint for CJ order/tracking updates
-// POST /api/cj/webhook
-router.post('/webhook', express.json({ type: 'application/json' }), async (req, res) => {
+// Applies a CJ order/tracking callback. Used by the webhook below and by
+// replays from the admin webhook inbox.
+export const processCJWebhook = async (payload = {}) => {
   try {
-    const signature = req.headers['x-cj-signature'] || req.headers['x-signature'];
-    const timestamp = req.headers['x-cj-timestamp'];
-
-    const valid = cjClient.verifyWebhook({ signature, timestamp }, req.body);
-    if (!valid) {
-      console.warn('⚠️ Invalid CJ webhook signature');
-      return res.status(401).json({ error: 'Invalid CJ webhook signature' });
-    }
-
-    // Log webhook for debugging
-    console.log('📦 CJ Webhook received:', JSON.stringify(req.body, null, 2));
-
     // Process webhook data based on event type
-    const { eventType, data } = req.body;
+    const { eventType, data } = payload || {};
 
     if (eventType === 'logistics' || eventType === 'order_shipped') {
       // Extract tracking information
@@ -282,17 +272,49 @@ router.post('/webhook', express.json({ type: 'application/json' }), async (req,
       
       if (cjOrderId && status) {
         console.log(`📋 Updating status for CJ order ${cjOrderId}: ${status}`);
-        await pool.query(
-          'UPDATE orders SET cj_status = $1, updated_at = CURRENT_TIMESTAMP WHERE cj_order_id = $2',
+        const { rows: updatedOrders } = await pool.query(
+          'UPDATE orders SET cj_status = $1, updated_at = CURRENT_TIMESTAMP WHERE cj_order_id = $2 RETURNING id',
           [status, cjOrderId]
         );
+        for (const { id } of updatedOrders) {
+          await syncOrderLifecycle(id, { actorType: 'cj', source: 'cj_webhook', reason: `CJ status ${status}` });
+        }
         console.log(`✅ Status updated for CJ order ${cjOrderId}`);
       }
     } else {
       console.log(`ℹ️ Unhandled webhook type: ${eventType}`);
     }
 
-    res.status(200).json({ received: true });
+    return { status: 200, body: { received: true } };
+  } catch (err) {
+    console.error('CJ webhook error:', err);
+    return { status: 400, body: { error: 'Webhook processing failed', details: err.message }, error: err.message };
+  }
+};
+
+// 7. Webhook endpoint for CJ order/tracking updates
+// POST /api/cj/webhook
+router.post('/webhook', express.json({ type: 'application/json' }), async (req, res) => {
+  try {
+    const signature = req.headers['x-cj-signature'] || req.headers['x-signature'];
+    const timestamp = req.headers['x-cj-timestamp'];
+
+    const valid = cjClient.verifyWebhook({ signature, timestamp }, req.body);
+    const entry = await recordWebhook({
+      provider: 'cj',
+      req,
+      signatureStatus: !process.env.CJ_WEBHOOK_SECRET ? 'unsigned' : (valid ? 'valid' : 'invalid'),
+    });
+    if (!valid) {
+      console.warn('⚠️ Invalid CJ webhook signature');
+      return res.status(401).json({ error: 'Invalid CJ webhook signature' });
+    }
+
+    // Log webhook for debugging
+    console.log('📦 CJ Webhook received:', JSON.stringify(req.body, null, 2));
+
+    const response = await processWebhook(entry, processCJWebhook);
+    res.status(response.status).json(response.body);
   } catch (err) {
     console.error('CJ webhook error:', err);
     res.status(400).json({ error: 'Webhook processing failed', details: err.message });
@@ -1,13 +1,15 @@
 import express from 'express';
+import { optionalAuth } from '../middleware/auth.js';
+import { buildDiscountCart, validateDiscountCode } from '../services/discountCodes.js';
+import { DISCOUNT_SOURCES, normalizeDiscountCode } from '../services/discountCodeRules.js';
 
 export const router = express.Router();
 
-const FREE_DELIVERY_CODE = 'FREEDELIVERY';
-
 const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
 
-router.post('/apply', (req, res) => {
-  const code = String(req.body?.code || '').trim().toUpperCase();
+// Signed-in customers are checked against their per-customer limits; guests by email.
+router.post('/apply', optionalAuth, async (req, res) => {
+  const code = normalizeDiscountCode(req.body?.code);
   const orderAmount = roundMoney(req.body?.orderAmount);
   const shippingAmount = roundMoney(req.body?.shippingAmount);
 
@@ -15,25 +17,50 @@ router.post('/apply', (req, res) => {
     return res.status(400).json({ applied: false, error: 'Enter a discount code' });
   }
 
-  if (code !== FREE_DELIVERY_CODE) {
-    return res.status(404).json({ applied: false, error: 'Invalid discount code' });
-  }
+  try {
+    let items;
+    let shipping;
+    if (Array.isArray(req.body?.items) && req.body.items.length > 0) {
+      items = await buildDiscountCart(req.body.items);
+      const hasLocal = items.some((item) => item.source === DISCOUNT_SOURCES.LOCAL);
+      const hasImport = items.some((item) => item.source === DISCOUNT_SOURCES.IMPORT);
+      const splitShippingProvided = req.body.localShippingAmount !== undefined || req.body.importShippingAmount !== undefined;
+      shipping = splitShippingProvided
+        ? { local: roundMoney(req.body.localShippingAmount), import: roundMoney(req.body.importShippingAmount) }
+        : { local: hasLocal && !hasImport ? shippingAmount : 0, import: hasLocal && !hasImport ? 0 : shippingAmount };
+    } else {
+      // Older storefront builds only send totals, so treat the order as one unscoped line.
+      items = [{ price: orderAmount, quantity: 1, source: null, category: null }];
+      shipping = { local: 0, import: shippingAmount };
+    }
 
-  if (shippingAmount <= 0) {
-    return res.status(400).json({
-      applied: false,
-      error: 'This code only applies when there is a delivery fee'
+    const result = await validateDiscountCode({
+      code,
+      items,
+      shipping,
+      email: req.user?.email || req.body?.email,
+      userId: req.user?.userId,
     });
-  }
 
-  const discountValue = Math.min(shippingAmount, orderAmount);
+    if (!result.applied) {
+      return res.status(result.reason === 'not_found' ? 404 : 400).json({
+        applied: false,
+        error: result.error
+      });
+    }
 
-  return res.json({
-    applied: true,
-    code: FREE_DELIVERY_CODE,
-    type: 'free_delivery',
-    discountValue,
-    discountAmount: discountValue,
-    message: 'Free delivery applied'
-  });
+    return res.json({
+      applied: true,
+      code: result.code,
+      type: result.type,
+      discountValue: result.discountAmount,
+      discountAmount: result.discountAmount,
+      localDiscountAmount: result.localAmount,
+      importDiscountAmount: result.importAmount,
+      message: result.message
+    });
+  } catch (error) {
+    console.error('Apply discount code error:', error);
+    return res.status(500).json({ applied: false, error: 'Failed to apply discount code' });
+  }
 });
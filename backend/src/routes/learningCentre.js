@@ -85,7 +85,7 @@ router.post('/admin/articles/:id/schedule', requireSuperuser, async (req, res) =
 });
 router.post('/admin/articles/:id/unpublish', requireSuperuser, async (req, res) => { try { const result = await pool.query("UPDATE learning_centre_articles SET status='draft', published_at=NULL, updated_at=CURRENT_TIMESTAMP WHERE id=$1 RETURNING *", [req.params.id]); if (!result.rowCount) return res.status(404).json({ error: 'Article not found' }); res.json({ article: present(result.rows[0]) }); } catch { res.status(500).json({ error: 'Unable to unpublish the article' }); } });
 router.post('/admin/settings', requireSuperuser, async (req, res) => { const { automationEnabled, intervalDays, lowRiskAutoPublish } = req.body || {}; try { const result = await pool.query('UPDATE learning_centre_settings SET automation_enabled=$1, interval_days=$2, low_risk_auto_publish=$3, updated_at=CURRENT_TIMESTAMP WHERE id=1 RETURNING *', [Boolean(automationEnabled), Math.min(30, Math.max(1, Number(intervalDays) || 5)), Boolean(lowRiskAutoPublish)]); res.json({ settings: result.rows[0] }); } catch { res.status(500).json({ error: 'Unable to save settings' }); } });
-router.post('/admin/automation/run', requireSuperuser, async (_req, res) => { try { res.json(await runLearningCentreAutomation({ force: true })); } catch (error) { res.status(500).json({ error: error.message || 'Unable to run automation' }); } });
+router.post('/admin/automation/run', requireSuperuser, async (_req, res) => { try { res.json(await runLearningCentreAutomation({ force: true, trigger: 'manual' })); } catch (error) { res.status(500).json({ error: error.message || 'Unable to run automation' }); } });
 
 // A scheduler such as Render Cron Job can call this endpoint. Keep the secret only in Render.
 router.post('/automation/tick', async (req, res) => {
@@ -93,7 +93,7 @@ router.post('/automation/tick', async (req, res) => {
   if (!configuredSecret || req.get('x-learning-centre-secret') !== configuredSecret) return res.status(401).json({ error: 'Unauthorized' });
   try {
     const published = await publishDueLearningArticles();
-    const automation = await runLearningCentreAutomation();
+    const automation = await runLearningCentreAutomation({ trigger: 'cron' });
     res.json({ ok: true, published: published.length, automation });
   } catch (error) { res.status(500).json({ error: error.message || 'Automation tick failed' }); }
 });
@@ -7,7 +7,10 @@ import {
 } from '../middleware/admin.js';
 import { generateProductDescription, getAvailableProviders } from '../services/descriptionGenerator.js';
 import { sendProductUploadReviewEmail } from '../services/productApprovalEmail.js';
-import { LOCAL_BUNDLES } from '../config/localBundles.js';
+import { listLiveBundles } from '../services/bundles.js';
+import { BUNDLE_SOURCES, availableBundleSets, bundleItemKey } from '../services/bundleRules.js';
+import { recordLocalStockMovement } from '../services/localStock.js';
+import { notifyIfRestocked } from '../services/stockAlerts.js';
 
 export const router = express.Router();
 
@@ -85,6 +88,11 @@ const optionalNumber = (value) => {
   return Number.isFinite(parsed) ? parsed : null;
 };
 
+// Stock shoppers can actually buy: unapproved or hidden products count as none.
+const sellableStock = (product) => (
+  product.is_active && product.approval_status === APPROVAL.APPROVED ? Number(product.stock_quantity || 0) : 0
+);
+
 const productSelect = `
   id, name, description, price, compare_at_price,
   stock_quantity, sku, category, tags, images, weight_kg, dimensions,
@@ -271,38 +279,97 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Live bundles whose components can all be bought right now. Bundles with a
+// missing, inactive or sold-out component are left out entirely.
 router.get('/bundles/available', async (req, res) => {
   try {
-    const productIds = [...new Set(LOCAL_BUNDLES.flatMap(bundle => bundle.productIds))];
-    const result = await pool.query(
-      `SELECT ${productSelect}
-       FROM local_products
-       WHERE id = ANY($1::int[])
-         AND is_active = TRUE
-         AND approval_status = 'approved'`,
-      [productIds]
+    const liveBundles = await listLiveBundles();
+    const idsFor = (source) => [...new Set(liveBundles.flatMap(bundle => bundle.items
+      .filter(item => item.source === source)
+      .map(item => item.productId)))];
+    const localIds = idsFor(BUNDLE_SOURCES.LOCAL);
+    const importIds = idsFor(BUNDLE_SOURCES.IMPORT);
+
+    const productsByKey = new Map();
+    if (localIds.length > 0) {
+      const result = await pool.query(
+        `SELECT ${productSelect}
+         FROM local_products
+         WHERE id = ANY($1::int[])
+           AND is_active = TRUE
+           AND approval_status = 'approved'`,
+        [localIds]
+      );
+      result.rows.forEach(product => productsByKey.set(
+        bundleItemKey(BUNDLE_SOURCES.LOCAL, Number(product.id)),
+        { ...product, source: BUNDLE_SOURCES.LOCAL, isLocal: true }
+      ));
+    }
+    if (importIds.length > 0) {
+      // Import stock is the CN warehouse total, matching the storefront and checkout
+      const result = await pool.query(
+        `SELECT
+           cp.id, cp.product_name, cp.product_image, cp.category,
+           COALESCE(cp.custom_price, cp.suggested_price) AS price,
+           COALESCE(SUM(cpi.total_inventory) FILTER (WHERE cpi.country_code = 'CN'), 0)::int AS stock_quantity
+         FROM curated_products cp
+         LEFT JOIN curated_product_inventories cpi ON cpi.curated_product_id = cp.id
+         WHERE cp.id = ANY($1::int[])
+           AND cp.is_active = TRUE
+         GROUP BY cp.id`,
+        [importIds]
+      );
+      result.rows.forEach(product => productsByKey.set(
+        bundleItemKey(BUNDLE_SOURCES.IMPORT, Number(product.id)),
+        {
+          id: `curated-${product.id}`,
+          productId: Number(product.id),
+          name: product.product_name,
+          price: product.price,
+          images: product.product_image ? [product.product_image] : [],
+          category: product.category,
+          stock_quantity: product.stock_quantity,
+          source: BUNDLE_SOURCES.IMPORT,
+          isLocal: false,
+        }
+      ));
+    }
+
+    const stockByKey = new Map(
+      [...productsByKey].map(([key, product]) => [key, Math.max(0, Number(product.stock_quantity || 0))])
     );
-    const productsById = new Map(result.rows.map(product => [Number(product.id), product]));
-
-    const bundles = LOCAL_BUNDLES.map(bundle => {
-      const products = bundle.productIds
-        .map(productId => productsById.get(productId))
-        .filter(Boolean);
-      const isComplete = products.length === bundle.productIds.length;
-      const regularPrice = products.reduce((sum, product) => sum + Number(product.price || 0), 0);
-      const availableQuantity = isComplete
-        ? Math.min(...products.map(product => Math.max(0, Number(product.stock_quantity || 0))))
-        : 0;
-
-      return {
-        ...bundle,
-        products,
-        regularPrice: Math.round(regularPrice * 100) / 100,
-        bundlePrice: Math.round(Math.max(regularPrice - bundle.saving, 0) * 100) / 100,
-        availableQuantity,
-        isAvailable: isComplete && availableQuantity > 0,
-      };
-    });
+
+    const bundles = liveBundles
+      .map(bundle => {
+        const products = bundle.items
+          .map(item => productsByKey.get(bundleItemKey(item.source, item.productId)))
+          .filter(Boolean);
+        const isComplete = products.length === bundle.items.length;
+        const regularPrice = bundle.items.reduce((sum, item) => {
+          const product = productsByKey.get(bundleItemKey(item.source, item.productId));
+          return sum + Number(product?.price || 0) * item.quantity;
+        }, 0);
+        const availableQuantity = isComplete ? availableBundleSets(bundle, stockByKey) : 0;
+
+        return {
+          id: bundle.slug,
+          name: bundle.name,
+          eyebrow: bundle.eyebrow,
+          description: bundle.description,
+          saving: bundle.saving,
+          endsAt: bundle.endsAt,
+          items: bundle.items,
+          productIds: bundle.items
+            .filter(item => item.source === BUNDLE_SOURCES.LOCAL)
+            .map(item => item.productId),
+          products,
+          regularPrice: Math.round(regularPrice * 100) / 100,
+          bundlePrice: Math.round(Math.max(regularPrice - bundle.saving, 0) * 100) / 100,
+          availableQuantity,
+          isAvailable: isComplete && availableQuantity > 0,
+        };
+      })
+      .filter(bundle => bundle.isAvailable);
 
     res.json({ bundles });
   } catch (error) {
@@ -470,6 +537,14 @@ router.put('/:id', requireProductAssistantOrAdmin, async (req, res) => {
         ]
       );
 
+      await recordLocalStockMovement(pool, {
+        productId: current.id,
+        quantityBefore: current.stock_quantity,
+        quantityAfter: result.rows[0].stock_quantity,
+        reason: 'manual_update',
+        actorEmail: req.access.email,
+      });
+
       return res.json(result.rows[0]);
     }
 
@@ -518,6 +593,19 @@ router.put('/:id', requireProductAssistantOrAdmin, async (req, res) => {
       ]
     );
 
+    await recordLocalStockMovement(pool, {
+      productId: current.id,
+      quantityBefore: current.stock_quantity,
+      quantityAfter: result.rows[0].stock_quantity,
+      reason: 'manual_update',
+      actorEmail: req.access?.email,
+    });
+    notifyIfRestocked('local', [{
+      productId: current.id,
+      before: sellableStock(current),
+      after: sellableStock(result.rows[0]),
+    }]);
+
     res.json(result.rows[0]);
   } catch (error) {
     if (error.code === '23505') {
@@ -576,6 +664,19 @@ router.post('/:id/approve', requireSuperuser, async (req, res) => {
       ]
     );
 
+    await recordLocalStockMovement(pool, {
+      productId: current.id,
+      quantityBefore: current.stock_quantity,
+      quantityAfter: result.rows[0].stock_quantity,
+      reason: 'approval_update',
+      actorEmail: req.access.email,
+    });
+    notifyIfRestocked('local', [{
+      productId: current.id,
+      before: sellableStock(current),
+      after: sellableStock(result.rows[0]),
+    }]);
+
     res.json({ product: result.rows[0] });
   } catch (error) {
     console.error('Error approving local product:', error);
@@ -602,26 +703,84 @@ router.delete('/:id', requireSuperuser, async (req, res) => {
 });
 
 router.post('/bulk-stock-update', requireSuperuser, async (req, res) => {
-  try {
-    const { updates } = req.body;
-    if (!Array.isArray(updates)) {
-      return res.status(400).json({ error: 'Updates must be an array' });
-    }
+  const { updates } = req.body;
+  if (!Array.isArray(updates)) {
+    return res.status(400).json({ error: 'Updates must be an array' });
+  }
 
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
     const results = [];
+    const stockChanges = [];
     for (const update of updates) {
-      const result = await pool.query(
+      const existing = await client.query(
+        'SELECT stock_quantity FROM local_products WHERE id = $1 FOR UPDATE',
+        [update.id]
+      );
+      if (existing.rows.length === 0) continue;
+
+      const result = await client.query(
         'UPDATE local_products SET stock_quantity = $1, updated_at = NOW() WHERE id = $2 RETURNING id, name, stock_quantity',
         [update.stock_quantity, update.id]
       );
-      if (result.rows.length > 0) {
-        results.push(result.rows[0]);
-      }
+      await recordLocalStockMovement(client, {
+        productId: result.rows[0].id,
+        quantityBefore: existing.rows[0].stock_quantity,
+        quantityAfter: result.rows[0].stock_quantity,
+        reason: 'bulk_update',
+        actorEmail: req.access?.email,
+        notes: update.notes ? String(update.notes).slice(0, 500) : null,
+      });
+      results.push(result.rows[0]);
+      stockChanges.push({
+        productId: result.rows[0].id,
+        before: existing.rows[0].stock_quantity,
+        after: result.rows[0].stock_quantity,
+      });
     }
+    await client.query('COMMIT');
+    notifyIfRestocked('local', stockChanges);
 
     res.json({ updated: results.length, products: results });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error bulk updating stock:', error);
     res.status(500).json({ error: 'Failed to update stock' });
+  } finally {
+    client.release();
+  }
+});
+
+// Stock movement audit trail: sales, admin edits and bulk updates, newest first.
+// Open checkout holds are listed separately so "missing" stock can be explained.
+router.get('/stock/movements', requireSuperuser, async (req, res) => {
+  try {
+    const productId = optionalInt(req.query.productId);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    const movements = await pool.query(
+      `SELECT m.*, lp.name AS product_name, lp.sku
+       FROM local_stock_movements m
+       JOIN local_products lp ON lp.id = m.local_product_id
+       WHERE ($1::int IS NULL OR m.local_product_id = $1)
+       ORDER BY m.created_at DESC, m.id DESC
+       LIMIT $2`,
+      [productId, limit]
+    );
+    const reservations = await pool.query(
+      `SELECT r.order_number, r.local_product_id, lp.name AS product_name, r.quantity, r.expires_at, r.created_at
+       FROM local_stock_reservations r
+       JOIN local_products lp ON lp.id = r.local_product_id
+       WHERE r.status = 'held' AND r.expires_at > NOW()
+         AND ($1::int IS NULL OR r.local_product_id = $1)
+       ORDER BY r.expires_at`,
+      [productId]
+    );
+
+    res.json({ movements: movements.rows, activeReservations: reservations.rows });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ error: 'Failed to fetch stock movements' });
   }
 });
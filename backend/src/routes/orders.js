@@ -4,6 +4,8 @@ import { authenticateToken } from '../middleware/auth.js';
 import { verifyTrackingToken } from '../services/trackingLinks.js';
 import { sendOwnerLateOrderFlagEmail } from '../services/ownerOrderNotifications.js';
 import { generateSupplierPickupToken } from '../services/supplierPickup.js';
+import { getOrderTimeline, recordOrderEvent, syncOrderLifecycle } from '../services/orderLifecycle.js';
+import { linkVerifiedGuestOrders } from '../services/guestOrderLinking.js';
 
 export const router = express.Router();
 
@@ -36,7 +38,9 @@ const publicTrackingSelect = `
         cj_status,
         late_order_flagged_at,
         late_order_flag_count,
-        late_order_flag_status`;
+        late_order_flag_status,
+        lifecycle_state,
+        lifecycle_updated_at`;
 
 const parseOrderForResponse = (order) => {
   if (!order) return null;
@@ -50,6 +54,7 @@ const parseOrderForResponse = (order) => {
 router.get('/history', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
+    await linkVerifiedGuestOrders(req.user);
 
     const { rows } = await db.query(
       `SELECT
@@ -136,7 +141,28 @@ router.post('/track-link', async (req, res) => {
   }
 });
 
-router.post('/flag-late', async (req, res) => {
+// Finds the order for a public request verified by checkout email or a signed
+// tracking-link token. Returns null when neither matches.
+const findVerifiedTrackingOrder = async ({ orderNumber, email, token }) => {
+  const result = await db.query(
+    token
+      ? `SELECT * FROM orders WHERE LOWER(order_number) = LOWER($1) LIMIT 1`
+      : `SELECT * FROM orders
+         WHERE LOWER(order_number) = LOWER($1)
+           AND LOWER(COALESCE(customer_email, '')) = $2
+         LIMIT 1`,
+    token ? [orderNumber] : [orderNumber, email]
+  );
+
+  const order = result.rows[0];
+  if (!order || (token && !verifyTrackingToken({ orderNumber: order.order_number, email: order.customer_email, token }))) {
+    return null;
+  }
+  return order;
+};
+
+// Public order timeline for the tracking page: lifecycle changes plus courier scans.
+router.post('/timeline', async (req, res) => {
   try {
     const orderNumber = String(req.body?.orderNumber || '').replace(/^#/, '').trim();
     const email = String(req.body?.email || '').trim().toLowerCase();
@@ -146,18 +172,30 @@ router.post('/flag-late', async (req, res) => {
       return res.status(400).json({ error: 'Order number and tracking verification are required' });
     }
 
-    const result = await db.query(
-      token
-        ? `SELECT * FROM orders WHERE LOWER(order_number) = LOWER($1) LIMIT 1`
-        : `SELECT * FROM orders
-           WHERE LOWER(order_number) = LOWER($1)
-             AND LOWER(COALESCE(customer_email, '')) = $2
-           LIMIT 1`,
-      token ? [orderNumber] : [orderNumber, email]
-    );
+    const order = await findVerifiedTrackingOrder({ orderNumber, email, token });
+    if (!order) {
+      return res.status(404).json({ error: 'We could not find an order with those details' });
+    }
 
-    const order = result.rows[0];
-    if (!order || (token && !verifyTrackingToken({ orderNumber: order.order_number, email: order.customer_email, token }))) {
+    res.json({ timeline: await getOrderTimeline(order.id, { audience: 'public' }) });
+  } catch (error) {
+    console.error('Order timeline error:', error);
+    res.status(500).json({ error: 'Failed to retrieve order timeline' });
+  }
+});
+
+router.post('/flag-late', async (req, res) => {
+  try {
+    const orderNumber = String(req.body?.orderNumber || '').replace(/^#/, '').trim();
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const token = String(req.body?.token || '').trim();
+
+    if (!orderNumber || (!email && !token)) {
+      return res.status(400).json({ error: 'Order number and tracking verification are required' });
+    }
+
+    const order = await findVerifiedTrackingOrder({ orderNumber, email, token });
+    if (!order) {
       return res.status(404).json({ error: 'We could not verify that order for late-order reporting' });
     }
 
@@ -174,6 +212,15 @@ router.post('/flag-late', async (req, res) => {
     );
 
     let updatedOrder = updateResult.rows[0];
+    await recordOrderEvent({
+      orderId: updatedOrder.id,
+      eventType: 'late_flagged',
+      fromState: updatedOrder.lifecycle_state,
+      toState: updatedOrder.lifecycle_state,
+      actorType: 'customer',
+      source: token ? 'tracking_link' : 'tracking_lookup',
+      details: { flagCount: updatedOrder.late_order_flag_count },
+    });
     const emailResult = await sendOwnerLateOrderFlagEmail({ order: updatedOrder });
 
     if (emailResult.success) {
@@ -255,7 +302,9 @@ export const createOrder = async (userId, orderData) => {
       insurance,
       shippingDetails,
       analyticsVisitorId,
-      analyticsSessionId
+      analyticsSessionId,
+      discountCode,
+      courierRate
     } = orderData;
     
     console.log('🔍 createOrder called with:', {
@@ -293,9 +342,9 @@ export const createOrder = async (userId, orderData) => {
         shipping_country, shipping_method, insurance_selected, insurance_cost, insurance_coverage, 
         customer_name, shipping_address, shipping_city, shipping_province, shipping_postal_code, shipping_phone,
         shipping_id_number, sms_tracking_opt_in, sms_tracking_phone, supplier_pickup_token, supplier_pickup_status, status,
-        analytics_visitor_id, analytics_session_id
+        analytics_visitor_id, analytics_session_id, discount_code, bob_selected_rate
       )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27) RETURNING id`,
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29) RETURNING id`,
       [
         safeUserId,
         orderNumber,
@@ -323,10 +372,19 @@ export const createOrder = async (userId, orderData) => {
         'waiting',
         'pending',
         String(analyticsVisitorId || '').slice(0, 96) || null,
-        String(analyticsSessionId || '').slice(0, 96) || null
+        String(analyticsSessionId || '').slice(0, 96) || null,
+        discountCode || null,
+        courierRate ? JSON.stringify(courierRate) : null
       ]
     );
-    return result.rows[0].id;
+    const orderId = result.rows[0].id;
+    await syncOrderLifecycle(orderId, {
+      actorType: 'customer',
+      actorEmail: email || null,
+      source: 'checkout',
+      eventType: 'order_created',
+    });
+    return orderId;
   } catch (error) {
     console.error('Create order error:', error);
     throw error;
@@ -336,10 +394,19 @@ export const createOrder = async (userId, orderData) => {
 // Update order status (called from PayFast webhook)
 export const updateOrderStatus = async (orderNumber, status, payfastPaymentId) => {
   try {
-    await db.query(
-      `UPDATE orders SET status = $1, payfast_payment_id = $2, updated_at = CURRENT_TIMESTAMP WHERE order_number = $3`,
+    const { rows } = await db.query(
+      `UPDATE orders SET status = $1, payfast_payment_id = $2, updated_at = CURRENT_TIMESTAMP WHERE order_number = $3 RETURNING id`,
       [status, payfastPaymentId, orderNumber]
     );
+    for (const { id } of rows) {
+      await syncOrderLifecycle(id, {
+        actorType: 'payfast',
+        source: 'payfast_ipn',
+        reason: `PayFast reported ${status}`,
+        eventType: status === 'failed' ? 'payment_failed' : null,
+        details: payfastPaymentId ? { payfastPaymentId } : null,
+      });
+    }
     return true;
   } catch (error) {
     console.error('Update order status error:', error);
@@ -378,12 +445,19 @@ export const getOrderByNumber = async (orderNumber) => {
 };
 
 // Update order with CJ info after submission
-export const updateOrderCJInfo = async (orderId, cjOrderId, cjOrderNumber, cjStatus) => {
+export const updateOrderCJInfo = async (orderId, cjOrderId, cjOrderNumber, cjStatus, event = {}) => {
   try {
     await db.query(
       `UPDATE orders SET cj_order_id = $1, cj_order_number = $2, cj_status = $3, cj_submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $4`,
       [cjOrderId, cjOrderNumber, cjStatus || 'SUBMITTED', orderId]
     );
+    await syncOrderLifecycle(orderId, {
+      actorType: 'admin',
+      source: 'cj_submission',
+      eventType: 'cj_submitted',
+      details: { cjOrderId, cjOrderNumber },
+      ...event,
+    });
     return true;
   } catch (error) {
     console.error('Update order CJ info error:', error);
@@ -394,10 +468,17 @@ export const updateOrderCJInfo = async (orderId, cjOrderId, cjOrderNumber, cjSta
 // Update order tracking info from CJ webhook
 export const updateOrderTracking = async (cjOrderId, trackingNumber, trackingUrl) => {
   try {
-    await db.query(
-      `UPDATE orders SET cj_tracking_number = $1, cj_tracking_url = $2, cj_status = 'SHIPPED', updated_at = CURRENT_TIMESTAMP WHERE cj_order_id = $3`,
+    const { rows } = await db.query(
+      `UPDATE orders SET cj_tracking_number = $1, cj_tracking_url = $2, cj_status = 'SHIPPED', updated_at = CURRENT_TIMESTAMP WHERE cj_order_id = $3 RETURNING id`,
       [trackingNumber, trackingUrl, cjOrderId]
     );
+    for (const { id } of rows) {
+      await syncOrderLifecycle(id, {
+        actorType: 'cj',
+        source: 'cj_webhook',
+        details: { trackingNumber },
+      });
+    }
     return true;
   } catch (error) {
     console.error('Update order tracking error:', error);
@@ -405,7 +486,7 @@ export const updateOrderTracking = async (cjOrderId, trackingNumber, trackingUrl
   }
 };
 
-export const updateOrderBobTracking = async (orderId, trackingData = {}) => {
+export const updateOrderBobTracking = async (orderId, trackingData = {}, event = {}) => {
   try {
     const {
       bobShipmentId = null,
@@ -464,6 +545,8 @@ export const updateOrderBobTracking = async (orderId, trackingData = {}) => {
     if (result.rows.length === 0) return null;
     const order = result.rows[0];
     try { order.items = JSON.parse(order.items); } catch {}
+    const lifecycle = await syncOrderLifecycle(order.id, { actorType: 'bob', source: 'bob', ...event });
+    order.lifecycle_state = lifecycle?.state ?? order.lifecycle_state;
     return order;
   } catch (error) {
     console.error('Update Bob Go tracking error:', error);
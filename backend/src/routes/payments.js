@@ -5,8 +5,26 @@ import { authenticateToken } from '../middleware/auth.js';
 import { createOrder, updateOrderStatus, getOrderByNumber } from './orders.js';
 import { sendBrandedOrderConfirmationEmail } from '../services/orderConfirmationEmail.js';
 import { notifyOwnerOfNewOrder } from '../services/ownerOrderNotifications.js';
-import { calculateBundleDiscount } from '../config/localBundles.js';
+import { calculateBundleDiscount } from '../services/bundles.js';
 import { recordCheckoutOutcome } from '../services/checkoutAnalytics.js';
+import {
+  buildDiscountCart,
+  reserveDiscountRedemption,
+  updateDiscountRedemptionStatus
+} from '../services/discountCodes.js';
+import { normalizeDiscountCode } from '../services/discountCodeRules.js';
+import {
+  commitLocalStockReservations,
+  releaseLocalStockReservations,
+  reserveLocalStock
+} from '../services/localStock.js';
+import { selectedCourierRate } from '../services/bobShipmentRules.js';
+import { bobAutoShipmentsEnabled, createBobShipmentForOrder } from './bob.js';
+import { cjSubmissionQueueEnabled, enqueueCJSubmission } from '../services/cjSubmissionQueue.js';
+import { markWebhook, processWebhook, recordWebhook } from '../services/webhookInbox.js';
+import { recordSuspiciousPayment, requestSourceIp, verifyPayFastIpn } from '../services/payfastIpn.js';
+import { describeIpnFailures } from '../services/payfastIpnRules.js';
+import { shippingDetailsForRequest } from './addresses.js';
 
 export const router = express.Router();
 
@@ -33,6 +51,26 @@ const optionalAuth = (req, res, next) => {
   authenticateToken(req, res, next); // Token present, validate it
 };
 
+// cancel_url carries an HMAC of the order number, so only the shopper PayFast
+// sends back (not anyone guessing ORDER-<timestamp>) can release the stock hold.
+const getCheckoutCancelSecret = () => (
+  process.env.JWT_SECRET ||
+  process.env.SUPABASE_JWT_SECRET ||
+  'snuggleup-dev-checkout-cancel-secret'
+);
+
+export const checkoutCancelToken = (orderNumber) => crypto
+  .createHmac('sha256', getCheckoutCancelSecret())
+  .update(`checkout_cancel|${orderNumber}`)
+  .digest('hex')
+  .slice(0, 32);
+
+const isValidCheckoutCancelToken = (orderNumber, token) => {
+  const expected = Buffer.from(checkoutCancelToken(orderNumber));
+  const received = Buffer.from(String(token || '').trim());
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
 const PAYFAST_SANDBOX_MERCHANT_ID = '10042854';
 const PAYFAST_SANDBOX_MERCHANT_KEY = 'bmvnyjivavg1a';
 
@@ -154,6 +192,8 @@ router.get('/first-order-eligibility', optionalAuth, async (req, res) => {
 
 // Create a payment
 router.post('/create', optionalAuth, async (req, res) => {
+  // Set once local stock is held, so a failure further on gives it back
+  let heldOrderNumber = null;
   try {
     const { 
       amount, 
@@ -163,13 +203,15 @@ router.post('/create', optionalAuth, async (req, res) => {
       shipping, 
       localShipping,
       discount, 
+      discountCode,
       shippingMethod, 
       localShippingMethod,
+      localShippingRate,
       localDeliveryMode,
       shippingQuoted,
       shippingCountry,
       insurance,
-      shippingDetails,
+      shippingDetails: requestShippingDetails,
       bundleSelections,
       analyticsVisitorId,
       analyticsSessionId
@@ -181,10 +223,11 @@ router.post('/create', optionalAuth, async (req, res) => {
       subtotal, 
       shipping, 
       discount,
+      discountCode,
       insurance: insurance?.selected ? `R${insurance.cost}` : 'None'
     });
     
-    console.log('📋 Shipping details received from frontend:', JSON.stringify(shippingDetails, null, 2));
+    console.log('📋 Shipping details received from frontend:', JSON.stringify(requestShippingDetails, null, 2));
 
     // ID number no longer collected; skip validation
     
@@ -225,6 +268,10 @@ router.post('/create', optionalAuth, async (req, res) => {
       });
     }
     
+    // A saved address (addressId) stands in for typed shipping details
+    const shippingDetails = await shippingDetailsForRequest(req, res, requestShippingDetails);
+    if (!shippingDetails) return;
+
     // Generate unique master order number (used for payment ID)
     const orderNumber = `ORDER-${Date.now()}`;
     const cartOrderItems = Array.isArray(orderItems) ? orderItems : [];
@@ -270,37 +317,19 @@ router.post('/create', optionalAuth, async (req, res) => {
         }
       }
 
-      const localProductIds = localOrderItems.map(item => parseInt(item.id)).filter(id => !isNaN(id));
-
-      if (localProductIds.length > 0) {
-        const stockResult = await pool.query(`
-          SELECT id, name, stock_quantity, is_active, approval_status
-          FROM local_products
-          WHERE id = ANY($1::int[])
-        `, [localProductIds]);
-        const stockById = new Map(stockResult.rows.map(row => [Number(row.id), row]));
-        const soldOutItems = [];
-
-        for (const item of localOrderItems) {
-          const productId = parseInt(item.id);
-          if (Number.isNaN(productId)) continue;
-
-          const row = stockById.get(productId);
-          const requestedQty = Math.max(1, Number(item.quantity || 1));
-          const availableQty = Number(row?.stock_quantity || 0);
-
-          if (!row || row.is_active === false || row.approval_status !== 'approved' || availableQty < requestedQty) {
-            soldOutItems.push(item.name || row?.name || `Product ${productId}`);
-          }
-        }
+      // Local stock is held for this checkout (minus other customers' open holds)
+      // and only decremented once PayFast reports COMPLETE.
+      if (localOrderItems.length > 0) {
+        const { reserved, soldOutItems } = await reserveLocalStock({ orderNumber, items: localOrderItems });
 
-        if (soldOutItems.length > 0) {
+        if (!reserved) {
           return res.status(400).json({
             error: 'Cannot complete payment - some local items are sold out',
             soldOutItems,
             message: `The following local items are no longer available in the requested quantity: ${soldOutItems.join(', ')}. Please adjust your cart and try again.`
           });
         }
+        heldOrderNumber = orderNumber;
       }
     }
 
@@ -336,29 +365,60 @@ router.post('/create', optionalAuth, async (req, res) => {
       userId: req.user?.userId
     });
 
-    const validatedBundle = calculateBundleDiscount(bundleSelections, localOrderItems);
-    const bundleDiscount = Math.min(roundMoney(validatedBundle.discount), localSubtotal);
+    const localShippingAmount = freeLocalDelivery ? 0 : Math.max(roundMoney(localShipping), 0);
+    const importShippingAmount = Math.max(roundMoney(shipping), 0);
+
+    // Bundles can mix local and import items; each child order carries its share of the saving.
+    const validatedBundle = await calculateBundleDiscount(bundleSelections, cartOrderItems);
+    const bundleLocalDiscount = Math.min(roundMoney(validatedBundle.localAmount), localSubtotal);
+    const bundleImportDiscount = Math.min(roundMoney(validatedBundle.importAmount), importSubtotal);
+    const bundleDiscount = roundMoney(bundleLocalDiscount + bundleImportDiscount);
     const firstOrderDiscount = previousPurchase
       ? 0
       : roundMoney(Math.max(calculatedOrderSubtotal - bundleDiscount, 0) * 0.1);
-    const voucherDiscount = Math.max(roundMoney(discount), 0);
+
+    // Voucher codes are re-validated against discount_codes here; the discount
+    // amount sent by the browser is only logged, never charged.
+    const submittedDiscountCode = normalizeDiscountCode(discountCode);
+    let voucher = { applied: false, code: null, discountAmount: 0, localAmount: 0, importAmount: 0 };
+    if (submittedDiscountCode) {
+      voucher = await reserveDiscountRedemption({
+        code: submittedDiscountCode,
+        orderNumber,
+        items: await buildDiscountCart(cartOrderItems),
+        shipping: { local: localShippingAmount, import: importShippingAmount },
+        email: checkoutEmail,
+        userId
+      });
+      if (!voucher.applied) {
+        await releaseLocalStockReservations(orderNumber);
+        return res.status(400).json({
+          error: voucher.error,
+          discountCode: submittedDiscountCode
+        });
+      }
+    }
+    const voucherDiscount = roundMoney(voucher.discountAmount);
     const sharedDiscount = Math.min(
-      roundMoney(firstOrderDiscount + voucherDiscount),
+      firstOrderDiscount,
       Math.max(calculatedOrderSubtotal - bundleDiscount, 0)
     );
-    const discountableLocalSubtotal = Math.max(localSubtotal - bundleDiscount, 0);
-    const discountableSubtotal = roundMoney(discountableLocalSubtotal + importSubtotal);
+    const discountableLocalSubtotal = Math.max(localSubtotal - bundleLocalDiscount, 0);
+    const discountableSubtotal = roundMoney(discountableLocalSubtotal + Math.max(importSubtotal - bundleImportDiscount, 0));
     const sharedLocalDiscount = discountableSubtotal
       ? roundMoney(sharedDiscount * (discountableLocalSubtotal / discountableSubtotal))
       : 0;
-    const discountLocal = Math.min(roundMoney(bundleDiscount + sharedLocalDiscount), localSubtotal);
+    // Free-delivery vouchers cover the delivery fee, so a child order's discount
+    // may reach its subtotal plus shipping.
+    const discountLocal = Math.min(
+      roundMoney(bundleLocalDiscount + sharedLocalDiscount + voucher.localAmount),
+      roundMoney(localSubtotal + localShippingAmount)
+    );
     const discountImport = Math.min(
-      roundMoney(sharedDiscount - sharedLocalDiscount),
-      importSubtotal
+      roundMoney(bundleImportDiscount + sharedDiscount - sharedLocalDiscount + voucher.importAmount),
+      roundMoney(importSubtotal + importShippingAmount)
     );
     const totalDiscount = roundMoney(discountLocal + discountImport);
-    const localShippingAmount = freeLocalDelivery ? 0 : Math.max(roundMoney(localShipping), 0);
-    const importShippingAmount = Math.max(roundMoney(shipping), 0);
     const insuranceAmount = Math.max(roundMoney(insurance?.cost), 0);
     const serverTotal = Math.max(
       roundMoney(
@@ -377,6 +437,7 @@ router.post('/create', optionalAuth, async (req, res) => {
       firstOrderDiscount,
       bundleDiscount,
       voucherDiscount,
+      voucherCode: voucher.code,
       serverTotal
     });
 
@@ -398,7 +459,10 @@ router.post('/create', optionalAuth, async (req, res) => {
           insurance: { selected: false, cost: 0, coverage: 0 },
           shippingDetails: safeShippingDetails,
           analyticsVisitorId,
-          analyticsSessionId
+          analyticsSessionId,
+          discountCode: voucher.code,
+          // The live Bob Go rate the customer picked, booked once the order is paid
+          courierRate: normalizedLocalDeliveryMode === 'economy' ? null : selectedCourierRate(localShippingRate)
         });
         console.log('✅ Local order created:', localOrderNumber);
       }
@@ -418,13 +482,21 @@ router.post('/create', optionalAuth, async (req, res) => {
           insurance,
           shippingDetails: safeShippingDetails,
           analyticsVisitorId,
-          analyticsSessionId
+          analyticsSessionId,
+          discountCode: voucher.code
         });
         console.log('✅ Import order created:', importOrderNumber);
       }
     } catch (orderError) {
       console.error('❌ Failed to create split order records:', orderError);
-      // still continue to payment flow
+      // Without an order PayFast would take money for nothing: give the voucher use
+      // back here, and the outer catch releases the stock holds and answers 500.
+      if (voucher.applied) {
+        await updateDiscountRedemptionStatus(orderNumber, 'void').catch((voidError) => {
+          console.error(`❌ Could not void discount redemption for ${orderNumber}:`, voidError.message);
+        });
+      }
+      throw orderError;
     }
     
     // PayFast payment data - order matters for signature!
@@ -433,7 +505,7 @@ router.post('/create', optionalAuth, async (req, res) => {
       merchant_id: merchantId,
       merchant_key: merchantKey,
       return_url: `${backendUrl}/api/payments/success?order=${encodeURIComponent(orderNumber)}`,
-      cancel_url: `${backendUrl}/api/payments/cancel?order=${encodeURIComponent(orderNumber)}`,
+      cancel_url: `${backendUrl}/api/payments/cancel?order=${encodeURIComponent(orderNumber)}&t=${checkoutCancelToken(orderNumber)}`,
       notify_url: `${backendUrl}/api/payments/notify`,
       name_first: (req.user?.name || req.user?.email?.split('@')[0] || 'Customer').toString().slice(0, 60),
       email_address: checkoutEmail,
@@ -508,6 +580,11 @@ router.post('/create', optionalAuth, async (req, res) => {
     res.status(200).send(html);
   } catch (error) {
     console.error('❌ Payment creation error:', error);
+    if (heldOrderNumber) {
+      await releaseLocalStockReservations(heldOrderNumber).catch((releaseError) => {
+        console.error(`❌ Could not release local stock held for ${heldOrderNumber}:`, releaseError.message);
+      });
+    }
     res.status(500).json({ error: 'Payment creation failed', details: error.message });
   }
 });
@@ -607,14 +684,195 @@ router.get('/success', async (req, res) => {
   res.redirect(target);
 });
 
-// Handle PayFast cancel redirect
-router.get('/cancel', (req, res) => {
+// Handle PayFast cancel redirect. Holds are released only with the signed token
+// from our cancel_url; otherwise the expiry sweep or the FAILED IPN frees them.
+router.get('/cancel', async (req, res) => {
   const frontendUrl = process.env.FRONTEND_URL || 'https://snuggleup.co.za';
-  const qs = new URLSearchParams(req.query || {}).toString();
+  const { t: cancelToken, ...forwardedQuery } = req.query || {};
+  const cancelledOrder = String(req.query?.order || '').trim();
+  if (cancelledOrder && isValidCheckoutCancelToken(cancelledOrder, cancelToken)) {
+    try {
+      // Only held stock is released; a paid order has already committed its stock.
+      await releaseLocalStockReservations(cancelledOrder);
+    } catch (error) {
+      console.error('Failed to release local stock for cancelled order:', error);
+    }
+  }
+  const qs = new URLSearchParams(forwardedQuery).toString();
   const target = `${frontendUrl}/#/checkout/cancel${qs ? `?${qs}` : ''}`;
   res.redirect(target);
 });
 
+// Applies a PayFast IPN whose signature has already been checked. Used by /notify
+// and by replays from the admin webhook inbox.
+export const processPayFastNotification = async (payload = {}) => {
+  try {
+    const params = { ...payload };
+    delete params.signature;
+    const paymentStatus = params.payment_status;
+    const orderNumber = params.m_payment_id;
+    const payfastPaymentId = params.pf_payment_id;
+    // for split orders we stored child orders with human-readable suffixes (-LOCAL and -IMPORT)
+    // find all orders whose number starts with the master ID
+    const pool = (await import('../db.js')).default;
+    const { rows: matching } = await pool.query(
+      `SELECT
+        id,
+        order_number,
+        customer_email,
+        total,
+        items,
+        customer_name,
+        shipping_address,
+        shipping_city,
+        shipping_province,
+        shipping_postal_code,
+        shipping_phone,
+        shipping_method,
+        subtotal,
+        shipping,
+        analytics_visitor_id,
+        analytics_session_id,
+        sent_confirmation,
+        owner_order_email_sent,
+        owner_order_sms_sent
+      FROM orders
+      WHERE order_number LIKE $1`,
+      [orderNumber + '%']
+    );
+
+    if (paymentStatus === 'COMPLETE') {
+      const stockCommitted = await commitLocalStockReservations(orderNumber);
+      if (stockCommitted.length > 0) {
+        console.log('[local-stock] decremented for paid order', { orderNumber, products: stockCommitted });
+      }
+
+      // update each matching order and send its own email
+      for (const ord of matching) {
+        await updateOrderStatus(ord.order_number, 'paid', payfastPaymentId);
+        if (ord.customer_email && !ord.sent_confirmation) {
+          try {
+            const items = Array.isArray(ord.items)
+              ? ord.items
+              : (() => {
+                try {
+                  const parsed = JSON.parse(ord.items || '[]');
+                  return Array.isArray(parsed) ? parsed : [];
+                } catch {
+                  return [];
+                }
+              })();
+            const emailResult = await sendBrandedOrderConfirmationEmail({
+              to: ord.customer_email,
+              orderNumber: ord.order_number,
+              totalAmount: ord.total,
+              items,
+              customerName: ord.customer_name
+            });
+            if (emailResult.success) {
+              await pool.query(
+                'UPDATE orders SET sent_confirmation = TRUE WHERE order_number = $1',
+                [ord.order_number]
+              );
+            }
+          } catch (e) {
+            console.warn('Order confirmation email failed for', ord.order_number, e.message);
+          }
+        }
+
+        const ownerResults = await notifyOwnerOfNewOrder({
+          order: ord,
+          sendEmail: !ord.owner_order_email_sent,
+          sendSms: !ord.owner_order_sms_sent
+        });
+
+        if (ownerResults.email?.success) {
+          await pool.query(
+            'UPDATE orders SET owner_order_email_sent = TRUE WHERE order_number = $1',
+            [ord.order_number]
+          );
+          console.log('[owner-order-email] sent', {
+            orderNumber: ord.order_number,
+            to: ownerResults.email.to
+          });
+        } else if (ownerResults.email && !ownerResults.email.skipped) {
+          console.warn('[owner-order-email] failed', {
+            orderNumber: ord.order_number,
+            error: ownerResults.email.error
+          });
+        }
+
+        if (ownerResults.sms?.success) {
+          await pool.query(
+            'UPDATE orders SET owner_order_sms_sent = TRUE WHERE order_number = $1',
+            [ord.order_number]
+          );
+          console.log('[owner-order-sms] sent', {
+            orderNumber: ord.order_number,
+            mobileNumber: ownerResults.sms.mobileNumber,
+            creditCost: ownerResults.sms.creditCost
+          });
+        } else if (ownerResults.sms && !ownerResults.sms.skipped) {
+          console.warn('[owner-order-sms] failed', {
+            orderNumber: ord.order_number,
+            error: ownerResults.sms.error
+          });
+        }
+      }
+
+      // Optional: book the courier for the local part of the order straight away.
+      // createBobShipmentForOrder claims the order, so IPN retries do not double-book.
+      if (bobAutoShipmentsEnabled()) {
+        for (const ord of matching.filter(o => o.order_number.endsWith('-LOCAL'))) {
+          createBobShipmentForOrder(ord.id, { trigger: 'ipn' })
+            .then((result) => {
+              if (result.error) {
+                console.warn('[bob] auto shipment skipped', { orderNumber: ord.order_number, error: result.error, details: result.details });
+              }
+            })
+            .catch((error) => console.warn('[bob] auto shipment error:', ord.order_number, error.message));
+        }
+      }
+
+      // Optional: queue the import part for CJ; the submission worker retries failures.
+      if (cjSubmissionQueueEnabled()) {
+        for (const ord of matching.filter(o => o.order_number.endsWith('-IMPORT'))) {
+          try {
+            await enqueueCJSubmission(ord.id);
+          } catch (error) {
+            console.warn('[cj-submission] enqueue error:', ord.order_number, error.message);
+          }
+        }
+      }
+      await updateDiscountRedemptionStatus(orderNumber, 'redeemed');
+      await recordCheckoutOutcome({ eventName: 'payment_success', orders: matching, orderReference: orderNumber });
+      await recordCheckoutOutcome({ eventName: 'purchase_complete', orders: matching, orderReference: orderNumber });
+    } else if (paymentStatus === 'FAILED' || paymentStatus === 'PENDING') {
+      for (const ord of matching) {
+        await updateOrderStatus(ord.order_number, paymentStatus === 'FAILED' ? 'failed' : 'pending', payfastPaymentId);
+      }
+      if (paymentStatus === 'FAILED') {
+        await updateDiscountRedemptionStatus(orderNumber, 'void');
+        await releaseLocalStockReservations(orderNumber);
+        await recordCheckoutOutcome({
+          eventName: 'payment_failed',
+          orders: matching,
+          orderReference: orderNumber,
+          failureReason: 'PayFast reported that payment failed',
+        });
+      }
+    }
+
+    return {
+      status: 200,
+      body: { status: 'ok', processed: true, paymentStatus, orderNumber, signaturesMatch: true },
+    };
+  } catch (error) {
+    console.error('PayFast notify error:', error);
+    return { status: 500, body: { error: 'Notification processing failed' }, error: error.message };
+  }
+};
+
 // Handle PayFast notification
 router.post('/notify', async (req, res) => {
   try {
@@ -632,13 +890,7 @@ router.post('/notify', async (req, res) => {
     const localSig = generateSignatureFromIPNData(params, passphrase);
     const signaturesMatch = localSig === receivedSignature;
 
-    // 2. Validate source IP (best-effort; optional)
-    const allowedHosts = [
-      'www.payfast.co.za',
-      'sandbox.payfast.co.za'
-    ];
-
-    // 3. Process payment status (signature match is sufficient for now)
+    // 2. Source address, amount and postback checks follow once the signature matches
     const paymentStatus = params.payment_status;
     const orderNumber = params.m_payment_id;
     const payfastPaymentId = params.pf_payment_id;
@@ -655,141 +907,55 @@ router.post('/notify', async (req, res) => {
       localSignature: localSig?.substring(0, 10) + '...'
     });
 
-    // Update order status if signature matches
-    if (signaturesMatch) {
-      // for split orders we stored child orders with human-readable suffixes (-LOCAL and -IMPORT)
-      // find all orders whose number starts with the master ID
-      const pool = (await import('../db.js')).default;
-      const { rows: matching } = await pool.query(
-        `SELECT
-          id,
-          order_number,
-          customer_email,
-          total,
-          items,
-          customer_name,
-          shipping_address,
-          shipping_city,
-          shipping_province,
-          shipping_postal_code,
-          shipping_phone,
-          shipping_method,
-          subtotal,
-          shipping,
-          analytics_visitor_id,
-          analytics_session_id,
-          sent_confirmation,
-          owner_order_email_sent,
-          owner_order_sms_sent
-        FROM orders
-        WHERE order_number LIKE $1`,
-        [orderNumber + '%']
-      );
-
-      if (paymentStatus === 'COMPLETE') {
-        // update each matching order and send its own email
-        for (const ord of matching) {
-          await updateOrderStatus(ord.order_number, 'paid', payfastPaymentId);
-          if (ord.customer_email && !ord.sent_confirmation) {
-            try {
-              const items = Array.isArray(ord.items)
-                ? ord.items
-                : (() => {
-                  try {
-                    const parsed = JSON.parse(ord.items || '[]');
-                    return Array.isArray(parsed) ? parsed : [];
-                  } catch {
-                    return [];
-                  }
-                })();
-              const emailResult = await sendBrandedOrderConfirmationEmail({
-                to: ord.customer_email,
-                orderNumber: ord.order_number,
-                totalAmount: ord.total,
-                items,
-                customerName: ord.customer_name
-              });
-              if (emailResult.success) {
-                await pool.query(
-                  'UPDATE orders SET sent_confirmation = TRUE WHERE order_number = $1',
-                  [ord.order_number]
-                );
-              }
-            } catch (e) {
-              console.warn('Order confirmation email failed for', ord.order_number, e.message);
-            }
-          }
-
-          const ownerResults = await notifyOwnerOfNewOrder({
-            order: ord,
-            sendEmail: !ord.owner_order_email_sent,
-            sendSms: !ord.owner_order_sms_sent
-          });
-
-          if (ownerResults.email?.success) {
-            await pool.query(
-              'UPDATE orders SET owner_order_email_sent = TRUE WHERE order_number = $1',
-              [ord.order_number]
-            );
-            console.log('[owner-order-email] sent', {
-              orderNumber: ord.order_number,
-              to: ownerResults.email.to
-            });
-          } else if (ownerResults.email && !ownerResults.email.skipped) {
-            console.warn('[owner-order-email] failed', {
-              orderNumber: ord.order_number,
-              error: ownerResults.email.error
-            });
-          }
-
-          if (ownerResults.sms?.success) {
-            await pool.query(
-              'UPDATE orders SET owner_order_sms_sent = TRUE WHERE order_number = $1',
-              [ord.order_number]
-            );
-            console.log('[owner-order-sms] sent', {
-              orderNumber: ord.order_number,
-              mobileNumber: ownerResults.sms.mobileNumber,
-              creditCost: ownerResults.sms.creditCost
-            });
-          } else if (ownerResults.sms && !ownerResults.sms.skipped) {
-            console.warn('[owner-order-sms] failed', {
-              orderNumber: ord.order_number,
-              error: ownerResults.sms.error
-            });
-          }
-        }
-        await recordCheckoutOutcome({ eventName: 'payment_success', orders: matching, orderReference: orderNumber });
-        await recordCheckoutOutcome({ eventName: 'purchase_complete', orders: matching, orderReference: orderNumber });
-      } else if (paymentStatus === 'FAILED' || paymentStatus === 'PENDING') {
-        for (const ord of matching) {
-          await updateOrderStatus(ord.order_number, paymentStatus === 'FAILED' ? 'failed' : 'pending', payfastPaymentId);
-        }
-        if (paymentStatus === 'FAILED') {
-          await recordCheckoutOutcome({
-            eventName: 'payment_failed',
-            orders: matching,
-            orderReference: orderNumber,
-            failureReason: 'PayFast reported that payment failed',
-          });
-        }
-      }
-    } else {
+    const entry = await recordWebhook({
+      provider: 'payfast',
+      req,
+      signatureStatus: signaturesMatch ? 'valid' : 'invalid',
+    });
+
+    if (!signaturesMatch) {
       console.warn('⚠️ PayFast IPN rejected - signature mismatch:', { 
         paymentStatus, 
         orderNumber,
         expected: localSig?.substring(0, 10) + '...',
         received: receivedSignature?.substring(0, 10) + '...'
       });
+      return res.status(200).json({
+        status: 'ok',
+        processed: false,
+        paymentStatus,
+        orderNumber,
+        signaturesMatch
+      });
     }
 
-    res.status(200).json({
-      status: 'ok',
-      processed: signaturesMatch,
-      paymentStatus,
-      orderNumber,
-      signaturesMatch
-    });
+    // 3. PayFast's server-side checks. A failed check holds the payment for admin
+    // review instead of marking the orders paid.
+    const sourceIp = requestSourceIp(req);
+    const verdict = await verifyPayFastIpn({ params, sourceIp });
+    if (verdict.retryable) {
+      await markWebhook(entry.id, { status: 'failed', httpStatus: 503, error: describeIpnFailures(verdict.failures) });
+      console.warn('⚠️ PayFast IPN validation unavailable, asking PayFast to resend:', { orderNumber, failures: verdict.failures });
+      return res.status(503).json({ error: 'PayFast validation unavailable' });
+    }
+    if (!verdict.ok) {
+      const suspicious = await recordSuspiciousPayment({ params, sourceIp, verdict, webhookId: entry.id });
+      await markWebhook(entry.id, { status: 'rejected', httpStatus: 200, error: describeIpnFailures(verdict.failures) });
+      return res.status(200).json({
+        status: 'ok',
+        processed: false,
+        paymentStatus,
+        orderNumber,
+        signaturesMatch,
+        heldForReview: true,
+        suspiciousPaymentId: suspicious.id
+      });
+    }
+
+    // Update order status now the signature matches; repeat IPNs for the same
+    // payment status are answered from the inbox without being applied again.
+    const response = await processWebhook(entry, processPayFastNotification);
+    res.status(response.status).json(response.body);
   } catch (error) {
     console.error('PayFast notify error:', error);
     res.status(500).json({ error: 'Notification processing failed' });
@@ -1,5 +1,7 @@
 import express from 'express';
 import pool from '../db.js';
+import { getProductRecommendations } from '../services/recommendations.js';
+import { normalizeRecommendationLimit, productKeyFromRequest } from '../services/recommendationRules.js';
 
 export const router = express.Router();
 
@@ -273,4 +275,29 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// PUBLIC endpoint - "Frequently bought together" and "Customers also viewed".
+// :id is a curated product id (or "curated-<id>"); pass ?source=local for a local product.
+router.get('/:id/recommendations', async (req, res) => {
+  try {
+    const productKey = productKeyFromRequest({
+      id: req.params.id,
+      source: req.query.source ? String(req.query.source) : undefined,
+    });
+    if (!productKey) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const recommendations = await getProductRecommendations(productKey, {
+      limit: normalizeRecommendationLimit(req.query.limit),
+    });
+    if (!recommendations) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json(recommendations);
+  } catch (error) {
+    console.error('Get product recommendations error:', error);
+    res.status(500).json({ error: 'Failed to fetch recommendations' });
+  }
+});
+
 export default router;
@@ -1,14 +1,115 @@
 import express from 'express';
 import { pool } from '../db.js';
 import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import { linkVerifiedGuestOrders } from '../services/guestOrderLinking.js';
+import { createUploadSignature, getCloudinaryCloudName } from '../services/cloudinaryUpload.js';
+import { getProductRatingSummary, initialReviewModeration } from '../services/reviewModeration.js';
+import { normalizeReviewImages } from '../services/reviewModerationRules.js';
+import { verifyReviewToken, verifyReviewUnsubscribeToken } from '../services/reviewLinks.js';
+import { reviewRequestProducts, reviewerIdForOrder } from '../services/reviewRequestRules.js';
+import { unsubscribeFromReviewRequests } from '../services/reviewRequests.js';
+import { unsubscribeConfirmPage, unsubscribePage, unsubscribeSource } from './cart.js';
 
 export const router = express.Router();
 
+// The order a review-request link was issued for, or null if the link is bad.
+const findOrderForReviewToken = async ({ orderNumber, token }) => {
+  const number = String(orderNumber || '').trim();
+  if (!number || !token) return null;
+  const { rows } = await pool.query(
+    `SELECT id, order_number, user_id, customer_email, customer_name, items, status
+     FROM orders WHERE order_number = $1`,
+    [number]
+  );
+  const order = rows[0];
+  if (!order || !verifyReviewToken({ orderNumber: order.order_number, email: order.customer_email, token })) return null;
+  return order;
+};
+
+// Review-request emails carry a signed link that stands in for a login on
+// /submit and /upload-signature, for the order it was issued for only.
+const authenticateReviewer = async (req, res, next) => {
+  if (!req.body?.reviewToken) return authenticateToken(req, res, next);
+  try {
+    const order = await findOrderForReviewToken({ orderNumber: req.body.orderNumber, token: req.body.reviewToken });
+    if (!order) {
+      return res.status(403).json({ error: 'This review link is invalid' });
+    }
+    req.reviewOrder = order;
+    req.user = {
+      userId: reviewerIdForOrder(order),
+      email: order.customer_email,
+      name: order.customer_name,
+      reviewLink: true,
+    };
+    next();
+  } catch (error) {
+    console.error('Review link check error:', error);
+    res.status(500).json({ error: 'Failed to check review link' });
+  }
+};
+
+// GET /api/reviews/request?o=ORDER&t=TOKEN - Prefill for the emailed review form
+router.get('/request', async (req, res) => {
+  try {
+    const order = await findOrderForReviewToken({ orderNumber: req.query.o, token: req.query.t });
+    if (!order) {
+      return res.status(403).json({ error: 'This review link is invalid' });
+    }
+    const { rows: reviewed } = await pool.query(
+      'SELECT product_id FROM customer_reviews WHERE order_id = $1',
+      [order.id]
+    );
+    const reviewedIds = reviewed.map(row => String(row.product_id));
+    res.json({
+      orderId: order.id,
+      orderNumber: order.order_number,
+      customerName: order.customer_name,
+      products: reviewRequestProducts(order.items).map(product => ({
+        ...product,
+        reviewed: reviewedIds.includes(product.productId),
+      })),
+    });
+  } catch (error) {
+    console.error('Review request lookup error:', error);
+    res.status(500).json({ error: 'Failed to load review request' });
+  }
+});
+
+const reviewUnsubscribeEmail = (req) => {
+  const email = String(req.query.e || '').trim().toLowerCase();
+  return email && verifyReviewUnsubscribeToken(email, req.query.t) ? email : null;
+};
+
+// GET /api/reviews/unsubscribe - Confirm page for the signed link in review request emails (public)
+router.get('/unsubscribe', (req, res) => {
+  if (!reviewUnsubscribeEmail(req)) {
+    return res.status(400).type('html').send(unsubscribePage('This unsubscribe link is invalid or has expired.'));
+  }
+  res.type('html').send(unsubscribeConfirmPage('Stop review request emails?', req.originalUrl));
+});
+
+// POST /api/reviews/unsubscribe - Opt out of review request emails (confirm button or one-click)
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const email = reviewUnsubscribeEmail(req);
+    if (!email) {
+      return res.status(400).type('html').send(unsubscribePage('This unsubscribe link is invalid or has expired.'));
+    }
+    await unsubscribeFromReviewRequests(email, unsubscribeSource(req));
+    res.type('html').send(unsubscribePage('You will no longer receive review request emails.'));
+  } catch (error) {
+    console.error('Review request unsubscribe error:', error);
+    res.status(500).type('html').send(unsubscribePage('Something went wrong. Please email support@snuggleup.co.za.'));
+  }
+});
+
 // Check if user has purchased a specific product
 router.get('/can-review/:productId', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
     const productId = req.params.productId;
+    await linkVerifiedGuestOrders(req.user);
 
     // Check if user has purchased this product in a completed/paid order
     const result = await pool.query(
@@ -55,11 +156,14 @@ router.get('/can-review/:productId', authenticateToken, async (req, res) => {
   }
 });
 
-// Submit a new review
-router.post('/submit', authenticateToken, async (req, res) => {
+// Submit a new review (signed in, or with { orderNumber, reviewToken } from a review-request email)
+router.post('/submit', authenticateReviewer, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { productId, orderId, rating, title, comment } = req.body;
+    const { productId, rating, title, comment, images } = req.body;
+    const orderId = req.reviewOrder ? req.reviewOrder.id : req.body.orderId;
+    // Link reviews are checked against the order's own owner (guest orders included)
+    const orderOwnerId = req.reviewOrder ? req.reviewOrder.user_id : userId;
 
     // Validate input
     if (!productId || !orderId || !rating || !comment) {
@@ -74,6 +178,11 @@ router.post('/submit', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Review must be at least 10 characters' });
     }
 
+    const photos = normalizeReviewImages(images, { cloudName: getCloudinaryCloudName() });
+    if (photos.error) {
+      return res.status(400).json({ error: photos.error });
+    }
+
     // Verify user purchased this product in this order
     const orderCheck = await pool.query(
       `SELECT id FROM orders 
@@ -84,7 +193,7 @@ router.post('/submit', authenticateToken, async (req, res) => {
            SELECT 1 FROM jsonb_array_elements(items::jsonb) AS item
            WHERE item->>'id' = $3
          )`,
-      [orderId, userId, productId]
+      [orderId, orderOwnerId, String(productId)]
     );
 
     if (orderCheck.rows.length === 0) {
@@ -102,19 +211,38 @@ router.post('/submit', authenticateToken, async (req, res) => {
       return res.status(409).json({ error: 'You have already reviewed this product' });
     }
 
+    // Screened reviews wait for moderation; clean ones publish straight away
+    const moderation = initialReviewModeration({ title, comment });
+
     // Insert review
     const result = await pool.query(
       `INSERT INTO customer_reviews (
-        user_id, product_id, order_id, rating, title, comment, verified_purchase
-      ) VALUES ($1, $2, $3, $4, $5, $6, true)
-      RETURNING id, rating, title, comment, verified_purchase, created_at`,
-      [userId, productId, orderId, rating, title || null, comment.trim()]
+        user_id, product_id, order_id, rating, title, comment, verified_purchase,
+        images, moderation_status, moderation_flags
+      ) VALUES ($1, $2, $3, $4, $5, $6, true, $7, $8, $9)
+      RETURNING id, rating, title, comment, verified_purchase, images, moderation_status, created_at`,
+      [
+        userId,
+        productId,
+        orderId,
+        rating,
+        title || null,
+        comment.trim(),
+        JSON.stringify(photos.images),
+        moderation.status,
+        JSON.stringify(moderation.flags)
+      ]
     );
 
     const review = result.rows[0];
+    if (moderation.flags.length > 0) {
+      console.log('[reviews] review held for moderation', { id: review.id, productId, flags: moderation.flags });
+    }
     res.json({ 
       success: true, 
-      message: 'Review submitted successfully',
+      message: review.moderation_status === 'approved'
+        ? 'Review submitted successfully'
+        : 'Thanks! Your review will appear once it has been checked',
       review 
     });
   } catch (error) {
@@ -139,6 +267,8 @@ router.get('/product/:productId', optionalAuth, async (req, res) => {
         cr.comment,
         cr.verified_purchase,
         cr.helpful_count,
+        cr.images,
+        cr.moderation_status,
         cr.created_at,
         u.name as author_name,
         u.email as author_email,
@@ -148,8 +278,9 @@ router.get('/product/:productId', optionalAuth, async (req, res) => {
        LEFT JOIN users u ON cr.user_id = u.id::text
        LEFT JOIN orders o ON cr.order_id = o.id
        WHERE cr.product_id = $1
+         AND (cr.moderation_status = 'approved' OR ($2::text IS NOT NULL AND cr.user_id = $2))
        ORDER BY cr.created_at DESC`,
-      [productId]
+      [productId, userId ? String(userId) : null]
     );
 
     const customerReviews = result.rows.map(row => ({
@@ -159,19 +290,40 @@ router.get('/product/:productId', optionalAuth, async (req, res) => {
       comment: row.comment,
       author: row.author_name || row.order_customer_name || 'Customer',
       verified: row.verified_purchase,
+      badge: row.verified_purchase ? 'Verified purchase' : null,
+      images: Array.isArray(row.images) ? row.images : [],
       helpful: row.helpful_count || 0,
       date: row.created_at,
       source: 'customer',
-      isOwnReview: userId && row.user_id === userId
+      isOwnReview: userId && row.user_id === userId,
+      // Only the author sees their own review before it is approved
+      moderationStatus: userId && row.user_id === userId ? row.moderation_status : undefined
     }));
 
-    res.json({ reviews: customerReviews });
+    const summary = await getProductRatingSummary(productId);
+    res.json({ reviews: customerReviews, summary });
   } catch (error) {
     console.error('Get customer reviews error:', error);
     res.status(500).json({ error: 'Failed to retrieve reviews' });
   }
 });
 
+// Signed upload for review photos; the browser uploads straight to Cloudinary
+// and sends the resulting URLs as images on /submit. Accepts the same
+// { orderNumber, reviewToken } body as /submit for review-link visitors.
+router.post('/upload-signature', authenticateReviewer, (req, res) => {
+  try {
+    const upload = createUploadSignature('reviews');
+    if (!upload) {
+      return res.status(503).json({ error: 'Photo uploads are not available' });
+    }
+    res.json(upload);
+  } catch (error) {
+    console.error('Review upload signature error:', error);
+    res.status(500).json({ error: 'Failed to create signature' });
+  }
+});
+
 // Delete own review (optional - for users to remove their review)
 router.delete('/:reviewId', authenticateToken, async (req, res) => {
   try {
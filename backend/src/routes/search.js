@@ -0,0 +1,43 @@
+import express from 'express';
+import { recordSearchEvent, searchProducts } from '../services/productSearch.js';
+import { normalizeSearchParams } from '../services/searchRules.js';
+
+export const router = express.Router();
+
+// GET /api/search?q=&category=&source=&priceBand=&inStock=&limit=&offset=
+// Public search over curated and local products with facet counts. The
+// storefront passes its analytics sessionId/visitorId so first-page searches
+// are logged as `search` events (zero-result searches included).
+router.get('/', async (req, res) => {
+  try {
+    const params = normalizeSearchParams(req.query);
+    if (params.error) {
+      return res.status(400).json({ error: params.error });
+    }
+
+    const { results, total, facets } = await searchProducts(params);
+    if (params.offset === 0) {
+      recordSearchEvent({
+        visitorId: String(req.query.visitorId || '').trim().slice(0, 96),
+        sessionId: String(req.query.sessionId || '').trim().slice(0, 96),
+        query: params.query,
+        filters: params.filters,
+        resultCount: total,
+      });
+    }
+
+    res.json({
+      query: params.query,
+      results,
+      total,
+      limit: params.limit,
+      offset: params.offset,
+      facets,
+    });
+  } catch (error) {
+    console.error('Product search error:', error);
+    res.status(500).json({ error: 'Failed to search products' });
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import { cjClient } from '../services/cjClient.js';
 import pool from '../db.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { isShippingFallbackEnabled } from '../services/configService.js';
+import { shippingDetailsForRequest } from './addresses.js';
 
 export const router = express.Router();
 
@@ -22,6 +23,7 @@ const optionalAuth = (req, res, next) => {
  *   items: [{ cj_vid: 'V123', quantity: 2 }],
  *   shippingCountry: 'ZA',
  *   postalCode: '2196', // optional
+ *   addressId: 12, // optional, signed-in customers: quote to a saved address
  *   orderValue: 1500.00 // total order value for insurance calculation
  * }
  * 
@@ -37,7 +39,16 @@ const optionalAuth = (req, res, next) => {
  */
 router.post('/quote', optionalAuth, async (req, res) => {
   try {
-    const { items, shippingCountry, postalCode, orderValue } = req.body;
+    const { items, orderValue } = req.body;
+    let { shippingCountry, postalCode } = req.body;
+
+    // Saved addresses are South African, so they imply the destination country
+    if (req.body.addressId) {
+      const savedDetails = await shippingDetailsForRequest(req, res);
+      if (!savedDetails) return;
+      shippingCountry = shippingCountry || 'ZA';
+      postalCode = savedDetails.postalCode;
+    }
 
     // Validation
     if (!items || !Array.isArray(items) || items.length === 0) {
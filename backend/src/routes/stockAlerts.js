@@ -0,0 +1,142 @@
+import express from 'express';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import pool from '../db.js';
+import {
+  cancelBackInStockSubscription,
+  normalizeProductRef,
+  subscribeBackInStock,
+} from '../services/stockAlerts.js';
+import { unsubscribeConfirmPage } from './cart.js';
+
+export const router = express.Router();
+
+const storefrontUrl = () => (process.env.FRONTEND_URL || 'https://snuggleup.co.za').replace(/\/+$/g, '');
+
+const alertPage = (message) => `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>SnuggleUp</title></head>
+<body style="font-family: Arial, sans-serif; background: #f7fbfa; color: #1f2933; text-align: center; padding: 60px 16px;">
+  <h1 style="color: #126f71; font-size: 22px;">${message}</h1>
+  <p><a href="${storefrontUrl()}" style="color: #126f71;">Back to SnuggleUp</a></p>
+</body>
+</html>`;
+
+const SUBSCRIBE_ERROR_STATUS = {
+  invalid_email: 400,
+  invalid_phone: 400,
+  not_found: 404,
+  in_stock: 409,
+};
+
+const getUserId = (req) => req.user?.userId || req.user?.id || req.user?.sub || null;
+
+// POST /api/stock-alerts - Ask to be told when a sold-out product is back.
+// Guests supply an email; signed-in shoppers default to their account email.
+// Body: { source: 'local' | 'import', productId, email?, phone?, sms? }
+router.post('/', optionalAuth, async (req, res) => {
+  try {
+    const ref = normalizeProductRef(req.body);
+    if (ref.error) {
+      return res.status(400).json({ error: ref.error });
+    }
+
+    const result = await subscribeBackInStock({
+      ...ref,
+      email: req.body?.email || req.user?.email,
+      phone: req.body?.phone,
+      smsOptIn: req.body?.sms === true || req.body?.smsOptIn === true,
+      userId: getUserId(req),
+    });
+    if (!result.subscribed) {
+      return res.status(SUBSCRIBE_ERROR_STATUS[result.reason] || 400).json({ error: result.error, reason: result.reason });
+    }
+
+    const { subscription } = result;
+    res.status(201).json({
+      id: subscription.id,
+      source: subscription.source,
+      productId: subscription.product_id,
+      email: subscription.email,
+      sms: subscription.sms_opt_in,
+      status: subscription.status,
+    });
+  } catch (error) {
+    console.error('Back-in-stock subscribe error:', error);
+    res.status(500).json({ error: 'Failed to save stock alert' });
+  }
+});
+
+// GET /api/stock-alerts/unsubscribe?token= - Confirm page for the alert email's cancel link (public)
+router.get('/unsubscribe', (req, res) => {
+  if (!String(req.query.token || '').trim()) {
+    return res.status(400).type('html').send(alertPage('This alert link is invalid or the alert has already ended.'));
+  }
+  res.type('html').send(unsubscribeConfirmPage('Cancel this back-in-stock alert?', req.originalUrl));
+});
+
+// POST /api/stock-alerts/unsubscribe?token= - Cancel an alert (confirm button or one-click List-Unsubscribe)
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const token = String(req.query.token || '').trim();
+    const cancelled = token ? await cancelBackInStockSubscription({ token }) : 0;
+    if (!cancelled) {
+      return res.status(400).type('html').send(alertPage('This alert link is invalid or the alert has already ended.'));
+    }
+    res.type('html').send(alertPage('Your back-in-stock alert has been cancelled.'));
+  } catch (error) {
+    console.error('Back-in-stock unsubscribe error:', error);
+    res.status(500).type('html').send(alertPage('Something went wrong. Please email support@snuggleup.co.za.'));
+  }
+});
+
+// GET /api/stock-alerts/mine - Signed-in shopper's active alerts
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID not found' });
+    }
+    const { rows } = await pool.query(
+      `SELECT id, source, product_id, email, phone, sms_opt_in, status, created_at
+       FROM back_in_stock_subscriptions
+       WHERE user_id = $1 AND status = 'active'
+       ORDER BY created_at DESC`,
+      [String(userId)]
+    );
+    res.json({
+      alerts: rows.map((row) => ({
+        id: row.id,
+        source: row.source,
+        productId: row.product_id,
+        email: row.email,
+        phone: row.phone,
+        sms: row.sms_opt_in,
+        createdAt: row.created_at,
+      })),
+    });
+  } catch (error) {
+    console.error('Get stock alerts error:', error);
+    res.status(500).json({ error: 'Failed to retrieve stock alerts' });
+  }
+});
+
+// DELETE /api/stock-alerts/:id - Signed-in shopper cancels one of their alerts
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    const id = Number.parseInt(req.params.id, 10);
+    if (!userId || !Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid stock alert' });
+    }
+    const cancelled = await cancelBackInStockSubscription({ id, userId });
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Stock alert not found' });
+    }
+    res.json({ id, status: 'cancelled' });
+  } catch (error) {
+    console.error('Cancel stock alert error:', error);
+    res.status(500).json({ error: 'Failed to cancel stock alert' });
+  }
+});
+
+export default router;
@@ -4,6 +4,7 @@ import {
   supplierPickupPayload,
   supplierPickupSummary,
 } from '../services/supplierPickup.js';
+import { syncOrderLifecycle } from '../services/orderLifecycle.js';
 
 export const router = express.Router();
 
@@ -94,6 +95,13 @@ router.post('/:token', async (req, res) => {
       return res.status(404).json({ error: 'This supplier link is not valid' });
     }
 
+    await syncOrderLifecycle(order.id, {
+      actorType: 'supplier',
+      source: 'supplier_pickup',
+      reason: notes || null,
+      eventType: `supplier_${status}`,
+    });
+
     res.json({
       success: true,
       ...supplierPickupPayload(order, await supplierPickupSummary()),
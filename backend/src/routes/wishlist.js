@@ -0,0 +1,123 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import pool from '../db.js';
+import { getProductSummaries, normalizeProductRef, productUrl } from '../services/stockAlerts.js';
+
+export const router = express.Router();
+
+router.use(authenticateToken);
+
+const getUserId = (req) => req.user?.userId || req.user?.id || req.user?.sub || null;
+
+// GET /api/wishlist - Saved products with current price and stock
+router.get('/', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID not found' });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT w.source, w.product_id, w.created_at,
+              EXISTS (
+                SELECT 1 FROM back_in_stock_subscriptions s
+                WHERE s.source = w.source AND s.product_id = w.product_id
+                  AND s.user_id = w.user_id AND s.status = 'active'
+              ) AS stock_alert
+       FROM wishlist_items w
+       WHERE w.user_id = $1
+       ORDER BY w.created_at DESC`,
+      [String(userId)]
+    );
+
+    const summaries = {};
+    for (const source of ['local', 'import']) {
+      summaries[source] = await getProductSummaries(
+        source,
+        rows.filter((row) => row.source === source).map((row) => row.product_id)
+      );
+    }
+
+    // Products removed from the catalogue drop out of the list rather than erroring
+    const items = rows
+      .map((row) => {
+        const product = summaries[row.source].get(Number(row.product_id));
+        if (!product || !product.purchasable) return null;
+        return {
+          source: row.source,
+          productId: product.id,
+          name: product.name,
+          price: product.price,
+          image: product.image,
+          inStock: product.inStock,
+          stockAlert: row.stock_alert,
+          url: productUrl(product),
+          addedAt: row.created_at,
+        };
+      })
+      .filter(Boolean);
+
+    res.json({ items });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({ error: 'Failed to retrieve wishlist' });
+  }
+});
+
+// POST /api/wishlist - Save a product { source: 'local' | 'import', productId }
+router.post('/', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID not found' });
+    }
+    const ref = normalizeProductRef(req.body);
+    if (ref.error) {
+      return res.status(400).json({ error: ref.error });
+    }
+
+    const products = await getProductSummaries(ref.source, [ref.productId]);
+    if (!products.get(ref.productId)?.purchasable) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await pool.query(
+      `INSERT INTO wishlist_items (user_id, source, product_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, source, product_id) DO NOTHING`,
+      [String(userId), ref.source, ref.productId]
+    );
+    res.status(201).json({ source: ref.source, productId: ref.productId, saved: true });
+  } catch (error) {
+    console.error('Add wishlist item error:', error);
+    res.status(500).json({ error: 'Failed to save product' });
+  }
+});
+
+// DELETE /api/wishlist/:source/:productId - Remove a saved product
+router.delete('/:source/:productId', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID not found' });
+    }
+    const ref = normalizeProductRef(req.params);
+    if (ref.error) {
+      return res.status(400).json({ error: ref.error });
+    }
+
+    const { rowCount } = await pool.query(
+      'DELETE FROM wishlist_items WHERE user_id = $1 AND source = $2 AND product_id = $3',
+      [String(userId), ref.source, ref.productId]
+    );
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'Product is not in your wishlist' });
+    }
+    res.json({ source: ref.source, productId: ref.productId, saved: false });
+  } catch (error) {
+    console.error('Remove wishlist item error:', error);
+    res.status(500).json({ error: 'Failed to remove product' });
+  }
+});
+
+export default router;
@@ -20,11 +20,26 @@ import { router as seoRouter } from './routes/seo.js';
 import { router as supplierPickupRouter } from './routes/supplierPickup.js';
 import { router as learningCentreRouter } from './routes/learningCentre.js';
 import { router as storefrontAnalyticsRouter } from './routes/analytics.js';
+import { router as wishlistRouter } from './routes/wishlist.js';
+import { router as addressesRouter } from './routes/addresses.js';
+import { router as stockAlertsRouter } from './routes/stockAlerts.js';
+import { router as searchRouter } from './routes/search.js';
 import { startLearningCentreScheduler } from './services/learningCentreScheduler.js';
 import { cjClient } from './services/cjClient.js';
 import { syncCuratedInventory } from './services/inventorySync.js';
 import { syncProductPrices } from './services/priceSync.js';
 import { recordInventorySyncExecution, recordPriceSyncExecution } from './services/schedulerMonitor.js';
+import { expireLocalStockReservations } from './services/localStock.js';
+import { retryStockAlerts } from './services/stockAlerts.js';
+import { runCartRecovery } from './services/cartRecovery.js';
+import { reviewRequestsEnabled, runReviewRequests } from './services/reviewRequests.js';
+import { analyticsRollupsEnabled, runAnalyticsRollups } from './services/analyticsRollups.js';
+import { getRawEventWindowStart, runNightlyAnalytics } from './services/analyticsRetention.js';
+import { refreshExchangeRate } from './services/exchangeRates.js';
+import { cjSubmissionQueueEnabled, runCJSubmissionQueue } from './services/cjSubmissionQueue.js';
+import { cjOrderSyncEnabled, runCJOrderSync } from './services/cjOrderSync.js';
+import { conversionExportDryRun, conversionExportEnabled, runConversionExports } from './services/conversionExport.js';
+import { recommendationsEnabled, runRecommendationJob } from './services/recommendations.js';
 import db from './db.js';
 
 // Load environment variables
@@ -92,12 +107,16 @@ app.use('/api/cj', cjRouter);
 app.use('/api/admin', adminRouter);
 app.use('/api/setup', setupRouter);
 app.use('/api/products', productsRouter); // Public curated products
+app.use('/api/search', searchRouter); // Product search across curated and local products
 app.use('/api/cart', cartRouter); // Cart persistence
 app.use('/api/orders', ordersRouter); // Order history
 app.use('/api/shipping', shippingRouter); // Shipping quotes
 app.use('/api/discounts', discountsRouter); // Discount and voucher codes
 app.use('/api/reviews', reviewsRouter); // Customer reviews
 app.use('/api/local-products', localProductsRouter); // Local warehouse inventory
+app.use('/api/wishlist', wishlistRouter); // Saved products
+app.use('/api/addresses', addressesRouter); // Customer address book
+app.use('/api/stock-alerts', stockAlertsRouter); // Back-in-stock email/SMS alerts
 app.use('/api/bob', bobRouter); // Bob Go integration endpoints
 app.use('/api/supplier-pickup', supplierPickupRouter); // Tokenized supplier handoff confirmation
 app.use('/api/learning-centre', learningCentreRouter); // Learning Centre articles and superuser tools
@@ -286,11 +305,11 @@ app.listen(port, () => {
         const result = await syncCuratedInventory({ limit, syncType: 'scheduled' });
         const elapsed = Date.now() - started;
         result.durationMs = elapsed;
-        recordInventorySyncExecution(result);
+        await recordInventorySyncExecution(result);
         console.log(`🗃️  CJ inventory sync completed: updated=${result.updated} failures=${result.failures} processed=${result.processed} in ${elapsed}ms`);
       } catch (e) {
         const error = { durationMs: 0, error: e.message, failures: -1, processed: 0, updated: 0 };
-        recordInventorySyncExecution(error);
+        await recordInventorySyncExecution(error);
         console.error('❌ CJ inventory scheduled sync failed:', e.message);
       } finally {
         inventorySyncRunning = false;
@@ -388,11 +407,11 @@ app.listen(port, () => {
         const result = await syncProductPrices({ limit, syncType: 'scheduled' });
         const elapsed = Date.now() - started;
         result.durationMs = elapsed;
-        recordPriceSyncExecution(result);
+        await recordPriceSyncExecution(result);
         console.log(`💰 Price sync completed: synced=${result.synced} significant_changes=${result.priceChanges.length} errors=${result.errors.length} in ${elapsed}ms`);
       } catch (e) {
         const error = { durationMs: 0, error: e.message, synced: 0, priceChanges: [], errors: [e.message] };
-        recordPriceSyncExecution(error);
+        await recordPriceSyncExecution(error);
         console.error('❌ Scheduled price sync failed:', e.message);
       } finally {
         priceSyncRunning = false;
@@ -411,4 +430,240 @@ app.listen(port, () => {
   } else {
     console.log('⏱️  Price sync scheduler disabled via CJ_PRICE_SYNC_ENABLED=false');
   }
+
+  // Mark local stock holds from abandoned PayFast checkouts as expired (every 5 minutes)
+  const stockReservationSweepEnabled = process.env.LOCAL_STOCK_RESERVATION_SWEEP_ENABLED !== 'false';
+  if (stockReservationSweepEnabled) {
+    setInterval(async () => {
+      try {
+        const expired = await expireLocalStockReservations();
+        if (expired > 0) {
+          console.log(`📦 Expired ${expired} local stock reservation(s)`);
+        }
+      } catch (e) {
+        console.error('❌ Local stock reservation sweep failed:', e.message);
+      }
+    }, 5 * 60 * 1000);
+  } else {
+    console.log('⏱️  Local stock reservation sweep disabled via LOCAL_STOCK_RESERVATION_SWEEP_ENABLED=false');
+  }
+
+  // Retry failed or interrupted back-in-stock alerts (every 30 minutes)
+  if (process.env.STOCK_ALERT_RETRY_ENABLED !== 'false') {
+    let stockAlertRetryRunning = false;
+    setInterval(async () => {
+      if (stockAlertRetryRunning) return;
+      stockAlertRetryRunning = true;
+      try {
+        await retryStockAlerts();
+      } catch (e) {
+        console.error('❌ Back-in-stock alert retry failed:', e.message);
+      } finally {
+        stockAlertRetryRunning = false;
+      }
+    }, 30 * 60 * 1000);
+  }
+
+  // Abandoned cart reminders (hourly). Opt-in because it emails customers.
+  if (process.env.CART_RECOVERY_ENABLED === 'true') {
+    let cartRecoveryRunning = false;
+    setInterval(async () => {
+      if (cartRecoveryRunning) return;
+      cartRecoveryRunning = true;
+      try {
+        const result = await runCartRecovery();
+        if (result.candidates > 0) {
+          console.log(`🛒 Cart recovery: sent=${result.sent} failed=${result.failed} skipped=${result.skipped}`);
+        }
+      } catch (e) {
+        console.error('❌ Cart recovery run failed:', e.message);
+      } finally {
+        cartRecoveryRunning = false;
+      }
+    }, 60 * 60 * 1000);
+    console.log('⏱️  Cart recovery scheduler active: checks hourly for idle carts');
+  }
+
+  // Review requests a few days after delivery (hourly). Opt-in because it emails customers.
+  if (reviewRequestsEnabled()) {
+    let reviewRequestsRunning = false;
+    setInterval(async () => {
+      if (reviewRequestsRunning) return;
+      reviewRequestsRunning = true;
+      try {
+        const result = await runReviewRequests();
+        if (result.candidates > 0) {
+          console.log(`⭐ Review requests: sent=${result.sent} failed=${result.failed} skipped=${result.skipped}`);
+        }
+      } catch (e) {
+        console.error('❌ Review request run failed:', e.message);
+      } finally {
+        reviewRequestsRunning = false;
+      }
+    }, 60 * 60 * 1000);
+    console.log('⏱️  Review request scheduler active: checks hourly for delivered orders');
+  }
+
+  // Analytics rollups (hourly): refreshes today and yesterday and backfills
+  // days that were never rolled up. On by default; it only reads analytics events.
+  if (analyticsRollupsEnabled()) {
+    let analyticsRollupsRunning = false;
+    const runRollups = async () => {
+      if (analyticsRollupsRunning) return;
+      analyticsRollupsRunning = true;
+      try {
+        const result = await runAnalyticsRollups({ notBefore: getRawEventWindowStart() });
+        if (result.days > 0) {
+          console.log(`📊 Analytics rollups: days=${result.days} sessions=${result.sessions} (${result.from} → ${result.to})`);
+        }
+      } catch (e) {
+        console.error('❌ Analytics rollup run failed:', e.message);
+      } finally {
+        analyticsRollupsRunning = false;
+      }
+    };
+    setTimeout(runRollups, 2 * 60 * 1000);
+    setInterval(runRollups, 60 * 60 * 1000);
+    console.log('⏱️  Analytics rollup scheduler active: refreshes daily rollups hourly');
+
+    // Nightly at 3am: final rollup of yesterday, then raw-event retention
+    // (ANALYTICS_RAW_RETENTION_DAYS=0 keeps raw events forever)
+    const getTimeUntil3am = () => {
+      const now = new Date();
+      const next3am = new Date();
+      next3am.setHours(3, 0, 0, 0);
+      if (now >= next3am) next3am.setDate(next3am.getDate() + 1);
+      return next3am.getTime() - now.getTime();
+    };
+    let analyticsNightlyRunning = false;
+    const runNightly = async () => {
+      if (analyticsNightlyRunning) return;
+      analyticsNightlyRunning = true;
+      try {
+        const { rollups, retention } = await runNightlyAnalytics();
+        const pruned = retention.days.reduce((sum, day) => sum + (day.deletedRows || 0), 0);
+        console.log(`📊 Nightly analytics: rolled up ${rollups.days} day(s); ${retention.enabled ? `pruned ${retention.days.length} day(s), ${pruned} raw events (${retention.mode})` : 'raw retention off'}`);
+      } catch (e) {
+        console.error('❌ Nightly analytics run failed:', e.message);
+      } finally {
+        analyticsNightlyRunning = false;
+      }
+    };
+    setTimeout(() => {
+      runNightly();
+      setInterval(runNightly, 24 * 60 * 60 * 1000);
+    }, getTimeUntil3am());
+  } else {
+    console.log('⏱️  Analytics rollups disabled via ANALYTICS_ROLLUPS_ENABLED=false');
+  }
+
+  // Product recommendations rebuilt from orders and analytics sessions.
+  if (recommendationsEnabled()) {
+    const refreshHours = Math.max(1, Number(process.env.RECOMMENDATION_REFRESH_HOURS || 6));
+    let recommendationsRunning = false;
+    const runRecommendations = async () => {
+      if (recommendationsRunning) return;
+      recommendationsRunning = true;
+      try {
+        const result = await runRecommendationJob();
+        console.log(`🧺 Recommendations rebuilt: boughtTogether=${result.boughtTogether} viewedTogether=${result.viewedTogether}`);
+      } catch (e) {
+        console.error('❌ Recommendation job failed:', e.message);
+      } finally {
+        recommendationsRunning = false;
+      }
+    };
+    setTimeout(runRecommendations, 5 * 60 * 1000);
+    setInterval(runRecommendations, refreshHours * 60 * 60 * 1000);
+    console.log(`⏱️  Recommendation job active: rebuilds every ${refreshHours}h`);
+  } else {
+    console.log('⏱️  Recommendations disabled via RECOMMENDATIONS_ENABLED=false');
+  }
+
+  // USD→ZAR refresh from the exchange-rate provider chain. Opt-in because it
+  // changes the rate every import price is calculated from.
+  if (process.env.EXCHANGE_RATE_SYNC_ENABLED === 'true') {
+    const refreshHours = Math.max(1, Number(process.env.EXCHANGE_RATE_REFRESH_HOURS || 6));
+    let exchangeRateRunning = false;
+    const runExchangeRateRefresh = async () => {
+      if (exchangeRateRunning) return;
+      exchangeRateRunning = true;
+      try {
+        await refreshExchangeRate({ trigger: 'scheduled' });
+      } catch (e) {
+        console.error('❌ Exchange rate refresh failed:', e.message);
+      } finally {
+        exchangeRateRunning = false;
+      }
+    };
+    setTimeout(runExchangeRateRefresh, 60 * 1000);
+    setInterval(runExchangeRateRefresh, refreshHours * 60 * 60 * 1000);
+    console.log(`⏱️  Exchange rate scheduler active: refreshes USD→ZAR every ${refreshHours}h`);
+  }
+
+  // CJ submission worker for paid -IMPORT orders queued from the PayFast IPN.
+  // Opt-in because it places (and pays for) orders with CJ.
+  if (cjSubmissionQueueEnabled()) {
+    const intervalSeconds = Math.max(30, Number(process.env.CJ_SUBMISSION_POLL_SECONDS || 60));
+    let cjSubmissionRunning = false;
+    setInterval(async () => {
+      if (cjSubmissionRunning) return;
+      cjSubmissionRunning = true;
+      try {
+        const result = await runCJSubmissionQueue();
+        if (result.processed > 0) {
+          console.log(`📦 CJ submissions: succeeded=${result.succeeded} retrying=${result.retrying} dead=${result.dead}`);
+        }
+      } catch (e) {
+        console.error('❌ CJ submission queue run failed:', e.message);
+      } finally {
+        cjSubmissionRunning = false;
+      }
+    }, intervalSeconds * 1000);
+    console.log(`⏱️  CJ submission worker active: checks the queue every ${intervalSeconds}s`);
+  }
+
+  // CJ status/tracking reconciler, for orders whose CJ webhook never arrived.
+  if (cjOrderSyncEnabled()) {
+    const intervalMinutes = Math.max(15, Number(process.env.CJ_ORDER_SYNC_INTERVAL_MINUTES || 60));
+    let cjOrderSyncRunning = false;
+    const runCJOrderReconcile = async () => {
+      if (cjOrderSyncRunning) return;
+      cjOrderSyncRunning = true;
+      try {
+        const result = await runCJOrderSync();
+        if (result.checked > 0 || result.failed > 0) {
+          console.log(`🔄 CJ order sync: checked=${result.checked} updated=${result.updated} failed=${result.failed}`);
+        }
+      } catch (e) {
+        console.error('❌ CJ order sync failed:', e.message);
+      } finally {
+        cjOrderSyncRunning = false;
+      }
+    };
+    setTimeout(runCJOrderReconcile, 2 * 60 * 1000);
+    setInterval(runCJOrderReconcile, intervalMinutes * 60 * 1000);
+    console.log(`⏱️  CJ order sync active: polls CJ every ${intervalMinutes}m for missing or stale tracking`);
+  }
+
+  // Conversion forwarding to GA4 / Meta, with retries for failed deliveries.
+  if (conversionExportEnabled()) {
+    const intervalSeconds = Math.max(30, Number(process.env.CONVERSION_EXPORT_POLL_SECONDS || 300));
+    let conversionExportRunning = false;
+    setInterval(async () => {
+      if (conversionExportRunning) return;
+      conversionExportRunning = true;
+      try {
+        const result = await runConversionExports();
+        if (result.processed > 0) {
+          console.log(`📣 Conversion exports: sent=${result.sent} dryRun=${result.dryRun} retrying=${result.retrying} dead=${result.dead}`);
+        }
+      } catch (e) {
+        console.error('❌ Conversion export run failed:', e.message);
+      } finally {
+        conversionExportRunning = false;
+      }
+    }, intervalSeconds * 1000);
+    console.log(`⏱️  Conversion export worker active: every ${intervalSeconds}s${conversionExportDryRun() ? ' (dry run, logging payloads only)' : ''}`);
+  }
 });
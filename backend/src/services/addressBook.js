@@ -0,0 +1,163 @@
+import pool from '../db.js';
+import {
+  MAX_SAVED_ADDRESSES,
+  addressFromRow,
+  normalizeAddressInput,
+  shippingDetailsFromAddress,
+} from './addressBookRules.js';
+
+// Saved delivery addresses per signed-in customer. At most one per user is the
+// default (a partial unique index holds that); the first address saved becomes
+// the default, and deleting the default promotes the most recently updated one.
+// Mutations return { address } or { reason, error }.
+
+const ADDRESS_COLUMNS = ['label', 'recipient_name', 'phone', 'address', 'suburb', 'city', 'province', 'postal_code'];
+
+const withTransaction = async (work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query(result?.error ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const clearDefault = (client, userId) => client.query(
+  'UPDATE customer_addresses SET is_default = FALSE WHERE user_id = $1 AND is_default',
+  [userId]
+);
+
+export const listAddresses = async (userId) => {
+  const { rows } = await pool.query(
+    `SELECT * FROM customer_addresses
+     WHERE user_id = $1
+     ORDER BY is_default DESC, updated_at DESC, id DESC`,
+    [String(userId)]
+  );
+  return rows.map(addressFromRow);
+};
+
+const findAddressRow = async (userId, id, client = pool) => {
+  const addressId = Number(id);
+  if (!Number.isInteger(addressId) || addressId <= 0) return null;
+  const { rows } = await client.query(
+    'SELECT * FROM customer_addresses WHERE id = $1 AND user_id = $2',
+    [addressId, String(userId)]
+  );
+  return rows[0] || null;
+};
+
+export const getAddress = async (userId, id) => {
+  const row = await findAddressRow(userId, id);
+  return row ? addressFromRow(row) : null;
+};
+
+export const createAddress = async (userId, body = {}) => {
+  const input = normalizeAddressInput(body);
+  if (input.error) return { reason: 'invalid', error: input.error };
+
+  return withTransaction(async (client) => {
+    const { rows: [{ count }] } = await client.query(
+      'SELECT COUNT(*)::int AS count FROM customer_addresses WHERE user_id = $1',
+      [String(userId)]
+    );
+    if (count >= MAX_SAVED_ADDRESSES) {
+      return { reason: 'limit', error: `You can save up to ${MAX_SAVED_ADDRESSES} addresses` };
+    }
+
+    const isDefault = count === 0 || Boolean(body.isDefault);
+    if (isDefault) await clearDefault(client, String(userId));
+
+    const { rows: [row] } = await client.query(
+      `INSERT INTO customer_addresses (user_id, ${ADDRESS_COLUMNS.join(', ')}, is_default)
+       VALUES ($1, ${ADDRESS_COLUMNS.map((_, index) => `$${index + 2}`).join(', ')}, $${ADDRESS_COLUMNS.length + 2})
+       RETURNING *`,
+      [String(userId), ...ADDRESS_COLUMNS.map((column) => input.values[column]), isDefault]
+    );
+    return { address: addressFromRow(row) };
+  });
+};
+
+// Fields missing from body keep their saved values.
+export const updateAddress = async (userId, id, body = {}) => withTransaction(async (client) => {
+  const existing = await findAddressRow(userId, id, client);
+  if (!existing) return { reason: 'not_found', error: 'Address not found' };
+
+  const input = normalizeAddressInput({ ...addressFromRow(existing), ...body });
+  if (input.error) return { reason: 'invalid', error: input.error };
+
+  if (body.isDefault === true && !existing.is_default) await clearDefault(client, String(userId));
+
+  const { rows: [row] } = await client.query(
+    `UPDATE customer_addresses
+     SET ${ADDRESS_COLUMNS.map((column, index) => `${column} = $${index + 2}`).join(', ')},
+         is_default = is_default OR $${ADDRESS_COLUMNS.length + 2},
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [existing.id, ...ADDRESS_COLUMNS.map((column) => input.values[column]), body.isDefault === true]
+  );
+  return { address: addressFromRow(row) };
+});
+
+export const setDefaultAddress = async (userId, id) => withTransaction(async (client) => {
+  const existing = await findAddressRow(userId, id, client);
+  if (!existing) return { reason: 'not_found', error: 'Address not found' };
+  if (existing.is_default) return { address: addressFromRow(existing) };
+
+  await clearDefault(client, String(userId));
+  const { rows: [row] } = await client.query(
+    `UPDATE customer_addresses
+     SET is_default = TRUE, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [existing.id]
+  );
+  return { address: addressFromRow(row) };
+});
+
+export const deleteAddress = async (userId, id) => withTransaction(async (client) => {
+  const existing = await findAddressRow(userId, id, client);
+  if (!existing) return { reason: 'not_found', error: 'Address not found' };
+
+  await client.query('DELETE FROM customer_addresses WHERE id = $1', [existing.id]);
+  if (existing.is_default) {
+    await client.query(
+      `UPDATE customer_addresses SET is_default = TRUE
+       WHERE id = (
+         SELECT id FROM customer_addresses
+         WHERE user_id = $1
+         ORDER BY updated_at DESC, id DESC
+         LIMIT 1
+       )`,
+      [String(userId)]
+    );
+  }
+  return { address: addressFromRow(existing) };
+});
+
+// Checkout and rate quotes: the shippingDetails for a saved address the
+// signed-in customer picked. Returns { shippingDetails } or { reason, error }.
+export const resolveSavedAddress = async (user, addressId) => {
+  const userId = user?.userId || user?.id || user?.sub || null;
+  if (!userId) return { reason: 'unauthenticated', error: 'Sign in to use a saved address' };
+  const row = await findAddressRow(userId, addressId);
+  if (!row) return { reason: 'not_found', error: 'Saved address not found' };
+  return { shippingDetails: shippingDetailsFromAddress(row) };
+};
+
+export default {
+  listAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+  resolveSavedAddress,
+};
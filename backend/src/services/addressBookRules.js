@@ -0,0 +1,83 @@
+import { canonicalProvince } from './bobShipmentRules.js';
+
+// Customer address book (services/addressBook.js): what a saved address must
+// contain, and how one becomes the shippingDetails checkout and rate quotes take.
+export const MAX_SAVED_ADDRESSES = 10;
+
+const optionalText = (value, maxLength = 200) => {
+  const text = String(value ?? '').trim().slice(0, maxLength);
+  return text || null;
+};
+
+export const isValidSouthAfricanPostalCode = (value) => /^\d{4}$/.test(String(value ?? '').trim());
+
+// Local mobile or landline: 0XXXXXXXXX, or +27/27 followed by nine digits.
+export const isValidSouthAfricanPhone = (value) => {
+  const digits = String(value ?? '').replace(/[\s()-]/g, '');
+  return /^(?:\+?27|0)\d{9}$/.test(digits);
+};
+
+// Validates a create/update payload. Returns { values } mapped onto
+// customer_addresses columns, or { error } for a 400.
+export const normalizeAddressInput = (body = {}) => {
+  const address = optionalText(body.address ?? body.streetAddress);
+  if (!address) return { error: 'address is required' };
+
+  const city = optionalText(body.city, 100);
+  if (!city) return { error: 'city is required' };
+
+  const province = canonicalProvince(body.province);
+  if (!province) return { error: 'province must be a South African province' };
+
+  const postalCode = String(body.postalCode ?? body.postal_code ?? '').trim();
+  if (!isValidSouthAfricanPostalCode(postalCode)) {
+    return { error: 'postalCode must be a 4-digit South African postal code' };
+  }
+
+  const phone = optionalText(body.phone, 30);
+  if (phone && !isValidSouthAfricanPhone(phone)) {
+    return { error: 'phone must be a South African number' };
+  }
+
+  return {
+    values: {
+      label: optionalText(body.label, 50),
+      recipient_name: optionalText(body.recipientName ?? body.recipient_name ?? body.customerName, 150),
+      phone,
+      address,
+      suburb: optionalText(body.suburb, 100),
+      city,
+      province,
+      postal_code: postalCode,
+    },
+  };
+};
+
+// A stored row in the shape the API returns and normalizeAddressInput accepts,
+// so an update can merge a partial body over it.
+export const addressFromRow = (row) => ({
+  id: row.id,
+  label: row.label,
+  recipientName: row.recipient_name,
+  phone: row.phone,
+  address: row.address,
+  suburb: row.suburb,
+  city: row.city,
+  province: row.province,
+  postalCode: row.postal_code,
+  isDefault: Boolean(row.is_default),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// The shippingDetails fields createOrder() and the rate routes read. Fields the
+// address does not have are left out so the request body can still supply them.
+export const shippingDetailsFromAddress = (row) => Object.fromEntries(Object.entries({
+  customerName: row.recipient_name,
+  phone: row.phone,
+  address: row.address,
+  suburb: row.suburb,
+  city: row.city,
+  province: row.province,
+  postalCode: row.postal_code,
+}).filter(([, value]) => value !== null && value !== undefined && value !== ''));
@@ -0,0 +1,220 @@
+// Funnel, cohort and traffic reports over the daily analytics rollups
+// (services/analyticsRollups.js) and the raw-event retention window
+// (services/analyticsRetention.js). No DB access here.
+
+export const REPORT_TIME_ZONE = 'Africa/Johannesburg';
+export const MAX_REPORT_DAYS = 366;
+export const MAX_FUNNEL_STEPS = 8;
+
+export const DEFAULT_FUNNEL_STEPS = [
+  'product_view',
+  'add_to_cart',
+  'checkout_loaded',
+  'payfast_redirected',
+  'purchase_complete',
+];
+
+// Older storefront builds sent these names; they count as the canonical step.
+export const FUNNEL_EVENT_ALIASES = {
+  begin_checkout: 'checkout_clicked',
+  payment_started: 'payfast_redirected',
+  purchase: 'purchase_complete',
+};
+
+// Events the rollup keeps a first-seen time for, so any of them can be a step.
+export const FUNNEL_EVENTS = [
+  'session_start', 'page_view', 'category_view', 'product_view', 'product_click',
+  'image_view', 'search', 'add_to_cart', 'cart_opened', 'checkout_clicked',
+  'checkout_loaded', 'delivery_location_entered', 'delivery_quote_shown',
+  'delivery_option_selected', 'customer_details_started',
+  'customer_details_completed', 'payment_clicked', 'payfast_redirected',
+  'payment_success', 'payment_failed', 'purchase_complete',
+];
+
+// /traffic-insights funnel stage -> rollup step. Aliases are already folded in.
+export const INSIGHTS_FUNNEL_STEPS = {
+  visitors: 'session_start',
+  product_viewers: 'product_view',
+  cart_sessions: 'add_to_cart',
+  cart_opened_sessions: 'cart_opened',
+  checkout_clicked_sessions: 'checkout_clicked',
+  checkout_loaded_sessions: 'checkout_loaded',
+  delivery_location_sessions: 'delivery_location_entered',
+  delivery_quote_sessions: 'delivery_quote_shown',
+  delivery_selected_sessions: 'delivery_option_selected',
+  details_started_sessions: 'customer_details_started',
+  details_completed_sessions: 'customer_details_completed',
+  payment_clicked_sessions: 'payment_clicked',
+  payfast_sessions: 'payfast_redirected',
+  payment_success_sessions: 'payment_success',
+  purchase_sessions: 'purchase_complete',
+};
+
+// Query value -> analytics_session_rollups column
+export const REPORT_BREAKDOWNS = {
+  source: 'source',
+  campaign: 'campaign',
+  device: 'device_type',
+  province: 'province_name',
+};
+
+export const canonicalFunnelEvent = (eventName) => {
+  const name = String(eventName || '').trim().toLowerCase();
+  return FUNNEL_EVENT_ALIASES[name] || name;
+};
+
+// Accepts an array or a comma-separated list. Returns { steps } or { error }.
+export const normalizeFunnelSteps = (input) => {
+  if (input === undefined || input === null || input === '') return { steps: [...DEFAULT_FUNNEL_STEPS] };
+  const raw = Array.isArray(input) ? input : String(input).split(',');
+  const steps = raw.map(canonicalFunnelEvent).filter(Boolean);
+
+  if (steps.length < 2) return { error: 'A funnel needs at least 2 steps' };
+  if (steps.length > MAX_FUNNEL_STEPS) return { error: `A funnel can have at most ${MAX_FUNNEL_STEPS} steps` };
+  const unknown = steps.find((step) => !FUNNEL_EVENTS.includes(step));
+  if (unknown) return { error: `Unknown funnel step: ${unknown}` };
+  if (new Set(steps).size !== steps.length) return { error: 'Funnel steps must not repeat' };
+  return { steps };
+};
+
+// Returns { breakdown, column } (both null for no breakdown) or { error }.
+export const normalizeBreakdown = (value) => {
+  const key = String(value || '').trim().toLowerCase();
+  if (!key || key === 'none') return { breakdown: null, column: null };
+  if (!REPORT_BREAKDOWNS[key]) {
+    return { error: `breakdown must be one of: ${Object.keys(REPORT_BREAKDOWNS).join(', ')}` };
+  }
+  return { breakdown: key, column: REPORT_BREAKDOWNS[key] };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Calendar date (YYYY-MM-DD) in South African time
+export const reportDate = (date = new Date()) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: REPORT_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+}).format(date);
+
+const parseDate = (value) => {
+  if (!DATE_PATTERN.test(String(value || ''))) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return Number.isFinite(time) && new Date(time).toISOString().slice(0, 10) === value ? time : null;
+};
+
+export const addDays = (day, count) => new Date(parseDate(day) + count * DAY_MS).toISOString().slice(0, 10);
+
+// Every date from..to inclusive
+export const daysBetween = (from, to) => {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+// Inclusive date range, defaulting to the last 30 days. Returns { from, to } or { error }.
+export const normalizeReportRange = ({ from, to } = {}, now = new Date()) => {
+  const end = to ? String(to) : reportDate(now);
+  if (parseDate(end) === null) return { error: 'to must use YYYY-MM-DD format' };
+  const start = from ? String(from) : addDays(end, -29);
+  if (parseDate(start) === null) return { error: 'from must use YYYY-MM-DD format' };
+  if (start > end) return { error: 'from must be on or before to' };
+  if ((parseDate(end) - parseDate(start)) / DAY_MS + 1 > MAX_REPORT_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_REPORT_DAYS} days` };
+  }
+  return { from: start, to: end };
+};
+
+// 'YYYY-MM' -> first and last date of the month
+export const monthDateRange = (month) => {
+  const from = `${month}-01`;
+  if (parseDate(from) === null) return null;
+  const [year, monthNumber] = month.split('-').map(Number);
+  const next = monthNumber === 12 ? `${year + 1}-01-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}-01`;
+  return { from, to: addDays(next, -1) };
+};
+
+// First day whose raw events are kept, or null while raw events are kept forever.
+// retentionDays counts today.
+export const rawEventWindowStart = (retentionDays, now = new Date()) => (
+  retentionDays > 0 ? addDays(reportDate(now), -(retentionDays - 1)) : null
+);
+
+// Part of the range has been pruned from raw events, so only rollups cover it.
+export const rangeNeedsRollups = (from, windowStart) => Boolean(windowStart) && from < windowStart;
+
+export const archiveFileName = (day) => `storefront-analytics-events-${day}.ndjson.gz`;
+
+// One SQL condition per step: the session reached that step after reaching
+// every earlier one, comparing first-seen times in step_times. Step names are
+// bound as parameters starting at $firstParam.
+export const funnelStepConditions = (stepCount, firstParam = 1, alias = 's') => {
+  const conditions = [];
+  for (let index = 0; index < stepCount; index += 1) {
+    const param = `$${firstParam + index}::text`;
+    const parts = [`${alias}.step_times ? ${param}`];
+    if (index > 0) {
+      parts.unshift(conditions[index - 1]);
+      parts.push(`(${alias}.step_times->>${param})::bigint >= (${alias}.step_times->>$${firstParam + index - 1}::text)::bigint`);
+    }
+    conditions.push(index > 0 ? `(${parts.join(' AND ')})` : parts[0]);
+  }
+  return conditions;
+};
+
+export const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+const funnelFromCounts = (steps, counts) => {
+  const entered = Number(counts[0] || 0);
+  const completed = Number(counts[steps.length - 1] || 0);
+  return {
+    entered,
+    completed,
+    conversionRate: rate(completed, entered),
+    steps: steps.map((event, index) => {
+      const sessions = Number(counts[index] || 0);
+      const previous = index > 0 ? Number(counts[index - 1] || 0) : sessions;
+      return {
+        event,
+        sessions,
+        fromPreviousRate: index > 0 ? rate(sessions, previous) : null,
+        fromStartRate: rate(sessions, entered),
+        dropOff: index > 0 ? previous - sessions : 0,
+        dropOffRate: index > 0 ? rate(previous - sessions, previous) : null,
+      };
+    }),
+  };
+};
+
+// rows: [{ segment, reached: [sessions at step 1, step 2, ...] }], one per
+// breakdown value. Each session sits in one segment, so totals are sums.
+export const buildFunnelReport = (steps, rows = []) => {
+  const totals = steps.map((_, index) => rows.reduce((sum, row) => sum + Number(row.reached?.[index] || 0), 0));
+  return {
+    steps,
+    ...funnelFromCounts(steps, totals),
+    segments: rows
+      .map((row) => ({ segment: row.segment ?? 'Unknown', ...funnelFromCounts(steps, row.reached || []) }))
+      .filter((segment) => segment.entered > 0)
+      .sort((a, b) => b.entered - a.entered || String(a.segment).localeCompare(String(b.segment))),
+  };
+};
+
+// rows: [{ cohort_week, visitors, purchasers, repeat_purchasers, purchases }]
+export const buildCohortReport = (rows = []) => rows.map((row) => {
+  const visitors = Number(row.visitors || 0);
+  const purchasers = Number(row.purchasers || 0);
+  const repeatPurchasers = Number(row.repeat_purchasers || 0);
+  const purchases = Number(row.purchases || 0);
+  return {
+    cohortWeek: String(row.cohort_week),
+    visitors,
+    purchasers,
+    repeatPurchasers,
+    purchases,
+    purchaseRate: rate(purchasers, visitors),
+    repeatPurchaseRate: rate(repeatPurchasers, purchasers),
+    purchasesPerPurchaser: purchasers > 0 ? Math.round((purchases / purchasers) * 100) / 100 : null,
+  };
+});
@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import pool from '../db.js';
+import { rollupAnalyticsDay, runAnalyticsRollups } from './analyticsRollups.js';
+import {
+  REPORT_TIME_ZONE,
+  addDays,
+  archiveFileName,
+  daysBetween,
+  rawEventWindowStart,
+  reportDate,
+} from './analyticsReportingRules.js';
+
+// Raw storefront_analytics_events are kept for ANALYTICS_RAW_RETENTION_DAYS
+// (0 keeps them forever). Older days are rolled up one final time, then either
+// written to gzipped NDJSON under ANALYTICS_ARCHIVE_DIR and deleted (archive,
+// the default) or just deleted (delete). Reports for pruned days read rollups.
+
+const ARCHIVE_BATCH_SIZE = 5000;
+
+const nonNegativeNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.floor(number) : fallback;
+};
+
+export const getAnalyticsRetentionConfig = () => ({
+  rawRetentionDays: nonNegativeNumber(process.env.ANALYTICS_RAW_RETENTION_DAYS, 0),
+  mode: process.env.ANALYTICS_RETENTION_MODE === 'delete' ? 'delete' : 'archive',
+  archiveDir: process.env.ANALYTICS_ARCHIVE_DIR || path.resolve(process.cwd(), 'archives', 'analytics'),
+  maxDaysPerRun: nonNegativeNumber(process.env.ANALYTICS_RETENTION_MAX_DAYS_PER_RUN, 14) || 14,
+});
+
+// First local day still held as raw events, or null when nothing is pruned
+export const getRawEventWindowStart = (now = new Date()) => (
+  rawEventWindowStart(getAnalyticsRetentionConfig().rawRetentionDays, now)
+);
+
+const dayBounds = `
+  occurred_at >= (($1::date)::timestamp AT TIME ZONE '${REPORT_TIME_ZONE}') AT TIME ZONE 'UTC'
+  AND occurred_at < (($1::date + 1)::timestamp AT TIME ZONE '${REPORT_TIME_ZONE}') AT TIME ZONE 'UTC'`;
+
+// Every raw row of the day, in id order, as NDJSON lines
+async function* dayEventLines(day, counter) {
+  let lastId = 0;
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT * FROM storefront_analytics_events
+       WHERE ${dayBounds} AND id > $2
+       ORDER BY id
+       LIMIT ${ARCHIVE_BATCH_SIZE}`,
+      [day, lastId]
+    );
+    if (rows.length === 0) return;
+    for (const row of rows) {
+      counter.rows += 1;
+      yield `${JSON.stringify(row)}\n`;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+const archiveDay = async (day, archiveDir) => {
+  await fs.promises.mkdir(archiveDir, { recursive: true });
+  const filePath = path.join(archiveDir, archiveFileName(day));
+  const tempPath = `${filePath}.tmp`;
+  const counter = { rows: 0 };
+  await pipeline(dayEventLines(day, counter), zlib.createGzip(), fs.createWriteStream(tempPath));
+  await fs.promises.rename(tempPath, filePath);
+  const { size } = await fs.promises.stat(filePath);
+  return { filePath, rows: counter.rows, bytes: size };
+};
+
+const pruneDay = async (day, { mode, archiveDir }) => {
+  // Final rollup first so reports keep the day once its raw rows are gone
+  await rollupAnalyticsDay(day);
+  const archive = mode === 'archive' ? await archiveDay(day, archiveDir) : null;
+  const deleted = await pool.query(`DELETE FROM storefront_analytics_events WHERE ${dayBounds}`, [day]);
+  await pool.query(
+    `INSERT INTO analytics_event_archives (day, mode, file_path, archived_rows, deleted_rows, bytes, archived_at)
+     VALUES ($1::date, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+     ON CONFLICT (day) DO UPDATE SET
+       mode = EXCLUDED.mode,
+       file_path = COALESCE(EXCLUDED.file_path, analytics_event_archives.file_path),
+       archived_rows = EXCLUDED.archived_rows,
+       deleted_rows = analytics_event_archives.deleted_rows + EXCLUDED.deleted_rows,
+       bytes = COALESCE(EXCLUDED.bytes, analytics_event_archives.bytes),
+       archived_at = EXCLUDED.archived_at`,
+    [day, mode, archive?.filePath || null, archive?.rows || 0, deleted.rowCount, archive?.bytes ?? null]
+  );
+  return { day, archivedRows: archive?.rows || 0, deletedRows: deleted.rowCount };
+};
+
+// Prunes the oldest days outside the raw window, up to maxDaysPerRun per run.
+export const runAnalyticsRetention = async ({ dryRun = false } = {}) => {
+  const config = getAnalyticsRetentionConfig();
+  const windowStart = rawEventWindowStart(config.rawRetentionDays);
+  const summary = { enabled: Boolean(windowStart), mode: config.mode, windowStart, days: [], dryRun };
+  if (!windowStart) return summary;
+
+  const { rows } = await pool.query(
+    `SELECT to_char(MIN(occurred_at) AT TIME ZONE 'UTC' AT TIME ZONE '${REPORT_TIME_ZONE}', 'YYYY-MM-DD') AS first_day
+     FROM storefront_analytics_events`
+  );
+  const firstDay = rows[0]?.first_day;
+  if (!firstDay || firstDay >= windowStart) return summary;
+
+  const days = daysBetween(firstDay, addDays(windowStart, -1)).slice(0, config.maxDaysPerRun);
+  if (dryRun) {
+    summary.days = days.map((day) => ({ day }));
+    return summary;
+  }
+  for (const day of days) {
+    summary.days.push(await pruneDay(day, config));
+  }
+  return summary;
+};
+
+// Nightly job: final rollup of yesterday (events keep arriving after midnight
+// for sessions that started before it), then retention.
+export const runNightlyAnalytics = async () => {
+  const yesterday = addDays(reportDate(), -1);
+  const rollups = await runAnalyticsRollups({ from: yesterday, to: yesterday, notBefore: getRawEventWindowStart() });
+  const retention = await runAnalyticsRetention();
+  return { rollups, retention };
+};
+
+export const listAnalyticsArchives = async ({ limit = 60 } = {}) => {
+  const { rows } = await pool.query(
+    `SELECT to_char(day, 'YYYY-MM-DD') AS day, mode, file_path, archived_rows, deleted_rows, bytes, archived_at
+     FROM analytics_event_archives
+     ORDER BY day DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return rows;
+};
+
+export default {
+  getAnalyticsRetentionConfig,
+  getRawEventWindowStart,
+  runAnalyticsRetention,
+  runNightlyAnalytics,
+  listAnalyticsArchives,
+};
@@ -0,0 +1,400 @@
+import pool from '../db.js';
+import {
+  FUNNEL_EVENTS,
+  FUNNEL_EVENT_ALIASES,
+  INSIGHTS_FUNNEL_STEPS,
+  REPORT_TIME_ZONE,
+  addDays,
+  buildCohortReport,
+  buildFunnelReport,
+  daysBetween,
+  funnelStepConditions,
+  reportDate,
+} from './analyticsReportingRules.js';
+
+// Daily rollups of storefront_analytics_events. Each South African calendar
+// day is summarised into one row per session (attribution, device, province
+// and the first time each funnel event happened) plus per-page, per-product,
+// per-source and per-province metrics, so reports never scan raw events and
+// keep working after raw events are pruned (services/analyticsRetention.js).
+// Rolling a day up again replaces its rows, which lets the scheduler refresh
+// today and yesterday every run.
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+export const analyticsRollupsEnabled = () => process.env.ANALYTICS_ROLLUPS_ENABLED !== 'false';
+
+export const getAnalyticsRollupConfig = () => ({
+  backfillDays: positiveNumber(process.env.ANALYTICS_ROLLUP_BACKFILL_DAYS, 90),
+  maxDaysPerRun: positiveNumber(process.env.ANALYTICS_ROLLUP_MAX_DAYS_PER_RUN, 31),
+});
+
+const withTransaction = async (work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Customer events on local day $1, the same filter /traffic-insights uses
+const CUSTOMER_EVENTS_ON_DAY = `
+  e.traffic_type = 'customer' AND e.is_internal_traffic = FALSE AND e.is_duplicate = FALSE
+  AND COALESCE(e.device_type, '') <> 'Bot'
+  AND e.occurred_at >= (($1::date)::timestamp AT TIME ZONE '${REPORT_TIME_ZONE}') AT TIME ZONE 'UTC'
+  AND e.occurred_at < (($1::date + 1)::timestamp AT TIME ZONE '${REPORT_TIME_ZONE}') AT TIME ZONE 'UTC'`;
+
+const DAILY_METRIC_TABLES = [
+  'analytics_daily_page_metrics',
+  'analytics_daily_product_metrics',
+  'analytics_daily_source_metrics',
+  'analytics_daily_province_metrics',
+];
+
+const rollupDailyMetrics = async (client, day) => {
+  for (const table of DAILY_METRIC_TABLES) {
+    await client.query(`DELETE FROM ${table} WHERE day = $1::date`, [day]);
+  }
+  await client.query(
+    `INSERT INTO analytics_daily_page_metrics (day, page_path, page_title, views, sessions, exits, exit_seconds)
+     SELECT $1::date, e.page_path, MAX(e.page_title),
+            COUNT(*) FILTER (WHERE e.event_name = 'page_view'),
+            COUNT(DISTINCT e.session_id) FILTER (WHERE e.event_name = 'page_view'),
+            COUNT(*) FILTER (WHERE e.event_name = 'page_exit' AND e.duration_seconds IS NOT NULL),
+            COALESCE(SUM(e.duration_seconds) FILTER (WHERE e.event_name = 'page_exit'), 0)
+     FROM storefront_analytics_events e
+     WHERE ${CUSTOMER_EVENTS_ON_DAY}
+       AND e.event_name IN ('page_view', 'page_exit') AND e.page_path IS NOT NULL
+     GROUP BY e.page_path`,
+    [day]
+  );
+  await client.query(
+    `INSERT INTO analytics_daily_product_metrics
+       (day, product_id, product_name, product_category, views, clicks, add_to_cart, sessions)
+     SELECT $1::date, e.product_id, MAX(e.product_name), MAX(e.product_category),
+            COUNT(*) FILTER (WHERE e.event_name = 'product_view'),
+            COUNT(*) FILTER (WHERE e.event_name = 'product_click'),
+            COUNT(*) FILTER (WHERE e.event_name = 'add_to_cart'),
+            COUNT(DISTINCT e.session_id)
+     FROM storefront_analytics_events e
+     WHERE ${CUSTOMER_EVENTS_ON_DAY}
+       AND e.event_name IN ('product_view', 'product_click', 'add_to_cart') AND e.product_id IS NOT NULL
+     GROUP BY e.product_id`,
+    [day]
+  );
+  await client.query(
+    `INSERT INTO analytics_daily_source_metrics (day, source, medium, sessions, visitors)
+     SELECT $1::date,
+            COALESCE(NULLIF(e.source, ''), CASE WHEN e.referrer_host IS NULL OR e.referrer_host = '' THEN 'Direct' ELSE e.referrer_host END),
+            COALESCE(NULLIF(e.medium, ''), 'organic / referral'),
+            COUNT(DISTINCT e.session_id),
+            COUNT(DISTINCT e.visitor_id)
+     FROM storefront_analytics_events e
+     WHERE ${CUSTOMER_EVENTS_ON_DAY} AND e.event_name = 'session_start'
+     GROUP BY 2, 3`,
+    [day]
+  );
+  await client.query(
+    `INSERT INTO analytics_daily_province_metrics
+       (day, country_code, timezone_name, province_name, municipality_name, sessions, visitors)
+     SELECT $1::date,
+            COALESCE(e.country_code, ''),
+            COALESCE(e.timezone_name, ''),
+            COALESCE(e.province_name, e.region_name, ''),
+            COALESCE(e.municipality_name, e.city_name, ''),
+            COUNT(DISTINCT e.session_id),
+            COUNT(DISTINCT e.visitor_id)
+     FROM storefront_analytics_events e
+     WHERE ${CUSTOMER_EVENTS_ON_DAY} AND e.event_name = 'session_start'
+     GROUP BY 2, 3, 4, 5`,
+    [day]
+  );
+};
+
+// First non-empty value of an expression within the session
+const firstValue = (expression) => `(ARRAY_AGG(${expression} ORDER BY e.occurred_at) FILTER (WHERE ${expression} IS NOT NULL))[1]`;
+
+export const rollupAnalyticsDay = async (day) => withTransaction(async (client) => {
+  await client.query('DELETE FROM analytics_session_rollups WHERE day = $1::date', [day]);
+  const inserted = await client.query(
+    `WITH events AS (
+       SELECT e.session_id, e.visitor_id, e.occurred_at, e.source, e.referrer_host,
+              e.campaign, e.utm_campaign, e.device_type, e.province_name, e.region_name,
+              COALESCE(aliases.canonical, e.event_name) AS step
+       FROM storefront_analytics_events e
+       LEFT JOIN UNNEST($2::text[], $3::text[]) AS aliases(event_name, canonical)
+         ON aliases.event_name = e.event_name
+       WHERE ${CUSTOMER_EVENTS_ON_DAY}
+     ),
+     step_times AS (
+       SELECT session_id, jsonb_object_agg(step, first_at) AS step_times
+       FROM (
+         SELECT session_id, step, FLOOR(EXTRACT(EPOCH FROM MIN(occurred_at)) * 1000)::bigint AS first_at
+         FROM events
+         WHERE step = ANY($4::text[])
+         GROUP BY session_id, step
+       ) firsts
+       GROUP BY session_id
+     )
+     INSERT INTO analytics_session_rollups
+       (day, session_id, visitor_id, source, campaign, device_type, province_name,
+        started_at, event_count, step_times, purchased)
+     SELECT
+       $1::date,
+       e.session_id,
+       MIN(e.visitor_id),
+       COALESCE(${firstValue(`COALESCE(NULLIF(e.source, ''), NULLIF(e.referrer_host, ''))`)}, 'Direct'),
+       COALESCE(${firstValue(`COALESCE(NULLIF(e.campaign, ''), NULLIF(e.utm_campaign, ''))`)}, '(none)'),
+       COALESCE(${firstValue(`NULLIF(e.device_type, '')`)}, 'Unknown'),
+       COALESCE(${firstValue(`COALESCE(NULLIF(e.province_name, ''), NULLIF(e.region_name, ''))`)}, 'Unknown'),
+       MIN(e.occurred_at),
+       COUNT(*),
+       COALESCE(st.step_times, '{}'::jsonb),
+       COALESCE(st.step_times ? 'purchase_complete', FALSE)
+     FROM events e
+     LEFT JOIN step_times st ON st.session_id = e.session_id
+     GROUP BY e.session_id, st.step_times`,
+    [day, Object.keys(FUNNEL_EVENT_ALIASES), Object.values(FUNNEL_EVENT_ALIASES), FUNNEL_EVENTS]
+  );
+  await rollupDailyMetrics(client, day);
+  await client.query(
+    `INSERT INTO analytics_rollup_days (day, sessions, rolled_up_at)
+     VALUES ($1::date, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (day) DO UPDATE SET sessions = EXCLUDED.sessions, rolled_up_at = EXCLUDED.rolled_up_at`,
+    [day, inserted.rowCount]
+  );
+  return { day, sessions: inserted.rowCount };
+});
+
+// Today and yesterday (late events still arrive), then any earlier day inside
+// the backfill window that has never been rolled up, oldest first.
+export const pendingRollupDays = async ({ backfillDays, maxDaysPerRun } = getAnalyticsRollupConfig(), now = new Date()) => {
+  const today = reportDate(now);
+  const windowStart = addDays(today, -(backfillDays - 1));
+  const { rows } = await pool.query(
+    `SELECT to_char(MIN(occurred_at) AT TIME ZONE 'UTC' AT TIME ZONE '${REPORT_TIME_ZONE}', 'YYYY-MM-DD') AS first_day
+     FROM storefront_analytics_events`
+  );
+  const firstDay = rows[0]?.first_day;
+  if (!firstDay) return [];
+
+  const { rows: done } = await pool.query(
+    `SELECT to_char(day, 'YYYY-MM-DD') AS day FROM analytics_rollup_days WHERE day >= $1::date`,
+    [windowStart]
+  );
+  const rolled = new Set(done.map((row) => row.day));
+  const start = firstDay > windowStart ? firstDay : windowStart;
+  const refresh = [addDays(today, -1), today].filter((day) => day >= start);
+  const missing = daysBetween(start, addDays(today, -2)).filter((day) => !rolled.has(day));
+  return [...missing.slice(0, Math.max(0, maxDaysPerRun - refresh.length)), ...refresh];
+};
+
+// notBefore protects days whose raw events were pruned: rolling them up again
+// would replace their rollups with nothing.
+export const runAnalyticsRollups = async ({ from = null, to = null, notBefore = null } = {}) => {
+  const days = (from && to ? daysBetween(from, to) : await pendingRollupDays())
+    .filter((day) => !notBefore || day >= notBefore);
+  const summary = { days: 0, sessions: 0, from: days[0] || null, to: days[days.length - 1] || null };
+  for (const day of days) {
+    const result = await rollupAnalyticsDay(day);
+    summary.days += 1;
+    summary.sessions += result.sessions;
+  }
+  return summary;
+};
+
+export const getRollupCoverage = async ({ from, to }) => {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS days, MAX(rolled_up_at) AS last_rolled_up_at
+     FROM analytics_rollup_days
+     WHERE day BETWEEN $1::date AND $2::date`,
+    [from, to]
+  );
+  return {
+    days: daysBetween(from, to).length,
+    rolledUpDays: rows[0]?.days || 0,
+    lastRolledUpAt: rows[0]?.last_rolled_up_at || null,
+  };
+};
+
+// steps and breakdown column come from analyticsReportingRules normalizers.
+export const getFunnelReport = async ({ steps, from, to, column = null }) => {
+  const reached = funnelStepConditions(steps.length, 3)
+    .map((condition) => `COUNT(*) FILTER (WHERE ${condition})::int`);
+  const { rows } = await pool.query(
+    `SELECT ${column ? `s.${column}` : `'all'`} AS segment, ARRAY[${reached.join(', ')}] AS reached
+     FROM analytics_session_rollups s
+     WHERE s.day BETWEEN $1::date AND $2::date
+     ${column ? `GROUP BY s.${column}` : ''}`,
+    [from, to, ...steps]
+  );
+  const report = buildFunnelReport(steps, rows);
+  if (!column) delete report.segments;
+  return report;
+};
+
+// Visitors grouped by the week (Monday) of their first rolled-up session.
+// Purchases are sessions that reached purchase_complete, over all time.
+export const getCohortReport = async ({ from, to }) => {
+  const { rows } = await pool.query(
+    `WITH visitors AS (
+       SELECT visitor_id, MIN(day) AS first_day, COUNT(*) FILTER (WHERE purchased) AS purchases
+       FROM analytics_session_rollups
+       GROUP BY visitor_id
+     )
+     SELECT to_char(date_trunc('week', first_day::timestamp), 'YYYY-MM-DD') AS cohort_week,
+            COUNT(*)::int AS visitors,
+            COUNT(*) FILTER (WHERE purchases > 0)::int AS purchasers,
+            COUNT(*) FILTER (WHERE purchases > 1)::int AS repeat_purchasers,
+            COALESCE(SUM(purchases), 0)::int AS purchases
+     FROM visitors
+     WHERE first_day BETWEEN $1::date AND $2::date
+     GROUP BY 1
+     ORDER BY 1`,
+    [from, to]
+  );
+  return buildCohortReport(rows);
+};
+
+// The /traffic-insights sections that rollups can answer, for from..to.
+// Shapes match the raw-event queries so the dashboard renders either.
+export const getRollupTrafficInsights = async ({ from, to }) => {
+  const range = [from, to];
+  const funnelKeys = Object.keys(INSIGHTS_FUNNEL_STEPS);
+  const [sessionsResult, pagesTotals, productTotals, sourcesResult, regionsResult, pagesResult, productsResult, funnelResult, hourlyResult, purchasesResult] = await Promise.all([
+    pool.query(
+      `SELECT COUNT(DISTINCT visitor_id) AS visitors, COUNT(DISTINCT session_id) AS sessions,
+              COALESCE(SUM(event_count), 0) AS events
+       FROM analytics_session_rollups
+       WHERE day BETWEEN $1::date AND $2::date`,
+      range
+    ),
+    pool.query(
+      `SELECT COALESCE(SUM(views), 0) AS page_views,
+              COALESCE(ROUND(SUM(exit_seconds)::numeric / NULLIF(SUM(exits), 0)), 0) AS average_seconds
+       FROM analytics_daily_page_metrics
+       WHERE day BETWEEN $1::date AND $2::date`,
+      range
+    ),
+    pool.query(
+      `SELECT COALESCE(SUM(views), 0) AS product_views, COALESCE(SUM(add_to_cart), 0) AS add_to_cart
+       FROM analytics_daily_product_metrics
+       WHERE day BETWEEN $1::date AND $2::date`,
+      range
+    ),
+    pool.query(
+      `SELECT source, medium, SUM(sessions) AS sessions
+       FROM analytics_daily_source_metrics
+       WHERE day BETWEEN $1::date AND $2::date
+       GROUP BY source, medium
+       ORDER BY sessions DESC
+       LIMIT 8`,
+      range
+    ),
+    pool.query(
+      `SELECT NULLIF(country_code, '') AS country_code,
+              NULLIF(timezone_name, '') AS timezone_name,
+              NULLIF(province_name, '') AS province_name,
+              NULLIF(municipality_name, '') AS municipality_name,
+              NULL AS browser_locale,
+              SUM(sessions) AS sessions,
+              MAX(day) AS latest_visit
+       FROM analytics_daily_province_metrics
+       WHERE day BETWEEN $1::date AND $2::date
+         AND (country_code <> '' OR timezone_name <> '' OR province_name <> '' OR municipality_name <> '')
+       GROUP BY country_code, timezone_name, province_name, municipality_name
+       ORDER BY sessions DESC
+       LIMIT 12`,
+      range
+    ),
+    pool.query(
+      `SELECT page_path, MAX(page_title) AS page_title, SUM(views) AS views
+       FROM analytics_daily_page_metrics
+       WHERE day BETWEEN $1::date AND $2::date AND views > 0
+       GROUP BY page_path
+       ORDER BY views DESC
+       LIMIT 10`,
+      range
+    ),
+    pool.query(
+      `SELECT product_id, MAX(product_name) AS product_name, MAX(product_category) AS product_category,
+              SUM(views) AS views, SUM(clicks) AS clicks, SUM(add_to_cart) AS add_to_cart
+       FROM analytics_daily_product_metrics
+       WHERE day BETWEEN $1::date AND $2::date
+       GROUP BY product_id
+       ORDER BY views DESC, clicks DESC
+       LIMIT 10`,
+      range
+    ),
+    pool.query(
+      `SELECT ${funnelKeys.map((key, index) => `COUNT(*) FILTER (WHERE step_times ? $${index + 3}::text) AS ${key}`).join(', ')}
+       FROM analytics_session_rollups
+       WHERE day BETWEEN $1::date AND $2::date`,
+      [...range, ...Object.values(INSIGHTS_FUNNEL_STEPS)]
+    ),
+    pool.query(
+      `SELECT EXTRACT(HOUR FROM (started_at AT TIME ZONE 'UTC' AT TIME ZONE 'Africa/Johannesburg'))::int AS hour,
+              COUNT(DISTINCT session_id) AS sessions
+       FROM analytics_session_rollups
+       WHERE day BETWEEN $1::date AND $2::date AND started_at IS NOT NULL
+       GROUP BY 1
+       ORDER BY sessions DESC, hour ASC
+       LIMIT 6`,
+      range
+    ),
+    // Paid orders over the whole range (the raw-event query starts at the oldest kept event)
+    pool.query(
+      `SELECT COUNT(DISTINCT regexp_replace(order_number, '-(LOCAL|IMPORT)$', '')) AS purchases
+       FROM orders
+       WHERE status IN ('paid', 'completed')
+         AND created_at >= $1::date AND created_at < $2::date + 1
+         AND LOWER(COALESCE(customer_email, '')) <> 'support@snuggleup.co.za'
+         AND LOWER(COALESCE(customer_email, '')) NOT IN (
+           SELECT LOWER(email) FROM users
+           WHERE role IN ('superuser', 'product_assistant') OR is_admin = TRUE
+         )`,
+      range
+    ),
+  ]);
+
+  const sessions = sessionsResult.rows[0] || {};
+  return {
+    summary: {
+      visitors: sessions.visitors || 0,
+      sessions: sessions.sessions || 0,
+      events: sessions.events || 0,
+      page_views: pagesTotals.rows[0]?.page_views || 0,
+      product_views: productTotals.rows[0]?.product_views || 0,
+      add_to_cart: productTotals.rows[0]?.add_to_cart || 0,
+      average_seconds: pagesTotals.rows[0]?.average_seconds || 0,
+    },
+    sources: sourcesResult.rows,
+    regions: regionsResult.rows,
+    pages: pagesResult.rows,
+    products: productsResult.rows,
+    funnel: funnelResult.rows[0] || {},
+    popularHours: hourlyResult.rows,
+    purchases: Number(purchasesResult.rows[0]?.purchases || 0),
+  };
+};
+
+export default {
+  getAnalyticsRollupConfig,
+  rollupAnalyticsDay,
+  pendingRollupDays,
+  runAnalyticsRollups,
+  getRollupCoverage,
+  getFunnelReport,
+  getCohortReport,
+  getRollupTrafficInsights,
+};
@@ -0,0 +1,187 @@
+// Bob Go payload helpers shared by checkout rates and booked shipments, so the
+// parcels we quote are the parcels we book.
+export const numberFrom = (...values) => {
+  for (const value of values) {
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string') {
+      const cleaned = value.replace(/[^\d.-]/g, '');
+      const parsed = Number(cleaned);
+      if (Number.isFinite(parsed)) return parsed;
+    }
+    if (typeof value === 'object') {
+      const parsed = numberFrom(value.amount, value.value, value.total, value.price);
+      if (Number.isFinite(parsed)) return parsed;
+    }
+  }
+  return 0;
+};
+
+export const stringFrom = (...values) => {
+  for (const value of values) {
+    if (value === undefined || value === null) continue;
+    const text = String(value).trim();
+    if (text) return text;
+  }
+  return '';
+};
+
+export const SOUTH_AFRICAN_PROVINCES = [
+  'Eastern Cape',
+  'Free State',
+  'Gauteng',
+  'KwaZulu-Natal',
+  'Limpopo',
+  'Mpumalanga',
+  'North West',
+  'Northern Cape',
+  'Western Cape',
+];
+
+const PROVINCE_ALIASES = {
+  ec: 'Eastern Cape',
+  fs: 'Free State',
+  gp: 'Gauteng',
+  gt: 'Gauteng',
+  kzn: 'KwaZulu-Natal',
+  nl: 'KwaZulu-Natal',
+  natal: 'KwaZulu-Natal',
+  lp: 'Limpopo',
+  mp: 'Mpumalanga',
+  nw: 'North West',
+  nc: 'Northern Cape',
+  wc: 'Western Cape',
+};
+
+const provinceKey = (value) => String(value ?? '').toLowerCase().replace(/[^a-z]/g, '');
+
+// The official province name for a name or common abbreviation, or null.
+export const canonicalProvince = (value) => {
+  const key = provinceKey(value);
+  if (!key) return null;
+  return SOUTH_AFRICAN_PROVINCES.find((province) => provinceKey(province) === key)
+    || PROVINCE_ALIASES[key]
+    || null;
+};
+
+// Bob Go zone for a delivery address. Rate quotes still go out for text we do
+// not recognise; a blank province is quoted as Gauteng.
+export const normalizeProvince = (province = '') => {
+  const text = String(province || '').trim();
+  if (!text) return 'Gauteng';
+  return canonicalProvince(text) || text;
+};
+
+const dimensionsFromItem = (item = {}) => {
+  const rawDimensions = item.dimensions || item.raw?.dimensions || {};
+  if (typeof rawDimensions === 'object' && !Array.isArray(rawDimensions)) return rawDimensions;
+
+  try {
+    const parsed = JSON.parse(rawDimensions);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+export const parcelsFromCart = (items = []) => items.flatMap((item) => {
+  const quantity = Math.max(Math.floor(Number(item.quantity || 1)), 1);
+  const dimensions = dimensionsFromItem(item);
+  const parcel = {
+    description: stringFrom(item.name, item.description, 'Parcel'),
+    submitted_length_cm: Math.max(numberFrom(item.length_cm, item.length, dimensions.length_cm, dimensions.length, dimensions.l), 30),
+    submitted_width_cm: Math.max(numberFrom(item.width_cm, item.width, dimensions.width_cm, dimensions.width, dimensions.w), 25),
+    submitted_height_cm: Math.max(numberFrom(item.height_cm, item.height, dimensions.height_cm, dimensions.height, dimensions.h), 15),
+    submitted_weight_kg: Math.max(numberFrom(item.weight_kg, item.weight, item.product_weight, item.raw?.weight_kg), 0.2),
+  };
+
+  return Array.from({ length: quantity }, () => ({ ...parcel }));
+});
+
+const hasPickupPoint = (value) => {
+  const normalized = String(value ?? '').trim().toLowerCase();
+  return Boolean(normalized) && !['0', 'null', 'undefined', 'false'].includes(normalized);
+};
+
+// The part of a checkout rate we keep on the order so the same courier service
+// can be booked once the order is paid. Returns null when the rate cannot be booked.
+export const selectedCourierRate = (rate) => {
+  if (!rate || typeof rate !== 'object') return null;
+  const raw = rate.raw && typeof rate.raw === 'object' ? rate.raw : {};
+
+  const providerSlug = stringFrom(rate.providerSlug, raw.provider_slug, raw.providerSlug, raw.provider?.slug);
+  const serviceLevelCode = stringFrom(
+    rate.serviceLevelCode,
+    raw.service_level_code,
+    raw.service_level?.code,
+    raw.serviceLevel?.code,
+    raw.service_code
+  );
+  if (!providerSlug || !serviceLevelCode) return null;
+
+  const pickupPointId = stringFrom(rate.pickupPointId, raw.pickup_point_location_id);
+  return {
+    providerSlug,
+    serviceLevelCode,
+    courier: stringFrom(rate.courier) || null,
+    service: stringFrom(rate.service) || null,
+    priceZAR: numberFrom(rate.priceZAR) || null,
+    pickupPointId: hasPickupPoint(pickupPointId) ? pickupPointId : null,
+  };
+};
+
+const SHIPMENT_REQUIRED_FIELDS = [
+  ['customer_name', 'customer name'],
+  ['shipping_address', 'street address'],
+  ['shipping_city', 'city'],
+  ['shipping_postal_code', 'postal code'],
+  ['shipping_phone', 'phone number'],
+];
+
+export const missingShipmentFields = (order = {}) => SHIPMENT_REQUIRED_FIELDS
+  .filter(([column]) => !stringFrom(order[column]))
+  .map(([, label]) => label);
+
+export const buildShipmentPayload = ({ order, items = [], rate, collectionAddress, collectionContact = {} }) => ({
+  collection_address: collectionAddress,
+  collection_contact_name: collectionContact.name || collectionAddress.company || '',
+  collection_contact_mobile_number: collectionContact.phone || '',
+  collection_contact_email: collectionContact.email || '',
+  delivery_address: {
+    company: '',
+    street_address: stringFrom(order.shipping_address),
+    local_area: stringFrom(order.shipping_city),
+    city: stringFrom(order.shipping_city),
+    zone: stringFrom(order.shipping_province),
+    country: stringFrom(order.shipping_country, 'ZA'),
+    code: stringFrom(order.shipping_postal_code),
+  },
+  delivery_contact_name: stringFrom(order.customer_name),
+  delivery_contact_mobile_number: stringFrom(order.shipping_phone),
+  delivery_contact_email: stringFrom(order.customer_email),
+  parcels: parcelsFromCart(items),
+  declared_value: Math.max(numberFrom(order.subtotal), 1),
+  custom_order_number: order.order_number,
+  provider_slug: rate.providerSlug,
+  service_level_code: rate.serviceLevelCode,
+  ...(rate.pickupPointId ? { delivery_pickup_point_id: rate.pickupPointId } : {}),
+});
+
+// Maps a Bob Go shipment response onto updateOrderBobTracking() fields.
+export const shipmentTrackingFromResponse = (data = {}) => ({
+  bobShipmentId: stringFrom(data?.id, data?.shipment_id) || null,
+  bobTrackingReference: stringFrom(data?.tracking_reference, data?.parcels?.[0]?.tracking_reference) || null,
+  bobTrackingUrl: stringFrom(data?.tracking_url, data?.tracking_link) || null,
+  bobCourierName: stringFrom(data?.provider_name, data?.courier_name, data?.provider_slug) || null,
+  bobProviderSlug: stringFrom(data?.provider_slug) || null,
+  bobServiceLevel: stringFrom(data?.service_level_name, data?.service_level?.name, data?.service_level_code) || null,
+  bobTrackingStatus: stringFrom(data?.status) || null,
+});
+
+// The waybill endpoint answers with either a bare URL or an object holding one.
+export const waybillUrlFromResponse = (data) => {
+  const url = typeof data === 'string'
+    ? data.trim().replace(/^"|"$/g, '')
+    : stringFrom(data?.url, data?.waybill_url, data?.label_url, data?.download_url, data?.data?.url);
+  return /^https?:\/\//i.test(url) ? url : null;
+};
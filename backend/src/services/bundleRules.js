@@ -0,0 +1,179 @@
+export const BUNDLE_SOURCES = Object.freeze({
+  LOCAL: 'local',
+  IMPORT: 'import',
+});
+
+const roundMoney = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+
+const optionalDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? NaN : date;
+};
+
+const optionalText = (value) => {
+  const text = String(value ?? '').trim();
+  return text || null;
+};
+
+export const slugifyBundleName = (value) => String(value || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+// Bundle components and cart lines are matched on "<source>:<product id>".
+export const bundleItemKey = (source, productId) => `${source}:${productId}`;
+
+// Cart lines carry isLocal plus either a local_products id or a curated_products
+// id (optionally prefixed with "curated-").
+export const cartItemKey = (item) => (item?.isLocal
+  ? bundleItemKey(BUNDLE_SOURCES.LOCAL, Number.parseInt(item?.id, 10))
+  : bundleItemKey(BUNDLE_SOURCES.IMPORT, Number.parseInt(String(item?.id || '').replace('curated-', ''), 10)));
+
+export const isBundleLive = (bundle, now = new Date()) => {
+  if (!bundle || bundle.isActive === false) return false;
+  if (bundle.startsAt && new Date(bundle.startsAt) > now) return false;
+  if (bundle.endsAt && new Date(bundle.endsAt) <= now) return false;
+  return true;
+};
+
+// Whole bundle sets that can be built from `quantities` (Map of item key -> units).
+export const availableBundleSets = (bundle, quantities) => {
+  const items = bundle?.items || [];
+  if (items.length === 0) return 0;
+  return Math.max(0, Math.min(...items.map((item) => Math.floor(
+    (quantities.get(bundleItemKey(item.source, item.productId)) || 0) / Math.max(1, item.quantity || 1)
+  ))));
+};
+
+// Validates an admin create/update payload. Returns { values, items } with
+// values mapped onto bundles columns, or { error } for a 400.
+export const normalizeBundleInput = (body = {}) => {
+  const name = optionalText(body.name);
+  if (!name) return { error: 'name is required' };
+
+  const slug = slugifyBundleName(body.slug || name);
+  if (!slug) return { error: 'slug must contain letters or numbers' };
+
+  const saving = Number(body.saving);
+  if (!Number.isFinite(saving) || saving <= 0) return { error: 'saving must be an amount greater than 0' };
+
+  const startsAt = optionalDate(body.startsAt ?? body.starts_at);
+  const endsAt = optionalDate(body.endsAt ?? body.ends_at);
+  if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) return { error: 'startsAt and endsAt must be valid dates' };
+  if (startsAt && endsAt && endsAt <= startsAt) return { error: 'endsAt must be after startsAt' };
+
+  const sortOrder = Number(body.sortOrder ?? body.sort_order ?? 0);
+  if (!Number.isInteger(sortOrder)) return { error: 'sortOrder must be a whole number' };
+
+  if (!Array.isArray(body.items) || body.items.length === 0) {
+    return { error: 'items must list the products in the bundle' };
+  }
+
+  const items = [];
+  const seen = new Set();
+  for (const entry of body.items) {
+    const source = String(entry?.source || '').trim().toLowerCase();
+    if (!Object.values(BUNDLE_SOURCES).includes(source)) {
+      return { error: 'Each item source must be "local" or "import"' };
+    }
+    const productId = Number(entry?.productId ?? entry?.product_id);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return { error: 'Each item needs a productId' };
+    }
+    const quantity = Number(entry?.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: 'Item quantities must be whole numbers greater than 0' };
+    }
+    const key = bundleItemKey(source, productId);
+    if (seen.has(key)) return { error: `Product ${key} is listed twice` };
+    seen.add(key);
+    items.push({ source, productId, quantity });
+  }
+  if (items.reduce((sum, item) => sum + item.quantity, 0) < 2) {
+    return { error: 'A bundle needs at least two units' };
+  }
+
+  return {
+    values: {
+      slug,
+      name,
+      eyebrow: optionalText(body.eyebrow),
+      description: optionalText(body.description),
+      saving: roundMoney(saving),
+      starts_at: startsAt,
+      ends_at: endsAt,
+      is_active: body.isActive === undefined && body.is_active === undefined
+        ? true
+        : Boolean(body.isActive ?? body.is_active),
+      sort_order: sortOrder,
+    },
+    items,
+  };
+};
+
+// Validates the bundles the browser says are in the cart against the live
+// bundle definitions. Each set's saving is split over local/import in
+// proportion to its component value so the split child orders carry their share.
+export const calculateBundleDiscount = (bundles = [], selections = [], orderItems = [], { now = new Date() } = {}) => {
+  const quantities = new Map();
+  const unitPrices = new Map();
+  for (const item of Array.isArray(orderItems) ? orderItems : []) {
+    const key = cartItemKey(item);
+    if (key.endsWith(':NaN')) continue;
+    const quantity = Math.max(0, Number(item?.quantity || 0));
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+    if (!unitPrices.has(key)) unitPrices.set(key, Math.max(0, Number(item?.price || 0)));
+  }
+
+  const requestedBySlug = new Map();
+  for (const selection of Array.isArray(selections) ? selections : []) {
+    const slug = String(selection?.id || '');
+    const quantity = Math.max(0, Math.floor(Number(selection?.quantity || 0)));
+    if (!slug || quantity === 0) continue;
+    requestedBySlug.set(slug, (requestedBySlug.get(slug) || 0) + quantity);
+  }
+
+  let localAmount = 0;
+  let importAmount = 0;
+  const validatedSelections = [];
+
+  for (const bundle of bundles) {
+    if (!isBundleLive(bundle, now)) continue;
+    const requestedQuantity = requestedBySlug.get(bundle.slug) || 0;
+    if (requestedQuantity === 0) continue;
+
+    const validQuantity = Math.min(requestedQuantity, availableBundleSets(bundle, quantities));
+    if (validQuantity === 0) continue;
+
+    const valueBySource = { [BUNDLE_SOURCES.LOCAL]: 0, [BUNDLE_SOURCES.IMPORT]: 0 };
+    const unitsBySource = { [BUNDLE_SOURCES.LOCAL]: 0, [BUNDLE_SOURCES.IMPORT]: 0 };
+    for (const item of bundle.items) {
+      const key = bundleItemKey(item.source, item.productId);
+      valueBySource[item.source] += (unitPrices.get(key) || 0) * item.quantity;
+      unitsBySource[item.source] += item.quantity;
+      quantities.set(key, (quantities.get(key) || 0) - validQuantity * item.quantity);
+    }
+
+    const totalValue = valueBySource.local + valueBySource.import;
+    const localShare = totalValue > 0
+      ? valueBySource.local / totalValue
+      : unitsBySource.local / (unitsBySource.local + unitsBySource.import);
+    const saving = roundMoney(Number(bundle.saving || 0) * validQuantity);
+    const bundleLocal = roundMoney(saving * localShare);
+    localAmount += bundleLocal;
+    importAmount += saving - bundleLocal;
+    validatedSelections.push({ id: bundle.slug, quantity: validQuantity });
+  }
+
+  localAmount = roundMoney(localAmount);
+  importAmount = roundMoney(importAmount);
+  return {
+    discount: roundMoney(localAmount + importAmount),
+    localAmount,
+    importAmount,
+    selections: validatedSelections,
+  };
+};
@@ -0,0 +1,144 @@
+import pool from '../db.js';
+import { calculateBundleDiscount as applyBundles, isBundleLive } from './bundleRules.js';
+
+const bundleSelect = `
+  SELECT
+    b.*,
+    COALESCE(
+      json_agg(
+        json_build_object('source', bi.source, 'productId', bi.product_id, 'quantity', bi.quantity)
+        ORDER BY bi.sort_order, bi.id
+      ) FILTER (WHERE bi.id IS NOT NULL),
+      '[]'::json
+    ) AS items
+  FROM bundles b
+  LEFT JOIN bundle_items bi ON bi.bundle_id = b.id
+`;
+
+export const mapBundleRow = (row) => ({
+  id: row.id,
+  slug: row.slug,
+  name: row.name,
+  eyebrow: row.eyebrow,
+  description: row.description,
+  saving: Number(row.saving),
+  startsAt: row.starts_at,
+  endsAt: row.ends_at,
+  isActive: row.is_active,
+  sortOrder: row.sort_order,
+  items: (row.items || []).map((item) => ({
+    source: item.source,
+    productId: Number(item.productId),
+    quantity: Number(item.quantity),
+  })),
+  createdByEmail: row.created_by_email,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+export const listBundles = async ({ activeOnly = false } = {}, client = pool) => {
+  const { rows } = await client.query(
+    `${bundleSelect}
+     ${activeOnly ? 'WHERE b.is_active = TRUE' : ''}
+     GROUP BY b.id
+     ORDER BY b.sort_order, b.id`
+  );
+  return rows.map(mapBundleRow);
+};
+
+// Active bundles inside their start/end window, in storefront order.
+export const listLiveBundles = async (now = new Date()) => {
+  const bundles = await listBundles({ activeOnly: true });
+  return bundles.filter((bundle) => isBundleLive(bundle, now));
+};
+
+export const getBundle = async (id, client = pool) => {
+  const { rows } = await client.query(
+    `${bundleSelect}
+     WHERE b.id = $1
+     GROUP BY b.id`,
+    [id]
+  );
+  return rows[0] ? mapBundleRow(rows[0]) : null;
+};
+
+const BUNDLE_COLUMNS = [
+  'slug',
+  'name',
+  'eyebrow',
+  'description',
+  'saving',
+  'starts_at',
+  'ends_at',
+  'is_active',
+  'sort_order',
+];
+
+// Creates (no id) or updates a bundle and replaces its items in one transaction.
+// Returns null when updating a bundle that does not exist.
+export const saveBundle = async ({ id = null, values, items, actorEmail = null }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const params = BUNDLE_COLUMNS.map((column) => values[column]);
+    let result;
+    if (id) {
+      result = await client.query(
+        `UPDATE bundles
+         SET ${BUNDLE_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+             updated_at = NOW()
+         WHERE id = $${BUNDLE_COLUMNS.length + 1}
+         RETURNING id`,
+        [...params, id]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      await client.query('DELETE FROM bundle_items WHERE bundle_id = $1', [id]);
+    } else {
+      result = await client.query(
+        `INSERT INTO bundles (${BUNDLE_COLUMNS.join(', ')}, created_by_email)
+         VALUES (${BUNDLE_COLUMNS.map((_, index) => `$${index + 1}`).join(', ')}, $${BUNDLE_COLUMNS.length + 1})
+         RETURNING id`,
+        [...params, actorEmail]
+      );
+    }
+
+    const bundleId = result.rows[0].id;
+    for (const [index, item] of items.entries()) {
+      await client.query(
+        `INSERT INTO bundle_items (bundle_id, source, product_id, quantity, sort_order)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [bundleId, item.source, item.productId, item.quantity, index]
+      );
+    }
+
+    const bundle = await getBundle(bundleId, client);
+    await client.query('COMMIT');
+    return bundle;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Checkout: re-validate the bundles the browser claims against the live definitions.
+export const calculateBundleDiscount = async (selections = [], orderItems = []) => {
+  if (!Array.isArray(selections) || selections.length === 0) {
+    return { discount: 0, localAmount: 0, importAmount: 0, selections: [] };
+  }
+  const bundles = await listLiveBundles();
+  return applyBundles(bundles, selections, orderItems);
+};
+
+export default {
+  mapBundleRow,
+  listBundles,
+  listLiveBundles,
+  getBundle,
+  saveBundle,
+  calculateBundleDiscount,
+};
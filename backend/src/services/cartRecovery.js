@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import pool from '../db.js';
+import { sendAbandonedCartEmail } from './emailService.js';
+import { findDiscountCode } from './discountCodes.js';
+import {
+  abandonmentWindow,
+  getCartRecoveryConfig,
+  normaliseEmail,
+  selectRecoveryCarts,
+} from './cartRecoveryRules.js';
+
+export { getCartRecoveryConfig };
+
+// Abandoned cart recovery: one reminder per saved cart, never to anyone who has
+// paid since the cart was last touched or who has unsubscribed.
+
+const base64Url = (value) => Buffer.from(value)
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/g, '');
+
+const getUnsubscribeSecret = () => (
+  process.env.EMAIL_UNSUBSCRIBE_SECRET ||
+  process.env.JWT_SECRET ||
+  process.env.SUPABASE_JWT_SECRET ||
+  'snuggleup-dev-unsubscribe-secret'
+);
+
+export const createUnsubscribeToken = (email) => base64Url(
+  crypto.createHmac('sha256', getUnsubscribeSecret())
+    .update(`cart_recovery|${normaliseEmail(email)}`)
+    .digest()
+    .subarray(0, 16)
+);
+
+export const verifyUnsubscribeToken = (email, token) => {
+  const expected = Buffer.from(createUnsubscribeToken(email));
+  const received = Buffer.from(String(token || '').trim());
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+export const buildUnsubscribeUrl = (email) => {
+  const backendBase = (process.env.BACKEND_URL || 'https://api.snuggleup.co.za').replace(/\/+$/g, '');
+  return `${backendBase}/api/cart/unsubscribe?e=${encodeURIComponent(normaliseEmail(email))}&t=${encodeURIComponent(createUnsubscribeToken(email))}`;
+};
+
+const buildCartUrl = () => {
+  const frontendBase = (
+    process.env.FRONTEND_URL ||
+    process.env.SITE_URL ||
+    'https://snuggleup.co.za'
+  ).replace(/\/+$/g, '');
+  return `${frontendBase}/#/cart`;
+};
+
+export const unsubscribeFromCartRecovery = async (email, source = 'email_link') => {
+  const normalized = normaliseEmail(email);
+  if (!normalized) return false;
+  await pool.query(
+    `INSERT INTO email_unsubscribes (email, list, source)
+     VALUES ($1, 'cart_recovery', $2)
+     ON CONFLICT (email, list) DO NOTHING`,
+    [normalized, source]
+  );
+  return true;
+};
+
+// Saved carts in the abandonment window with what cartRecoveryBlocker() needs
+// to know about each; selectRecoveryCarts() picks who is reminded.
+export const findAbandonedCarts = async (config = getCartRecoveryConfig(), now = new Date()) => {
+  const window = abandonmentWindow(config, now);
+  const { rows } = await pool.query(
+    `SELECT c.id, c.user_id, c.items, c.updated_at, c.customer_email, c.customer_name,
+            EXISTS (
+              SELECT 1 FROM orders o
+              WHERE (o.user_id = c.user_id OR LOWER(o.customer_email) = LOWER(c.customer_email))
+                AND o.status IN ('paid', 'completed')
+                AND o.created_at >= c.updated_at
+            ) AS paid_since_update,
+            EXISTS (
+              SELECT 1 FROM email_unsubscribes u
+              WHERE u.email = LOWER(c.customer_email) AND u.list IN ('cart_recovery', 'all')
+            ) AS unsubscribed,
+            EXISTS (
+              SELECT 1 FROM cart_recovery_emails r
+              WHERE r.user_id = c.user_id AND r.cart_updated_at = c.updated_at
+            ) AS reminded,
+            (
+              SELECT MAX(r.created_at) FROM cart_recovery_emails r
+              WHERE r.customer_email = LOWER(c.customer_email) AND r.status = 'sent'
+            ) AS last_reminder_at
+     FROM carts c
+     WHERE c.updated_at > $1
+       AND c.updated_at <= $2
+       AND jsonb_array_length(c.items) > 0
+       AND COALESCE(c.customer_email, '') <> ''
+     ORDER BY c.updated_at`,
+    [window.from, window.to]
+  );
+  return selectRecoveryCarts(rows, config, now);
+};
+
+// Only offer the configured code while it is still live in discount_codes.
+const resolveDiscountCode = async (code) => {
+  if (!code) return null;
+  const discountCode = await findDiscountCode(code);
+  if (!discountCode || discountCode.is_active === false) return null;
+  if (discountCode.ends_at && new Date(discountCode.ends_at) <= new Date()) return null;
+  return discountCode;
+};
+
+export const runCartRecovery = async ({ dryRun = false } = {}) => {
+  const config = getCartRecoveryConfig();
+  const carts = await findAbandonedCarts(config);
+  const summary = { candidates: carts.length, sent: 0, failed: 0, skipped: 0, dryRun };
+  if (dryRun || carts.length === 0) return summary;
+
+  const discountCode = await resolveDiscountCode(config.discountCode);
+
+  for (const cart of carts) {
+    const email = normaliseEmail(cart.customer_email);
+    // Claim the cart first so overlapping runs cannot both email it
+    const claim = await pool.query(
+      `INSERT INTO cart_recovery_emails (cart_id, user_id, customer_email, cart_updated_at, status, discount_code)
+       VALUES ($1, $2, $3, $4, 'sending', $5)
+       ON CONFLICT (user_id, cart_updated_at) DO NOTHING
+       RETURNING id`,
+      [cart.id, cart.user_id, email, cart.updated_at, discountCode?.code || null]
+    );
+    if (claim.rowCount === 0) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const result = await sendAbandonedCartEmail({
+      to: email,
+      customerName: cart.customer_name,
+      items: Array.isArray(cart.items) ? cart.items : [],
+      cartUrl: buildCartUrl(),
+      discountCode: discountCode?.code || null,
+      discountDescription: discountCode?.description || null,
+      unsubscribeUrl: buildUnsubscribeUrl(email),
+    });
+
+    await pool.query(
+      `UPDATE cart_recovery_emails
+       SET status = $1, message_id = $2, error = $3, sent_at = CASE WHEN $1 = 'sent' THEN NOW() ELSE NULL END
+       WHERE id = $4`,
+      [result.success ? 'sent' : 'failed', result.messageId || null, result.success ? null : result.error, claim.rows[0].id]
+    );
+    if (result.success) summary.sent += 1;
+    else summary.failed += 1;
+  }
+
+  return summary;
+};
+
+export default {
+  getCartRecoveryConfig,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl,
+  unsubscribeFromCartRecovery,
+  findAbandonedCarts,
+  runCartRecovery,
+};
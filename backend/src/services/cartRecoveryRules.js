@@ -0,0 +1,65 @@
+// Abandoned cart reminder rules (services/cartRecovery.js): which saved carts
+// count as abandoned, how often one address is reminded and who is never emailed.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+export const getCartRecoveryConfig = (env = process.env) => ({
+  idleHours: positiveNumber(env.CART_RECOVERY_IDLE_HOURS, 24),
+  maxAgeDays: positiveNumber(env.CART_RECOVERY_MAX_AGE_DAYS, 7),
+  cooldownDays: positiveNumber(env.CART_RECOVERY_COOLDOWN_DAYS, 7),
+  batchLimit: positiveNumber(env.CART_RECOVERY_BATCH_LIMIT, 50),
+  discountCode: String(env.CART_RECOVERY_DISCOUNT_CODE || '').trim() || null,
+});
+
+export const normaliseEmail = (email) => String(email || '').trim().toLowerCase();
+
+// A cart is abandoned once it has sat untouched for idleHours, and is left
+// alone again after maxAgeDays. Carts last touched in [from, to] qualify.
+export const abandonmentWindow = ({ idleHours, maxAgeDays }, now = new Date()) => ({
+  from: new Date(now.getTime() - maxAgeDays * DAY_MS),
+  to: new Date(now.getTime() - idleHours * HOUR_MS),
+});
+
+// Start of the period in which an address that was already reminded gets no other reminder
+export const reminderCooldownStart = ({ cooldownDays }, now = new Date()) => (
+  new Date(now.getTime() - cooldownDays * DAY_MS)
+);
+
+// Why a cart gets no reminder, or null when it should get one. The cart row
+// carries what the query found: paid_since_update (an order paid after the last
+// change), unsubscribed, reminded (this version of the cart was already emailed)
+// and last_reminder_at for the address.
+export const cartRecoveryBlocker = (cart, config, now = new Date()) => {
+  if (!Array.isArray(cart.items) || cart.items.length === 0) return 'empty';
+  if (!normaliseEmail(cart.customer_email)) return 'no_email';
+  const updatedAt = new Date(cart.updated_at);
+  const window = abandonmentWindow(config, now);
+  if (updatedAt > window.to) return 'not_idle';
+  if (updatedAt <= window.from) return 'too_old';
+  if (cart.unsubscribed) return 'unsubscribed';
+  if (cart.paid_since_update) return 'paid_since_update';
+  if (cart.reminded) return 'already_reminded';
+  if (cart.last_reminder_at && new Date(cart.last_reminder_at) > reminderCooldownStart(config, now)) return 'cooldown';
+  return null;
+};
+
+// Carts to remind this run: eligible ones, oldest first, one per address, at most batchLimit
+export const selectRecoveryCarts = (carts, config, now = new Date()) => {
+  const seen = new Set();
+  return carts
+    .filter((cart) => cartRecoveryBlocker(cart, config, now) === null)
+    .sort((a, b) => new Date(a.updated_at) - new Date(b.updated_at))
+    .filter((cart) => {
+      const email = normaliseEmail(cart.customer_email);
+      if (seen.has(email)) return false;
+      seen.add(email);
+      return true;
+    })
+    .slice(0, config.batchLimit);
+};
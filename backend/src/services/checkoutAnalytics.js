@@ -1,5 +1,7 @@
 import pool from '../db.js';
 import { createAnalyticsEventDedupeKey } from './analyticsEventDeduplication.js';
+import { buildConversion } from './conversionExportRules.js';
+import { enqueueConversion, storefrontPageUrl } from './conversionExport.js';
 
 const parseItems = (value) => {
   if (Array.isArray(value)) return value;
@@ -53,7 +55,8 @@ export const recordCheckoutOutcome = async ({
             browser_locale, device_id, utm_source, utm_medium, utm_campaign,
             utm_term, utm_content, gclid, campaign_source, campaign_medium,
             campaign_name, browser_name, device_type, os_name, city_name,
-            region_name, province_name, municipality_name, ad_group
+            region_name, province_name, municipality_name, ad_group,
+            marketing_consent
      FROM storefront_analytics_events
      WHERE visitor_id = $1 AND session_id = $2
        AND traffic_type = 'customer' AND is_internal_traffic = FALSE
@@ -89,11 +92,11 @@ export const recordCheckoutOutcome = async ({
       device_type, os_name, city_name, region_name, province_name,
       municipality_name, ad_group,
       cart_items, cart_value, delivery_cost, delivery_option, interaction_id,
-      order_reference, failure_reason)
+      order_reference, failure_reason, marketing_consent)
      VALUES
      ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,'customer','customer',FALSE,
       $13,$4,$9,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,
-      $31,$32,$33,$34,$35,$36,$37,$38,$39)
+      $31,$32,$33,$34,$35,$36,$37,$38,$39,$40)
      ON CONFLICT (event_dedupe_key)
      WHERE event_dedupe_key IS NOT NULL
      DO NOTHING`,
@@ -111,7 +114,25 @@ export const recordCheckoutOutcome = async ({
       JSON.stringify(items), cartValue, deliveryCost, deliveryOption,
       interactionId, String(orderReference || '').slice(0, 160) || null,
       failureReason ? String(failureReason).slice(0, 160) : null,
+      context.marketing_consent === true,
     ]
   );
+
+  // The first purchase_complete per order is forwarded to ad platforms with the
+  // consent the visitor gave in the storefront (services/conversionExport.js).
+  if (eventName === 'purchase_complete' && result.rowCount > 0) {
+    await enqueueConversion(buildConversion({
+      kind: 'purchase',
+      eventId: `purchase:${orderReference}`,
+      visitorId,
+      sessionId,
+      cartItems: items,
+      value: cartValue,
+      orderReference,
+      gclid: context.gclid,
+      pageUrl: storefrontPageUrl(pagePath),
+      email: firstOrder.customer_email,
+    }), { consent: context.marketing_consent === true });
+  }
   return { recorded: result.rowCount > 0 };
 };
@@ -53,7 +53,7 @@ function setCache(key, data) {
 
 // CJ has a strict QPS limit (often 1 request/second). We'll throttle and retry.
 let lastCJCallAt = 0;
-const CJ_MIN_INTERVAL_MS = 1500; // Increased to 1.5s for better safety margin
+export const CJ_MIN_INTERVAL_MS = 1500; // Increased to 1.5s for better safety margin
 
 async function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
@@ -741,6 +741,23 @@ const cjClient = {
     };
   },
 
+  // 5b. Delete order (DELETE /shopping/order/deleteOrder)
+  // CJ only allows this before the order has been paid for on their side.
+  async deleteOrder(orderId) {
+    const accessToken = await getAccessToken();
+    const url = CJ_BASE_URL + '/shopping/order/deleteOrder';
+    const json = await http('DELETE', url, {
+      query: { orderId },
+      headers: { 'CJ-Access-Token': accessToken },
+    });
+
+    if (!json.result) {
+      throw new Error('CJ deleteOrder failed: ' + (json.message || 'Unknown error'));
+    }
+
+    return { orderId: json.data || orderId };
+  },
+
   // 6. Get tracking info (GET /logistic/trackInfo)
   async getTracking(trackNumber) {
     const accessToken = await getAccessToken();
@@ -0,0 +1,102 @@
+import pool from '../db.js';
+import { cjClient } from './cjClient.js';
+import { syncOrderLifecycle } from './orderLifecycle.js';
+import { notifyTrackingUpdateIfNeeded } from './trackingNotifications.js';
+import { FINAL_CJ_STATUSES, cjOrderChanges } from './cjOrderSyncRules.js';
+import { isCJRateLimitError } from './cjSubmissionRules.js';
+
+// Backfills CJ status and tracking for submitted orders by polling CJ, for when
+// the /api/cj/webhook call never arrived. Orders are checked again once their last
+// check is older than CJ_ORDER_SYNC_STALE_HOURS, until CJ reports them delivered
+// or cancelled.
+
+export const cjOrderSyncEnabled = () => process.env.CJ_ORDER_SYNC_ENABLED === 'true';
+
+const getStaleHours = () => Math.max(1, Number(process.env.CJ_ORDER_SYNC_STALE_HOURS || 12));
+const getMaxAgeDays = () => Math.max(1, Number(process.env.CJ_ORDER_SYNC_MAX_AGE_DAYS || 60));
+
+const markChecked = (orderId) => pool.query(
+  'UPDATE orders SET cj_status_checked_at = CURRENT_TIMESTAMP WHERE id = $1',
+  [orderId]
+);
+
+// Polls CJ for one order row and applies what changed. Returns { changed, changes }.
+export const reconcileCJOrder = async (order) => {
+  const detail = await cjClient.getOrderStatus(order.cj_order_id);
+
+  const trackNumber = detail.trackNumber || order.cj_tracking_number;
+  let tracking = [];
+  if (trackNumber) {
+    try {
+      tracking = await cjClient.getTracking(trackNumber);
+    } catch (error) {
+      if (isCJRateLimitError(error)) throw error;
+      console.warn('[cj-order-sync] tracking lookup failed', { orderNumber: order.order_number, error: error.message });
+    }
+  }
+
+  const changes = cjOrderChanges(order, detail, tracking);
+  if (!changes) {
+    await markChecked(order.id);
+    return { changed: false, changes: null };
+  }
+
+  const { rows: [updatedOrder] } = await pool.query(
+    `UPDATE orders
+     SET cj_status = $1,
+         cj_tracking_number = $2,
+         cj_tracking_url = $3,
+         cj_status_checked_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING *`,
+    [changes.cjStatus, changes.trackingNumber, changes.trackingUrl, order.id]
+  );
+  console.log('[cj-order-sync] order updated from CJ', { orderNumber: order.order_number, ...changes });
+
+  await syncOrderLifecycle(order.id, {
+    actorType: 'cj',
+    source: 'cj_poll',
+    reason: `CJ status ${changes.cjStatus}`,
+  });
+  await notifyTrackingUpdateIfNeeded({ previousOrder: order, updatedOrder, source: 'cj-poll' });
+
+  return { changed: true, changes };
+};
+
+// One reconciler pass. Orders still missing tracking go first, then the ones
+// checked longest ago. Stops early when CJ rate-limits us.
+export const runCJOrderSync = async ({ limit = 25 } = {}) => {
+  const { rows: orders } = await pool.query(
+    `SELECT * FROM orders
+     WHERE cj_order_id IS NOT NULL
+       AND status = 'paid'
+       AND UPPER(COALESCE(cj_status, '')) <> ALL($1::text[])
+       AND COALESCE(cj_submitted_at, created_at) > CURRENT_TIMESTAMP - ($2 * INTERVAL '1 day')
+       AND (cj_status_checked_at IS NULL OR cj_status_checked_at < CURRENT_TIMESTAMP - ($3 * INTERVAL '1 hour'))
+     ORDER BY (COALESCE(cj_tracking_number, '') = '') DESC, cj_status_checked_at NULLS FIRST, id
+     LIMIT $4`,
+    [FINAL_CJ_STATUSES, getMaxAgeDays(), getStaleHours(), limit]
+  );
+
+  const summary = { checked: 0, updated: 0, failed: 0 };
+  for (const order of orders) {
+    try {
+      const result = await reconcileCJOrder(order);
+      summary.checked += 1;
+      if (result.changed) summary.updated += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.warn('[cj-order-sync] order check failed', { orderNumber: order.order_number, error: error.message });
+      if (isCJRateLimitError(error)) break;
+      // Leave it until the next stale window rather than retrying it every pass.
+      await markChecked(order.id).catch(() => {});
+    }
+  }
+  return summary;
+};
+
+export default {
+  reconcileCJOrder,
+  runCJOrderSync,
+};
@@ -0,0 +1,40 @@
+// Reconciling orders with what CJ reports when a webhook never arrived
+// (services/cjOrderSync.js).
+
+// CJ order statuses after which there is nothing left to poll for.
+export const FINAL_CJ_STATUSES = ['DELIVERED', 'CANCELLED'];
+
+const text = (value) => String(value ?? '').trim();
+
+// trackInfo statuses are the carrier's own free text ("Delivered", "Undelivered").
+const trackingSaysDelivered = (tracking = []) => (Array.isArray(tracking) ? tracking : [])
+  .some((track) => /\bdelivered\b/i.test(track?.trackingStatus || '') && !/\b(un|not )delivered\b/i.test(track?.trackingStatus || ''));
+
+// Compares CJ's order detail (getOrderStatus) and tracking (getTracking) with the
+// order row. Returns { cjStatus, trackingNumber, trackingUrl } to write, or null
+// when nothing changed. Never clears a value CJ has stopped returning, and never
+// moves an order out of a final status.
+export const cjOrderChanges = (order = {}, detail = {}, tracking = []) => {
+  const current = {
+    cjStatus: text(order.cj_status).toUpperCase() || null,
+    trackingNumber: text(order.cj_tracking_number) || null,
+    trackingUrl: text(order.cj_tracking_url) || null,
+  };
+  if (FINAL_CJ_STATUSES.includes(current.cjStatus)) return null;
+
+  const trackingNumber = text(detail?.trackNumber) || current.trackingNumber;
+  const trackingUrl = text(detail?.trackingUrl) || current.trackingUrl;
+  let cjStatus = text(detail?.orderStatus).toUpperCase() || current.cjStatus;
+
+  if (cjStatus !== 'CANCELLED' && trackingNumber) {
+    if (trackingSaysDelivered(tracking)) {
+      cjStatus = 'DELIVERED';
+    } else if (cjStatus !== 'DELIVERED') {
+      // Same as the logistics webhook: a tracking number means the parcel shipped.
+      cjStatus = 'SHIPPED';
+    }
+  }
+
+  const next = { cjStatus, trackingNumber, trackingUrl };
+  return Object.keys(next).some((key) => next[key] !== current[key]) ? next : null;
+};
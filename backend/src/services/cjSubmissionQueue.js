@@ -0,0 +1,378 @@
+import pool from '../db.js';
+import { cjClient, CJ_MIN_INTERVAL_MS } from './cjClient.js';
+import { syncOrderLifecycle } from './orderLifecycle.js';
+import { buildCJOrderData, getOrderById, updateOrderCJInfo } from '../routes/orders.js';
+import {
+  PERMANENT_SUBMISSION_REASONS,
+  classifyCJSubmissionError,
+  jobStatusAfterFailure,
+  nextRetryDelayMs,
+} from './cjSubmissionRules.js';
+
+// Paid -IMPORT orders are submitted to CJ through cj_submission_jobs: one job per
+// order, retried with backoff until CJ accepts it or the attempts run out and the
+// job is dead-lettered for an admin to look at.
+
+// In-memory store for recent CJ submissions (for debugging)
+const recentCJSubmissions = [];
+const MAX_STORED_SUBMISSIONS = 20;
+
+function storeCJSubmission(orderNumber, request, response, error = null) {
+  recentCJSubmissions.unshift({
+    timestamp: new Date().toISOString(),
+    orderNumber,
+    request,
+    response,
+    error,
+    url: 'https://developers.cjdropshipping.com/api2.0/v1/shopping/order/createOrderV2'
+  });
+  if (recentCJSubmissions.length > MAX_STORED_SUBMISSIONS) {
+    recentCJSubmissions.pop();
+  }
+}
+
+export const getRecentCJSubmissions = () => recentCJSubmissions;
+
+// Jobs left running this long belong to a worker that died mid-attempt.
+const STALE_RUNNING_MINUTES = 15;
+
+export const cjSubmissionQueueEnabled = () => process.env.CJ_SUBMISSION_QUEUE_ENABLED === 'true';
+
+const getMaxAttempts = () => Math.max(1, Math.floor(Number(process.env.CJ_SUBMISSION_MAX_ATTEMPTS || 6)));
+const getRetryBaseMs = () => Math.max(1, Number(process.env.CJ_SUBMISSION_RETRY_BASE_SECONDS || 60)) * 1000;
+const getRetryMaxMs = () => Math.max(1, Number(process.env.CJ_SUBMISSION_RETRY_MAX_MINUTES || 360)) * 60 * 1000;
+
+// Validate/adjust logistic line based on CJ freight availability to ZA
+const adjustLogisticLine = async (order, cjOrderData) => {
+  try {
+    const postalCode = order.shipping_postal_code || '2196';
+    const perProductOptions = [];
+    for (const p of cjOrderData.products) {
+      try {
+        const opts = await cjClient.getFreightQuote({
+          startCountryCode: 'CN',
+          endCountryCode: 'ZA',
+          postalCode,
+          products: [{ vid: p.vid, quantity: p.quantity || 1 }]
+        });
+        perProductOptions.push(new Set((opts || []).map(o => o.logisticName)));
+      } catch (fqErr) {
+        perProductOptions.push(new Set());
+        console.warn(`[cj-submission] Freight options lookup failed for vid ${p.vid}:`, fqErr.message);
+      }
+    }
+    // Compute intersection of logistic names across all products
+    let intersection = null;
+    for (const s of perProductOptions) {
+      if (intersection === null) {
+        intersection = new Set(s);
+      } else {
+        intersection = new Set([...intersection].filter(x => s.has(x)));
+      }
+    }
+    const commonOptions = intersection ? [...intersection] : [];
+    if (commonOptions.length === 0) {
+      console.warn('[cj-submission] No common logistic line across products to ZA. CJ may reject order.');
+    } else if (!commonOptions.includes(cjOrderData.logisticName)) {
+      const fallback = commonOptions[0];
+      console.log(`[cj-submission] Adjusting logisticName from ${cjOrderData.logisticName} to ${fallback} based on CJ availability`);
+      cjOrderData.logisticName = fallback;
+    }
+  } catch (adjustErr) {
+    console.warn('[cj-submission] Logistic line adjustment skipped due to error:', adjustErr.message);
+  }
+};
+
+// Submits one paid order to CJ and records the CJ order on it. Returns
+// { submitted: true, cjOrderId, cjOrderNumber, order } or, when the order cannot be
+// submitted as it stands, { submitted: false, reason, error }. CJ and network
+// failures throw.
+export const submitOrderToCJ = async (orderId, event = {}) => {
+  const order = await getOrderById(orderId);
+  if (!order) {
+    return { submitted: false, reason: 'not_found', error: 'Order not found' };
+  }
+  if (order.status !== 'paid') {
+    return { submitted: false, reason: 'not_paid', error: `Order status is ${order.status}, must be paid to submit to CJ` };
+  }
+  if (order.cj_order_id) {
+    return {
+      submitted: false,
+      reason: 'already_submitted',
+      error: 'Order already submitted to CJ',
+      cjOrderId: order.cj_order_id,
+      cjOrderNumber: order.cj_order_number,
+    };
+  }
+
+  const cjOrderData = buildCJOrderData(order);
+  if (!cjOrderData.products || cjOrderData.products.length === 0) {
+    return { submitted: false, reason: 'no_cj_products', error: 'No CJ products found in order. Cart items must have cj_vid.' };
+  }
+
+  await adjustLogisticLine(order, cjOrderData);
+
+  console.log(`[cj-submission] Submitting order ${order.order_number} to CJ with data:`, JSON.stringify(cjOrderData, null, 2));
+
+  let cjResponse;
+  try {
+    cjResponse = await cjClient.createOrder(cjOrderData);
+    storeCJSubmission(order.order_number, cjOrderData, cjResponse);
+  } catch (cjError) {
+    storeCJSubmission(order.order_number, cjOrderData, cjError.response || null, cjError.message);
+
+    // IMPORTANT: CJ API may create the order even if it returns an error
+    // (e.g. "Balance is insufficient"). If the CJ webhook has recorded it on our
+    // order in the meantime, treat it as submitted.
+    console.warn(`[cj-submission] CJ order creation threw error: ${cjError.message}`);
+    const current = await getOrderById(orderId).catch(() => null);
+    if (current?.cj_order_id) {
+      console.log(`[cj-submission] ✓ Despite error, order ${current.order_number} was created on CJ. CJ Order ID: ${current.cj_order_id}`);
+      return {
+        submitted: true,
+        cjOrderId: current.cj_order_id,
+        cjOrderNumber: current.cj_order_number,
+        order: current,
+        note: 'Order was created despite initial error response',
+      };
+    }
+    throw cjError;
+  }
+
+  const cjOrderId = cjResponse?.orderId;
+  const cjOrderNumber = cjResponse?.orderNumber || cjResponse?.orderNum;
+  if (!cjOrderId) {
+    console.error('[cj-submission] CJ order creation returned no orderId:', cjResponse);
+    return {
+      submitted: false,
+      reason: 'missing_order_id',
+      error: 'CJ order creation failed',
+      details: 'Missing orderId from CJ',
+      cjResponse,
+    };
+  }
+
+  await updateOrderCJInfo(order.id, cjOrderId, cjOrderNumber, 'SUBMITTED', event);
+  console.log(`[cj-submission] ✓ Order ${order.order_number} submitted to CJ. CJ Order ID: ${cjOrderId}, CJ Order #: ${cjOrderNumber}`);
+
+  return { submitted: true, cjOrderId, cjOrderNumber, order };
+};
+
+// Queues a paid order for submission. PayFast resends IPNs, so an existing job
+// for the order is left as it is. Returns the new job or null.
+export const enqueueCJSubmission = async (orderId) => {
+  const { rows } = await pool.query(
+    `INSERT INTO cj_submission_jobs (order_id, max_attempts)
+     VALUES ($1, $2)
+     ON CONFLICT (order_id) DO NOTHING
+     RETURNING *`,
+    [orderId, getMaxAttempts()]
+  );
+  return rows[0] || null;
+};
+
+// Takes a job for one attempt: queued and due (or forced), or running but
+// abandoned. The conditional UPDATE is the lock, so two workers never share a job.
+const claimJob = async (jobId, { force = false } = {}) => {
+  const { rows } = await pool.query(
+    `UPDATE cj_submission_jobs
+     SET status = 'running',
+         attempts = attempts + 1,
+         locked_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+       AND (
+         (status = 'queued' AND ($2 OR next_attempt_at <= CURRENT_TIMESTAMP))
+         OR (status = 'running' AND locked_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_RUNNING_MINUTES} minutes')
+       )
+     RETURNING *`,
+    [jobId, force]
+  );
+  return rows[0] || null;
+};
+
+// Runs one attempt for a job and records the outcome on it. Returns
+// { job, result, error, kind }, or { busy: true } when the job was not claimable.
+export const processCJSubmissionJob = async (jobId, { force = false, actorEmail = null } = {}) => {
+  const job = await claimJob(jobId, { force });
+  if (!job) return { busy: true };
+
+  const event = actorEmail
+    ? { actorType: 'admin', actorEmail, source: 'cj_submission' }
+    : { actorType: 'system', source: 'cj_submission_queue' };
+
+  let result = null;
+  let error = null;
+  try {
+    result = await submitOrderToCJ(job.order_id, event);
+  } catch (submitError) {
+    error = submitError;
+  }
+
+  if (result?.submitted || result?.reason === 'already_submitted') {
+    const { rows: [updated] } = await pool.query(
+      `UPDATE cj_submission_jobs
+       SET status = 'succeeded',
+           cj_order_id = $2,
+           last_error = NULL,
+           last_error_kind = NULL,
+           locked_at = NULL,
+           completed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [job.id, result.cjOrderId || null]
+    );
+    return { job: updated, result };
+  }
+
+  const kind = error
+    ? classifyCJSubmissionError(error)
+    : (PERMANENT_SUBMISSION_REASONS.includes(result.reason) ? 'permanent' : 'transient');
+  const message = error ? error.message : result.error;
+  const status = jobStatusAfterFailure({ attempts: job.attempts, maxAttempts: job.max_attempts, kind });
+  const delayMs = nextRetryDelayMs(job.attempts, {
+    kind,
+    baseMs: getRetryBaseMs(),
+    maxMs: getRetryMaxMs(),
+    minIntervalMs: CJ_MIN_INTERVAL_MS,
+  });
+
+  const { rows: [updated] } = await pool.query(
+    `UPDATE cj_submission_jobs
+     SET status = $2,
+         last_error = $3,
+         last_error_kind = $4,
+         next_attempt_at = CURRENT_TIMESTAMP + ($5 * INTERVAL '1 millisecond'),
+         locked_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [job.id, status, String(message || 'Unknown error').slice(0, 1000), kind, status === 'dead' ? 0 : delayMs]
+  );
+
+  if (status === 'dead') {
+    console.warn('[cj-submission] job dead-lettered', { jobId: job.id, orderId: job.order_id, attempts: job.attempts, error: message });
+    await syncOrderLifecycle(job.order_id, {
+      source: 'cj_submission_queue',
+      eventType: 'cj_submission_dead',
+      reason: message,
+      details: { jobId: job.id, attempts: job.attempts, kind },
+    }).catch((syncError) => console.warn('[cj-submission] could not record dead-letter event:', syncError.message));
+  } else {
+    console.warn('[cj-submission] attempt failed, will retry', { jobId: job.id, orderId: job.order_id, attempts: job.attempts, kind, retryInMs: delayMs });
+  }
+
+  return { job: updated, result, error, kind };
+};
+
+// Manual submission from the admin order screen. Orders that can be submitted get
+// a job (reset to a fresh start if one exists) which is run straight away, so a
+// failure here is retried by the worker like any other.
+export const submitOrderToCJNow = async (orderId, { actorEmail = null } = {}) => {
+  const order = await getOrderById(orderId);
+  if (!order || order.status !== 'paid' || order.cj_order_id) {
+    return { result: await submitOrderToCJ(orderId) };
+  }
+
+  const { rows: [job] } = await pool.query(
+    `INSERT INTO cj_submission_jobs (order_id, max_attempts)
+     VALUES ($1, $2)
+     ON CONFLICT (order_id) DO UPDATE
+       SET status = 'queued',
+           attempts = 0,
+           max_attempts = EXCLUDED.max_attempts,
+           next_attempt_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE cj_submission_jobs.status <> 'running'
+     RETURNING *`,
+    [order.id, getMaxAttempts()]
+  );
+  if (!job) return { busy: true };
+  return processCJSubmissionJob(job.id, { force: true, actorEmail });
+};
+
+// Manual retry from the queue view: a queued or dead job starts over with a
+// full set of attempts and runs now. Returns the processCJSubmissionJob() outcome
+// or { reason, error }.
+export const retryCJSubmissionJob = async (jobId, { actorEmail = null } = {}) => {
+  const { rows: [existing] } = await pool.query('SELECT * FROM cj_submission_jobs WHERE id = $1', [jobId]);
+  if (!existing) return { reason: 'not_found', error: 'Submission job not found' };
+  if (existing.status === 'succeeded') {
+    return { reason: 'already_succeeded', error: 'Order already submitted to CJ' };
+  }
+  if (existing.status === 'cancelled') {
+    return { reason: 'order_cancelled', error: 'Order was cancelled before it reached CJ' };
+  }
+
+  const { rows: [job] } = await pool.query(
+    `UPDATE cj_submission_jobs
+     SET status = 'queued',
+         attempts = 0,
+         max_attempts = $2,
+         next_attempt_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status IN ('queued', 'dead')
+     RETURNING *`,
+    [jobId, getMaxAttempts()]
+  );
+  if (!job) return { reason: 'busy', error: 'This submission is already running' };
+  return processCJSubmissionJob(job.id, { force: true, actorEmail });
+};
+
+// Worker pass: due jobs oldest first, one at a time so cjClient's throttle holds.
+// Stops early when CJ rate-limits us; the rest wait for the next pass.
+export const runCJSubmissionQueue = async ({ limit = 10 } = {}) => {
+  const { rows } = await pool.query(
+    `SELECT id FROM cj_submission_jobs
+     WHERE (status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP)
+        OR (status = 'running' AND locked_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_RUNNING_MINUTES} minutes')
+     ORDER BY next_attempt_at, id
+     LIMIT $1`,
+    [limit]
+  );
+
+  const summary = { processed: 0, succeeded: 0, retrying: 0, dead: 0 };
+  for (const { id } of rows) {
+    const outcome = await processCJSubmissionJob(id);
+    if (outcome.busy) continue;
+    summary.processed += 1;
+    if (outcome.job.status === 'succeeded') summary.succeeded += 1;
+    else if (outcome.job.status === 'dead') summary.dead += 1;
+    else summary.retrying += 1;
+    if (outcome.kind === 'rate_limited') break;
+  }
+  return summary;
+};
+
+export const listCJSubmissionJobs = async ({ status = null, limit = 50 } = {}) => {
+  const { rows: jobs } = await pool.query(
+    `SELECT j.*, o.order_number, o.status AS order_status, o.customer_email, o.total
+     FROM cj_submission_jobs j
+     JOIN orders o ON o.id = j.order_id
+     WHERE ($1::text IS NULL OR j.status = $1)
+     ORDER BY
+       CASE j.status WHEN 'dead' THEN 0 WHEN 'running' THEN 1 WHEN 'queued' THEN 2 ELSE 3 END,
+       j.updated_at DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+  const { rows: counts } = await pool.query(
+    'SELECT status, COUNT(*)::int AS count FROM cj_submission_jobs GROUP BY status'
+  );
+  return {
+    jobs,
+    counts: Object.fromEntries(counts.map((row) => [row.status, row.count])),
+  };
+};
+
+export default {
+  getRecentCJSubmissions,
+  submitOrderToCJ,
+  submitOrderToCJNow,
+  enqueueCJSubmission,
+  processCJSubmissionJob,
+  retryCJSubmissionJob,
+  runCJSubmissionQueue,
+  listCJSubmissionJobs,
+};
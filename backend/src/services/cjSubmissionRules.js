@@ -0,0 +1,43 @@
+// Retry policy for the CJ order submission queue (services/cjSubmissionQueue.js).
+export const CJ_SUBMISSION_JOB_STATUSES = ['queued', 'running', 'succeeded', 'dead', 'cancelled'];
+
+// Submission outcomes that no retry can fix until someone edits the order.
+export const PERMANENT_SUBMISSION_REASONS = ['not_found', 'not_paid', 'no_cj_products'];
+
+// Same test cjClient's http() uses before its own short in-request retries.
+export const isCJRateLimitError = (error) => (
+  error?.status === 429
+  || error?.response?.code === 1600200
+  || /Too Many Requests|QPS limit/i.test(`${error?.response?.message || ''} ${error?.message || ''}`)
+);
+
+// createOrder() throws "<field> is required" before calling CJ when the payload
+// built from the order is incomplete; retrying sends the same payload again.
+const isPayloadError = (error) => /\bis required$/.test(String(error?.message || ''));
+
+export const classifyCJSubmissionError = (error) => {
+  if (isCJRateLimitError(error)) return 'rate_limited';
+  if (isPayloadError(error)) return 'permanent';
+  return 'transient';
+};
+
+// Exponential backoff from baseMs, capped at maxMs. The base never drops below
+// cjClient's throttle interval, and rate-limited attempts wait twice as long
+// because http() has already spent its own retries by the time we see them.
+export const nextRetryDelayMs = (attempt, {
+  kind = 'transient',
+  baseMs = 60 * 1000,
+  maxMs = 6 * 60 * 60 * 1000,
+  minIntervalMs = 0,
+} = {}) => {
+  const base = Math.max(Number(baseMs) || 0, Number(minIntervalMs) || 0, 1);
+  const exponent = Math.max(Math.floor(Number(attempt) || 1), 1) - 1;
+  const delay = base * (2 ** exponent) * (kind === 'rate_limited' ? 2 : 1);
+  return Math.min(delay, Math.max(Number(maxMs) || 0, base));
+};
+
+// What a failed attempt leaves the job as: queued for another try, or dead.
+export const jobStatusAfterFailure = ({ attempts, maxAttempts, kind }) => {
+  if (kind === 'permanent') return 'dead';
+  return Number(attempts) >= Number(maxAttempts) ? 'dead' : 'queued';
+};
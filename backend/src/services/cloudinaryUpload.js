@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+
+// Signed direct uploads: the browser posts the file straight to Cloudinary with
+// a short-lived signature, so large payloads never pass through the backend.
+
+export const CLOUDINARY_REQUIRED_ENV = ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'];
+
+export const getCloudinaryCloudName = () => process.env.CLOUDINARY_CLOUD_NAME || '';
+
+// Returns { signature, timestamp, folder, cloudName, apiKey }, or null when the
+// Cloudinary env is not configured. folder is namespaced under snuggleup/.
+export const createUploadSignature = (rawFolder = 'uploads') => {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  const apiKey = process.env.CLOUDINARY_API_KEY;
+  const apiSecret = process.env.CLOUDINARY_API_SECRET;
+  if (!cloudName || !apiKey || !apiSecret) return null;
+
+  const folder = `snuggleup/${rawFolder}`;
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  // Cloudinary signature is sha1 of the param string + secret.
+  // Only sign what Cloudinary expects: sorted params.
+  const toSign = `folder=${folder}&timestamp=${timestamp}`;
+  const signature = crypto
+    .createHash('sha1')
+    .update(toSign + apiSecret)
+    .digest('hex');
+
+  return { signature, timestamp, folder, cloudName, apiKey };
+};
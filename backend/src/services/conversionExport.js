@@ -0,0 +1,279 @@
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+import pool from '../db.js';
+import {
+  CONVERSION_DESTINATIONS,
+  buildGa4Request,
+  buildMetaRequest,
+  exportRetryDelayMs,
+  exportStatusAfterFailure,
+  redactRequestUrl,
+} from './conversionExportRules.js';
+
+// Forwards qualified storefront conversions (purchases and add-to-carts from
+// visitors who gave marketing consent) to GA4 and Meta. Each destination gets
+// its own row in conversion_exports so one failing endpoint never holds up the
+// other; the worker retries with backoff. With CONVERSION_EXPORT_DRY_RUN=true
+// nothing is sent and every request is appended to CONVERSION_EXPORT_LOG.
+
+const STALE_SENDING_MINUTES = 10;
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+export const conversionExportEnabled = () => process.env.CONVERSION_EXPORT_ENABLED === 'true';
+export const conversionExportDryRun = () => process.env.CONVERSION_EXPORT_DRY_RUN === 'true';
+export const conversionConsentRequired = () => process.env.CONVERSION_EXPORT_REQUIRE_CONSENT !== 'false';
+
+const getLogPath = () => process.env.CONVERSION_EXPORT_LOG || path.resolve(process.cwd(), 'logs', 'conversion-exports.ndjson');
+const getMaxAttempts = () => positiveNumber(process.env.CONVERSION_EXPORT_MAX_ATTEMPTS, 6);
+const getTimeoutMs = () => positiveNumber(process.env.CONVERSION_EXPORT_TIMEOUT_MS, 10000);
+
+// Storefront routes are hash-based; page_path holds the route without the query.
+export const storefrontPageUrl = (pagePath = '/') => {
+  const frontendBase = (
+    process.env.FRONTEND_URL ||
+    process.env.SITE_URL ||
+    'https://snuggleup.co.za'
+  ).replace(/\/+$/g, '');
+  return `${frontendBase}/#${pagePath || '/'}`;
+};
+
+// Destination adapters. A new destination needs an entry here and a request
+// builder in conversionExportRules.js.
+const DESTINATIONS = {
+  ga4: {
+    config: () => ({
+      measurementId: process.env.GA4_MEASUREMENT_ID || '',
+      apiSecret: process.env.GA4_API_SECRET || '',
+      endpoint: process.env.GA4_MP_ENDPOINT || 'https://www.google-analytics.com/mp/collect',
+    }),
+    configured: (config) => Boolean(config.measurementId && config.apiSecret),
+    buildRequest: buildGa4Request,
+  },
+  meta: {
+    config: () => ({
+      pixelId: process.env.META_PIXEL_ID || '',
+      accessToken: process.env.META_CAPI_ACCESS_TOKEN || '',
+      endpoint: (process.env.META_CAPI_ENDPOINT || 'https://graph.facebook.com/v19.0').replace(/\/+$/g, ''),
+      testEventCode: process.env.META_TEST_EVENT_CODE || null,
+    }),
+    configured: (config) => Boolean(config.pixelId && config.accessToken),
+    buildRequest: buildMetaRequest,
+  },
+};
+
+// Destinations listed in CONVERSION_EXPORT_DESTINATIONS that have credentials.
+// Dry runs include unconfigured ones so payloads can be checked before keys exist.
+export const activeConversionDestinations = () => {
+  const listed = String(process.env.CONVERSION_EXPORT_DESTINATIONS || CONVERSION_DESTINATIONS.join(','))
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => CONVERSION_DESTINATIONS.includes(name));
+  return [...new Set(listed)].filter((name) => (
+    conversionExportDryRun() || DESTINATIONS[name].configured(DESTINATIONS[name].config())
+  ));
+};
+
+// Queues a conversion from conversionExportRules.buildConversion() for every
+// active destination. Repeats of the same event are ignored. Never throws.
+export const enqueueConversion = async (conversion, { consent = false } = {}) => {
+  if (!conversionExportEnabled() || !conversion) return { queued: 0 };
+  if (conversionConsentRequired() && !consent) return { queued: 0, reason: 'no_consent' };
+
+  try {
+    let queued = 0;
+    for (const destination of activeConversionDestinations()) {
+      const result = await pool.query(
+        `INSERT INTO conversion_exports (destination, event_id, kind, conversion, max_attempts)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (destination, event_id) DO NOTHING`,
+        [destination, conversion.eventId, conversion.kind, JSON.stringify(conversion), getMaxAttempts()]
+      );
+      queued += result.rowCount;
+    }
+    return { queued };
+  } catch (error) {
+    console.error('[conversion-export] could not queue conversion:', error.message);
+    return { queued: 0, reason: 'error' };
+  }
+};
+
+const appendDryRunLog = async (entry) => {
+  const logPath = getLogPath();
+  await fs.promises.mkdir(path.dirname(logPath), { recursive: true });
+  await fs.promises.appendFile(logPath, `${JSON.stringify(entry)}\n`);
+};
+
+const sendRequest = async ({ url, body }) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), getTimeoutMs());
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    const text = await response.text();
+    return { httpStatus: response.status, ok: response.ok, response: text.slice(0, 500) };
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+// Takes due rows for one attempt each; SKIP LOCKED keeps overlapping workers apart.
+const claimDueExports = async (limit) => {
+  const { rows } = await pool.query(
+    `UPDATE conversion_exports
+     SET status = 'sending', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM conversion_exports
+       WHERE (status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP)
+          OR (status = 'sending' AND locked_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_SENDING_MINUTES} minutes')
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+  return rows;
+};
+
+const finishExport = (id, { status, httpStatus = null, response = null, error = null, delayMs = 0 }) => pool.query(
+  `UPDATE conversion_exports
+   SET status = $2,
+       response_status = $3,
+       response_body = $4,
+       last_error = $5,
+       next_attempt_at = CURRENT_TIMESTAMP + ($6 * INTERVAL '1 millisecond'),
+       sent_at = CASE WHEN $2 IN ('sent', 'dry_run') THEN CURRENT_TIMESTAMP ELSE sent_at END,
+       locked_at = NULL,
+       updated_at = CURRENT_TIMESTAMP
+   WHERE id = $1`,
+  [id, status, httpStatus, response, error ? String(error).slice(0, 1000) : null, delayMs]
+);
+
+// A failed attempt is queued again with backoff until max_attempts, then dead.
+const failExport = async (row, { httpStatus = null, response = null, error }) => {
+  const status = exportStatusAfterFailure({
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    httpStatus,
+  });
+  await finishExport(row.id, {
+    status,
+    httpStatus,
+    response,
+    error,
+    delayMs: status === 'queued' ? exportRetryDelayMs(row.attempts) : 0,
+  });
+  console.warn('[conversion-export] delivery failed', { id: row.id, destination: row.destination, attempts: row.attempts, status, error });
+  return status === 'dead' ? 'dead' : 'retrying';
+};
+
+// Anything that throws (a bad stored conversion, an unwritable dry-run log, the
+// request itself) is a failed attempt, so the row never sticks in 'sending'.
+const processExport = async (row, { dryRun }) => {
+  try {
+    const adapter = DESTINATIONS[row.destination];
+    if (!adapter) {
+      await finishExport(row.id, { status: 'dead', error: `Unknown destination ${row.destination}` });
+      return 'dead';
+    }
+    const request = adapter.buildRequest(row.conversion, adapter.config());
+
+    if (dryRun) {
+      await appendDryRunLog({
+        at: new Date().toISOString(),
+        destination: row.destination,
+        eventId: row.event_id,
+        url: redactRequestUrl(request.url),
+        body: request.body,
+      });
+      await finishExport(row.id, { status: 'dry_run' });
+      return 'dry_run';
+    }
+
+    const outcome = await sendRequest(request);
+    if (outcome.ok) {
+      await finishExport(row.id, { status: 'sent', httpStatus: outcome.httpStatus, response: outcome.response });
+      return 'sent';
+    }
+    return failExport(row, {
+      httpStatus: outcome.httpStatus,
+      response: outcome.response || null,
+      error: `HTTP ${outcome.httpStatus}`,
+    });
+  } catch (error) {
+    return failExport(row, { error: error.name === 'AbortError' ? 'Request timed out' : error.message });
+  }
+};
+
+export const runConversionExports = async ({ limit = 50 } = {}) => {
+  const dryRun = conversionExportDryRun();
+  const rows = await claimDueExports(limit);
+  const summary = { processed: 0, sent: 0, dryRun: 0, retrying: 0, dead: 0 };
+  for (const row of rows) {
+    // If even the failure write throws, the stale-sending sweep picks the row up later.
+    const result = await processExport(row, { dryRun }).catch((error) => {
+      console.error('[conversion-export] could not record attempt:', { id: row.id, error: error.message });
+      return 'retrying';
+    });
+    summary.processed += 1;
+    if (result === 'sent') summary.sent += 1;
+    else if (result === 'dry_run') summary.dryRun += 1;
+    else if (result === 'dead') summary.dead += 1;
+    else summary.retrying += 1;
+  }
+  return summary;
+};
+
+export const listConversionExports = async ({ status = null, destination = null, limit = 50 } = {}) => {
+  const [{ rows: exports }, { rows: counts }] = await Promise.all([
+    pool.query(
+      `SELECT id, destination, event_id, kind, conversion, status, attempts, max_attempts,
+              next_attempt_at, response_status, last_error, sent_at, created_at, updated_at
+       FROM conversion_exports
+       WHERE ($1::text IS NULL OR status = $1)
+         AND ($2::text IS NULL OR destination = $2)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3`,
+      [status, destination, limit]
+    ),
+    pool.query(
+      `SELECT destination, status, COUNT(*)::int AS count
+       FROM conversion_exports
+       GROUP BY destination, status`
+    ),
+  ]);
+  return { exports, counts };
+};
+
+// Manual retry: a dead or queued export starts over and is due now.
+export const retryConversionExport = async (id) => {
+  const { rows } = await pool.query(
+    `UPDATE conversion_exports
+     SET status = 'queued', attempts = 0, max_attempts = $2, next_attempt_at = CURRENT_TIMESTAMP,
+         last_error = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status IN ('dead', 'queued')
+     RETURNING id, destination, event_id, status`,
+    [id, getMaxAttempts()]
+  );
+  if (rows[0]) return { export: rows[0] };
+  const { rows: existing } = await pool.query('SELECT status FROM conversion_exports WHERE id = $1', [id]);
+  if (!existing[0]) return { reason: 'not_found', error: 'Conversion export not found' };
+  return { reason: 'not_retryable', error: `Export is ${existing[0].status}` };
+};
+
+export default {
+  activeConversionDestinations,
+  enqueueConversion,
+  runConversionExports,
+  listConversionExports,
+  retryConversionExport,
+};
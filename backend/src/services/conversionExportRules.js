@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+
+// Server-side conversion forwarding (services/conversionExport.js): the
+// conversion record we queue, and the GA4 Measurement Protocol and Meta
+// Conversions API requests built from it. Queued conversions only ever hold
+// hashed identifiers, never a raw email address.
+
+export const CONVERSION_KINDS = ['purchase', 'add_to_cart'];
+export const CONVERSION_DESTINATIONS = ['ga4', 'meta'];
+export const CONVERSION_EXPORT_STATUSES = ['queued', 'sending', 'sent', 'dry_run', 'dead'];
+export const CONVERSION_CURRENCY = 'ZAR';
+
+const money = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null;
+};
+
+// The storefront sends its consent banner state with each event.
+export const normalizeConsent = (value) => (
+  value === true || ['true', 'granted', 'yes', '1'].includes(String(value ?? '').trim().toLowerCase())
+);
+
+// SHA-256 hex of the trimmed, lower-cased value, as both GA4 and Meta expect.
+export const hashIdentifier = (value) => {
+  const normalized = String(value ?? '').trim().toLowerCase();
+  return normalized ? crypto.createHash('sha256').update(normalized).digest('hex') : null;
+};
+
+// Analytics cart_items ({ productId, productName, productCategory, quantity,
+// unitPrice, lineTotal }) -> conversion items
+export const conversionItems = (cartItems = []) => (Array.isArray(cartItems) ? cartItems : [])
+  .filter((item) => item?.productId)
+  .map((item) => {
+    const quantity = Math.max(1, Number.parseInt(item.quantity, 10) || 1);
+    const price = money(item.unitPrice) ?? (money(item.lineTotal) !== null ? money(item.lineTotal / quantity) : null);
+    return {
+      id: String(item.productId),
+      name: item.productName || null,
+      category: item.productCategory || null,
+      price,
+      quantity,
+    };
+  });
+
+// Returns the conversion to queue, or null when it does not qualify.
+export const buildConversion = ({
+  kind,
+  eventId,
+  visitorId,
+  sessionId = null,
+  occurredAt = new Date(),
+  cartItems = [],
+  value = null,
+  orderReference = null,
+  gclid = null,
+  pageUrl = null,
+  email = null,
+}) => {
+  if (!CONVERSION_KINDS.includes(kind) || !eventId || !visitorId) return null;
+  const items = conversionItems(cartItems);
+  const itemsValue = items.reduce((sum, item) => sum + (item.price ?? 0) * item.quantity, 0);
+  const total = money(value) ?? (items.length > 0 ? money(itemsValue) : null);
+  if (kind === 'purchase' && (!orderReference || !total)) return null;
+
+  return {
+    kind,
+    eventId: String(eventId),
+    clientId: String(visitorId),
+    sessionId: sessionId ? String(sessionId) : null,
+    occurredAt: new Date(occurredAt).toISOString(),
+    currency: CONVERSION_CURRENCY,
+    value: total,
+    items,
+    transactionId: orderReference ? String(orderReference) : null,
+    gclid: gclid || null,
+    pageUrl: pageUrl || null,
+    emailHash: hashIdentifier(email),
+  };
+};
+
+const GA4_EVENT_NAMES = { purchase: 'purchase', add_to_cart: 'add_to_cart' };
+const META_EVENT_NAMES = { purchase: 'Purchase', add_to_cart: 'AddToCart' };
+
+const withoutEmpty = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== '')
+);
+
+// GA4 Measurement Protocol: POST {endpoint}?measurement_id=&api_secret=
+export const buildGa4Request = (conversion, { measurementId, apiSecret, endpoint }) => {
+  const url = `${endpoint}?measurement_id=${encodeURIComponent(measurementId || '')}&api_secret=${encodeURIComponent(apiSecret || '')}`;
+  const body = withoutEmpty({
+    client_id: conversion.clientId,
+    timestamp_micros: Date.parse(conversion.occurredAt) * 1000,
+    consent: { ad_user_data: 'GRANTED', ad_personalization: 'GRANTED' },
+    user_data: conversion.emailHash ? { sha256_email_address: [conversion.emailHash] } : null,
+    events: [{
+      name: GA4_EVENT_NAMES[conversion.kind],
+      params: withoutEmpty({
+        currency: conversion.currency,
+        value: conversion.value,
+        transaction_id: conversion.transactionId,
+        session_id: conversion.sessionId,
+        gclid: conversion.gclid,
+        items: conversion.items.map((item) => withoutEmpty({
+          item_id: item.id,
+          item_name: item.name,
+          item_category: item.category,
+          price: item.price,
+          quantity: item.quantity,
+        })),
+      }),
+    }],
+  });
+  return { url, body };
+};
+
+// Meta Conversions API: POST {endpoint}/{pixelId}/events?access_token=
+export const buildMetaRequest = (conversion, { pixelId, accessToken, endpoint, testEventCode = null }) => {
+  const url = `${endpoint}/${encodeURIComponent(pixelId || '')}/events?access_token=${encodeURIComponent(accessToken || '')}`;
+  const body = withoutEmpty({
+    data: [withoutEmpty({
+      event_name: META_EVENT_NAMES[conversion.kind],
+      event_time: Math.floor(Date.parse(conversion.occurredAt) / 1000),
+      event_id: conversion.eventId,
+      action_source: 'website',
+      event_source_url: conversion.pageUrl,
+      user_data: withoutEmpty({
+        em: conversion.emailHash ? [conversion.emailHash] : null,
+        external_id: [hashIdentifier(conversion.clientId)],
+      }),
+      custom_data: withoutEmpty({
+        currency: conversion.currency,
+        value: conversion.value,
+        order_id: conversion.transactionId,
+        content_type: 'product',
+        content_ids: conversion.items.map((item) => item.id),
+        contents: conversion.items.map((item) => withoutEmpty({
+          id: item.id,
+          quantity: item.quantity,
+          item_price: item.price,
+        })),
+      }),
+    })],
+    test_event_code: testEventCode,
+  });
+  return { url, body };
+};
+
+// Drops api_secret/access_token before a URL is logged or stored.
+export const redactRequestUrl = (url = '') => String(url)
+  .replace(/([?&](?:api_secret|access_token)=)[^&]*/gi, '$1[redacted]');
+
+// Rejected payloads (4xx other than timeout/rate limit) will not succeed on retry.
+export const exportStatusAfterFailure = ({ attempts, maxAttempts, httpStatus = null }) => {
+  const status = Number(httpStatus);
+  if (status >= 400 && status < 500 && status !== 408 && status !== 429) return 'dead';
+  return Number(attempts) >= Number(maxAttempts) ? 'dead' : 'queued';
+};
+
+// Exponential backoff from baseMs, capped at maxMs.
+export const exportRetryDelayMs = (attempt, { baseMs = 60 * 1000, maxMs = 6 * 60 * 60 * 1000 } = {}) => {
+  const exponent = Math.max(Math.floor(Number(attempt) || 1), 1) - 1;
+  return Math.min(baseMs * (2 ** exponent), maxMs);
+};
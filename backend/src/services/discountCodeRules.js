@@ -0,0 +1,268 @@
+export const DISCOUNT_TYPES = Object.freeze({
+  PERCENTAGE: 'percentage',
+  FIXED_AMOUNT: 'fixed_amount',
+  FREE_DELIVERY: 'free_delivery',
+  BUY_X_GET_Y: 'buy_x_get_y',
+});
+
+export const DISCOUNT_SOURCES = Object.freeze({
+  LOCAL: 'local',
+  IMPORT: 'import',
+});
+
+const roundMoney = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+
+// Buy-X-get-Y expands cart lines into units; cap each line so a silly quantity
+// cannot make the evaluator allocate a huge array.
+const MAX_UNITS_PER_LINE = 100;
+
+export const normalizeDiscountCode = (value) => String(value || '').trim().toUpperCase().replace(/\s+/g, '');
+
+const optionalMoney = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? roundMoney(number) : NaN;
+};
+
+const optionalCount = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : NaN;
+};
+
+const optionalDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? NaN : date;
+};
+
+const optionalText = (value) => {
+  const text = String(value ?? '').trim();
+  return text || null;
+};
+
+// Validates an admin create/update payload and maps it onto discount_codes columns.
+// Returns { values } or { error } so the route can answer with a 400.
+export const normalizeDiscountCodeInput = (body = {}) => {
+  const code = normalizeDiscountCode(body.code);
+  if (!/^[A-Z0-9_-]{3,40}$/.test(code)) {
+    return { error: 'code must be 3-40 letters, numbers, dashes or underscores' };
+  }
+
+  const discountType = String(body.discountType || body.discount_type || '').trim().toLowerCase();
+  if (!Object.values(DISCOUNT_TYPES).includes(discountType)) {
+    return { error: `discountType must be one of: ${Object.values(DISCOUNT_TYPES).join(', ')}` };
+  }
+
+  const rawValue = body.value ?? body.discountValue;
+  let value = optionalMoney(rawValue);
+  if (Number.isNaN(value)) return { error: 'value must be a positive number' };
+  if (discountType === DISCOUNT_TYPES.PERCENTAGE && !(value > 0 && value <= 100)) {
+    return { error: 'Percentage codes need a value between 0 and 100' };
+  }
+  if (discountType === DISCOUNT_TYPES.FIXED_AMOUNT && !(value > 0)) {
+    return { error: 'Fixed amount codes need a value greater than 0' };
+  }
+  if (discountType === DISCOUNT_TYPES.BUY_X_GET_Y) {
+    // value is the percentage off the "get" items; 100 means they are free.
+    value = value === null ? 100 : value;
+    if (!(value > 0 && value <= 100)) return { error: 'Buy X get Y value must be between 0 and 100 percent' };
+  }
+  if (discountType === DISCOUNT_TYPES.FREE_DELIVERY) value = null;
+
+  const buyQuantity = optionalCount(body.buyQuantity ?? body.buy_quantity);
+  const getQuantity = optionalCount(body.getQuantity ?? body.get_quantity);
+  if (discountType === DISCOUNT_TYPES.BUY_X_GET_Y && !(buyQuantity > 0 && getQuantity > 0)) {
+    return { error: 'Buy X get Y codes need whole number buyQuantity and getQuantity' };
+  }
+
+  const maxDiscountAmount = optionalMoney(body.maxDiscountAmount ?? body.max_discount_amount);
+  const minOrderValue = optionalMoney(body.minOrderValue ?? body.min_order_value);
+  if (Number.isNaN(maxDiscountAmount) || Number.isNaN(minOrderValue)) {
+    return { error: 'maxDiscountAmount and minOrderValue must be positive amounts' };
+  }
+
+  const usageLimitTotal = optionalCount(body.usageLimitTotal ?? body.usage_limit_total);
+  const usageLimitPerCustomer = optionalCount(body.usageLimitPerCustomer ?? body.usage_limit_per_customer);
+  if (Number.isNaN(usageLimitTotal) || Number.isNaN(usageLimitPerCustomer)) {
+    return { error: 'Usage limits must be whole numbers greater than 0' };
+  }
+
+  const startsAt = optionalDate(body.startsAt ?? body.starts_at);
+  const endsAt = optionalDate(body.endsAt ?? body.ends_at);
+  if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) return { error: 'startsAt and endsAt must be valid dates' };
+  if (startsAt && endsAt && endsAt <= startsAt) return { error: 'endsAt must be after startsAt' };
+
+  const appliesToSource = optionalText(body.appliesToSource ?? body.applies_to_source)?.toLowerCase() || null;
+  if (appliesToSource && !Object.values(DISCOUNT_SOURCES).includes(appliesToSource)) {
+    return { error: 'appliesToSource must be "local", "import" or empty' };
+  }
+
+  return {
+    values: {
+      code,
+      description: optionalText(body.description),
+      discount_type: discountType,
+      value,
+      max_discount_amount: discountType === DISCOUNT_TYPES.PERCENTAGE ? maxDiscountAmount : null,
+      buy_quantity: discountType === DISCOUNT_TYPES.BUY_X_GET_Y ? buyQuantity : null,
+      get_quantity: discountType === DISCOUNT_TYPES.BUY_X_GET_Y ? getQuantity : null,
+      min_order_value: minOrderValue,
+      usage_limit_total: usageLimitTotal,
+      usage_limit_per_customer: usageLimitPerCustomer,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      applies_to_category: optionalText(body.appliesToCategory ?? body.applies_to_category),
+      applies_to_source: appliesToSource,
+      is_active: body.isActive === undefined && body.is_active === undefined
+        ? true
+        : Boolean(body.isActive ?? body.is_active),
+    },
+  };
+};
+
+const rejected = (reason, error) => ({ applied: false, reason, error });
+
+const lineTotal = (item) => roundMoney(Number(item.price || 0) * Number(item.quantity || 0));
+
+const matchesScope = (discountCode, item) => {
+  if (discountCode.applies_to_source && item.source !== discountCode.applies_to_source) return false;
+  if (discountCode.applies_to_category) {
+    const wanted = String(discountCode.applies_to_category).trim().toLowerCase();
+    if (String(item.category || '').trim().toLowerCase() !== wanted) return false;
+  }
+  return true;
+};
+
+// Splits an amount over local/import in proportion to the eligible spend so the
+// split child orders each carry their share of the code.
+const allocateBySource = (amount, eligibleItems) => {
+  const localBase = eligibleItems
+    .filter((item) => item.source === DISCOUNT_SOURCES.LOCAL)
+    .reduce((sum, item) => sum + lineTotal(item), 0);
+  const base = eligibleItems.reduce((sum, item) => sum + lineTotal(item), 0);
+  const localAmount = base ? roundMoney(amount * (localBase / base)) : 0;
+  return { localAmount, importAmount: roundMoney(amount - localAmount) };
+};
+
+const buyXGetYDiscount = (discountCode, eligibleItems) => {
+  const buy = Number(discountCode.buy_quantity || 0);
+  const get = Number(discountCode.get_quantity || 0);
+  if (!(buy > 0 && get > 0)) return { amount: 0, localAmount: 0, importAmount: 0 };
+
+  const units = [];
+  for (const item of eligibleItems) {
+    const quantity = Math.min(Math.max(Math.floor(Number(item.quantity || 0)), 0), MAX_UNITS_PER_LINE);
+    for (let i = 0; i < quantity; i += 1) {
+      units.push({ price: Number(item.price || 0), source: item.source });
+    }
+  }
+
+  // The cheapest units in the cart are the ones given away.
+  units.sort((a, b) => a.price - b.price);
+  const freeUnits = units.slice(0, Math.floor(units.length / (buy + get)) * get);
+  const percentOff = Number(discountCode.value || 100) / 100;
+
+  let localAmount = 0;
+  let importAmount = 0;
+  for (const unit of freeUnits) {
+    if (unit.source === DISCOUNT_SOURCES.LOCAL) localAmount += unit.price * percentOff;
+    else importAmount += unit.price * percentOff;
+  }
+  localAmount = roundMoney(localAmount);
+  importAmount = roundMoney(importAmount);
+  return { amount: roundMoney(localAmount + importAmount), localAmount, importAmount };
+};
+
+const formatRand = (value) => `R${roundMoney(value).toFixed(2).replace(/\.00$/, '')}`;
+
+// Applies a discount_codes row to a cart. `items` carry price, quantity, source
+// ('local' | 'import') and category; `usage` holds the live redemption counts.
+export const evaluateDiscountCode = (discountCode, {
+  items = [],
+  shipping = {},
+  usage = {},
+  now = new Date(),
+} = {}) => {
+  if (!discountCode || discountCode.is_active === false) {
+    return rejected('not_found', 'Invalid discount code');
+  }
+
+  const startsAt = discountCode.starts_at ? new Date(discountCode.starts_at) : null;
+  const endsAt = discountCode.ends_at ? new Date(discountCode.ends_at) : null;
+  if (startsAt && startsAt > now) return rejected('not_started', 'This code is not active yet');
+  if (endsAt && endsAt <= now) return rejected('expired', 'This code has expired');
+
+  if (discountCode.usage_limit_total && Number(usage.total || 0) >= Number(discountCode.usage_limit_total)) {
+    return rejected('usage_limit', 'This code has reached its usage limit');
+  }
+  if (discountCode.usage_limit_per_customer && Number(usage.customer || 0) >= Number(discountCode.usage_limit_per_customer)) {
+    return rejected('customer_limit', 'You have already used this code');
+  }
+
+  const orderSubtotal = roundMoney(items.reduce((sum, item) => sum + lineTotal(item), 0));
+  const minOrderValue = Number(discountCode.min_order_value || 0);
+  if (minOrderValue > 0 && orderSubtotal < minOrderValue) {
+    return rejected('minimum_not_met', `Spend at least ${formatRand(minOrderValue)} to use this code`);
+  }
+
+  const eligibleItems = items.filter((item) => matchesScope(discountCode, item));
+  if (eligibleItems.length === 0) {
+    return rejected('no_eligible_items', 'No items in your cart qualify for this code');
+  }
+  const eligibleSubtotal = roundMoney(eligibleItems.reduce((sum, item) => sum + lineTotal(item), 0));
+
+  let result;
+  let message;
+  switch (discountCode.discount_type) {
+    case DISCOUNT_TYPES.PERCENTAGE: {
+      let amount = roundMoney(eligibleSubtotal * (Number(discountCode.value || 0) / 100));
+      if (discountCode.max_discount_amount !== null && discountCode.max_discount_amount !== undefined) {
+        amount = Math.min(amount, roundMoney(discountCode.max_discount_amount));
+      }
+      result = { amount, ...allocateBySource(amount, eligibleItems) };
+      message = `${Number(discountCode.value)}% discount applied`;
+      break;
+    }
+    case DISCOUNT_TYPES.FIXED_AMOUNT: {
+      const amount = Math.min(roundMoney(discountCode.value), eligibleSubtotal);
+      result = { amount, ...allocateBySource(amount, eligibleItems) };
+      message = `${formatRand(amount)} discount applied`;
+      break;
+    }
+    case DISCOUNT_TYPES.FREE_DELIVERY: {
+      const source = discountCode.applies_to_source;
+      const localAmount = !source || source === DISCOUNT_SOURCES.LOCAL ? roundMoney(shipping.local) : 0;
+      const importAmount = !source || source === DISCOUNT_SOURCES.IMPORT ? roundMoney(shipping.import) : 0;
+      result = { amount: roundMoney(localAmount + importAmount), localAmount, importAmount };
+      if (result.amount <= 0) {
+        return rejected('no_delivery_fee', 'This code only applies when there is a delivery fee');
+      }
+      message = 'Free delivery applied';
+      break;
+    }
+    case DISCOUNT_TYPES.BUY_X_GET_Y: {
+      result = buyXGetYDiscount(discountCode, eligibleItems);
+      if (result.amount <= 0) {
+        return rejected(
+          'no_eligible_items',
+          `Add ${Number(discountCode.buy_quantity) + Number(discountCode.get_quantity)} qualifying items to use this code`
+        );
+      }
+      message = `Buy ${discountCode.buy_quantity} get ${discountCode.get_quantity} applied`;
+      break;
+    }
+    default:
+      return rejected('not_found', 'Invalid discount code');
+  }
+
+  return {
+    applied: true,
+    code: discountCode.code,
+    type: discountCode.discount_type,
+    discountAmount: result.amount,
+    localAmount: result.localAmount,
+    importAmount: result.importAmount,
+    message,
+  };
+};
@@ -0,0 +1,157 @@
+import pool from '../db.js';
+import { DISCOUNT_SOURCES, evaluateDiscountCode, normalizeDiscountCode } from './discountCodeRules.js';
+
+// A checkout holds its redemption while PayFast is open. Pending redemptions
+// older than this no longer count towards usage limits.
+const PENDING_REDEMPTION_HOLD_MINUTES = 60;
+
+const identity = ({ email, userId }) => ({
+  email: String(email || '').trim().toLowerCase(),
+  userId: userId && userId !== 'guest' ? String(userId) : '',
+});
+
+export const findDiscountCode = async (code, client = pool) => {
+  const normalized = normalizeDiscountCode(code);
+  if (!normalized) return null;
+  const { rows } = await client.query('SELECT * FROM discount_codes WHERE code = $1', [normalized]);
+  return rows[0] || null;
+};
+
+export const getDiscountCodeUsage = async (discountCodeId, customer = {}, client = pool) => {
+  const { email, userId } = identity(customer);
+  const { rows } = await client.query(
+    `SELECT
+       COUNT(*)::int AS total,
+       COUNT(*) FILTER (
+         WHERE ($2 <> '' AND LOWER(COALESCE(customer_email, '')) = $2)
+            OR ($3 <> '' AND user_id = $3)
+       )::int AS customer
+     FROM discount_code_redemptions
+     WHERE discount_code_id = $1
+       AND (
+         status = 'redeemed'
+         OR (status = 'pending' AND created_at > NOW() - ($4 || ' minutes')::interval)
+       )`,
+    [discountCodeId, email, userId, String(PENDING_REDEMPTION_HOLD_MINUTES)]
+  );
+  return { total: rows[0]?.total || 0, customer: rows[0]?.customer || 0 };
+};
+
+// Checkout items only carry what the browser sent. Category scoping has to use
+// the catalogue, so look categories up rather than trusting item.category.
+export const buildDiscountCart = async (orderItems = [], client = pool) => {
+  const items = Array.isArray(orderItems) ? orderItems : [];
+  const localIds = items
+    .filter((item) => item?.isLocal)
+    .map((item) => parseInt(item.id))
+    .filter((id) => !Number.isNaN(id));
+  const importIds = items
+    .filter((item) => !item?.isLocal)
+    .map((item) => parseInt(String(item?.id || '').replace('curated-', '')))
+    .filter((id) => !Number.isNaN(id));
+
+  const localCategories = new Map();
+  const importCategories = new Map();
+  if (localIds.length > 0) {
+    const { rows } = await client.query('SELECT id, category FROM local_products WHERE id = ANY($1::int[])', [localIds]);
+    rows.forEach((row) => localCategories.set(Number(row.id), row.category));
+  }
+  if (importIds.length > 0) {
+    const { rows } = await client.query('SELECT id, category FROM curated_products WHERE id = ANY($1::int[])', [importIds]);
+    rows.forEach((row) => importCategories.set(Number(row.id), row.category));
+  }
+
+  return items.map((item) => {
+    const isLocal = Boolean(item?.isLocal);
+    const productId = isLocal
+      ? parseInt(item?.id)
+      : parseInt(String(item?.id || '').replace('curated-', ''));
+    return {
+      price: Number(item?.price || 0),
+      quantity: Math.max(0, Number(item?.quantity || 0)),
+      source: isLocal ? DISCOUNT_SOURCES.LOCAL : DISCOUNT_SOURCES.IMPORT,
+      category: (isLocal ? localCategories : importCategories).get(productId) || null,
+    };
+  });
+};
+
+export const validateDiscountCode = async ({ code, items, shipping, email, userId, now = new Date() }) => {
+  const discountCode = await findDiscountCode(code);
+  if (!discountCode) {
+    return { applied: false, reason: 'not_found', error: 'Invalid discount code' };
+  }
+  const usage = await getDiscountCodeUsage(discountCode.id, { email, userId });
+  return { ...evaluateDiscountCode(discountCode, { items, shipping, usage, now }), discountCodeId: discountCode.id };
+};
+
+// Re-checks the code with the row locked and records a pending redemption, so two
+// checkouts cannot both take the last use of a limited code.
+export const reserveDiscountRedemption = async ({ code, orderNumber, items, shipping, email, userId }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const discountCode = await findDiscountCode(code, client);
+    if (!discountCode) {
+      await client.query('ROLLBACK');
+      return { applied: false, reason: 'not_found', error: 'Invalid discount code' };
+    }
+    await client.query('SELECT id FROM discount_codes WHERE id = $1 FOR UPDATE', [discountCode.id]);
+
+    const usage = await getDiscountCodeUsage(discountCode.id, { email, userId }, client);
+    const evaluation = evaluateDiscountCode(discountCode, { items, shipping, usage });
+    if (!evaluation.applied) {
+      await client.query('ROLLBACK');
+      return evaluation;
+    }
+
+    const customer = identity({ email, userId });
+    await client.query(
+      `INSERT INTO discount_code_redemptions (
+         discount_code_id, code, order_number, user_id, customer_email,
+         discount_amount, local_amount, import_amount, status
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending')
+       ON CONFLICT (discount_code_id, order_number) DO NOTHING`,
+      [
+        discountCode.id,
+        discountCode.code,
+        orderNumber,
+        customer.userId || null,
+        customer.email || null,
+        evaluation.discountAmount,
+        evaluation.localAmount,
+        evaluation.importAmount,
+      ]
+    );
+    await client.query('COMMIT');
+    return { ...evaluation, discountCodeId: discountCode.id };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// PayFast IPN outcome for the master order number: 'redeemed' or 'void'.
+export const updateDiscountRedemptionStatus = async (orderNumber, status) => {
+  if (!orderNumber || !['redeemed', 'void'].includes(status)) return 0;
+  const { rowCount } = await pool.query(
+    `UPDATE discount_code_redemptions
+     SET status = $2,
+         redeemed_at = CASE WHEN $2 = 'redeemed' THEN NOW() ELSE redeemed_at END,
+         updated_at = NOW()
+     WHERE order_number = $1 AND status = 'pending'`,
+    [orderNumber, status]
+  );
+  return rowCount;
+};
+
+export default {
+  findDiscountCode,
+  getDiscountCodeUsage,
+  buildDiscountCart,
+  validateDiscountCode,
+  reserveDiscountRedemption,
+  updateDiscountRedemptionStatus,
+};
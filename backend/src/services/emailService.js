@@ -64,6 +64,7 @@ export const trackingStatusText = (status) => {
     case 'pending-collection': return 'Waiting for collection';
     case 'collected': return 'Collected';
     case 'in-transit': return 'In transit';
+    case 'shipped': return 'Shipped';
     case 'out-for-delivery': return 'Out for delivery';
     case 'delivered': return 'Delivered';
     case 'exception':
@@ -77,7 +78,8 @@ export const trackingStepKey = (status, orderStatus) => {
   const normalized = String(status || '').toLowerCase();
   if (normalized === 'delivered' || orderStatus === 'completed') return 'delivered';
   if (normalized === 'out-for-delivery') return 'out-for-delivery';
-  if (normalized === 'in-transit') return 'in-transit';
+  // CJ reports SHIPPED once the parcel has a tracking number.
+  if (normalized === 'in-transit' || normalized === 'shipped') return 'in-transit';
   if (normalized === 'collected') return 'collected';
   if (normalized === 'created') return 'created';
   if (normalized === 'pending-collection') return 'created';
@@ -407,3 +409,699 @@ export const sendOrderConfirmationEmail = async ({ to, orderNumber, totalAmount,
     return { success: false, error: error.message };
   }
 };
+
+/**
+ * Send order cancellation email
+ * @param {Object} options - Email options
+ * @param {string} options.to - Customer email address
+ * @param {string} options.orderNumber - Order number
+ * @param {Array} options.items - Cancelled order items
+ * @param {string} [options.reason] - Cancellation reason shown to the customer
+ * @param {number} [options.refundAmount] - Amount refunded via PayFast in ZAR
+ * @param {string} [options.customerName] - Customer name for personalized greeting
+ */
+export const sendOrderCancellationEmail = async ({ to, orderNumber, items = [], reason, refundAmount, customerName }) => {
+  const transporter = createTransporter();
+  
+  if (!transporter) {
+    console.warn('⚠️ Email not sent - transporter not configured');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const fromAddress = getFromAddress();
+  const refund = Number(refundAmount || 0);
+
+  const itemsList = items.map(item => 
+    `<li>${escapeHtml(item.name)} x ${item.quantity}</li>`
+  ).join('');
+
+  const refundText = refund > 0
+    ? `A refund of <strong>R ${refund.toFixed(2)}</strong> has been issued to your original payment method. Depending on your bank it can take 5-10 working days to reflect.`
+    : 'If you were charged for this order, our team will be in touch about your refund.';
+
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+    .info-box { background: white; padding: 20px; margin: 20px 0; border-radius: 6px; }
+    .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Order Cancelled</h1>
+    </div>
+    <div class="content">
+      <p>Hi ${customerName ? escapeHtml(customerName) + ',' : 'there,'}</p>
+      <p>Your order <strong>${escapeHtml(orderNumber)}</strong> has been cancelled.</p>
+      
+      <div class="info-box">
+        <p><strong>Order Number:</strong> ${escapeHtml(orderNumber)}</p>
+        ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+        ${itemsList ? `<p><strong>Cancelled Items:</strong></p>
+        <ul>${itemsList}</ul>` : ''}
+      </div>
+
+      <p>${refundText}</p>
+      
+      <p>Questions? Simply reply to this email and we'll help.</p>
+    </div>
+    <div class="footer">
+      <p>SnuggleUp - Premium Baby Products</p>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  try {
+    const info = await transporter.sendMail({
+      from: fromAddress,
+      replyTo: 'support@snuggleup.co.za',
+      to,
+      subject: `Order Cancelled - ${orderNumber}`,
+      html: htmlContent,
+    });
+
+    console.log(`✅ Order cancellation sent to ${to}:`, info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Failed to send order cancellation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send abandoned cart reminder email
+ * @param {Object} options - Email options
+ * @param {string} options.to - Customer email address
+ * @param {Array} options.items - Saved cart items
+ * @param {string} options.cartUrl - Link back to the storefront cart
+ * @param {string} options.unsubscribeUrl - One-click unsubscribe link
+ * @param {string} [options.discountCode] - Optional code to nudge the order
+ * @param {string} [options.discountDescription] - What the code gives, shown under it
+ * @param {string} [options.customerName] - Customer name for personalized greeting
+ */
+export const sendAbandonedCartEmail = async ({
+  to,
+  items = [],
+  cartUrl,
+  unsubscribeUrl,
+  discountCode,
+  discountDescription,
+  customerName,
+}) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.warn('Email not sent - transporter not configured');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const logoUrl = getLogoUrl();
+  const shownItems = items.slice(0, 5);
+  const moreCount = items.length - shownItems.length;
+  const itemRows = shownItems.map(item => `
+          <tr>
+            <td style="padding: 8px 0; border-bottom: 1px solid #eef4f2;">${escapeHtml(item.name || 'SnuggleUp item')}</td>
+            <td style="padding: 8px 0; border-bottom: 1px solid #eef4f2; text-align: right;">x ${escapeHtml(item.quantity || 1)}</td>
+          </tr>`).join('');
+
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body { margin: 0; padding: 0; background: #f7fbfa; font-family: Arial, sans-serif; color: #1f2933; }
+    .container { max-width: 640px; margin: 0 auto; padding: 28px 16px; }
+    .card { background: #ffffff; border: 1px solid #dbe8e4; border-radius: 10px; overflow: hidden; }
+    .header { text-align: center; padding: 28px 28px 18px; }
+    .logo { max-width: 230px; width: 70%; height: auto; }
+    .content { padding: 0 32px 32px; }
+    h1 { color: #126f71; font-size: 24px; margin: 10px 0 8px; text-align: center; }
+    p { line-height: 1.55; font-size: 15px; }
+    .status-box { background: #f7fbfa; border: 1px solid #dbe8e4; border-radius: 8px; padding: 18px; margin: 22px 0; }
+    .label { color: #5f6f73; font-size: 13px; margin: 0 0 4px; }
+    .value { color: #126f71; font-size: 20px; font-weight: 700; margin: 0; }
+    .button-wrap { text-align: center; margin: 26px 0 10px; }
+    .button { display: inline-block; background: #126f71; color: #ffffff !important; text-decoration: none; padding: 14px 28px; border-radius: 999px; font-weight: 700; }
+    .footer { color: #6b777a; font-size: 12px; text-align: center; padding: 18px 22px 26px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="card">
+      <div class="header">
+        <img class="logo" src="${escapeHtml(logoUrl)}" alt="SnuggleUp Baby Store">
+      </div>
+      <div class="content">
+        <h1>You left something in your cart</h1>
+        <p>Hi ${customerName ? escapeHtml(customerName) + ',' : 'there,'}</p>
+        <p>We saved your cart so you can pick up right where you left off.</p>
+        <div class="status-box">
+          <table width="100%" cellpadding="0" cellspacing="0" style="font-size: 15px;">${itemRows}
+          </table>
+          ${moreCount > 0 ? `<p class="label" style="margin-top: 10px;">+ ${moreCount} more item${moreCount === 1 ? '' : 's'}</p>` : ''}
+        </div>
+        ${discountCode ? `<div class="status-box" style="text-align: center;">
+          <p class="label">Use this code at checkout</p>
+          <p class="value">${escapeHtml(discountCode)}</p>
+          ${discountDescription ? `<p class="label" style="margin-top: 8px;">${escapeHtml(discountDescription)}</p>` : ''}
+        </div>` : ''}
+        <div class="button-wrap">
+          <a class="button" href="${escapeHtml(cartUrl)}">Return to my cart</a>
+        </div>
+      </div>
+      <div class="footer">
+        <p>Sent by SnuggleUp Baby Store. Need help? Email support@snuggleup.co.za.</p>
+        <p>Don't want cart reminders? <a href="${escapeHtml(unsubscribeUrl)}" style="color: #6b777a;">Unsubscribe</a></p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  const textContent = `
+You left something in your SnuggleUp cart
+
+${items.map(item => `- ${item.name || 'SnuggleUp item'} x ${item.quantity || 1}`).join('\n')}
+${discountCode ? `\nUse code ${discountCode} at checkout.\n` : ''}
+Return to your cart: ${cartUrl}
+
+Don't want cart reminders? Unsubscribe: ${unsubscribeUrl}
+  `.trim();
+
+  try {
+    const info = await transporter.sendMail({
+      from: getFromAddress(),
+      replyTo: 'support@snuggleup.co.za',
+      to,
+      subject: 'Your SnuggleUp cart is waiting',
+      text: textContent,
+      html: htmlContent,
+      list: { unsubscribe: unsubscribeUrl },
+    });
+
+    console.log(`Abandoned cart email sent to ${to}:`, info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Failed to send abandoned cart email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send back-in-stock alert email
+ * @param {Object} options - Email options
+ * @param {string} options.to - Subscriber email address
+ * @param {string} options.productName - Product that is available again
+ * @param {string} options.productUrl - Storefront product page
+ * @param {string} options.unsubscribeUrl - Cancels this alert
+ * @param {string} [options.imageUrl] - Product image
+ * @param {number} [options.price] - Current price in Rands
+ */
+export const sendBackInStockEmail = async ({
+  to,
+  productName,
+  productUrl,
+  unsubscribeUrl,
+  imageUrl,
+  price,
+}) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.warn('Email not sent - transporter not configured');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const logoUrl = getLogoUrl();
+  const name = productName || 'Your SnuggleUp item';
+  const priceText = Number(price) > 0 ? `R${Number(price).toFixed(2)}` : '';
+
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body { margin: 0; padding: 0; background: #f7fbfa; font-family: Arial, sans-serif; color: #1f2933; }
+    .container { max-width: 640px; margin: 0 auto; padding: 28px 16px; }
+    .card { background: #ffffff; border: 1px solid #dbe8e4; border-radius: 10px; overflow: hidden; }
+    .header { text-align: center; padding: 28px 28px 18px; }
+    .logo { max-width: 230px; width: 70%; height: auto; }
+    .content { padding: 0 32px 32px; }
+    h1 { color: #126f71; font-size: 24px; margin: 10px 0 8px; text-align: center; }
+    p { line-height: 1.55; font-size: 15px; }
+    .status-box { background: #f7fbfa; border: 1px solid #dbe8e4; border-radius: 8px; padding: 18px; margin: 22px 0; text-align: center; }
+    .product-image { max-width: 220px; width: 60%; height: auto; border-radius: 8px; margin-bottom: 12px; }
+    .label { color: #5f6f73; font-size: 13px; margin: 0 0 4px; }
+    .value { color: #126f71; font-size: 20px; font-weight: 700; margin: 0; }
+    .button-wrap { text-align: center; margin: 26px 0 10px; }
+    .button { display: inline-block; background: #126f71; color: #ffffff !important; text-decoration: none; padding: 14px 28px; border-radius: 999px; font-weight: 700; }
+    .footer { color: #6b777a; font-size: 12px; text-align: center; padding: 18px 22px 26px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="card">
+      <div class="header">
+        <img class="logo" src="${escapeHtml(logoUrl)}" alt="SnuggleUp Baby Store">
+      </div>
+      <div class="content">
+        <h1>It's back in stock</h1>
+        <p>Good news! An item you asked us to watch is available again. Stock can be limited, so don't wait too long.</p>
+        <div class="status-box">
+          ${imageUrl ? `<img class="product-image" src="${escapeHtml(imageUrl)}" alt="${escapeHtml(name)}">` : ''}
+          <p class="value">${escapeHtml(name)}</p>
+          ${priceText ? `<p class="label" style="margin-top: 6px;">${escapeHtml(priceText)}</p>` : ''}
+        </div>
+        <div class="button-wrap">
+          <a class="button" href="${escapeHtml(productUrl)}">Shop now</a>
+        </div>
+      </div>
+      <div class="footer">
+        <p>Sent by SnuggleUp Baby Store because you asked for a back-in-stock alert.</p>
+        <p>Changed your mind? <a href="${escapeHtml(unsubscribeUrl)}" style="color: #6b777a;">Cancel this alert</a></p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  const textContent = `
+${name} is back in stock at SnuggleUp${priceText ? ` (${priceText})` : ''}.
+
+Shop now: ${productUrl}
+
+Cancel this alert: ${unsubscribeUrl}
+  `.trim();
+
+  try {
+    const info = await transporter.sendMail({
+      from: getFromAddress(),
+      replyTo: 'support@snuggleup.co.za',
+      to,
+      subject: `Back in stock: ${name}`,
+      text: textContent,
+      html: htmlContent,
+      list: { unsubscribe: unsubscribeUrl },
+    });
+
+    console.log(`Back-in-stock email sent to ${to}:`, info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Failed to send back-in-stock email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send owner digest of supplier cost jumps and thin margins from a price sync
+ * @param {Object} options - Email options
+ * @param {string} options.to - Owner email address
+ * @param {Array} options.alerts - Changes that broke a threshold ({ name, reasons, costChangePercent, marginPercent, ... })
+ * @param {Object} options.thresholds - { costJumpPercent, marginFloorPercent }
+ */
+export const sendPriceAlertDigestEmail = async ({ to, alerts = [], thresholds }) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.warn('Email not sent - transporter not configured');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const logoUrl = getLogoUrl();
+  const money = (value) => (value === null || value === undefined ? '-' : `R${Number(value).toFixed(2)}`);
+  const reasonLabel = (reasons) => reasons
+    .map(reason => (reason === 'cost_jump' ? 'Cost jump' : 'Low margin'))
+    .join(', ');
+  const rows = alerts.map(alert => `
+          <tr>
+            <td style="padding: 8px 6px 8px 0; border-bottom: 1px solid #eef4f2;">${escapeHtml(alert.name || `Product #${alert.productId}`)}</td>
+            <td style="padding: 8px 6px; border-bottom: 1px solid #eef4f2;">$${escapeHtml(Number(alert.oldCostUsd || 0).toFixed(2))} &rarr; $${escapeHtml(Number(alert.newCostUsd || 0).toFixed(2))}${alert.costChangePercent !== null ? ` (${alert.costChangePercent > 0 ? '+' : ''}${escapeHtml(alert.costChangePercent)}%)` : ''}</td>
+            <td style="padding: 8px 6px; border-bottom: 1px solid #eef4f2;">${escapeHtml(money(alert.newRetailZar))}</td>
+            <td style="padding: 8px 6px; border-bottom: 1px solid #eef4f2;">${alert.marginPercent !== null ? `${escapeHtml(alert.marginPercent)}%` : '-'}</td>
+            <td style="padding: 8px 0 8px 6px; border-bottom: 1px solid #eef4f2; color: #b42318;">${escapeHtml(reasonLabel(alert.reasons))}</td>
+          </tr>`).join('');
+
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body { margin: 0; padding: 0; background: #f7fbfa; font-family: Arial, sans-serif; color: #1f2933; }
+    .container { max-width: 720px; margin: 0 auto; padding: 28px 16px; }
+    .card { background: #ffffff; border: 1px solid #dbe8e4; border-radius: 10px; overflow: hidden; }
+    .header { text-align: center; padding: 28px 28px 18px; }
+    .logo { max-width: 230px; width: 70%; height: auto; }
+    .content { padding: 0 32px 32px; }
+    h1 { color: #126f71; font-size: 24px; margin: 10px 0 8px; text-align: center; }
+    p { line-height: 1.55; font-size: 15px; }
+    .status-box { background: #f7fbfa; border: 1px solid #dbe8e4; border-radius: 8px; padding: 18px; margin: 22px 0; }
+    .footer { color: #6b777a; font-size: 12px; text-align: center; padding: 18px 22px 26px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="card">
+      <div class="header">
+        <img class="logo" src="${escapeHtml(logoUrl)}" alt="SnuggleUp Baby Store">
+      </div>
+      <div class="content">
+        <h1>Price sync alerts</h1>
+        <p>The latest CJ price sync changed ${alerts.length} product${alerts.length === 1 ? '' : 's'} past your alert thresholds: supplier cost up more than ${escapeHtml(thresholds?.costJumpPercent)}% or margin under ${escapeHtml(thresholds?.marginFloorPercent)}%.</p>
+        <div class="status-box">
+          <table width="100%" cellpadding="0" cellspacing="0" style="font-size: 13px; text-align: left;">
+            <tr style="color: #5f6f73;">
+              <th style="padding: 0 6px 8px 0;">Product</th>
+              <th style="padding: 0 6px 8px;">CJ cost (USD)</th>
+              <th style="padding: 0 6px 8px;">Retail</th>
+              <th style="padding: 0 6px 8px;">Margin</th>
+              <th style="padding: 0 0 8px 6px;">Alert</th>
+            </tr>${rows}
+          </table>
+        </div>
+        <p>Review prices in the admin panel under Products.</p>
+      </div>
+      <div class="footer">
+        <p>SnuggleUp price monitoring</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  const textContent = `
+Price sync alerts (cost jump > ${thresholds?.costJumpPercent}% or margin < ${thresholds?.marginFloorPercent}%)
+
+${alerts.map(alert => `- ${alert.name || `Product #${alert.productId}`}: $${Number(alert.oldCostUsd || 0).toFixed(2)} -> $${Number(alert.newCostUsd || 0).toFixed(2)}, retail ${money(alert.newRetailZar)}, margin ${alert.marginPercent ?? '-'}% [${reasonLabel(alert.reasons)}]`).join('\n')}
+  `.trim();
+
+  try {
+    const info = await transporter.sendMail({
+      from: getFromAddress(),
+      to,
+      subject: `Price alerts: ${alerts.length} product${alerts.length === 1 ? '' : 's'} need review`,
+      text: textContent,
+      html: htmlContent,
+    });
+
+    console.log(`Price alert digest sent to ${to}:`, info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Failed to send price alert digest:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send owner alert when the USD→ZAR rate moves sharply
+ * @param {Object} options - Email options
+ * @param {string} options.to - Owner email address
+ * @param {number} options.previousRate - Rate before the refresh
+ * @param {number} options.rate - Rate now used for import pricing
+ * @param {number} options.changePercent - Signed change in percent
+ * @param {string} options.source - Provider (or manual_override) the rate came from
+ */
+export const sendExchangeRateAlertEmail = async ({ to, previousRate, rate, changePercent, source }) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.warn('Email not sent - transporter not configured');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const logoUrl = getLogoUrl();
+  const direction = changePercent > 0 ? 'weakened' : 'strengthened';
+  const changeText = `${changePercent > 0 ? '+' : ''}${changePercent}%`;
+
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body { margin: 0; padding: 0; background: #f7fbfa; font-family: Arial, sans-serif; color: #1f2933; }
+    .container { max-width: 640px; margin: 0 auto; padding: 28px 16px; }
+    .card { background: #ffffff; border: 1px solid #dbe8e4; border-radius: 10px; overflow: hidden; }
+    .header { text-align: center; padding: 28px 28px 18px; }
+    .logo { max-width: 230px; width: 70%; height: auto; }
+    .content { padding: 0 32px 32px; }
+    h1 { color: #126f71; font-size: 24px; margin: 10px 0 8px; text-align: center; }
+    p { line-height: 1.55; font-size: 15px; }
+    .status-box { background: #f7fbfa; border: 1px solid #dbe8e4; border-radius: 8px; padding: 18px; margin: 22px 0; text-align: center; }
+    .label { color: #5f6f73; font-size: 13px; margin: 0 0 4px; }
+    .value { color: #126f71; font-size: 20px; font-weight: 700; margin: 0; }
+    .footer { color: #6b777a; font-size: 12px; text-align: center; padding: 18px 22px 26px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="card">
+      <div class="header">
+        <img class="logo" src="${escapeHtml(logoUrl)}" alt="SnuggleUp Baby Store">
+      </div>
+      <div class="content">
+        <h1>Exchange rate moved ${escapeHtml(changeText)}</h1>
+        <p>The rand has ${direction} against the dollar. Import prices will use the new rate from the next price sync.</p>
+        <div class="status-box">
+          <p class="label">USD → ZAR</p>
+          <p class="value">${escapeHtml(previousRate ?? '-')} → ${escapeHtml(rate)}</p>
+          <p class="label" style="margin-top: 8px;">Source: ${escapeHtml(source)}</p>
+        </div>
+        <p>Preview the effect on retail prices under Pricing rules before the next sync, or pin a rate with the manual override.</p>
+      </div>
+      <div class="footer">
+        <p>SnuggleUp price monitoring</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  const textContent = `
+USD→ZAR moved ${changeText}: ${previousRate ?? '-'} -> ${rate} (source: ${source}).
+Import prices will use the new rate from the next price sync.
+  `.trim();
+
+  try {
+    const info = await transporter.sendMail({
+      from: getFromAddress(),
+      to,
+      subject: `USD→ZAR moved ${changeText} (now ${rate})`,
+      text: textContent,
+      html: htmlContent,
+    });
+
+    console.log(`Exchange rate alert sent to ${to}:`, info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Failed to send exchange rate alert:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send an account email-confirmation link
+ * @param {Object} options - Email options
+ * @param {string} options.to - Address being confirmed
+ * @param {string} options.name - Account holder name
+ * @param {string} options.verifyUrl - Link that confirms the address
+ */
+export const sendEmailVerificationEmail = async ({ to, name, verifyUrl }) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.warn('Email not sent - transporter not configured');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const logoUrl = getLogoUrl();
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body { margin: 0; padding: 0; background: #f7fbfa; font-family: Arial, sans-serif; color: #1f2933; }
+    .container { max-width: 640px; margin: 0 auto; padding: 28px 16px; }
+    .card { background: #ffffff; border: 1px solid #dbe8e4; border-radius: 10px; overflow: hidden; }
+    .header { text-align: center; padding: 28px 28px 18px; }
+    .logo { max-width: 230px; width: 70%; height: auto; }
+    .content { padding: 0 32px 32px; }
+    h1 { color: #126f71; font-size: 24px; margin: 10px 0 8px; text-align: center; }
+    p { line-height: 1.55; font-size: 15px; }
+    .button-wrap { text-align: center; margin: 26px 0 10px; }
+    .button { display: inline-block; background: #126f71; color: #ffffff !important; text-decoration: none; padding: 14px 28px; border-radius: 999px; font-weight: 700; }
+    .footer { color: #6b777a; font-size: 12px; text-align: center; padding: 18px 22px 26px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="card">
+      <div class="header">
+        <img class="logo" src="${escapeHtml(logoUrl)}" alt="SnuggleUp Baby Store">
+      </div>
+      <div class="content">
+        <h1>Confirm your email</h1>
+        <p>${escapeHtml(greeting)}</p>
+        <p>Please confirm this is your email address. Once it is confirmed, any orders you placed as a guest with it will appear in your SnuggleUp account.</p>
+        <div class="button-wrap">
+          <a class="button" href="${escapeHtml(verifyUrl)}">Confirm my email</a>
+        </div>
+      </div>
+      <div class="footer">
+        <p>Didn't create a SnuggleUp account? You can ignore this email.</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  const textContent = `
+${greeting}
+
+Confirm your SnuggleUp email address: ${verifyUrl}
+
+Once it is confirmed, orders you placed as a guest with this address will appear in your account.
+  `.trim();
+
+  try {
+    const info = await transporter.sendMail({
+      from: getFromAddress(),
+      replyTo: 'support@snuggleup.co.za',
+      to,
+      subject: 'Confirm your SnuggleUp email address',
+      text: textContent,
+      html: htmlContent,
+    });
+
+    console.log(`Email verification sent to ${to}:`, info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Failed to send email verification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Ask a customer to review the products of a delivered order
+ * @param {Object} options - Email options
+ * @param {string} options.to - Customer email address
+ * @param {string} options.customerName - Customer name
+ * @param {string} options.orderNumber - Delivered order number
+ * @param {Array} options.products - Products to review ({ name, image, reviewUrl })
+ * @param {string} options.unsubscribeUrl - Signed opt-out link for review requests
+ */
+export const sendReviewRequestEmail = async ({ to, customerName, orderNumber, products = [], unsubscribeUrl }) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.warn('Email not sent - transporter not configured');
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  const logoUrl = getLogoUrl();
+  const greeting = customerName ? `Hi ${customerName},` : 'Hi,';
+  const productRows = products.map(product => `
+          <tr>
+            <td style="padding: 10px 12px 10px 0; border-bottom: 1px solid #eef4f2; width: 72px;">
+              ${product.image ? `<img src="${escapeHtml(product.image)}" alt="${escapeHtml(product.name)}" width="64" style="border-radius: 6px; display: block;">` : ''}
+            </td>
+            <td style="padding: 10px 0; border-bottom: 1px solid #eef4f2;">${escapeHtml(product.name)}</td>
+            <td style="padding: 10px 0 10px 12px; border-bottom: 1px solid #eef4f2; text-align: right;">
+              <a href="${escapeHtml(product.reviewUrl)}" style="color: #126f71; font-weight: 700;">Write a review</a>
+            </td>
+          </tr>`).join('');
+
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body { margin: 0; padding: 0; background: #f7fbfa; font-family: Arial, sans-serif; color: #1f2933; }
+    .container { max-width: 640px; margin: 0 auto; padding: 28px 16px; }
+    .card { background: #ffffff; border: 1px solid #dbe8e4; border-radius: 10px; overflow: hidden; }
+    .header { text-align: center; padding: 28px 28px 18px; }
+    .logo { max-width: 230px; width: 70%; height: auto; }
+    .content { padding: 0 32px 32px; }
+    h1 { color: #126f71; font-size: 24px; margin: 10px 0 8px; text-align: center; }
+    p { line-height: 1.55; font-size: 15px; }
+    .footer { color: #6b777a; font-size: 12px; text-align: center; padding: 18px 22px 26px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="card">
+      <div class="header">
+        <img class="logo" src="${escapeHtml(logoUrl)}" alt="SnuggleUp Baby Store">
+      </div>
+      <div class="content">
+        <h1>How are you finding your order?</h1>
+        <p>${escapeHtml(greeting)}</p>
+        <p>Your order ${escapeHtml(orderNumber)} was delivered a few days ago. A quick review helps other parents choose, and it only takes a minute.</p>
+        <table width="100%" cellpadding="0" cellspacing="0" style="font-size: 14px; margin: 22px 0;">${productRows}
+        </table>
+      </div>
+      <div class="footer">
+        <p>Sent by SnuggleUp Baby Store because you recently received an order from us.</p>
+        <p>Prefer not to be asked? <a href="${escapeHtml(unsubscribeUrl)}" style="color: #6b777a;">Stop review requests</a></p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  const textContent = `
+${greeting}
+
+Your SnuggleUp order ${orderNumber} was delivered a few days ago. We'd love to hear what you think:
+
+${products.map(product => `- ${product.name}: ${product.reviewUrl}`).join('\n')}
+
+Stop review requests: ${unsubscribeUrl}
+  `.trim();
+
+  try {
+    const info = await transporter.sendMail({
+      from: getFromAddress(),
+      replyTo: 'support@snuggleup.co.za',
+      to,
+      subject: 'How are you finding your SnuggleUp order?',
+      text: textContent,
+      html: htmlContent,
+      list: { unsubscribe: unsubscribeUrl },
+    });
+
+    console.log(`Review request email sent to ${to}:`, info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Failed to send review request email:', error);
+    return { success: false, error: error.message };
+  }
+};
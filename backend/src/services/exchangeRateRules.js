@@ -0,0 +1,34 @@
+// Anything outside this band is a broken feed, not a real USD→ZAR rate.
+export const MIN_PLAUSIBLE_USD_TO_ZAR = 5;
+export const MAX_PLAUSIBLE_USD_TO_ZAR = 50;
+
+export const isPlausibleRate = (rate) => (
+  Number.isFinite(rate) && rate >= MIN_PLAUSIBLE_USD_TO_ZAR && rate <= MAX_PLAUSIBLE_USD_TO_ZAR
+);
+
+// Reads a dotted path ("rates.ZAR", "data.0.rate") out of a provider response.
+export const readRatePath = (payload, path) => {
+  const value = String(path || '')
+    .split('.')
+    .filter(Boolean)
+    .reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), payload);
+  const rate = Number(value);
+  return isPlausibleRate(rate) ? Math.round(rate * 10000) / 10000 : null;
+};
+
+export const rateChangePercent = (previousRate, nextRate) => {
+  const previous = Number(previousRate);
+  if (!Number.isFinite(previous) || previous <= 0) return null;
+  return Math.round(((Number(nextRate) - previous) / previous) * 1000) / 10;
+};
+
+// EXCHANGE_RATE_PROVIDERS="http,frankfurter" -> ['http', 'frankfurter'], keeping
+// only known providers, in order, without repeats.
+export const parseProviderChain = (value, knownProviders, fallback) => {
+  const chain = String(value || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter((entry) => knownProviders.includes(entry));
+  const unique = [...new Set(chain)];
+  return unique.length > 0 ? unique : [...fallback];
+};
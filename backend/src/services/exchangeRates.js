@@ -0,0 +1,187 @@
+import fetch from 'node-fetch';
+import pool from '../db.js';
+import { sendExchangeRateAlertEmail } from './emailService.js';
+import { priceAlertEmailAddress } from './priceHistory.js';
+import { isPlausibleRate, parseProviderChain, rateChangePercent, readRatePath } from './exchangeRateRules.js';
+
+// USD→ZAR for import pricing. The live rate stays in site_config.usd_to_zar (what
+// pricing reads); this service refreshes it from a chain of providers. A manual
+// override wins over every provider, and when every provider fails the last good
+// rate is simply kept.
+const RATE_KEYS = {
+  rate: 'usd_to_zar',
+  source: 'usd_to_zar_source',
+  updatedAt: 'usd_to_zar_updated_at',
+  override: 'usd_to_zar_override',
+};
+
+const getTimeoutMs = () => Math.min(Math.max(Number(process.env.EXCHANGE_RATE_TIMEOUT_MS || 8000), 1000), 30000);
+const getAlertPercent = () => {
+  const value = Number(process.env.EXCHANGE_RATE_ALERT_PERCENT);
+  return Number.isFinite(value) && value > 0 ? value : 3;
+};
+
+const fetchRate = async (url, path, headers = {}) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), getTimeoutMs());
+  try {
+    const response = await fetch(url, { headers: { Accept: 'application/json', ...headers }, signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const rate = readRatePath(await response.json(), path);
+    if (rate === null) {
+      throw new Error(`No usable rate at "${path}"`);
+    }
+    return rate;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+const PROVIDERS = {
+  // Any JSON endpoint: EXCHANGE_RATE_URL + EXCHANGE_RATE_JSON_PATH (+ optional API key header)
+  http: () => {
+    const url = process.env.EXCHANGE_RATE_URL;
+    if (!url) throw new Error('EXCHANGE_RATE_URL is not set');
+    const apiKey = process.env.EXCHANGE_RATE_API_KEY;
+    const headers = apiKey ? { [process.env.EXCHANGE_RATE_API_KEY_HEADER || 'Authorization']: apiKey } : {};
+    return fetchRate(url, process.env.EXCHANGE_RATE_JSON_PATH || 'rates.ZAR', headers);
+  },
+  frankfurter: () => fetchRate('https://api.frankfurter.app/latest?from=USD&to=ZAR', 'rates.ZAR'),
+  open_er_api: () => fetchRate('https://open.er-api.com/v6/latest/USD', 'rates.ZAR'),
+};
+
+export const getProviderChain = () => parseProviderChain(
+  process.env.EXCHANGE_RATE_PROVIDERS,
+  Object.keys(PROVIDERS),
+  process.env.EXCHANGE_RATE_URL ? ['http', 'frankfurter', 'open_er_api'] : ['frankfurter', 'open_er_api']
+);
+
+const readRateState = async () => {
+  const { rows } = await pool.query(
+    'SELECT key, value FROM site_config WHERE key = ANY($1::text[])',
+    [Object.values(RATE_KEYS)]
+  );
+  const map = Object.fromEntries(rows.map((row) => [row.key, row.value]));
+  const rate = parseFloat(map[RATE_KEYS.rate]);
+  const override = parseFloat(map[RATE_KEYS.override]);
+  return {
+    rate: isPlausibleRate(rate) ? rate : null,
+    source: map[RATE_KEYS.source] || null,
+    updatedAt: map[RATE_KEYS.updatedAt] || null,
+    override: isPlausibleRate(override) ? override : null,
+  };
+};
+
+const writeConfig = (key, value) => pool.query(
+  `INSERT INTO site_config (key, value) VALUES ($1, $2)
+   ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()`,
+  [key, String(value)]
+);
+
+export const getExchangeRateStatus = async ({ historyLimit = 30 } = {}) => {
+  const state = await readRateState();
+  const { rows } = await pool.query(
+    `SELECT id, status, source, rate, previous_rate, change_percent, alerted, error, created_at
+     FROM exchange_rate_history
+     ORDER BY created_at DESC
+     LIMIT $1`,
+    [historyLimit]
+  );
+  return {
+    ...state,
+    providers: getProviderChain(),
+    alertPercent: getAlertPercent(),
+    history: rows.map((row) => ({
+      ...row,
+      rate: row.rate === null ? null : Number(row.rate),
+      previous_rate: row.previous_rate === null ? null : Number(row.previous_rate),
+      change_percent: row.change_percent === null ? null : Number(row.change_percent),
+    })),
+  };
+};
+
+// Fetches the rate (override first, then each provider in turn) and stores it
+// when it differs from the current one. Moves beyond EXCHANGE_RATE_ALERT_PERCENT
+// email the owner.
+export const refreshExchangeRate = async ({ trigger = 'scheduled' } = {}) => {
+  const state = await readRateState();
+  const attempts = [];
+  let rate = null;
+  let source = null;
+
+  if (state.override) {
+    rate = state.override;
+    source = 'manual_override';
+  } else {
+    for (const provider of getProviderChain()) {
+      try {
+        rate = await PROVIDERS[provider]();
+        source = provider;
+        break;
+      } catch (error) {
+        attempts.push({ provider, error: error.name === 'AbortError' ? 'Timed out' : error.message });
+      }
+    }
+  }
+
+  if (rate === null) {
+    const error = attempts.map((attempt) => `${attempt.provider}: ${attempt.error}`).join('; ');
+    await pool.query(
+      `INSERT INTO exchange_rate_history (status, source, rate, previous_rate, trigger_type, error)
+       VALUES ('failed', NULL, NULL, $1, $2, $3)`,
+      [state.rate, trigger, error]
+    );
+    console.warn(`💱 Exchange rate refresh failed, keeping last known rate ${state.rate}: ${error}`);
+    return { updated: false, rate: state.rate, source: 'last_known_good', attempts };
+  }
+
+  if (state.rate !== null && Math.abs(rate - state.rate) < 0.00005) {
+    return { updated: false, rate, source, changePercent: 0, attempts };
+  }
+
+  const changePercent = rateChangePercent(state.rate, rate);
+  await writeConfig(RATE_KEYS.rate, rate);
+  await writeConfig(RATE_KEYS.source, source);
+  await writeConfig(RATE_KEYS.updatedAt, new Date().toISOString());
+
+  let alerted = false;
+  if (changePercent !== null && Math.abs(changePercent) >= getAlertPercent()) {
+    const result = await sendExchangeRateAlertEmail({
+      to: priceAlertEmailAddress(),
+      previousRate: state.rate,
+      rate,
+      changePercent,
+      source,
+    });
+    alerted = Boolean(result.success);
+  }
+
+  await pool.query(
+    `INSERT INTO exchange_rate_history (status, source, rate, previous_rate, change_percent, alerted, trigger_type)
+     VALUES ('applied', $1, $2, $3, $4, $5, $6)`,
+    [source, rate, state.rate, changePercent, alerted, trigger]
+  );
+  console.log(`💱 USD→ZAR ${state.rate ?? '-'} → ${rate} (${source}${changePercent !== null ? `, ${changePercent > 0 ? '+' : ''}${changePercent}%` : ''})`);
+
+  return { updated: true, previousRate: state.rate, rate, source, changePercent, alerted, attempts };
+};
+
+// Pins the rate (null clears the pin) and applies it straight away.
+export const setExchangeRateOverride = async (rate, { actorEmail = null } = {}) => {
+  if (rate === null) {
+    await pool.query('DELETE FROM site_config WHERE key = $1', [RATE_KEYS.override]);
+  } else {
+    await writeConfig(RATE_KEYS.override, rate);
+  }
+  console.log(`💱 USD→ZAR override ${rate === null ? 'cleared' : `set to ${rate}`} by ${actorEmail || 'unknown'}`);
+  return refreshExchangeRate({ trigger: 'manual' });
+};
+
+export default {
+  getProviderChain,
+  getExchangeRateStatus,
+  refreshExchangeRate,
+  setExchangeRateOverride,
+};
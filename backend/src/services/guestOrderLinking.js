@@ -0,0 +1,123 @@
+import pool from '../db.js';
+import { recordOrderEvent } from './orderLifecycle.js';
+import {
+  GUEST_USER_ID,
+  expandOrderNumbers,
+  guestLinkSessionKey,
+  isEmailVerifiedClaim,
+  normalizeEmail,
+} from './guestOrderLinkingRules.js';
+
+// Moves guest orders onto a customer account and records a guest_order_linked
+// event on each, so order history and review eligibility see them.
+
+const GUEST_ORDER_SELECT = 'id, order_number, customer_email, customer_name, total, status, created_at';
+
+// Guest orders matching email and/or order numbers. Matches only; links nothing.
+export const findGuestOrders = async ({ email = null, orderNumbers = [] } = {}) => {
+  const { rows } = await pool.query(
+    `SELECT ${GUEST_ORDER_SELECT}
+     FROM orders
+     WHERE user_id = $1
+       AND ($2::text IS NULL OR LOWER(COALESCE(customer_email, '')) = $2)
+       AND (cardinality($3::text[]) = 0 OR order_number = ANY($3::text[]))
+     ORDER BY created_at DESC`,
+    [GUEST_USER_ID, email ? normalizeEmail(email) : null, expandOrderNumbers(orderNumbers)]
+  );
+  return rows;
+};
+
+// Links the matching guest orders to userId. Returns the linked order rows.
+export const linkGuestOrders = async ({
+  userId,
+  email = null,
+  orderNumbers = [],
+  actorType = 'customer',
+  actorEmail = null,
+  source = null,
+  reason = null,
+}) => {
+  const { rows: linked } = await pool.query(
+    `UPDATE orders
+     SET user_id = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $2
+       AND ($3::text IS NULL OR LOWER(COALESCE(customer_email, '')) = $3)
+       AND (cardinality($4::text[]) = 0 OR order_number = ANY($4::text[]))
+     RETURNING ${GUEST_ORDER_SELECT}`,
+    [String(userId), GUEST_USER_ID, email ? normalizeEmail(email) : null, expandOrderNumbers(orderNumbers)]
+  );
+
+  for (const order of linked) {
+    await recordOrderEvent({
+      orderId: order.id,
+      eventType: 'guest_order_linked',
+      actorType,
+      actorEmail,
+      source,
+      reason,
+      details: { userId: String(userId), customerEmail: order.customer_email },
+    });
+  }
+
+  if (linked.length > 0) {
+    console.log('[guest-orders] linked to account', {
+      userId: String(userId),
+      source,
+      orderNumbers: linked.map((order) => order.order_number),
+    });
+  }
+  return linked;
+};
+
+// The account behind an email: a registered user, else the newest signed-in
+// order placed with it (Supabase accounts have no users row). Null if none.
+export const findAccountUserId = async (email) => {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  const { rows: users } = await pool.query('SELECT id FROM users WHERE LOWER(email) = $1 LIMIT 1', [normalized]);
+  if (users[0]) return String(users[0].id);
+  const { rows: orders } = await pool.query(
+    `SELECT user_id FROM orders
+     WHERE LOWER(COALESCE(customer_email, '')) = $1 AND user_id <> $2
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [normalized, GUEST_USER_ID]
+  );
+  return orders[0]?.user_id || null;
+};
+
+// Sign-ins whose guest orders were already linked in this process
+const linkedSessions = new Set();
+const MAX_LINKED_SESSIONS = 10000;
+
+// Signed-in customers whose token shows a verified email pick up the guest
+// orders placed with it, once per sign-in. Never throws; a failure only delays the link.
+export const linkVerifiedGuestOrders = async (user) => {
+  const userId = user?.userId || user?.id || user?.sub || null;
+  const email = normalizeEmail(user?.email);
+  if (!userId || !email || !isEmailVerifiedClaim(user)) return [];
+  const sessionKey = guestLinkSessionKey(user);
+  if (linkedSessions.has(sessionKey)) return [];
+  try {
+    const linked = await linkGuestOrders({
+      userId,
+      email,
+      actorEmail: email,
+      source: 'verified_email',
+      reason: 'Guest checkout email verified by the account owner',
+    });
+    if (linkedSessions.size >= MAX_LINKED_SESSIONS) linkedSessions.clear();
+    linkedSessions.add(sessionKey);
+    return linked;
+  } catch (error) {
+    console.warn('[guest-orders] link failed', { userId: String(userId), error: error.message });
+    return [];
+  }
+};
+
+export default {
+  findGuestOrders,
+  findAccountUserId,
+  linkGuestOrders,
+  linkVerifiedGuestOrders,
+};
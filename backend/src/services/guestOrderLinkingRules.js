@@ -0,0 +1,54 @@
+// Guest checkout orders are stored with user_id 'guest' and the checkout email.
+// They move onto an account once its owner has proven that email, or when an
+// admin merges them by hand (services/guestOrderLinking.js).
+export const GUEST_USER_ID = 'guest';
+
+export const normalizeEmail = (value) => String(value ?? '').trim().toLowerCase();
+
+// App tokens carry emailVerified once the confirmation link was followed.
+// Supabase tokens count only when they carry email_confirmed_at or
+// email_verified (added by the project's custom access token hook); a bare
+// email proves nothing. user_metadata is writable by the user and is never trusted.
+export const isEmailVerifiedClaim = (payload = {}) => (
+  payload.emailVerified === true
+  || payload.email_verified === true
+  || Boolean(payload.email_confirmed_at)
+);
+
+// Verified guest orders are linked once per sign-in: Supabase tokens keep their
+// session_id across refreshes, app tokens are issued per login (iat).
+export const guestLinkSessionKey = (user = {}) => {
+  const userId = user.userId || user.id || user.sub;
+  if (!userId) return null;
+  return `${userId}:${user.sessionId || user.session_id || user.iat || ''}`;
+};
+
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+// Validates an admin merge payload: { userId | accountEmail, email?, orderNumbers? }.
+// email is the guest checkout email. Returns { values } or { error } for a 400.
+// Without orderNumbers every guest order placed with email is merged.
+export const normalizeGuestMergeInput = (body = {}) => {
+  const userId = String(body.userId ?? '').trim();
+  const accountEmail = normalizeEmail(body.accountEmail);
+  if (!userId && !accountEmail) return { error: 'userId or accountEmail is required' };
+  if (userId === GUEST_USER_ID) return { error: 'userId must be a customer account' };
+  if (accountEmail && !isEmail(accountEmail)) return { error: 'accountEmail must be a valid email address' };
+
+  const email = normalizeEmail(body.email ?? body.guestEmail);
+  if (email && !isEmail(email)) return { error: 'email must be a valid email address' };
+
+  const rawNumbers = body.orderNumbers === undefined ? [] : body.orderNumbers;
+  if (!Array.isArray(rawNumbers)) return { error: 'orderNumbers must be a list of order numbers' };
+  const orderNumbers = [...new Set(rawNumbers.map((number) => String(number ?? '').trim()).filter(Boolean))];
+
+  if (!email && orderNumbers.length === 0) return { error: 'email or orderNumbers is required' };
+
+  return { values: { userId: userId || null, accountEmail: accountEmail || null, email: email || null, orderNumbers } };
+};
+
+// A master order number covers its -LOCAL and -IMPORT child orders.
+export const expandOrderNumbers = (orderNumbers = []) => [...new Set(orderNumbers.flatMap((number) => {
+  const master = String(number).replace(/-(LOCAL|IMPORT)$/i, '');
+  return [number, master, `${master}-LOCAL`, `${master}-IMPORT`];
+}))];
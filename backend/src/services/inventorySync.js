@@ -1,5 +1,6 @@
 import { cjClient } from './cjClient.js';
 import pool from '../db.js';
+import { notifyIfRestocked } from './stockAlerts.js';
 
 /**
  * Sync inventory for curated products from CJ.
@@ -10,6 +11,7 @@ import pool from '../db.js';
  *  - Aggregate totalInventory across warehouses -> stock_quantity on curated_products
  *  - Upsert detailed warehouse rows into curated_product_inventories (one row per warehouse)
  *  - Skip products with no cj_vid even after detail lookup
+ *  - Send back-in-stock alerts for products whose CN stock went from 0 to > 0
  *  - Return summary with counts and failures
  *  - Log sync run to inventory_sync_history table
  */
@@ -31,8 +33,8 @@ export async function syncCuratedInventory({ limit, syncType = 'scheduled' } = {
     // Optional LIMIT to reduce API usage
     const limitClause = limit ? 'WHERE is_active = TRUE ORDER BY updated_at ASC LIMIT $1' : 'WHERE is_active = TRUE';
     const productsRes = limit
-      ? await pool.query(`SELECT id, cj_pid, cj_vid FROM curated_products ${limitClause}`, [limit])
-      : await pool.query(`SELECT id, cj_pid, cj_vid FROM curated_products ${limitClause}`);
+      ? await pool.query(`SELECT id, cj_pid, cj_vid, stock_quantity FROM curated_products ${limitClause}`, [limit])
+      : await pool.query(`SELECT id, cj_pid, cj_vid, stock_quantity FROM curated_products ${limitClause}`);
 
     for (const row of productsRes.rows) {
       const { id, cj_pid } = row;
@@ -97,7 +99,7 @@ export async function syncCuratedInventory({ limit, syncType = 'scheduled' } = {
           );
         }
 
-        updated.push({ id, cj_pid, cj_vid, cnTotalStock, warehouses: inventory.length });
+        updated.push({ id, cj_pid, cj_vid, cnTotalStock, previousStock: Number(row.stock_quantity || 0), warehouses: inventory.length });
         details.push({ id, cj_pid, cj_vid, inventory });
       } catch (err) {
         console.error('Inventory sync error for product', id, cj_pid, err.message);
@@ -116,6 +118,8 @@ export async function syncCuratedInventory({ limit, syncType = 'scheduled' } = {
       [updated.length, failures.length, syncHistoryId]
     );
 
+    notifyIfRestocked('import', updated.map(u => ({ productId: u.id, before: u.previousStock, after: u.cnTotalStock })));
+
     return {
       ok: true,
       processed: productsRes.rows.length,
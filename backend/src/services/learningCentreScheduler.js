@@ -1,9 +1,13 @@
 import { pool } from '../db.js';
 import { generateLearningArticle, getRelevantProducts } from './learningCentreGenerator.js';
 import { sendLearningCentreReportEmail } from './learningCentreEmail.js';
+import { recordLearningCentreExecution } from './schedulerMonitor.js';
 
 let running = false;
 
+// These skips happen on nearly every 15-minute tick, so they stay out of the scheduler history.
+const QUIET_SKIP_REASONS = new Set(['Automation is paused', 'The next scheduled run is not due yet']);
+
 export async function publishDueLearningArticles() {
   const result = await pool.query(`
     UPDATE learning_centre_articles
@@ -22,36 +26,48 @@ export async function publishDueLearningArticles() {
   return result.rows;
 }
 
-export async function runLearningCentreAutomation({ force = false } = {}) {
+export async function runLearningCentreAutomation({ force = false, trigger = 'scheduled' } = {}) {
   if (running) return { skipped: true, reason: 'A Learning Centre run is already in progress' };
   running = true;
+  const started = Date.now();
   try {
-    const settingsResult = await pool.query('SELECT * FROM learning_centre_settings WHERE id = 1');
-    const settings = settingsResult.rows[0] || { automation_enabled: false, interval_days: 5, low_risk_auto_publish: false };
-    if (!force && !settings.automation_enabled) return { skipped: true, reason: 'Automation is paused' };
-    const intervalMs = Math.max(1, Number(settings.interval_days || 5)) * 24 * 60 * 60 * 1000;
-    if (!force && settings.last_automation_run_at && Date.now() - new Date(settings.last_automation_run_at).getTime() < intervalMs) {
-      return { skipped: true, reason: 'The next scheduled run is not due yet' };
+    const result = await runAutomationStep({ force });
+    if (!result.skipped || !QUIET_SKIP_REASONS.has(result.reason)) {
+      await recordLearningCentreExecution({ ...result, durationMs: Date.now() - started }, trigger);
     }
-    const topicResult = await pool.query("SELECT * FROM learning_centre_topics WHERE status = 'queued' ORDER BY priority ASC, id ASC LIMIT 1");
-    const topic = topicResult.rows[0];
-    if (!topic) return { skipped: true, reason: 'No queued topics are waiting' };
-    const products = await getRelevantProducts(pool, topic);
-    const generated = await generateLearningArticle({ topic, products });
-    let slug = generated.slug;
-    const existing = await pool.query('SELECT 1 FROM learning_centre_articles WHERE slug = $1', [slug]);
-    if (existing.rowCount) slug = `${slug}-${Date.now().toString().slice(-5)}`;
-    const shouldPublish = Boolean(settings.low_risk_auto_publish) && !generated.reviewRequired;
-    const status = shouldPublish ? 'published' : 'draft';
-    const articleResult = await pool.query(`INSERT INTO learning_centre_articles (topic_id, title, slug, excerpt, body_html, meta_title, meta_description, category, status, review_required, published_at, product_links, internal_links, references_json) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,CASE WHEN $9 = 'published' THEN CURRENT_TIMESTAMP ELSE NULL END,$11,$12,$13) RETURNING *`, [topic.id, generated.title, slug, generated.excerpt, generated.bodyHtml, generated.metaTitle, generated.metaDescription, topic.category, status, generated.reviewRequired, JSON.stringify(products), JSON.stringify([]), JSON.stringify([])]);
-    const article = articleResult.rows[0];
-    await pool.query("UPDATE learning_centre_topics SET status = 'used', updated_at = CURRENT_TIMESTAMP WHERE id = $1", [topic.id]);
-    await pool.query('UPDATE learning_centre_settings SET last_automation_run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = 1');
-    await sendLearningCentreReportEmail({ article, action: status === 'published' ? 'published automatically' : 'prepared as a draft', notes: generated.reviewRequired ? 'This topic requires your human review before it can be published.' : '' }).catch((error) => console.error('[learning-centre] report email failed:', error.message));
-    return { success: true, article, topic, products, generatedWith: generated.generatedWith };
+    return result;
+  } catch (error) {
+    await recordLearningCentreExecution({ error: error.message, durationMs: Date.now() - started }, trigger);
+    throw error;
   } finally { running = false; }
 }
 
+async function runAutomationStep({ force }) {
+  const settingsResult = await pool.query('SELECT * FROM learning_centre_settings WHERE id = 1');
+  const settings = settingsResult.rows[0] || { automation_enabled: false, interval_days: 5, low_risk_auto_publish: false };
+  if (!force && !settings.automation_enabled) return { skipped: true, reason: 'Automation is paused' };
+  const intervalMs = Math.max(1, Number(settings.interval_days || 5)) * 24 * 60 * 60 * 1000;
+  if (!force && settings.last_automation_run_at && Date.now() - new Date(settings.last_automation_run_at).getTime() < intervalMs) {
+    return { skipped: true, reason: 'The next scheduled run is not due yet' };
+  }
+  const topicResult = await pool.query("SELECT * FROM learning_centre_topics WHERE status = 'queued' ORDER BY priority ASC, id ASC LIMIT 1");
+  const topic = topicResult.rows[0];
+  if (!topic) return { skipped: true, reason: 'No queued topics are waiting' };
+  const products = await getRelevantProducts(pool, topic);
+  const generated = await generateLearningArticle({ topic, products });
+  let slug = generated.slug;
+  const existing = await pool.query('SELECT 1 FROM learning_centre_articles WHERE slug = $1', [slug]);
+  if (existing.rowCount) slug = `${slug}-${Date.now().toString().slice(-5)}`;
+  const shouldPublish = Boolean(settings.low_risk_auto_publish) && !generated.reviewRequired;
+  const status = shouldPublish ? 'published' : 'draft';
+  const articleResult = await pool.query(`INSERT INTO learning_centre_articles (topic_id, title, slug, excerpt, body_html, meta_title, meta_description, category, status, review_required, published_at, product_links, internal_links, references_json) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,CASE WHEN $9 = 'published' THEN CURRENT_TIMESTAMP ELSE NULL END,$11,$12,$13) RETURNING *`, [topic.id, generated.title, slug, generated.excerpt, generated.bodyHtml, generated.metaTitle, generated.metaDescription, topic.category, status, generated.reviewRequired, JSON.stringify(products), JSON.stringify([]), JSON.stringify([])]);
+  const article = articleResult.rows[0];
+  await pool.query("UPDATE learning_centre_topics SET status = 'used', updated_at = CURRENT_TIMESTAMP WHERE id = $1", [topic.id]);
+  await pool.query('UPDATE learning_centre_settings SET last_automation_run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = 1');
+  await sendLearningCentreReportEmail({ article, action: status === 'published' ? 'published automatically' : 'prepared as a draft', notes: generated.reviewRequired ? 'This topic requires your human review before it can be published.' : '' }).catch((error) => console.error('[learning-centre] report email failed:', error.message));
+  return { success: true, article, topic, products, generatedWith: generated.generatedWith };
+}
+
 export function startLearningCentreScheduler() {
   if (process.env.LEARNING_CENTRE_SCHEDULER_DISABLED === 'true') return;
   const tick = async () => {
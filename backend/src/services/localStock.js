@@ -0,0 +1,230 @@
+import pool from '../db.js';
+import {
+  committedStock,
+  quantitiesByProduct,
+  reservationSourceStatuses,
+  unavailableItems,
+} from './localStockRules.js';
+
+// How long a checkout holds local stock while the customer is on PayFast.
+const reservationMinutes = () => {
+  const minutes = Number.parseInt(process.env.LOCAL_STOCK_RESERVATION_MINUTES || '30', 10);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 30;
+};
+
+export const recordLocalStockMovement = async (client, {
+  productId,
+  quantityBefore,
+  quantityAfter,
+  reason,
+  orderNumber = null,
+  actorEmail = null,
+  notes = null,
+}) => {
+  const before = Number(quantityBefore || 0);
+  const after = Number(quantityAfter || 0);
+  if (before === after && reason !== 'oversold') return;
+  await client.query(
+    `INSERT INTO local_stock_movements (
+       local_product_id, quantity_change, quantity_before, quantity_after,
+       reason, order_number, actor_email, notes
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [productId, after - before, before, after, reason, orderNumber, actorEmail, notes]
+  );
+};
+
+// Holds stock for a checkout. Rows are locked in id order so concurrent checkouts
+// for the same product queue up instead of both seeing the last unit as free.
+export const reserveLocalStock = async ({ orderNumber, items }) => {
+  const quantities = quantitiesByProduct(items);
+  if (quantities.size === 0) return { reserved: true, soldOutItems: [] };
+
+  const productIds = [...quantities.keys()].sort((a, b) => a - b);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: products } = await client.query(
+      `SELECT id, name, stock_quantity, is_active, approval_status
+       FROM local_products
+       WHERE id = ANY($1::int[])
+       ORDER BY id
+       FOR UPDATE`,
+      [productIds]
+    );
+    const { rows: holds } = await client.query(
+      `SELECT local_product_id, SUM(quantity)::int AS held
+       FROM local_stock_reservations
+       WHERE local_product_id = ANY($1::int[])
+         AND status = 'held'
+         AND expires_at > NOW()
+         AND order_number <> $2
+       GROUP BY local_product_id`,
+      [productIds, orderNumber]
+    );
+    const heldById = new Map(holds.map((row) => [Number(row.local_product_id), Number(row.held)]));
+    const productById = new Map(products.map((row) => [Number(row.id), row]));
+
+    const soldOutItems = unavailableItems({ items, quantities, productById, heldById });
+
+    if (soldOutItems.length > 0) {
+      await client.query('ROLLBACK');
+      return { reserved: false, soldOutItems };
+    }
+
+    for (const productId of productIds) {
+      await client.query(
+        `INSERT INTO local_stock_reservations (order_number, local_product_id, quantity, status, expires_at)
+         VALUES ($1, $2, $3, 'held', NOW() + ($4 || ' minutes')::interval)
+         ON CONFLICT (order_number, local_product_id) DO UPDATE
+         SET quantity = EXCLUDED.quantity,
+             status = 'held',
+             expires_at = EXCLUDED.expires_at,
+             updated_at = NOW()`,
+        [orderNumber, productId, quantities.get(productId), String(reservationMinutes())]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { reserved: true, soldOutItems: [] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// PayFast COMPLETE: turn the checkout's reservations into a real decrement.
+// Expired or released holds are committed too - the customer has paid, so the
+// units are sold even if the hold lapsed. Safe to call again on IPN retries.
+export const commitLocalStockReservations = async (orderNumber) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: reservations } = await client.query(
+      `SELECT id, local_product_id, quantity
+       FROM local_stock_reservations
+       WHERE order_number = $1 AND status = ANY($2::text[])
+       ORDER BY local_product_id
+       FOR UPDATE`,
+      [orderNumber, reservationSourceStatuses('committed')]
+    );
+
+    const committed = [];
+    for (const reservation of reservations) {
+      const { rows } = await client.query(
+        'SELECT stock_quantity FROM local_products WHERE id = $1 FOR UPDATE',
+        [reservation.local_product_id]
+      );
+      if (rows.length === 0) continue;
+
+      const { before, after, reason, notes } = committedStock(rows[0].stock_quantity, reservation.quantity);
+      await client.query(
+        'UPDATE local_products SET stock_quantity = $1, updated_at = NOW() WHERE id = $2',
+        [after, reservation.local_product_id]
+      );
+      await recordLocalStockMovement(client, {
+        productId: reservation.local_product_id,
+        quantityBefore: before,
+        quantityAfter: after,
+        reason,
+        orderNumber,
+        notes,
+      });
+      await client.query(
+        `UPDATE local_stock_reservations
+         SET status = 'committed', committed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [reservation.id]
+      );
+      committed.push({ productId: reservation.local_product_id, quantity: reservation.quantity, stockAfter: after });
+    }
+
+    await client.query('COMMIT');
+    return committed;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Cancelled or failed checkout: give the held units back straight away.
+export const releaseLocalStockReservations = async (orderNumber, status = 'released') => {
+  if (!orderNumber) return 0;
+  const { rowCount } = await pool.query(
+    `UPDATE local_stock_reservations
+     SET status = $2, released_at = NOW(), updated_at = NOW()
+     WHERE order_number = $1 AND status = ANY($3::text[])`,
+    [orderNumber, status, reservationSourceStatuses(status)]
+  );
+  return rowCount;
+};
+
+// Admin cancellation of a paid order: put the committed units back on the shelf.
+// Runs on the caller's transaction so the restock and the status change land together.
+export const restockLocalStockReservations = async (client, orderNumber, { actorEmail = null, notes = null } = {}) => {
+  const { rows: reservations } = await client.query(
+    `SELECT id, local_product_id, quantity
+     FROM local_stock_reservations
+     WHERE order_number = $1 AND status = ANY($2::text[])
+     ORDER BY local_product_id
+     FOR UPDATE`,
+    [orderNumber, reservationSourceStatuses('restocked')]
+  );
+
+  const restocked = [];
+  for (const reservation of reservations) {
+    const { rows } = await client.query(
+      'SELECT stock_quantity FROM local_products WHERE id = $1 FOR UPDATE',
+      [reservation.local_product_id]
+    );
+    if (rows.length > 0) {
+      const before = Number(rows[0].stock_quantity || 0);
+      const after = before + Number(reservation.quantity);
+      await client.query(
+        'UPDATE local_products SET stock_quantity = $1, updated_at = NOW() WHERE id = $2',
+        [after, reservation.local_product_id]
+      );
+      await recordLocalStockMovement(client, {
+        productId: reservation.local_product_id,
+        quantityBefore: before,
+        quantityAfter: after,
+        reason: 'cancel_restock',
+        orderNumber,
+        actorEmail,
+        notes,
+      });
+      restocked.push({ productId: reservation.local_product_id, quantity: reservation.quantity, stockAfter: after });
+    }
+    await client.query(
+      `UPDATE local_stock_reservations
+       SET status = 'restocked', released_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [reservation.id]
+    );
+  }
+  return restocked;
+};
+
+// Housekeeping for abandoned checkouts. Availability already ignores lapsed
+// holds; this just makes their state visible.
+export const expireLocalStockReservations = async () => {
+  const { rowCount } = await pool.query(
+    `UPDATE local_stock_reservations
+     SET status = 'expired', released_at = NOW(), updated_at = NOW()
+     WHERE status = 'held' AND expires_at <= NOW()`
+  );
+  return rowCount;
+};
+
+export default {
+  recordLocalStockMovement,
+  reserveLocalStock,
+  commitLocalStockReservations,
+  releaseLocalStockReservations,
+  restockLocalStockReservations,
+  expireLocalStockReservations,
+};
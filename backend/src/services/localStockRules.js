@@ -0,0 +1,60 @@
+// Local stock holds for checkouts (services/localStock.js).
+
+// Reservation statuses and the ones each can be reached from:
+// held -> committed (PayFast COMPLETE; lapsed or released holds too, since the
+// customer paid), held -> released | expired, committed -> restocked (cancelled).
+export const RESERVATION_TRANSITIONS = Object.freeze({
+  held: [],
+  committed: ['held', 'released', 'expired'],
+  released: ['held'],
+  expired: ['held'],
+  restocked: ['committed'],
+});
+
+export const reservationSourceStatuses = (target) => {
+  const from = RESERVATION_TRANSITIONS[target];
+  if (!from) throw new Error(`Unknown reservation status ${target}`);
+  return [...from];
+};
+
+// Sum requested quantities per local product id (a cart can repeat a product).
+export const quantitiesByProduct = (items = []) => {
+  const quantities = new Map();
+  for (const item of items) {
+    const productId = parseInt(item?.id);
+    if (Number.isNaN(productId)) continue;
+    const quantity = Math.max(1, Number(item?.quantity || 1));
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  }
+  return quantities;
+};
+
+// What a checkout may still take: shelf stock minus other checkouts' live holds
+export const availableQuantity = (stockQuantity, held = 0) => Number(stockQuantity || 0) - Number(held || 0);
+
+// Names of requested products that cannot be held: missing, not sellable, or
+// fewer available than requested. productById/heldById are keyed by product id.
+export const unavailableItems = ({ items = [], quantities, productById, heldById }) => {
+  const soldOutItems = [];
+  for (const productId of [...quantities.keys()].sort((a, b) => a - b)) {
+    const product = productById.get(productId);
+    const available = availableQuantity(product?.stock_quantity, heldById.get(productId));
+    if (!product || product.is_active === false || product.approval_status !== 'approved' || available < quantities.get(productId)) {
+      const item = items.find((entry) => parseInt(entry?.id) === productId);
+      soldOutItems.push(item?.name || product?.name || `Product ${productId}`);
+    }
+  }
+  return soldOutItems;
+};
+
+// Stock after a paid hold is committed; never below zero, flagged when oversold
+export const committedStock = (stockQuantity, quantity) => {
+  const before = Number(stockQuantity || 0);
+  const sold = Number(quantity);
+  return {
+    before,
+    after: Math.max(before - sold, 0),
+    reason: before < sold ? 'oversold' : 'sale',
+    notes: before < sold ? `Paid for ${sold} with only ${before} in stock` : null,
+  };
+};
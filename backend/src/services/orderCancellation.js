@@ -0,0 +1,249 @@
+import pool from '../db.js';
+import cjClient from './cjClient.js';
+import { sendOrderCancellationEmail } from './emailService.js';
+import { updateDiscountRedemptionStatus } from './discountCodes.js';
+import { releaseLocalStockReservations, restockLocalStockReservations } from './localStock.js';
+import { notifyIfRestocked } from './stockAlerts.js';
+import { syncOrderLifecycle } from './orderLifecycle.js';
+import {
+  cancellationBlocker,
+  cancellationEffects,
+  masterOrderNumber,
+  roundMoney,
+  siblingOrderNumbers,
+  validateRefund,
+} from './orderCancellationRules.js';
+
+export { masterOrderNumber };
+
+const parseItems = (items) => {
+  if (Array.isArray(items)) return items;
+  try { return JSON.parse(items || '[]'); } catch { return []; }
+};
+
+const insertRefund = async (client, order, { amount, payfastReference, reason, actorEmail }) => {
+  const { rows: [refund] } = await client.query(
+    `INSERT INTO order_refunds (order_id, amount, payfast_reference, reason, actor_email)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [order.id, amount, payfastReference, reason || null, actorEmail || null]
+  );
+  const refundedAmount = roundMoney(Number(order.refunded_amount || 0) + amount);
+  const { rows: [updated] } = await client.query(
+    `UPDATE orders
+     SET refunded_amount = $1,
+         refund_status = $2,
+         updated_at = NOW()
+     WHERE id = $3
+     RETURNING *`,
+    [refundedAmount, refundedAmount >= roundMoney(order.total) ? 'full' : 'partial', order.id]
+  );
+  return { refund, order: updated };
+};
+
+const lockOrder = async (client, orderId) => {
+  const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  return rows[0] || null;
+};
+
+// CJ has no cancel endpoint, only delete for orders not yet paid on their side.
+// Anything CJ refuses is flagged so someone cancels it in the CJ dashboard.
+const voidCJSubmission = async (order) => {
+  if (!order.cj_order_id) return { attempted: false };
+  try {
+    await cjClient.deleteOrder(order.cj_order_id);
+    await pool.query(
+      `UPDATE orders SET cj_status = 'CANCELLED', updated_at = NOW() WHERE id = $1`,
+      [order.id]
+    );
+    return { attempted: true, voided: true };
+  } catch (error) {
+    console.warn(`[order-cancel] CJ order ${order.cj_order_id} could not be deleted:`, error.message);
+    await pool.query(
+      `UPDATE orders SET cj_status = 'CANCEL_MANUALLY', updated_at = NOW() WHERE id = $1`,
+      [order.id]
+    );
+    return { attempted: true, voided: false, error: error.message };
+  }
+};
+
+export const recordOrderRefund = async ({ orderId, amount, payfastReference, reason, actorEmail }) => {
+  const refundAmount = roundMoney(amount);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const order = await lockOrder(client, orderId);
+    if (!order) {
+      await client.query('ROLLBACK');
+      return { recorded: false, reason: 'not_found', error: 'Order not found' };
+    }
+
+    const invalid = validateRefund(order, refundAmount, payfastReference);
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return { recorded: false, reason: 'invalid_refund', error: invalid };
+    }
+
+    const result = await insertRefund(client, order, { amount: refundAmount, payfastReference, reason, actorEmail });
+    result.order.lifecycle_state = (await syncOrderLifecycle(order.id, {
+      actorType: 'admin',
+      actorEmail,
+      source: 'admin_refund',
+      reason,
+      eventType: 'refund_recorded',
+      details: { amount: refundAmount, payfastReference },
+    }, client)).state;
+    await client.query('COMMIT');
+    return { recorded: true, ...result };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Cancels one order row: marks it cancelled, restores its local stock, stops any
+// pending CJ submission job, records an optional refund, voids the CJ order and
+// emails the customer. A split checkout's other child is left as it is.
+export const cancelOrder = async ({
+  orderId,
+  reason,
+  actorEmail,
+  refundAmount,
+  payfastReference,
+  notifyCustomer = true,
+}) => {
+  const client = await pool.connect();
+  let order;
+  let effects;
+  let restocked = [];
+  let refund = null;
+  try {
+    await client.query('BEGIN');
+    order = await lockOrder(client, orderId);
+    const blocker = cancellationBlocker(order);
+    if (blocker) {
+      await client.query('ROLLBACK');
+      return { cancelled: false, ...blocker };
+    }
+
+    const { rows: siblings } = await client.query(
+      'SELECT id, order_number, status FROM orders WHERE order_number = ANY($1) AND id <> $2',
+      [siblingOrderNumbers(order.order_number), order.id]
+    );
+    effects = cancellationEffects(order, siblings);
+    const hasRefund = refundAmount !== undefined && refundAmount !== null && refundAmount !== '';
+    if (hasRefund) {
+      const invalid = validateRefund(order, roundMoney(refundAmount), payfastReference);
+      if (invalid) {
+        await client.query('ROLLBACK');
+        return { cancelled: false, reason: 'invalid_refund', error: invalid };
+      }
+    }
+
+    const { rows: [cancelledOrder] } = await client.query(
+      `UPDATE orders
+       SET status = 'cancelled',
+           cancelled_at = NOW(),
+           cancellation_reason = $1,
+           cancelled_by_email = $2,
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [reason, actorEmail || null, order.id]
+    );
+    order = cancelledOrder;
+    order.lifecycle_state = (await syncOrderLifecycle(order.id, {
+      actorType: 'admin',
+      actorEmail,
+      source: 'admin_cancel',
+      reason,
+    }, client)).state;
+
+    // A submission job still waiting (first try or backing off) would otherwise be
+    // dead-lettered by the worker as not_paid
+    await client.query(
+      `UPDATE cj_submission_jobs
+       SET status = 'cancelled',
+           locked_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = $1 AND status = 'queued'`,
+      [order.id]
+    );
+
+    if (effects.restockLocal) {
+      restocked = await restockLocalStockReservations(client, masterOrderNumber(order.order_number), {
+        actorEmail,
+        notes: `Cancelled ${order.order_number}: ${reason}`,
+      });
+    }
+
+    if (hasRefund) {
+      const result = await insertRefund(client, order, {
+        amount: roundMoney(refundAmount),
+        payfastReference,
+        reason,
+        actorEmail,
+      });
+      refund = result.refund;
+      order = result.order;
+      order.lifecycle_state = (await syncOrderLifecycle(order.id, {
+        actorType: 'admin',
+        actorEmail,
+        source: 'admin_cancel',
+        reason,
+        eventType: 'refund_recorded',
+        details: { amount: Number(refund.amount), payfastReference },
+      }, client)).state;
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  notifyIfRestocked('local', restocked.map((item) => ({
+    productId: item.productId,
+    before: item.stockAfter - Number(item.quantity),
+    after: item.stockAfter,
+  })));
+
+  // An unpaid checkout may still be holding stock and a pending voucher use
+  if (effects.releaseHolds) {
+    await releaseLocalStockReservations(masterOrderNumber(order.order_number));
+  }
+  if (effects.voidRedemption) {
+    await updateDiscountRedemptionStatus(masterOrderNumber(order.order_number), 'void');
+  }
+
+  const cj = await voidCJSubmission(order);
+  if (cj.attempted) {
+    const { rows } = await pool.query('SELECT * FROM orders WHERE id = $1', [order.id]);
+    order = rows[0] || order;
+  }
+
+  let email = { sent: false };
+  if (notifyCustomer && order.customer_email) {
+    const result = await sendOrderCancellationEmail({
+      to: order.customer_email,
+      orderNumber: order.order_number,
+      items: parseItems(order.items),
+      reason,
+      refundAmount: refund ? Number(refund.amount) : 0,
+      customerName: order.customer_name,
+    });
+    email = { sent: Boolean(result.success), error: result.success ? undefined : result.error };
+  }
+
+  return { cancelled: true, order, restocked, refund, cj, email };
+};
+
+export default {
+  masterOrderNumber,
+  recordOrderRefund,
+  cancelOrder,
+};
@@ -0,0 +1,68 @@
+// Cancellation and refund rules for one order row (services/orderCancellation.js).
+
+export const PAID_STATUSES = ['paid', 'completed'];
+export const SHIPPED_STATES = ['handed_to_courier', 'in_transit', 'delivered'];
+
+export const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Split checkouts store ORDER-123-LOCAL / ORDER-123-IMPORT rows, while stock
+// reservations and discount redemptions are keyed by the PayFast ORDER-123.
+export const masterOrderNumber = (orderNumber) => String(orderNumber || '').replace(/-(LOCAL|IMPORT)$/, '');
+
+// 'local' or 'import' for a split child, null for an unsplit order
+export const splitOrderPart = (orderNumber) => {
+  const match = String(orderNumber || '').match(/-(LOCAL|IMPORT)$/);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// The other rows of the same checkout
+export const siblingOrderNumbers = (orderNumber) => {
+  const master = masterOrderNumber(orderNumber);
+  return [master, `${master}-LOCAL`, `${master}-IMPORT`].filter((number) => number !== orderNumber);
+};
+
+export const hasShipped = (order) => Boolean(
+  order.cj_tracking_number
+  || order.bob_tracking_reference
+  || order.supplier_pickup_status === 'picked_up'
+  || SHIPPED_STATES.includes(order.lifecycle_state)
+);
+
+export const wasPaid = (order) => PAID_STATUSES.includes(order.status) || Boolean(order.payfast_payment_id);
+
+export const refundableAmount = (order) => roundMoney(Number(order.total || 0) - Number(order.refunded_amount || 0));
+
+// Shared validation for the cancel and refund routes. Returns an error message or null.
+export const validateRefund = (order, amount, payfastReference) => {
+  if (!Number.isFinite(amount) || amount <= 0) return 'Refund amount must be greater than 0';
+  if (!payfastReference) return 'payfastReference is required to record a refund';
+  if (!wasPaid(order)) return 'Order was never paid, nothing to refund';
+  if (amount > refundableAmount(order)) {
+    return `Refund exceeds the refundable amount of R ${refundableAmount(order).toFixed(2)}`;
+  }
+  return null;
+};
+
+// Why an order cannot be cancelled ({ reason, error }), or null when it can.
+export const cancellationBlocker = (order) => {
+  if (!order) return { reason: 'not_found', error: 'Order not found' };
+  if (order.status === 'cancelled') return { reason: 'already_cancelled', error: 'Order is already cancelled' };
+  if (hasShipped(order)) {
+    return { reason: 'shipped', error: 'Order has already shipped - record a refund instead of cancelling' };
+  }
+  return null;
+};
+
+// What cancelling this row does to checkout-wide state. Local stock (held or
+// sold) belongs to the -LOCAL child, so only it or an unsplit order returns
+// units; the shared voucher use is voided once no row of the checkout is live.
+export const cancellationEffects = (order, siblings = []) => {
+  const paid = wasPaid(order);
+  const ownsLocalStock = splitOrderPart(order.order_number) !== 'import';
+  const checkoutStillLive = siblings.some((sibling) => sibling.status !== 'cancelled');
+  return {
+    restockLocal: paid && ownsLocalStock,
+    releaseHolds: !paid && ownsLocalStock,
+    voidRedemption: !paid && !checkoutStillLive,
+  };
+};
@@ -0,0 +1,231 @@
+import pool from '../db.js';
+import {
+  MANUAL_ORDER_STATES,
+  ORDER_STATE_LABELS,
+  ORDER_TRANSITIONS,
+  buildOrderTimeline,
+  canTransition,
+  deriveOrderState,
+} from './orderLifecycleRules.js';
+
+// Every lifecycle move (and any notable event without a move) lands in
+// order_events with who made it, from where and why. Pass a transaction client
+// to record the event inside the same transaction as the write that caused it.
+export const recordOrderEvent = async ({
+  orderId,
+  eventType,
+  fromState = null,
+  toState = null,
+  actorType = 'system',
+  actorEmail = null,
+  source = null,
+  reason = null,
+  details = null,
+}, client = pool) => {
+  const { rows } = await client.query(
+    `INSERT INTO order_events (order_id, event_type, from_state, to_state, actor_type, actor_email, source, reason, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      orderId,
+      eventType,
+      fromState,
+      toState,
+      actorType,
+      actorEmail,
+      source,
+      reason ? String(reason).slice(0, 500) : null,
+      details ? JSON.stringify(details) : null,
+    ]
+  );
+  return rows[0];
+};
+
+const moveOrderState = async (order, toState, { eventType, ...actor }, client) => {
+  const fromState = order.lifecycle_state || null;
+  const { rowCount } = await client.query(
+    `UPDATE orders
+     SET lifecycle_state = $1,
+         lifecycle_updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND lifecycle_state IS NOT DISTINCT FROM $3`,
+    [toState, order.id, fromState]
+  );
+  if (rowCount === 0) return false;
+  await recordOrderEvent({
+    orderId: order.id,
+    eventType: eventType || (fromState ? 'state_changed' : 'state_initialized'),
+    fromState,
+    toState,
+    ...actor,
+  }, client);
+  return true;
+};
+
+// Call after any write to an order's status columns. Moves lifecycle_state to
+// what those columns now describe when that is an allowed transition; backwards
+// moves (a late webhook after delivery, say) are ignored. eventType forces an
+// event even when the state does not change. Returns { state, changed } or null.
+export const syncOrderLifecycle = async (orderId, {
+  actorType = 'system',
+  actorEmail = null,
+  source = null,
+  reason = null,
+  eventType = null,
+  details = null,
+} = {}, client = pool) => {
+  const { rows: [order] } = await client.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+  if (!order) return null;
+
+  const actor = { actorType, actorEmail, source, reason, details };
+  const current = order.lifecycle_state;
+  const target = deriveOrderState(order);
+
+  // Orders from before the lifecycle existed start wherever their columns say.
+  if (!current || (target !== current && canTransition(current, target))) {
+    if (await moveOrderState(order, target, { ...actor, eventType }, client)) {
+      return { state: target, changed: true };
+    }
+    // Another writer moved it first; re-read and try again from its state.
+    return syncOrderLifecycle(orderId, { ...actor, eventType }, client);
+  }
+
+  if (target !== current) {
+    console.warn('[order-lifecycle] ignored transition', {
+      orderNumber: order.order_number,
+      from: current,
+      to: target,
+      source,
+    });
+  }
+  if (eventType) {
+    await recordOrderEvent({ orderId: order.id, eventType, fromState: current, toState: current, ...actor }, client);
+  }
+  return { state: current, changed: false };
+};
+
+// Admin-driven move for fulfilment progress the integrations cannot see (a parcel
+// handed over outside Bob Go, say). Returns { order } or { error, reason }.
+export const transitionOrder = async (orderId, toState, { actorEmail = null, reason = null } = {}) => {
+  if (!MANUAL_ORDER_STATES.includes(toState)) {
+    return {
+      reason: 'invalid_state',
+      error: `state must be one of ${MANUAL_ORDER_STATES.join(', ')}; use the cancel or refund actions otherwise`,
+    };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [order] } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (!order) {
+      await client.query('ROLLBACK');
+      return { reason: 'not_found', error: 'Order not found' };
+    }
+
+    const current = order.lifecycle_state || deriveOrderState(order);
+    if (!canTransition(current, toState)) {
+      await client.query('ROLLBACK');
+      return { reason: 'invalid_transition', error: `Cannot move an order from ${current} to ${toState}` };
+    }
+
+    await moveOrderState(order, toState, {
+      actorType: 'admin',
+      actorEmail,
+      source: 'admin_transition',
+      reason,
+    }, client);
+    const { rows: [updated] } = await client.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+    await client.query('COMMIT');
+    return { order: updated };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Admin status edit (pending/paid/completed/failed). The order row is locked and
+// the status is written only when the lifecycle state it implies is reachable,
+// so status and lifecycle_state cannot drift apart. Returns { order } or { error, reason }.
+export const setOrderStatus = async (orderId, status, { actorEmail = null, reason = null } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [order] } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (!order) {
+      await client.query('ROLLBACK');
+      return { reason: 'not_found', error: 'Order not found' };
+    }
+
+    const current = order.lifecycle_state;
+    const target = deriveOrderState({ ...order, status });
+    if (current && target !== current && !canTransition(current, target)) {
+      await client.query('ROLLBACK');
+      return {
+        reason: 'invalid_transition',
+        error: `Setting status ${status} would move the order from ${current} to ${target}, which is not allowed`,
+      };
+    }
+
+    await client.query(
+      'UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2',
+      [status, orderId]
+    );
+    await syncOrderLifecycle(orderId, {
+      actorType: 'admin',
+      actorEmail,
+      source: 'admin_status',
+      reason: reason || `Status set to ${status}`,
+    }, client);
+    const { rows: [updated] } = await client.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+    await client.query('COMMIT');
+    return { order: updated };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Timeline for the admin order view (everything) or the public tracking page
+// (state changes and courier scans only).
+export const getOrderTimeline = async (orderId, { audience = 'admin' } = {}) => {
+  const { rows: [order] } = await pool.query(
+    `SELECT id, order_number, status, lifecycle_state, lifecycle_updated_at, bob_tracking_events, created_at
+     FROM orders WHERE id = $1`,
+    [orderId]
+  );
+  if (!order) return null;
+
+  const { rows: events } = await pool.query(
+    'SELECT * FROM order_events WHERE order_id = $1 ORDER BY created_at, id',
+    [order.id]
+  );
+
+  return {
+    orderNumber: order.order_number,
+    state: order.lifecycle_state,
+    stateLabel: ORDER_STATE_LABELS[order.lifecycle_state] || null,
+    stateUpdatedAt: order.lifecycle_updated_at,
+    ...(audience === 'admin' ? {
+      orderId: order.id,
+      allowedTransitions: (ORDER_TRANSITIONS[order.lifecycle_state] || [])
+        .filter((state) => MANUAL_ORDER_STATES.includes(state)),
+    } : {}),
+    events: buildOrderTimeline({
+      events,
+      courierEvents: order.bob_tracking_events,
+      audience,
+    }),
+  };
+};
+
+export default {
+  recordOrderEvent,
+  syncOrderLifecycle,
+  transitionOrder,
+  setOrderStatus,
+  getOrderTimeline,
+};
@@ -0,0 +1,116 @@
+// One lifecycle per order row, derived from the columns each integration owns
+// (status, cj_status, bob_tracking_status, supplier_pickup_status, refund_status).
+export const ORDER_STATES = [
+  'pending_payment',
+  'paid',
+  'fulfilling',
+  'handed_to_courier',
+  'in_transit',
+  'delivered',
+  'cancelled',
+  'refunded',
+];
+
+// Forward moves may skip steps (a CJ webhook can jump straight to SHIPPED), but
+// nothing moves backwards, and nothing can be cancelled once a courier has it.
+export const ORDER_TRANSITIONS = {
+  pending_payment: ['paid', 'cancelled'],
+  paid: ['fulfilling', 'handed_to_courier', 'in_transit', 'delivered', 'cancelled', 'refunded'],
+  fulfilling: ['handed_to_courier', 'in_transit', 'delivered', 'cancelled', 'refunded'],
+  handed_to_courier: ['in_transit', 'delivered', 'refunded'],
+  in_transit: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+// States an admin may set by hand. Cancelling and refunding go through their own
+// flows because they restock, void CJ and email the customer.
+export const MANUAL_ORDER_STATES = ['fulfilling', 'handed_to_courier', 'in_transit', 'delivered'];
+
+export const ORDER_STATE_LABELS = {
+  pending_payment: 'Awaiting payment',
+  paid: 'Payment confirmed',
+  fulfilling: 'Preparing your order',
+  handed_to_courier: 'With the courier',
+  in_transit: 'On the way',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded',
+};
+
+export const canTransition = (from, to) => Boolean(ORDER_TRANSITIONS[from]?.includes(to));
+
+const PAID_STATUSES = ['paid', 'completed'];
+const BOB_HANDED_OVER = ['collected', 'at-origin-hub'];
+const BOB_IN_TRANSIT = [
+  'in-transit',
+  'at-hub',
+  'at-destination-hub',
+  'out-for-delivery',
+  'delivery-unsuccessful',
+  'delivery-failed',
+];
+
+export const deriveOrderState = (order = {}) => {
+  const bobStatus = String(order.bob_tracking_status || '').trim().toLowerCase();
+  const cjStatus = String(order.cj_status || '').trim().toUpperCase();
+
+  if (order.refund_status === 'full') return 'refunded';
+  if (order.status === 'cancelled') return 'cancelled';
+  if (!PAID_STATUSES.includes(order.status)) return 'pending_payment';
+  if (bobStatus === 'delivered' || cjStatus === 'DELIVERED' || order.status === 'completed') return 'delivered';
+  if (BOB_IN_TRANSIT.includes(bobStatus) || cjStatus === 'SHIPPED' || order.cj_tracking_number) return 'in_transit';
+  if (BOB_HANDED_OVER.includes(bobStatus) || order.supplier_pickup_status === 'picked_up') return 'handed_to_courier';
+  if (
+    order.bob_shipment_id
+    || order.bob_tracking_reference
+    || bobStatus
+    || (order.cj_order_id && cjStatus !== 'CANCELLED')
+  ) return 'fulfilling';
+  return 'paid';
+};
+
+const eventTime = (value) => {
+  const time = Date.parse(value || '');
+  return Number.isFinite(time) ? time : 0;
+};
+
+// Merges order_events rows with the courier's own scan events, oldest first.
+// The public audience only sees state changes and courier scans, never who made
+// a change or why.
+export const buildOrderTimeline = ({ events = [], courierEvents = [], audience = 'admin' } = {}) => {
+  const isPublic = audience === 'public';
+
+  const orderEntries = events
+    .filter((event) => !isPublic || (event.to_state && event.to_state !== event.from_state))
+    .map((event) => ({
+      kind: 'order',
+      time: event.created_at instanceof Date ? event.created_at.toISOString() : event.created_at,
+      eventType: event.event_type,
+      fromState: event.from_state,
+      toState: event.to_state,
+      label: ORDER_STATE_LABELS[event.to_state] || event.event_type,
+      ...(isPublic ? {} : {
+        id: event.id,
+        actorType: event.actor_type,
+        actorEmail: event.actor_email,
+        source: event.source,
+        reason: event.reason,
+        details: event.details,
+      }),
+    }));
+
+  const courierEntries = (Array.isArray(courierEvents) ? courierEvents : [])
+    .filter((event) => event && typeof event === 'object')
+    .map((event) => ({
+      kind: 'courier',
+      time: event.time || null,
+      status: event.status || null,
+      label: event.description || event.status || 'Courier update',
+      location: event.location || null,
+    }));
+
+  return [...orderEntries, ...courierEntries]
+    .sort((a, b) => eventTime(a.time) - eventTime(b.time));
+};
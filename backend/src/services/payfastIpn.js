@@ -0,0 +1,189 @@
+import dns from 'dns';
+import fetch from 'node-fetch';
+import pool from '../db.js';
+import { recordOrderEvent } from './orderLifecycle.js';
+import {
+  PAYFAST_VALID_HOSTS,
+  amountsMatch,
+  describeIpnFailures,
+  expectedPaymentAmount,
+  isPayFastSourceIp,
+  payfastParamString,
+  sourceIpFromRequest,
+} from './payfastIpnRules.js';
+
+// Server-side PayFast ITN checks run after the signature matches. A notification
+// that fails one is recorded in suspicious_payments for an admin to approve or
+// dismiss, and the orders are left as they were.
+
+const HOST_CACHE_MS = 60 * 60 * 1000;
+let payfastHostIps = { ips: [], expiresAt: 0 };
+
+const ipCheckEnabled = () => process.env.PAYFAST_IP_CHECK_ENABLED !== 'false';
+const getProxyHops = () => Number(process.env.PAYFAST_PROXY_HOPS ?? 1);
+const getExtraRanges = () => String(process.env.PAYFAST_ALLOWED_IPS || '')
+  .split(',')
+  .map((range) => range.trim())
+  .filter(Boolean);
+const getValidateTimeoutMs = () => Math.min(Math.max(Number(process.env.PAYFAST_VALIDATE_TIMEOUT_MS || 10000), 1000), 30000);
+
+// Where the postback goes. Point PAYFAST_VALIDATE_BASE_URL at a local stub in tests.
+export const getPayFastValidateBaseUrl = () => String(
+  process.env.PAYFAST_VALIDATE_BASE_URL
+  || (process.env.PAYFAST_TEST_MODE === 'true' ? 'https://sandbox.payfast.co.za' : 'https://www.payfast.co.za')
+).replace(/\/+$/, '');
+
+export const requestSourceIp = (req) => sourceIpFromRequest({
+  forwardedFor: req.headers?.['x-forwarded-for'],
+  remoteAddress: req.socket?.remoteAddress,
+  proxyHops: getProxyHops(),
+});
+
+// PayFast's hosts can move between the published ranges; resolve them hourly.
+const resolvePayFastHostIps = async () => {
+  if (payfastHostIps.expiresAt > Date.now()) return payfastHostIps.ips;
+  const lookups = await Promise.allSettled(
+    PAYFAST_VALID_HOSTS.map((host) => dns.promises.lookup(host, { all: true, family: 4 }))
+  );
+  const ips = [...new Set(lookups.flatMap((lookup) => (
+    lookup.status === 'fulfilled' ? lookup.value.map((entry) => entry.address) : []
+  )))];
+  // Retry a failed lookup after a minute rather than an hour.
+  payfastHostIps = { ips, expiresAt: Date.now() + (ips.length > 0 ? HOST_CACHE_MS : 60 * 1000) };
+  return ips;
+};
+
+const validateWithPayFast = async (params) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), getValidateTimeoutMs());
+  try {
+    const response = await fetch(`${getPayFastValidateBaseUrl()}/eng/query/validate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: payfastParamString(params),
+      signal: controller.signal,
+    });
+    const text = (await response.text()).trim();
+    return { status: response.status, valid: response.ok && text === 'VALID', response: text.slice(0, 200) };
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+// Runs the source, amount and postback checks for an IPN whose signature matched.
+// Returns { ok, failures, expectedAmount, orders }, plus retryable: true when
+// PayFast's validate endpoint could not be reached, so PayFast should resend.
+export const verifyPayFastIpn = async ({ params = {}, sourceIp }) => {
+  const failures = [];
+
+  if (ipCheckEnabled()) {
+    const resolvedIps = await resolvePayFastHostIps();
+    if (!isPayFastSourceIp(sourceIp, { resolvedIps, extraRanges: getExtraRanges() })) {
+      failures.push({ check: 'source_ip', message: `${sourceIp || 'unknown address'} is not a PayFast address` });
+    }
+  }
+
+  const orderNumber = String(params.m_payment_id || '').trim();
+  const { rows: orders } = await pool.query(
+    'SELECT id, order_number, total, status FROM orders WHERE order_number = ANY($1::text[])',
+    [[orderNumber, `${orderNumber}-LOCAL`, `${orderNumber}-IMPORT`]]
+  );
+  const expectedAmount = expectedPaymentAmount(orders);
+  if (params.payment_status === 'COMPLETE') {
+    if (orders.length === 0) {
+      failures.push({ check: 'amount', message: `no orders found for ${orderNumber || 'a blank m_payment_id'}` });
+    } else if (!amountsMatch(params.amount_gross, expectedAmount)) {
+      failures.push({
+        check: 'amount',
+        message: `amount_gross ${params.amount_gross ?? 'missing'} does not match order total ${expectedAmount.toFixed(2)}`,
+      });
+    }
+  }
+
+  try {
+    const validation = await validateWithPayFast(params);
+    if (!validation.valid) {
+      failures.push({ check: 'postback', message: `PayFast answered ${validation.status} "${validation.response}"` });
+    }
+  } catch (error) {
+    failures.push({ check: 'postback', message: `validate request failed: ${error.message}` });
+    return { ok: false, retryable: true, failures, expectedAmount, orders };
+  }
+
+  return { ok: failures.length === 0, failures, expectedAmount, orders };
+};
+
+export const recordSuspiciousPayment = async ({ params = {}, sourceIp, verdict, webhookId = null }) => {
+  const reason = describeIpnFailures(verdict.failures);
+  const { rows: [payment] } = await pool.query(
+    `INSERT INTO suspicious_payments
+       (order_reference, pf_payment_id, payment_status, amount_gross, expected_amount, source_ip, failures, webhook_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      params.m_payment_id || null,
+      params.pf_payment_id || null,
+      params.payment_status || null,
+      Number.isFinite(Number(params.amount_gross)) && params.amount_gross !== '' ? Number(params.amount_gross) : null,
+      verdict.expectedAmount,
+      sourceIp || null,
+      JSON.stringify(verdict.failures),
+      webhookId,
+    ]
+  );
+
+  for (const order of verdict.orders || []) {
+    await recordOrderEvent({
+      orderId: order.id,
+      eventType: 'payment_flagged',
+      actorType: 'payfast',
+      source: 'payfast_ipn',
+      reason,
+      details: { suspiciousPaymentId: payment.id, paymentStatus: params.payment_status },
+    });
+  }
+
+  console.warn('[payfast-ipn] payment held for review', {
+    id: payment.id,
+    orderReference: payment.order_reference,
+    paymentStatus: payment.payment_status,
+    reason,
+  });
+  return payment;
+};
+
+export const listSuspiciousPayments = async ({ status = 'open', limit = 50 } = {}) => {
+  const { rows } = await pool.query(
+    `SELECT * FROM suspicious_payments
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+  return rows;
+};
+
+export const getSuspiciousPayment = async (id) => {
+  const { rows } = await pool.query('SELECT * FROM suspicious_payments WHERE id = $1', [id]);
+  return rows[0] || null;
+};
+
+// Closes an open review as approved (the payment was applied) or dismissed.
+export const reviewSuspiciousPayment = async (id, { status, actorEmail = null, note = null }) => {
+  const { rows } = await pool.query(
+    `UPDATE suspicious_payments
+     SET status = $2, reviewed_by = $3, review_note = $4, reviewed_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'open'
+     RETURNING *`,
+    [id, status, actorEmail, note ? String(note).slice(0, 1000) : null]
+  );
+  return rows[0] || null;
+};
+
+export default {
+  verifyPayFastIpn,
+  recordSuspiciousPayment,
+  listSuspiciousPayments,
+  getSuspiciousPayment,
+  reviewSuspiciousPayment,
+};
@@ -0,0 +1,90 @@
+// PayFast ITN (IPN) checks beyond the signature, as PayFast documents them: the
+// notification must come from PayFast, the amount must match what we charged,
+// and PayFast must confirm the data through its validate endpoint.
+
+export const PAYFAST_VALID_HOSTS = [
+  'www.payfast.co.za',
+  'sandbox.payfast.co.za',
+  'w1w.payfast.co.za',
+  'w2w.payfast.co.za',
+];
+
+// PayFast's published notification source ranges.
+export const PAYFAST_IP_RANGES = [
+  '197.97.145.144/28',
+  '41.74.179.192/27',
+  '102.216.36.0/28',
+  '102.216.36.128/28',
+  '144.126.193.139/32',
+];
+
+export const normalizeIp = (value) => {
+  const ip = String(value ?? '').trim();
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+};
+
+const ipv4ToInt = (ip) => {
+  const parts = ip.split('.');
+  if (parts.length !== 4 || parts.some((part) => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null;
+  return parts.reduce((total, part) => (total * 256) + Number(part), 0);
+};
+
+export const ipInRange = (ipValue, range) => {
+  const ip = ipv4ToInt(normalizeIp(ipValue));
+  const [base, bitsValue = '32'] = String(range || '').split('/');
+  const start = ipv4ToInt(base);
+  const bits = Number(bitsValue);
+  if (ip === null || start === null || !Number.isInteger(bits) || bits < 0 || bits > 32) return false;
+  const size = 2 ** (32 - bits);
+  const network = Math.floor(start / size) * size;
+  return ip >= network && ip < network + size;
+};
+
+// The address the request reached our proxy from. Behind proxyHops proxies the
+// caller's address is that many entries from the right of X-Forwarded-For;
+// anything further left was supplied by the caller and cannot be trusted.
+export const sourceIpFromRequest = ({ forwardedFor = '', remoteAddress = '', proxyHops = 1 } = {}) => {
+  const chain = String(forwardedFor || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const hops = Math.max(Math.floor(Number(proxyHops) || 0), 0);
+  if (hops === 0 || chain.length === 0) return normalizeIp(remoteAddress);
+  return normalizeIp(chain[Math.max(chain.length - hops, 0)]);
+};
+
+export const isPayFastSourceIp = (ip, { resolvedIps = [], extraRanges = [] } = {}) => {
+  const normalized = normalizeIp(ip);
+  if (!normalized) return false;
+  if (resolvedIps.map(normalizeIp).includes(normalized)) return true;
+  return [...PAYFAST_IP_RANGES, ...extraRanges].some((range) => ipInRange(normalized, range.includes('/') ? range : `${range}/32`));
+};
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+// A payment covers the master order number's -LOCAL and -IMPORT child orders.
+export const expectedPaymentAmount = (orders = []) => orders
+  .reduce((total, order) => total + toCents(order.total), 0) / 100;
+
+// PayFast allows a cent of rounding between what it reports and the order total.
+export const amountsMatch = (amountGross, expected) => (
+  Number.isFinite(Number(amountGross))
+  && String(amountGross ?? '').trim() !== ''
+  && Math.abs(toCents(amountGross) - toCents(expected)) <= 1
+);
+
+// The parameter string PayFast expects back on /eng/query/validate: every field
+// it posted, in order, up to (not including) the signature.
+export const payfastParamString = (params = {}) => {
+  const pairs = [];
+  for (const [key, value] of Object.entries(params)) {
+    if (key === 'signature') break;
+    if (value === undefined || value === null) continue;
+    pairs.push(`${key}=${encodeURIComponent(String(value)).replace(/%20/g, '+')}`);
+  }
+  return pairs.join('&');
+};
+
+export const describeIpnFailures = (failures = []) => failures
+  .map((failure) => `${failure.check}: ${failure.message}`)
+  .join('; ');
@@ -0,0 +1,58 @@
+export const DEFAULT_PRICE_ALERT_THRESHOLDS = Object.freeze({
+  costJumpPercent: 10,
+  marginFloorPercent: 15,
+});
+
+const roundTo = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round((Number(value || 0) + Number.EPSILON) * factor) / factor;
+};
+
+const thresholdNumber = (value, fallback, { min, max }) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : fallback;
+};
+
+// site_config / env values arrive as strings; anything out of range keeps the default.
+export const normalizePriceAlertThresholds = (raw = {}) => ({
+  costJumpPercent: thresholdNumber(raw.costJumpPercent, DEFAULT_PRICE_ALERT_THRESHOLDS.costJumpPercent, { min: 0.1, max: 1000 }),
+  marginFloorPercent: thresholdNumber(raw.marginFloorPercent, DEFAULT_PRICE_ALERT_THRESHOLDS.marginFloorPercent, { min: 0, max: 99 }),
+});
+
+// Gross margin on the retail price, before shipping and payment fees.
+export const marginPercent = (retailZar, costZar) => {
+  const retail = Number(retailZar);
+  if (!Number.isFinite(retail) || retail <= 0) return null;
+  return roundTo(((retail - Number(costZar || 0)) / retail) * 100, 1);
+};
+
+export const costChangePercent = (oldCost, newCost) => {
+  const previous = Number(oldCost);
+  if (!Number.isFinite(previous) || previous <= 0) return null;
+  return roundTo(((Number(newCost || 0) - previous) / previous) * 100, 1);
+};
+
+// Which owner-alert rules one price change breaks: a supplier cost rise above
+// costJumpPercent and/or a resulting margin under marginFloorPercent.
+// change: { oldCostUsd, newCostUsd, newCostZar, newRetailZar }
+export const evaluatePriceChange = (change, thresholds = DEFAULT_PRICE_ALERT_THRESHOLDS) => {
+  const jump = costChangePercent(change.oldCostUsd, change.newCostUsd);
+  const margin = marginPercent(change.newRetailZar, change.newCostZar);
+  const reasons = [];
+  if (jump !== null && jump > thresholds.costJumpPercent) reasons.push('cost_jump');
+  if (margin !== null && margin < thresholds.marginFloorPercent) reasons.push('margin_floor');
+  return { reasons, costChangePercent: jump, marginPercent: margin };
+};
+
+// product_price_history rows -> chart points, oldest first.
+export const buildPriceSeries = (rows = []) => rows
+  .map((row) => ({
+    recordedAt: row.recorded_at,
+    source: row.source,
+    costUsd: row.cj_cost_usd === null ? null : Number(row.cj_cost_usd),
+    costZar: row.cost_zar === null ? null : Number(row.cost_zar),
+    retailPrice: row.retail_price === null ? null : Number(row.retail_price),
+    marginPercent: row.margin_percent === null ? null : Number(row.margin_percent),
+  }))
+  .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
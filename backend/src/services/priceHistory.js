@@ -0,0 +1,137 @@
+import pool from '../db.js';
+import { sendPriceAlertDigestEmail } from './emailService.js';
+import {
+  buildPriceSeries,
+  evaluatePriceChange,
+  marginPercent,
+  normalizePriceAlertThresholds,
+} from './priceAlertRules.js';
+
+const THRESHOLD_KEYS = {
+  costJumpPercent: 'price_alert_cost_jump_percent',
+  marginFloorPercent: 'price_alert_margin_floor_percent',
+};
+
+const roundMoney = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+
+// Owner inbox for price digests and exchange-rate alerts
+export const priceAlertEmailAddress = () => (
+  process.env.PRICE_ALERT_EMAIL ||
+  process.env.SNUGGLEUP_OWNER_EMAIL ||
+  'support@snuggleup.co.za'
+).trim();
+
+// Thresholds live in site_config next to usd_to_zar/price_markup; env is the fallback.
+export const getPriceAlertThresholds = async () => {
+  const { rows } = await pool.query(
+    'SELECT key, value FROM site_config WHERE key = ANY($1::text[])',
+    [Object.values(THRESHOLD_KEYS)]
+  );
+  const map = Object.fromEntries(rows.map((row) => [row.key, row.value]));
+  return normalizePriceAlertThresholds({
+    costJumpPercent: map[THRESHOLD_KEYS.costJumpPercent] ?? process.env.PRICE_ALERT_COST_JUMP_PERCENT,
+    marginFloorPercent: map[THRESHOLD_KEYS.marginFloorPercent] ?? process.env.PRICE_ALERT_MARGIN_FLOOR_PERCENT,
+  });
+};
+
+// Returns { thresholds } or { error } for a 400.
+export const updatePriceAlertThresholds = async ({ costJumpPercent, marginFloorPercent }) => {
+  const costJump = costJumpPercent === undefined ? undefined : Number(costJumpPercent);
+  const marginFloor = marginFloorPercent === undefined ? undefined : Number(marginFloorPercent);
+  if (costJump !== undefined && !(costJump >= 0.1 && costJump <= 1000)) {
+    return { error: 'costJumpPercent must be between 0.1 and 1000' };
+  }
+  if (marginFloor !== undefined && !(marginFloor >= 0 && marginFloor <= 99)) {
+    return { error: 'marginFloorPercent must be between 0 and 99' };
+  }
+
+  for (const [name, value] of [['costJumpPercent', costJump], ['marginFloorPercent', marginFloor]]) {
+    if (value === undefined) continue;
+    await pool.query(
+      `INSERT INTO site_config (key, value) VALUES ($1, $2)
+       ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()`,
+      [THRESHOLD_KEYS[name], String(value)]
+    );
+  }
+  return { thresholds: await getPriceAlertThresholds() };
+};
+
+// One history row per change. Returns the evaluated change so callers can
+// collect alert candidates for the digest.
+export const recordPriceChange = async ({
+  productId,
+  source,
+  oldCostUsd,
+  newCostUsd,
+  oldRetailZar,
+  newRetailZar,
+  usdToZar,
+  actorEmail = null,
+}, client = pool) => {
+  const costZar = Number.isFinite(Number(usdToZar)) && newCostUsd !== null && newCostUsd !== undefined
+    ? roundMoney(Number(newCostUsd) * Number(usdToZar))
+    : null;
+  const margin = costZar === null ? null : marginPercent(newRetailZar, costZar);
+  await client.query(
+    `INSERT INTO product_price_history (
+       curated_product_id, source, cj_cost_usd, previous_cost_usd, usd_to_zar,
+       cost_zar, retail_price, previous_retail_price, margin_percent, actor_email
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      productId,
+      source,
+      newCostUsd ?? null,
+      oldCostUsd ?? null,
+      usdToZar ?? null,
+      costZar,
+      newRetailZar ?? null,
+      oldRetailZar ?? null,
+      margin,
+      actorEmail,
+    ]
+  );
+  return { productId, oldCostUsd, newCostUsd, newCostZar: costZar, newRetailZar, marginPercent: margin };
+};
+
+export const getPriceHistory = async (productId, { days = 180 } = {}) => {
+  const { rows: [product] } = await pool.query(
+    `SELECT id, product_name, cj_cost_price, suggested_price, custom_price
+     FROM curated_products WHERE id = $1`,
+    [productId]
+  );
+  if (!product) return null;
+
+  const { rows } = await pool.query(
+    `SELECT recorded_at, source, cj_cost_usd, cost_zar, retail_price, margin_percent
+     FROM product_price_history
+     WHERE curated_product_id = $1 AND recorded_at >= NOW() - ($2 || ' days')::interval
+     ORDER BY recorded_at`,
+    [productId, String(days)]
+  );
+  return { product, points: buildPriceSeries(rows) };
+};
+
+// Emails the owner one digest covering every change in a sync run that
+// breaks a threshold. changes: [{ name, ...recordPriceChange result }]
+export const sendPriceAlertDigest = async (changes = [], thresholds = null) => {
+  const limits = thresholds || await getPriceAlertThresholds();
+  const alerts = changes
+    .map((change) => ({ ...change, ...evaluatePriceChange(change, limits) }))
+    .filter((change) => change.reasons.length > 0);
+  if (alerts.length === 0) return { sent: false, alerts: [] };
+
+  const result = await sendPriceAlertDigestEmail({
+    to: priceAlertEmailAddress(),
+    alerts,
+    thresholds: limits,
+  });
+  return { sent: Boolean(result.success), alerts, error: result.success ? undefined : result.error };
+};
+
+export default {
+  getPriceAlertThresholds,
+  updatePriceAlertThresholds,
+  recordPriceChange,
+  getPriceHistory,
+  sendPriceAlertDigest,
+};
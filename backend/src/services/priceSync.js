@@ -1,9 +1,14 @@
 import pool from '../db.js';
 import { cjClient } from './cjClient.js';
+import { recordPriceChange, sendPriceAlertDigest } from './priceHistory.js';
+import { loadPricingContext } from './pricingEngine.js';
+import { calculateRetailPrice } from './pricingRules.js';
 
 /**
  * Sync product prices with current CJ prices
  * Runs daily to keep costs and retail prices up-to-date
+ * Every change is written to product_price_history, and changes past the
+ * price alert thresholds are emailed to the owner as one digest per run
  * @param {Object} options - Sync configuration
  * @param {number} options.limit - Max products to sync (default 50)
  * @param {string} options.syncType - 'scheduled' or 'manual'
@@ -16,7 +21,7 @@ export async function syncProductPrices({ limit = 50, syncType = 'scheduled' } =
   try {
     // Get active products with CJ PIDs, ordered by least recently updated
     const result = await pool.query(`
-      SELECT id, cj_pid, product_name, cj_cost_price, custom_price 
+      SELECT id, cj_pid, product_name, category, cj_cost_price, suggested_price, custom_price 
       FROM curated_products 
       WHERE cj_pid IS NOT NULL AND is_active = TRUE
       ORDER BY updated_at ASC
@@ -25,20 +30,18 @@ export async function syncProductPrices({ limit = 50, syncType = 'scheduled' } =
 
     if (result.rows.length === 0) {
       console.log('[priceSync] No products to sync');
-      return { synced: 0, priceChanges: [], errors: [], processed: 0 };
+      return { synced: 0, priceChanges: [], priceAlerts: 0, errors: [], processed: 0 };
     }
 
     console.log(`[priceSync] Found ${result.rows.length} products to sync`);
 
     const priceChanges = [];
+    const recordedChanges = [];
     const errors = [];
     let syncedCount = 0;
 
-    // Load current pricing config
-    const configResult = await pool.query(`SELECT key, value FROM site_config WHERE key IN ('usd_to_zar','price_markup')`);
-    const configMap = Object.fromEntries(configResult.rows.map(r => [r.key, r.value]));
-    const USD_TO_ZAR = parseFloat(configMap.usd_to_zar || process.env.USD_TO_ZAR || 18.0);
-    const PRICE_MARKUP = parseFloat(configMap.price_markup || process.env.PRICE_MARKUP || 1.12);
+    // Load current pricing config and rules (category/price band/product markups)
+    const pricing = await loadPricingContext();
 
     for (const product of result.rows) {
       try {
@@ -57,8 +60,12 @@ export async function syncProductPrices({ limit = 50, syncType = 'scheduled' } =
 
         // Always update if price is different
         if (currentCJPrice !== storedCJPrice) {
-          const costZAR = Math.round(currentCJPrice * USD_TO_ZAR * 100) / 100;
-          const newRetailPrice = Math.round(costZAR * PRICE_MARKUP * 100) / 100;
+          const newRetailPrice = calculateRetailPrice(
+            { id: product.id, category: product.category, costUsd: currentCJPrice },
+            pricing
+          ).price;
+          // The live retail price, as previewPricing reads it
+          const oldRetailPrice = product.custom_price ?? product.suggested_price;
 
           await pool.query(`
             UPDATE curated_products 
@@ -69,6 +76,17 @@ export async function syncProductPrices({ limit = 50, syncType = 'scheduled' } =
             WHERE id = $4
           `, [currentCJPrice, newRetailPrice, newRetailPrice, product.id]);
 
+          const recorded = await recordPriceChange({
+            productId: product.id,
+            source: syncType === 'manual' ? 'admin_sync' : 'price_sync',
+            oldCostUsd: storedCJPrice,
+            newCostUsd: currentCJPrice,
+            oldRetailZar: oldRetailPrice,
+            newRetailZar: newRetailPrice,
+            usdToZar: pricing.usdToZar,
+          });
+          recordedChanges.push({ ...recorded, name: product.product_name });
+
           // Log significant changes (>0.5%)
           if (percentChange > 0.5) {
             priceChanges.push({
@@ -76,7 +94,7 @@ export async function syncProductPrices({ limit = 50, syncType = 'scheduled' } =
               name: product.product_name,
               oldCostUSD: storedCJPrice,
               newCostUSD: currentCJPrice,
-              oldPriceZAR: product.custom_price,
+              oldPriceZAR: oldRetailPrice,
               newPriceZAR: newRetailPrice,
               percentChange: Math.round(percentChange * 10) / 10,
               increased: currentCJPrice > storedCJPrice
@@ -91,22 +109,37 @@ export async function syncProductPrices({ limit = 50, syncType = 'scheduled' } =
       }
     }
 
+    // A failed digest must not fail the sync; the history rows are already written
+    let priceAlerts = 0;
+    try {
+      const digest = await sendPriceAlertDigest(recordedChanges);
+      priceAlerts = digest.alerts.length;
+      if (priceAlerts > 0) {
+        console.log(`[priceSync] ${priceAlerts} price alerts, digest ${digest.sent ? 'sent' : `not sent (${digest.error})`}`);
+      }
+    } catch (err) {
+      console.error('[priceSync] Price alert digest failed:', err.message);
+    }
+
     const elapsed = Date.now() - started;
     const summary = {
       synced: syncedCount,
       priceChanges,
+      priceAlerts,
+      usdToZar: pricing.usdToZar,
+      rateSource: pricing.rateSource,
       errors,
       processed: result.rows.length,
       elapsed
     };
 
     if (priceChanges.length > 0) {
-      console.log(`[priceSync] ✓ Synced ${syncedCount} products, ${priceChanges.length} significant changes in ${elapsed}ms`);
+      console.log(`[priceSync] ✓ Synced ${syncedCount} products at USD→ZAR ${pricing.usdToZar} (${pricing.rateSource}), ${priceChanges.length} significant changes in ${elapsed}ms`);
       priceChanges.slice(0, 5).forEach(c => {
         console.log(`  • ${c.name}: $${c.oldCostUSD} → $${c.newCostUSD} (${c.increased ? '↑' : '↓'}${c.percentChange}%)`);
       });
     } else {
-      console.log(`[priceSync] ✓ Synced ${syncedCount} products, no significant changes in ${elapsed}ms`);
+      console.log(`[priceSync] ✓ Synced ${syncedCount} products at USD→ZAR ${pricing.usdToZar} (${pricing.rateSource}), no significant changes in ${elapsed}ms`);
     }
 
     if (errors.length > 0) {
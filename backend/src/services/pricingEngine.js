@@ -0,0 +1,210 @@
+import pool from '../db.js';
+import { ROUNDING_MODES, calculateRetailPrice } from './pricingRules.js';
+import { recordPriceChange } from './priceHistory.js';
+
+const RULE_COLUMNS = [
+  'scope',
+  'category',
+  'min_cost_zar',
+  'max_cost_zar',
+  'curated_product_id',
+  'markup',
+  'min_margin_zar',
+  'fixed_price',
+  'rounding',
+  'priority',
+  'is_active',
+  'notes',
+];
+
+const numberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+export const mapPricingRuleRow = (row) => ({
+  id: row.id,
+  scope: row.scope,
+  category: row.category,
+  minCostZar: numberOrNull(row.min_cost_zar),
+  maxCostZar: numberOrNull(row.max_cost_zar),
+  productId: row.curated_product_id,
+  productName: row.product_name,
+  markup: numberOrNull(row.markup),
+  minMarginZar: numberOrNull(row.min_margin_zar),
+  fixedPrice: numberOrNull(row.fixed_price),
+  rounding: row.rounding,
+  priority: row.priority,
+  isActive: row.is_active,
+  notes: row.notes,
+  createdByEmail: row.created_by_email,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Exchange rate, default markup/min margin/rounding (site_config, then env) and active rules.
+export const loadPricingContext = async (client = pool) => {
+  const { rows } = await client.query(
+    `SELECT key, value FROM site_config
+     WHERE key IN ('usd_to_zar', 'usd_to_zar_source', 'price_markup', 'price_min_margin_zar', 'price_rounding')`
+  );
+  const map = Object.fromEntries(rows.map((row) => [row.key, row.value]));
+
+  const usdCandidate = parseFloat(map.usd_to_zar || process.env.USD_TO_ZAR);
+  const markupCandidate = parseFloat(map.price_markup || process.env.PRICE_MARKUP);
+  const minMarginCandidate = parseFloat(map.price_min_margin_zar);
+  const rounding = ROUNDING_MODES.includes(map.price_rounding) ? map.price_rounding : 'none';
+
+  const { rows: ruleRows } = await client.query(
+    'SELECT * FROM pricing_rules WHERE is_active = TRUE ORDER BY id'
+  );
+
+  return {
+    usdToZar: Number.isFinite(usdCandidate) && usdCandidate >= 5 ? usdCandidate : 18.0,
+    rateSource: map.usd_to_zar ? (map.usd_to_zar_source || 'manual') : (process.env.USD_TO_ZAR ? 'env' : 'default'),
+    defaults: {
+      markup: Number.isFinite(markupCandidate) && markupCandidate > 0.2 && markupCandidate <= 10 ? markupCandidate : 1.4,
+      minMarginZar: Number.isFinite(minMarginCandidate) && minMarginCandidate >= 0 ? minMarginCandidate : 0,
+      rounding,
+    },
+    rules: ruleRows.map(mapPricingRuleRow),
+  };
+};
+
+export const describePricingContext = (context) => (
+  `USD cost × ${context.usdToZar} × markup (default ${context.defaults.markup}` +
+  `${context.defaults.minMarginZar > 0 ? `, min margin R${context.defaults.minMarginZar}` : ''}` +
+  `${context.defaults.rounding !== 'none' ? `, rounding ${context.defaults.rounding}` : ''}` +
+  `, ${context.rules.length} active rule${context.rules.length === 1 ? '' : 's'})`
+);
+
+export const listPricingRules = async () => {
+  const { rows } = await pool.query(
+    `SELECT r.*, cp.product_name
+     FROM pricing_rules r
+     LEFT JOIN curated_products cp ON cp.id = r.curated_product_id
+     ORDER BY r.scope, r.priority DESC, r.id`
+  );
+  return rows.map(mapPricingRuleRow);
+};
+
+// Creates (no id) or updates a rule. Returns null when updating a rule that does not exist.
+export const savePricingRule = async ({ id = null, values, actorEmail = null }) => {
+  const params = RULE_COLUMNS.map((column) => values[column]);
+  const { rows } = id
+    ? await pool.query(
+      `UPDATE pricing_rules
+       SET ${RULE_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+           updated_at = NOW()
+       WHERE id = $${RULE_COLUMNS.length + 1}
+       RETURNING *`,
+      [...params, id]
+    )
+    : await pool.query(
+      `INSERT INTO pricing_rules (${RULE_COLUMNS.join(', ')}, created_by_email)
+       VALUES (${RULE_COLUMNS.map((_, index) => `$${index + 1}`).join(', ')}, $${RULE_COLUMNS.length + 1})
+       RETURNING *`,
+      [...params, actorEmail]
+    );
+  return rows[0] ? mapPricingRuleRow(rows[0]) : null;
+};
+
+export const deletePricingRule = async (id) => {
+  const { rowCount } = await pool.query('DELETE FROM pricing_rules WHERE id = $1', [id]);
+  return rowCount > 0;
+};
+
+// Old and new price for each curated product under the current rules. Writes nothing.
+export const previewPricing = async ({ productIds = null, context = null } = {}, client = pool) => {
+  const pricing = context || await loadPricingContext(client);
+  const { rows } = await client.query(
+    `SELECT id, product_name, category, cj_cost_price, suggested_price, custom_price
+     FROM curated_products
+     ${productIds ? 'WHERE id = ANY($1::int[])' : ''}
+     ORDER BY id`,
+    productIds ? [productIds] : []
+  );
+
+  const products = rows.map((row) => {
+    const result = calculateRetailPrice(
+      { id: row.id, category: row.category, costUsd: row.cj_cost_price },
+      pricing
+    );
+    const oldSuggestedPrice = numberOrNull(row.suggested_price);
+    const oldRetailPrice = numberOrNull(row.custom_price ?? row.suggested_price);
+    return {
+      id: row.id,
+      name: row.product_name,
+      category: row.category,
+      costUsd: Number(row.cj_cost_price),
+      costZar: result.costZar,
+      oldSuggestedPrice,
+      oldRetailPrice,
+      newPrice: result.price,
+      ruleId: result.ruleId,
+      ruleScope: result.ruleScope,
+      markup: result.markup,
+      rounding: result.rounding,
+      minMarginApplied: result.minMarginApplied,
+      suggestedChanged: oldSuggestedPrice !== result.price,
+      retailChanged: oldRetailPrice !== result.price,
+    };
+  });
+
+  return { context: pricing, products };
+};
+
+// Writes the engine's prices to suggested_price, and to custom_price (the live
+// retail price) as well when syncRetail is set. Retail changes go to price history.
+export const applyPricing = async ({ syncRetail = false, actorEmail = null } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { context, products } = await previewPricing({}, client);
+    const changed = products.filter((product) => product.suggestedChanged || (syncRetail && product.retailChanged));
+
+    for (const product of changed) {
+      await client.query(
+        `UPDATE curated_products
+         SET suggested_price = $1,
+             custom_price = CASE WHEN $2 THEN $1 ELSE custom_price END,
+             updated_at = NOW()
+         WHERE id = $3`,
+        [product.newPrice, syncRetail, product.id]
+      );
+      if (syncRetail && product.retailChanged) {
+        await recordPriceChange({
+          productId: product.id,
+          source: 'pricing_rules',
+          oldCostUsd: product.costUsd,
+          newCostUsd: product.costUsd,
+          oldRetailZar: product.oldRetailPrice,
+          newRetailZar: product.newPrice,
+          usdToZar: context.usdToZar,
+          actorEmail,
+        }, client);
+      }
+    }
+
+    await client.query('COMMIT');
+    return {
+      context,
+      updated: changed.length,
+      retailUpdated: syncRetail ? changed.filter((product) => product.retailChanged).length : 0,
+      products: changed,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default {
+  mapPricingRuleRow,
+  loadPricingContext,
+  describePricingContext,
+  listPricingRules,
+  savePricingRule,
+  deletePricingRule,
+  previewPricing,
+  applyPricing,
+};
@@ -0,0 +1,187 @@
+export const RULE_SCOPES = Object.freeze({
+  PRODUCT: 'product',
+  CATEGORY: 'category',
+  PRICE_BAND: 'price_band',
+});
+
+// none: cents as calculated; 99/95: next price ending in .99/.95;
+// whole: next whole rand; 9: next whole rand ending in 9 (e.g. R249)
+export const ROUNDING_MODES = Object.freeze(['none', '99', '95', 'whole', '9']);
+
+// Most specific rule wins: a product override beats its category, which beats a price band
+const SCOPE_PRECEDENCE = {
+  [RULE_SCOPES.PRODUCT]: 3,
+  [RULE_SCOPES.CATEGORY]: 2,
+  [RULE_SCOPES.PRICE_BAND]: 1,
+};
+
+const roundMoney = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+
+const optionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const optionalText = (value) => {
+  const text = String(value ?? '').trim();
+  return text || null;
+};
+
+// Rounding never lowers a price, so a minimum margin survives it.
+export const applyRounding = (price, mode = 'none') => {
+  const value = roundMoney(price);
+  if (value <= 0) return value;
+  switch (mode) {
+    case '99':
+      return roundMoney(Math.floor(value) + 0.99);
+    case '95': {
+      const candidate = roundMoney(Math.floor(value) + 0.95);
+      return candidate >= value ? candidate : roundMoney(candidate + 1);
+    }
+    case 'whole':
+      return Math.ceil(value);
+    case '9':
+      return Math.ceil((value + 1) / 10) * 10 - 1;
+    default:
+      return value;
+  }
+};
+
+const ruleMatches = (rule, product, costZar) => {
+  if (!rule || rule.isActive === false) return false;
+  if (rule.scope === RULE_SCOPES.PRODUCT) {
+    return Number(rule.productId) === Number(product.id);
+  }
+  if (rule.scope === RULE_SCOPES.CATEGORY) {
+    return Boolean(product.category)
+      && String(rule.category).trim().toLowerCase() === String(product.category).trim().toLowerCase();
+  }
+  if (rule.scope === RULE_SCOPES.PRICE_BAND) {
+    if (rule.minCostZar !== null && rule.minCostZar !== undefined && costZar < Number(rule.minCostZar)) return false;
+    if (rule.maxCostZar !== null && rule.maxCostZar !== undefined && costZar >= Number(rule.maxCostZar)) return false;
+    return true;
+  }
+  return false;
+};
+
+export const selectPricingRule = (rules = [], product = {}, costZar = 0) => rules
+  .filter((rule) => ruleMatches(rule, product, costZar))
+  .sort((a, b) => (
+    (SCOPE_PRECEDENCE[b.scope] - SCOPE_PRECEDENCE[a.scope])
+    || (Number(b.priority || 0) - Number(a.priority || 0))
+    || (Number(a.id || 0) - Number(b.id || 0))
+  ))[0] || null;
+
+// Retail price for one curated product.
+// product: { id, category, costUsd }
+// context: { usdToZar, defaults: { markup, minMarginZar, rounding }, rules }
+// Fields a matching rule leaves empty fall back to the defaults.
+export const calculateRetailPrice = (product, { usdToZar, defaults, rules = [] }) => {
+  const costZar = roundMoney(Number(product.costUsd || 0) * Number(usdToZar || 0));
+  const rule = selectPricingRule(rules, product, costZar);
+  const base = {
+    costZar,
+    ruleId: rule?.id ?? null,
+    ruleScope: rule?.scope ?? null,
+    minMarginApplied: false,
+  };
+
+  if (rule?.fixedPrice !== null && rule?.fixedPrice !== undefined) {
+    return { ...base, price: roundMoney(rule.fixedPrice), markup: null, rounding: 'none' };
+  }
+
+  const markup = Number(rule?.markup ?? defaults.markup);
+  const minMarginZar = Number(rule?.minMarginZar ?? defaults.minMarginZar ?? 0);
+  const rounding = rule?.rounding ?? defaults.rounding ?? 'none';
+
+  let price = roundMoney(costZar * markup);
+  let minMarginApplied = false;
+  if (minMarginZar > 0 && price - costZar < minMarginZar) {
+    price = roundMoney(costZar + minMarginZar);
+    minMarginApplied = true;
+  }
+
+  return { ...base, price: applyRounding(price, rounding), markup, rounding, minMarginApplied };
+};
+
+// Validates an admin create/update payload. Returns { values } mapped onto
+// pricing_rules columns, or { error } for a 400.
+export const normalizePricingRuleInput = (body = {}) => {
+  const scope = String(body.scope || '').trim().toLowerCase();
+  if (!Object.values(RULE_SCOPES).includes(scope)) {
+    return { error: 'scope must be "product", "category" or "price_band"' };
+  }
+
+  const markup = optionalNumber(body.markup);
+  const minMarginZar = optionalNumber(body.minMarginZar ?? body.min_margin_zar);
+  const fixedPrice = optionalNumber(body.fixedPrice ?? body.fixed_price);
+  const minCostZar = optionalNumber(body.minCostZar ?? body.min_cost_zar);
+  const maxCostZar = optionalNumber(body.maxCostZar ?? body.max_cost_zar);
+  const rounding = optionalText(body.rounding);
+  const priority = Number(body.priority ?? 0);
+
+  if (Number.isNaN(markup) || (markup !== null && (markup <= 0.2 || markup > 10))) {
+    return { error: 'markup must be >0.2 and <=10' };
+  }
+  if (Number.isNaN(minMarginZar) || (minMarginZar !== null && minMarginZar < 0)) {
+    return { error: 'minMarginZar must be 0 or more' };
+  }
+  if (Number.isNaN(fixedPrice) || (fixedPrice !== null && fixedPrice <= 0)) {
+    return { error: 'fixedPrice must be greater than 0' };
+  }
+  if (rounding !== null && !ROUNDING_MODES.includes(rounding)) {
+    return { error: `rounding must be one of ${ROUNDING_MODES.join(', ')}` };
+  }
+  if (!Number.isInteger(priority)) return { error: 'priority must be a whole number' };
+  if (markup === null && minMarginZar === null && fixedPrice === null && rounding === null) {
+    return { error: 'Set at least one of markup, minMarginZar, fixedPrice or rounding' };
+  }
+
+  const values = {
+    scope,
+    category: null,
+    min_cost_zar: null,
+    max_cost_zar: null,
+    curated_product_id: null,
+    markup,
+    min_margin_zar: minMarginZar,
+    fixed_price: null,
+    rounding,
+    priority,
+    is_active: body.isActive === undefined && body.is_active === undefined
+      ? true
+      : Boolean(body.isActive ?? body.is_active),
+    notes: optionalText(body.notes),
+  };
+
+  if (scope === RULE_SCOPES.PRODUCT) {
+    const productId = Number(body.productId ?? body.curated_product_id);
+    if (!Number.isInteger(productId) || productId <= 0) return { error: 'productId is required for product rules' };
+    values.curated_product_id = productId;
+    values.fixed_price = fixedPrice === null ? null : roundMoney(fixedPrice);
+  } else if (fixedPrice !== null) {
+    return { error: 'fixedPrice is only allowed on product rules' };
+  }
+
+  if (scope === RULE_SCOPES.CATEGORY) {
+    values.category = optionalText(body.category);
+    if (!values.category) return { error: 'category is required for category rules' };
+  }
+
+  if (scope === RULE_SCOPES.PRICE_BAND) {
+    if (Number.isNaN(minCostZar) || Number.isNaN(maxCostZar)) {
+      return { error: 'minCostZar and maxCostZar must be numbers' };
+    }
+    if (minCostZar === null && maxCostZar === null) {
+      return { error: 'Price bands need minCostZar and/or maxCostZar' };
+    }
+    if (minCostZar !== null && maxCostZar !== null && maxCostZar <= minCostZar) {
+      return { error: 'maxCostZar must be greater than minCostZar' };
+    }
+    values.min_cost_zar = minCostZar;
+    values.max_cost_zar = maxCostZar;
+  }
+
+  return { values };
+};
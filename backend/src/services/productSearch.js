@@ -0,0 +1,219 @@
+import pool from '../db.js';
+import { createAnalyticsEventDedupeKey } from './analyticsEventDeduplication.js';
+import { REPORT_TIME_ZONE } from './analyticsReportingRules.js';
+import { BUNDLE_SOURCES } from './bundleRules.js';
+import {
+  applySearchFilters,
+  buildSearchFacets,
+  collapseVariants,
+  searchLogText,
+} from './searchRules.js';
+
+// Public search across curated CJ products and approved local products.
+// Documents are weighted tsvectors (titles A, tags and category B, description
+// C) matched with websearch_to_tsquery; pg_trgm word similarity on titles,
+// tags and category catches typos the stemmer cannot. The catalogue is a few
+// thousand rows, so documents are built per query rather than stored. Facets
+// and filters are applied to the best MAX_CANDIDATES matches in memory.
+
+const MAX_CANDIDATES = 500;
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const getFuzzyThreshold = () => Math.min(positiveNumber(process.env.SEARCH_FUZZY_THRESHOLD, 0.4), 1);
+
+const CURATED_DOCUMENT = `
+  setweight(to_tsvector('english', COALESCE(cp.seo_title, '')), 'A')
+  || setweight(to_tsvector('english', cp.product_name), 'A')
+  || setweight(to_tsvector('english', COALESCE(cp.category, '')), 'B')
+  || setweight(to_tsvector('english', COALESCE(cp.product_description, '')), 'C')`;
+
+const LOCAL_DOCUMENT = `
+  setweight(to_tsvector('english', lp.name), 'A')
+  || setweight(to_tsvector('english', COALESCE(array_to_string(lp.tags, ' '), '')), 'B')
+  || setweight(to_tsvector('english', COALESCE(lp.category, '')), 'B')
+  || setweight(to_tsvector('english', COALESCE(lp.description, '')), 'C')`;
+
+// Best similarity of the query to any of the fields; without pg_trgm, a plain
+// substring match scores 1.
+const fuzzyRank = (fields, trigram) => (trigram
+  ? `GREATEST(${fields.map((field) => `word_similarity($1, ${field})`).join(', ')})`
+  : `GREATEST(${fields.map((field) => `(strpos(lower(${field}), lower($1)) > 0)::int`).join(', ')})`);
+
+// pg_trgm is created in initDb() when the database role may do so
+let trigramAvailable = null;
+const hasTrigramSupport = async () => {
+  if (trigramAvailable === null) {
+    const { rows } = await pool.query(
+      `SELECT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm') AS available`
+    );
+    trigramAvailable = rows[0].available === true;
+  }
+  return trigramAvailable;
+};
+
+const findMatches = async (query) => {
+  const trigram = await hasTrigramSupport();
+  const { rows } = await pool.query(
+    `WITH candidates AS (
+       SELECT '${BUNDLE_SOURCES.IMPORT}' AS source, cp.id,
+              COALESCE(NULLIF(cp.seo_title, ''), cp.product_name) AS name, cp.category,
+              COALESCE(cp.custom_price, cp.suggested_price)::float AS price,
+              CASE WHEN cp.product_image IS NULL THEN '{}'::text[] ELSE ARRAY[cp.product_image] END AS images,
+              COALESCE(inv.stock_quantity, 0)::int AS stock_quantity,
+              COALESCE(cp.group_code, cp.cj_pid) AS variant_key,
+              ${CURATED_DOCUMENT} AS document,
+              ${fuzzyRank(["COALESCE(cp.seo_title, '')", 'cp.product_name', "COALESCE(cp.category, '')"], trigram)} AS fuzzy_rank
+       FROM curated_products cp
+       LEFT JOIN (
+         SELECT curated_product_id, SUM(total_inventory) AS stock_quantity
+         FROM curated_product_inventories
+         WHERE country_code = 'CN'
+         GROUP BY curated_product_id
+       ) inv ON inv.curated_product_id = cp.id
+       WHERE cp.is_active = TRUE
+       UNION ALL
+       SELECT '${BUNDLE_SOURCES.LOCAL}', lp.id, lp.name, lp.category, lp.price::float,
+              COALESCE(lp.images, '{}'::text[]), lp.stock_quantity, NULL,
+              ${LOCAL_DOCUMENT},
+              ${fuzzyRank(['lp.name', "COALESCE(array_to_string(lp.tags, ' '), '')", "COALESCE(lp.category, '')"], trigram)}
+       FROM local_products lp
+       WHERE lp.is_active = TRUE
+         AND lp.approval_status = 'approved'
+     )
+     SELECT c.source, c.id, c.name, c.category, c.price, c.images, c.stock_quantity, c.variant_key,
+            ts_rank(c.document, q.query) * 2 + c.fuzzy_rank AS score
+     FROM candidates c
+     CROSS JOIN websearch_to_tsquery('english', $1) AS q(query)
+     WHERE c.document @@ q.query OR c.fuzzy_rank >= $2::float
+     ORDER BY score DESC, c.stock_quantity > 0 DESC, c.id
+     LIMIT $3`,
+    [query, getFuzzyThreshold(), MAX_CANDIDATES]
+  );
+  return rows.map((row) => {
+    const isLocal = row.source === BUNDLE_SOURCES.LOCAL;
+    return {
+      id: isLocal ? row.id : `curated-${row.id}`,
+      productId: Number(row.id),
+      name: row.name,
+      category: row.category,
+      price: row.price,
+      images: row.images || [],
+      stock_quantity: Math.max(0, row.stock_quantity || 0),
+      inStock: row.stock_quantity > 0,
+      source: row.source,
+      isLocal,
+      score: Math.round(Number(row.score) * 10000) / 10000,
+      variantGroup: row.variant_key ? `${BUNDLE_SOURCES.IMPORT}-group:${row.variant_key}` : null,
+    };
+  });
+};
+
+// { results, total, facets } for normalized search params (searchRules.normalizeSearchParams)
+export const searchProducts = async ({ query, filters, limit, offset }) => {
+  const matches = collapseVariants(await findMatches(query));
+  const filtered = applySearchFilters(matches, filters);
+  return {
+    results: filtered.slice(offset, offset + limit).map(({ variantGroup, ...result }) => result),
+    total: filtered.length,
+    facets: buildSearchFacets(matches, filters),
+  };
+};
+
+// Logs a `search` event for a known customer session, copying attribution from
+// its latest event (as checkoutAnalytics does). Repeating the same search and
+// filters in a session is logged once. Never throws.
+export const recordSearchEvent = async ({ visitorId, sessionId, query, filters = {}, resultCount }) => {
+  if (!visitorId || !sessionId) return { recorded: false, reason: 'missing_identity' };
+  try {
+    const searchQuery = searchLogText(query);
+    const filterKey = Object.entries(filters)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+    const interactionId = `search:${searchQuery}|${filterKey}`.slice(0, 240);
+    const dedupeKey = createAnalyticsEventDedupeKey({
+      sessionId,
+      eventName: 'search',
+      pagePath: '/search',
+      interactionId,
+    });
+
+    const result = await pool.query(
+      `INSERT INTO storefront_analytics_events
+       (event_name, session_id, visitor_id, page_path, page_title,
+        source, medium, campaign, referrer_host, country_code, timezone_name,
+        browser_locale, audience_type, traffic_type, is_internal_traffic,
+        device_id, utm_source, utm_medium, utm_campaign, utm_term, utm_content,
+        gclid, campaign_source, campaign_medium, campaign_name, browser_name,
+        device_type, os_name, city_name, region_name, province_name,
+        municipality_name, ad_group, marketing_consent,
+        event_dedupe_key, interaction_id, search_query, event_value)
+       SELECT 'search', e.session_id, e.visitor_id, '/search', 'Search',
+              e.source, e.medium, e.campaign, e.referrer_host, e.country_code, e.timezone_name,
+              e.browser_locale, 'customer', 'customer', FALSE,
+              e.device_id, e.utm_source, e.utm_medium, e.utm_campaign, e.utm_term, e.utm_content,
+              e.gclid, e.campaign_source, e.campaign_medium, e.campaign_name, e.browser_name,
+              e.device_type, e.os_name, e.city_name, e.region_name, e.province_name,
+              e.municipality_name, e.ad_group, e.marketing_consent,
+              $3, $4, $5, $6
+       FROM storefront_analytics_events e
+       WHERE e.visitor_id = $1 AND e.session_id = $2
+         AND e.traffic_type = 'customer' AND e.is_internal_traffic = FALSE
+         AND COALESCE(e.device_type, '') <> 'Bot'
+         AND NOT EXISTS (SELECT 1 FROM storefront_analytics_audiences a WHERE a.visitor_id = $1)
+       ORDER BY e.occurred_at DESC
+       LIMIT 1
+       ON CONFLICT (event_dedupe_key)
+       WHERE event_dedupe_key IS NOT NULL
+       DO NOTHING`,
+      [visitorId, sessionId, dedupeKey, interactionId, searchQuery, resultCount]
+    );
+    return { recorded: result.rowCount > 0 };
+  } catch (error) {
+    console.error('[product-search] could not log search event:', error.message);
+    return { recorded: false, reason: 'error' };
+  }
+};
+
+// Most frequent searches and the ones that found nothing, for a local date range
+export const getSearchReport = async ({ from, to, limit = 50 }) => {
+  const { rows } = await pool.query(
+    `SELECT search_query AS query,
+            COUNT(*)::int AS searches,
+            COUNT(DISTINCT visitor_id)::int AS visitors,
+            COUNT(*) FILTER (WHERE event_value = 0)::int AS zero_result_searches,
+            ROUND(AVG(event_value))::int AS average_results
+     FROM storefront_analytics_events
+     WHERE event_name = 'search'
+       AND search_query IS NOT NULL
+       AND traffic_type = 'customer' AND is_internal_traffic = FALSE
+       AND occurred_at >= (($1::date)::timestamp AT TIME ZONE '${REPORT_TIME_ZONE}') AT TIME ZONE 'UTC'
+       AND occurred_at < (($2::date + 1)::timestamp AT TIME ZONE '${REPORT_TIME_ZONE}') AT TIME ZONE 'UTC'
+     GROUP BY search_query`,
+    [from, to]
+  );
+  const searches = rows.reduce((sum, row) => sum + row.searches, 0);
+  const zeroResultSearches = rows.reduce((sum, row) => sum + row.zero_result_searches, 0);
+  return {
+    searches,
+    zeroResultSearches,
+    zeroResultRate: searches > 0 ? Math.round((zeroResultSearches / searches) * 1000) / 10 : null,
+    topQueries: [...rows]
+      .sort((a, b) => b.searches - a.searches || a.query.localeCompare(b.query))
+      .slice(0, limit),
+    zeroResultQueries: rows
+      .filter((row) => row.zero_result_searches > 0)
+      .sort((a, b) => b.zero_result_searches - a.zero_result_searches || a.query.localeCompare(b.query))
+      .slice(0, limit),
+  };
+};
+
+export default {
+  searchProducts,
+  recordSearchEvent,
+  getSearchReport,
+};
@@ -0,0 +1,139 @@
+import { BUNDLE_SOURCES, bundleItemKey, cartItemKey } from './bundleRules.js';
+
+// Item-to-item recommendations (services/recommendations.js). Products are
+// keyed "<source>:<id>" like bundle items, so curated CJ imports and local
+// products share one similarity table. Baskets are paid orders (bought
+// together) and storefront sessions (viewed together).
+
+export const RECOMMENDATION_KINDS = Object.freeze({
+  BOUGHT_TOGETHER: 'bought_together',
+  VIEWED_TOGETHER: 'viewed_together',
+});
+
+// Cart recommendations favour co-purchases over co-views.
+export const RECOMMENDATION_KIND_WEIGHTS = {
+  [RECOMMENDATION_KINDS.BOUGHT_TOGETHER]: 1,
+  [RECOMMENDATION_KINDS.VIEWED_TOGETHER]: 0.5,
+};
+
+// Larger baskets are mostly browsing noise and grow pairs quadratically.
+export const MAX_BASKET_ITEMS = 20;
+export const MAX_RECOMMENDATION_LIMIT = 24;
+
+const SOURCES = Object.values(BUNDLE_SOURCES);
+
+const positiveId = (value) => {
+  const id = Number.parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 && String(id) === String(value).trim() ? id : null;
+};
+
+export const parseProductKey = (key) => {
+  const [source, id] = String(key || '').split(':');
+  const productId = positiveId(id);
+  return SOURCES.includes(source) && productId ? { source, productId } : null;
+};
+
+// Storefront ids: curated imports are "curated-<id>" (or a bare id with
+// source=import), local products a bare id with source=local.
+export const productKeyFromRequest = ({ id, source = BUNDLE_SOURCES.IMPORT }) => {
+  const value = String(id ?? '').trim();
+  if (value.startsWith('curated-')) {
+    const productId = positiveId(value.slice('curated-'.length));
+    return productId ? bundleItemKey(BUNDLE_SOURCES.IMPORT, productId) : null;
+  }
+  const productId = positiveId(value);
+  if (!productId || !SOURCES.includes(source)) return null;
+  return bundleItemKey(source, productId);
+};
+
+// Analytics product_id values: "curated-<id>" for imports, "local-<id>" or a
+// bare id for local products, or an already-keyed "<source>:<id>".
+export const analyticsProductKey = (value) => {
+  const text = String(value ?? '').trim();
+  if (parseProductKey(text)) return text;
+  if (text.startsWith('curated-')) return productKeyFromRequest({ id: text });
+  if (text.startsWith('local-')) return productKeyFromRequest({ id: text.slice('local-'.length), source: BUNDLE_SOURCES.LOCAL });
+  return productKeyFromRequest({ id: text, source: BUNDLE_SOURCES.LOCAL });
+};
+
+// Distinct product keys of order or cart lines (see bundleRules.cartItemKey)
+export const orderItemKeys = (items = []) => [...new Set(
+  (Array.isArray(items) ? items : [])
+    .map((item) => cartItemKey(item))
+    .filter((key) => parseProductKey(key))
+)];
+
+export const normalizeRecommendationLimit = (value, fallback = 8) => {
+  const limit = Number.parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1) return fallback;
+  return Math.min(limit, MAX_RECOMMENDATION_LIMIT);
+};
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+// Cosine similarity over baskets: pairs seen together in at least minSupport
+// baskets, scored support / sqrt(baskets with A * baskets with B), keeping the
+// best maxRelated per product.
+export const computeItemSimilarity = (baskets, { minSupport = 2, maxRelated = 20 } = {}) => {
+  const frequency = new Map();
+  const pairs = new Map();
+  for (const basket of baskets) {
+    const keys = [...new Set(basket)].slice(0, MAX_BASKET_ITEMS);
+    for (const key of keys) frequency.set(key, (frequency.get(key) || 0) + 1);
+    for (let i = 0; i < keys.length; i += 1) {
+      for (let j = i + 1; j < keys.length; j += 1) {
+        const key = pairKey(keys[i], keys[j]);
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const related = new Map();
+  const add = (productKey, relatedKey, score, support) => {
+    if (!related.has(productKey)) related.set(productKey, []);
+    related.get(productKey).push({ productKey, relatedKey, score, support });
+  };
+  for (const [key, support] of pairs) {
+    if (support < minSupport) continue;
+    const [a, b] = key.split('|');
+    const score = Math.round((support / Math.sqrt(frequency.get(a) * frequency.get(b))) * 10000) / 10000;
+    add(a, b, score, support);
+    add(b, a, score, support);
+  }
+
+  return [...related.values()].flatMap((rows) => rows
+    .sort((x, y) => y.score - x.score || y.support - x.support || x.relatedKey.localeCompare(y.relatedKey))
+    .slice(0, maxRelated));
+};
+
+// Sums weighted scores of every cart item's neighbours ({ related_key, kind,
+// score } rows) and drops products already in the cart. Best first.
+export const rankCartRecommendations = (rows, { cartKeys = [] } = {}) => {
+  const inCart = new Set(cartKeys);
+  const totals = new Map();
+  for (const row of rows) {
+    if (inCart.has(row.related_key)) continue;
+    const weight = RECOMMENDATION_KIND_WEIGHTS[row.kind] ?? 0;
+    totals.set(row.related_key, (totals.get(row.related_key) || 0) + Number(row.score) * weight);
+  }
+  return [...totals]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([key]) => key);
+};
+
+// First `limit` ranked keys that are available (productsByKey holds only
+// in-stock products), at most one per variant group and none from excludeGroups.
+export const pickAvailableProducts = (rankedKeys, productsByKey, { excludeGroups = [], limit = 8 } = {}) => {
+  const seenGroups = new Set(excludeGroups.filter(Boolean));
+  const picked = [];
+  for (const key of rankedKeys) {
+    const product = productsByKey.get(key);
+    if (!product) continue;
+    const group = product.variantGroup || key;
+    if (seenGroups.has(group)) continue;
+    seenGroups.add(group);
+    picked.push(product);
+    if (picked.length >= limit) break;
+  }
+  return picked;
+};
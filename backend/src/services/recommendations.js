@@ -0,0 +1,255 @@
+import pool from '../db.js';
+import { BUNDLE_SOURCES } from './bundleRules.js';
+import {
+  RECOMMENDATION_KINDS,
+  analyticsProductKey,
+  computeItemSimilarity,
+  orderItemKeys,
+  parseProductKey,
+  pickAvailableProducts,
+  rankCartRecommendations,
+} from './recommendationRules.js';
+
+// "Frequently bought together" and "customers also viewed". A scheduled job
+// rebuilds product_recommendations from paid orders (split -LOCAL/-IMPORT
+// orders count as one basket) and from customer sessions' product views and
+// add-to-carts. Requests read the table and keep only active, in-stock products.
+
+const INSERT_BATCH_SIZE = 2000;
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+export const recommendationsEnabled = () => process.env.RECOMMENDATIONS_ENABLED !== 'false';
+
+export const getRecommendationConfig = () => ({
+  orderLookbackDays: positiveNumber(process.env.RECOMMENDATION_ORDER_LOOKBACK_DAYS, 365),
+  sessionLookbackDays: positiveNumber(process.env.RECOMMENDATION_SESSION_LOOKBACK_DAYS, 90),
+  minSupport: positiveNumber(process.env.RECOMMENDATION_MIN_SUPPORT, 2),
+  maxRelated: positiveNumber(process.env.RECOMMENDATION_MAX_RELATED, 20),
+});
+
+const parseItems = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const orderBaskets = async (lookbackDays) => {
+  const { rows } = await pool.query(
+    `SELECT regexp_replace(order_number, '-(LOCAL|IMPORT)$', '') AS basket_id, items
+     FROM orders
+     WHERE status IN ('paid', 'completed')
+       AND created_at >= NOW() - ($1 || ' days')::interval`,
+    [lookbackDays]
+  );
+  const baskets = new Map();
+  for (const row of rows) {
+    const keys = baskets.get(row.basket_id) || [];
+    keys.push(...orderItemKeys(parseItems(row.items)));
+    baskets.set(row.basket_id, keys);
+  }
+  return [...baskets.values()];
+};
+
+const sessionBaskets = async (lookbackDays) => {
+  const { rows } = await pool.query(
+    `SELECT ARRAY_AGG(DISTINCT product_id) AS product_ids
+     FROM storefront_analytics_events
+     WHERE event_name IN ('product_view', 'add_to_cart')
+       AND product_id IS NOT NULL
+       AND traffic_type = 'customer'
+       AND is_internal_traffic = FALSE
+       AND occurred_at >= NOW() - ($1 || ' days')::interval
+     GROUP BY session_id
+     HAVING COUNT(DISTINCT product_id) > 1`,
+    [lookbackDays]
+  );
+  return rows.map((row) => row.product_ids.map(analyticsProductKey).filter(Boolean));
+};
+
+const insertRows = async (client, kind, rows) => {
+  for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+    await client.query(
+      `INSERT INTO product_recommendations (product_key, kind, related_key, score, support)
+       SELECT product_key, $1, related_key, score, support
+       FROM UNNEST($2::text[], $3::text[], $4::double precision[], $5::int[])
+         AS r(product_key, related_key, score, support)`,
+      [
+        kind,
+        batch.map((row) => row.productKey),
+        batch.map((row) => row.relatedKey),
+        batch.map((row) => row.score),
+        batch.map((row) => row.support),
+      ]
+    );
+  }
+};
+
+// Rebuilds the whole table in one transaction, so readers never see it half done.
+export const runRecommendationJob = async (config = getRecommendationConfig()) => {
+  const similarity = { minSupport: config.minSupport, maxRelated: config.maxRelated };
+  const orders = await orderBaskets(config.orderLookbackDays);
+  const sessions = await sessionBaskets(config.sessionLookbackDays);
+  const bought = computeItemSimilarity(orders, similarity);
+  const viewed = computeItemSimilarity(sessions, similarity);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM product_recommendations');
+    await insertRows(client, RECOMMENDATION_KINDS.BOUGHT_TOGETHER, bought);
+    await insertRows(client, RECOMMENDATION_KINDS.VIEWED_TOGETHER, viewed);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return {
+    orderBaskets: orders.length,
+    sessionBaskets: sessions.length,
+    boughtTogether: bought.length,
+    viewedTogether: viewed.length,
+  };
+};
+
+const idsFor = (keys, source) => keys
+  .map(parseProductKey)
+  .filter((parsed) => parsed?.source === source)
+  .map((parsed) => parsed.productId);
+
+// Storefront cards for product keys, in the shape of /api/local-products/bundles/available.
+// Import stock is the CN warehouse total, matching the storefront and checkout.
+const loadProducts = async (keys, { inStockOnly = true } = {}) => {
+  const localIds = idsFor(keys, BUNDLE_SOURCES.LOCAL);
+  const importIds = idsFor(keys, BUNDLE_SOURCES.IMPORT);
+  const productsByKey = new Map();
+
+  if (localIds.length > 0) {
+    const { rows } = await pool.query(
+      `SELECT id, name, description, price, compare_at_price, stock_quantity, sku,
+              category, tags, images, is_featured
+       FROM local_products
+       WHERE id = ANY($1::int[])
+         AND is_active = TRUE
+         AND approval_status = 'approved'
+         AND ($2::boolean = FALSE OR stock_quantity > 0)`,
+      [localIds, inStockOnly]
+    );
+    rows.forEach((product) => productsByKey.set(`${BUNDLE_SOURCES.LOCAL}:${product.id}`, {
+      ...product,
+      productId: Number(product.id),
+      source: BUNDLE_SOURCES.LOCAL,
+      isLocal: true,
+      variantGroup: null,
+    }));
+  }
+  if (importIds.length > 0) {
+    const { rows } = await pool.query(
+      `SELECT
+         cp.id, cp.product_name, cp.seo_title, cp.product_image, cp.category, cp.group_code, cp.cj_pid,
+         COALESCE(cp.custom_price, cp.suggested_price) AS price,
+         COALESCE(SUM(cpi.total_inventory) FILTER (WHERE cpi.country_code = 'CN'), 0)::int AS stock_quantity
+       FROM curated_products cp
+       LEFT JOIN curated_product_inventories cpi ON cpi.curated_product_id = cp.id
+       WHERE cp.id = ANY($1::int[])
+         AND cp.is_active = TRUE
+       GROUP BY cp.id
+       HAVING $2::boolean = FALSE
+         OR COALESCE(SUM(cpi.total_inventory) FILTER (WHERE cpi.country_code = 'CN'), 0) > 0`,
+      [importIds, inStockOnly]
+    );
+    rows.forEach((product) => {
+      const variantKey = product.group_code || product.cj_pid;
+      productsByKey.set(`${BUNDLE_SOURCES.IMPORT}:${product.id}`, {
+        id: `curated-${product.id}`,
+        productId: Number(product.id),
+        name: product.seo_title || product.product_name,
+        price: product.price,
+        images: product.product_image ? [product.product_image] : [],
+        category: product.category,
+        stock_quantity: product.stock_quantity,
+        source: BUNDLE_SOURCES.IMPORT,
+        isLocal: false,
+        variantGroup: variantKey ? `${BUNDLE_SOURCES.IMPORT}-group:${variantKey}` : null,
+      });
+    });
+  }
+  return productsByKey;
+};
+
+// Variant groups of the given products, so their sibling variants are not recommended
+const variantGroupsOf = async (keys) => {
+  const products = await loadProducts(keys, { inStockOnly: false });
+  return [...products.values()].map((product) => product.variantGroup).filter(Boolean);
+};
+
+const recommendationRows = async (productKeys) => {
+  const { rows } = await pool.query(
+    `SELECT product_key, kind, related_key, score
+     FROM product_recommendations
+     WHERE product_key = ANY($1::text[])
+     ORDER BY score DESC, support DESC, related_key`,
+    [productKeys]
+  );
+  return rows;
+};
+
+const toCard = ({ variantGroup, ...product }) => product;
+
+// { boughtTogether, alsoViewed } for one product key, or null if it is not for sale
+export const getProductRecommendations = async (productKey, { limit = 8 } = {}) => {
+  const anchor = await loadProducts([productKey], { inStockOnly: false });
+  if (!anchor.has(productKey)) return null;
+
+  const rows = await recommendationRows([productKey]);
+  const products = await loadProducts([...new Set(rows.map((row) => row.related_key))]);
+  const excludeGroups = [anchor.get(productKey).variantGroup];
+  const ranked = (kind) => rows.filter((row) => row.kind === kind).map((row) => row.related_key);
+
+  return {
+    boughtTogether: pickAvailableProducts(ranked(RECOMMENDATION_KINDS.BOUGHT_TOGETHER), products, { excludeGroups, limit }).map(toCard),
+    alsoViewed: pickAvailableProducts(ranked(RECOMMENDATION_KINDS.VIEWED_TOGETHER), products, { excludeGroups, limit }).map(toCard),
+  };
+};
+
+// Products to suggest for a whole cart, from every line's neighbours
+export const getCartRecommendations = async (cartKeys, { limit = 8 } = {}) => {
+  if (cartKeys.length === 0) return [];
+  const rows = await recommendationRows(cartKeys);
+  const rankedKeys = rankCartRecommendations(rows, { cartKeys });
+  if (rankedKeys.length === 0) return [];
+
+  const [products, excludeGroups] = await Promise.all([
+    loadProducts(rankedKeys),
+    variantGroupsOf(cartKeys),
+  ]);
+  return pickAvailableProducts(rankedKeys, products, { excludeGroups, limit }).map(toCard);
+};
+
+export const getRecommendationStatus = async () => {
+  const { rows } = await pool.query(
+    `SELECT kind, COUNT(DISTINCT product_key)::int AS products, COUNT(*)::int AS pairs, MAX(computed_at) AS computed_at
+     FROM product_recommendations
+     GROUP BY kind`
+  );
+  return rows;
+};
+
+export default {
+  getRecommendationConfig,
+  runRecommendationJob,
+  getProductRecommendations,
+  getCartRecommendations,
+  getRecommendationStatus,
+};
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+
+// Signed links in review-request emails. The review token stands in for a login
+// on /api/reviews/submit and /upload-signature for the one order it was issued for.
+
+const base64Url = (value) => Buffer.from(value)
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/g, '');
+
+const getReviewLinkSecret = () => (
+  process.env.REVIEW_LINK_SECRET ||
+  process.env.JWT_SECRET ||
+  process.env.SUPABASE_JWT_SECRET ||
+  'snuggleup-dev-review-link-secret'
+);
+
+const normaliseEmail = (email) => String(email || '').trim().toLowerCase();
+
+const sign = (payload) => base64Url(
+  crypto.createHmac('sha256', getReviewLinkSecret())
+    .update(payload)
+    .digest()
+    .subarray(0, 24)
+);
+
+const safeTokenCompare = (expected, received) => {
+  if (!expected || !received) return false;
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length
+    && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+export const createReviewToken = ({ orderNumber, email }) => (
+  sign(`review|${String(orderNumber || '').trim()}|${normaliseEmail(email)}`)
+);
+
+export const verifyReviewToken = ({ orderNumber, email, token }) => (
+  safeTokenCompare(createReviewToken({ orderNumber, email }), String(token || '').trim())
+);
+
+const frontendBase = () => (
+  process.env.FRONTEND_URL ||
+  process.env.SITE_URL ||
+  'https://snuggleup.co.za'
+).replace(/\/+$/g, '');
+
+// Opens the review form for one product of the order.
+export const buildReviewPageUrl = ({ orderNumber, email, productId }) => {
+  const token = createReviewToken({ orderNumber, email });
+  return `${frontendBase()}/#/review?o=${encodeURIComponent(orderNumber || '')}&p=${encodeURIComponent(productId ?? '')}&t=${encodeURIComponent(token)}`;
+};
+
+export const createReviewUnsubscribeToken = (email) => sign(`review_requests|${normaliseEmail(email)}`);
+
+export const verifyReviewUnsubscribeToken = (email, token) => (
+  safeTokenCompare(createReviewUnsubscribeToken(email), String(token || '').trim())
+);
+
+export const buildReviewUnsubscribeUrl = (email) => {
+  const backendBase = (process.env.BACKEND_URL || 'https://api.snuggleup.co.za').replace(/\/+$/g, '');
+  return `${backendBase}/api/reviews/unsubscribe?e=${encodeURIComponent(normaliseEmail(email))}&t=${encodeURIComponent(createReviewUnsubscribeToken(email))}`;
+};
@@ -0,0 +1,80 @@
+import pool from '../db.js';
+import { ratingSummary, screenReview } from './reviewModerationRules.js';
+
+// Customer reviews are screened on submission. Flagged reviews wait for a
+// superuser as pending; clean ones are published straight away unless
+// REVIEWS_REQUIRE_APPROVAL=true holds every review for approval.
+
+export const reviewsRequireApproval = () => process.env.REVIEWS_REQUIRE_APPROVAL === 'true';
+
+// Returns { status, flags } for a new review.
+export const initialReviewModeration = ({ title, comment }) => {
+  const screen = screenReview({ title, comment });
+  return {
+    status: screen.flagged || reviewsRequireApproval() ? 'pending' : 'approved',
+    flags: screen.reasons,
+  };
+};
+
+export const getProductRatingSummary = async (productId) => {
+  const { rows } = await pool.query(
+    `SELECT rating, COUNT(*)::int AS count
+     FROM customer_reviews
+     WHERE product_id = $1 AND moderation_status = 'approved'
+     GROUP BY rating`,
+    [String(productId)]
+  );
+  return ratingSummary(rows);
+};
+
+export const listReviewsForModeration = async ({ status = 'pending', productId = null, limit = 50, offset = 0 } = {}) => {
+  const { rows } = await pool.query(
+    `SELECT cr.*, o.order_number, o.customer_name, o.customer_email,
+            COUNT(*) OVER() AS total
+     FROM customer_reviews cr
+     LEFT JOIN orders o ON o.id = cr.order_id
+     WHERE ($1::text IS NULL OR cr.moderation_status = $1)
+       AND ($2::text IS NULL OR cr.product_id = $2)
+     ORDER BY cr.created_at ${status === 'pending' ? 'ASC' : 'DESC'}, cr.id
+     LIMIT $3 OFFSET $4`,
+    [status, productId, limit, offset]
+  );
+  return {
+    total: rows.length ? Number(rows[0].total) : 0,
+    reviews: rows.map(({ total, ...row }) => row),
+  };
+};
+
+// Approves or rejects a review. Returns { review } or { reason, error }.
+export const moderateReview = async (id, { status, actorEmail = null, note = null }) => {
+  if (!['approved', 'rejected'].includes(status)) {
+    return { reason: 'invalid_status', error: 'status must be approved or rejected' };
+  }
+  const { rows } = await pool.query(
+    `UPDATE customer_reviews
+     SET moderation_status = $2,
+         moderated_by = $3,
+         moderated_at = CURRENT_TIMESTAMP,
+         moderation_note = $4,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id, status, actorEmail, note ? String(note).slice(0, 1000) : null]
+  );
+  if (rows.length === 0) return { reason: 'not_found', error: 'Review not found' };
+  console.log('[reviews] review moderated', { id: rows[0].id, status, actorEmail });
+  return { review: rows[0] };
+};
+
+export const deleteReview = async (id) => {
+  const { rows } = await pool.query('DELETE FROM customer_reviews WHERE id = $1 RETURNING id', [id]);
+  return rows[0] || null;
+};
+
+export default {
+  initialReviewModeration,
+  getProductRatingSummary,
+  listReviewsForModeration,
+  moderateReview,
+  deleteReview,
+};
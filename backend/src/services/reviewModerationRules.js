@@ -0,0 +1,83 @@
+// Customer review moderation (services/reviewModeration.js): the automatic
+// screen run on submission, photo attachment checks and rating aggregates.
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+export const MAX_REVIEW_IMAGES = 4;
+export const REVIEW_IMAGE_FOLDER = 'snuggleup/reviews';
+
+// Kept short on purpose: the screen only routes a review to a person, it never
+// rejects one by itself.
+const PROFANITY = [
+  'arse', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'crap', 'cunt', 'dick',
+  'fuck', 'fucking', 'kak', 'motherfucker', 'naai', 'piss', 'poes', 'shit', 'slut', 'twat', 'wanker', 'whore',
+];
+
+const SPAM_PHRASES = [
+  'buy now', 'click here', 'free money', 'work from home', 'crypto', 'bitcoin', 'forex',
+  'whatsapp me', 'dm me', 'promo code', 'visit my', 'check out my', 'earn r', 'earn $',
+];
+
+const words = (text) => text.toLowerCase().match(/[a-z]+/g) || [];
+
+// Returns { flagged, reasons }. A flagged review waits in the moderation queue
+// even when clean reviews are published straight away.
+export const screenReview = ({ title = '', comment = '' } = {}) => {
+  const text = `${title || ''} ${comment || ''}`.trim();
+  const lower = text.toLowerCase();
+  const reasons = [];
+
+  const profane = [...new Set(words(text).filter((word) => PROFANITY.includes(word)))];
+  if (profane.length > 0) reasons.push('profanity');
+
+  if (/(https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|co\.za|io|xyz|info)\b)/i.test(text)) reasons.push('link');
+  if (/[^\s@]+@[^\s@]+\.[a-z]{2,}/i.test(text) || /(\+?27|0)[\s-]?\d{2}[\s-]?\d{3}[\s-]?\d{4}/.test(text)) {
+    reasons.push('contact_details');
+  }
+  if (SPAM_PHRASES.some((phrase) => lower.includes(phrase))) reasons.push('spam_phrase');
+
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters === letters.toUpperCase()) reasons.push('shouting');
+  if (/(.)\1{6,}/.test(text)) reasons.push('repeated_characters');
+
+  const reviewWords = words(text);
+  if (reviewWords.length >= 8 && new Set(reviewWords).size / reviewWords.length < 0.35) reasons.push('repetitive');
+
+  return { flagged: reasons.length > 0, reasons };
+};
+
+// Photos must be images uploaded to our Cloudinary account under the review
+// folder through the signed upload flow. Returns { images } or { error }.
+export const normalizeReviewImages = (images, { cloudName } = {}) => {
+  if (images === undefined || images === null) return { images: [] };
+  if (!Array.isArray(images)) return { error: 'images must be a list of uploaded photos' };
+  if (images.length > MAX_REVIEW_IMAGES) return { error: `You can attach up to ${MAX_REVIEW_IMAGES} photos` };
+  if (images.length > 0 && !cloudName) return { error: 'Photo uploads are not available' };
+
+  const prefix = `https://res.cloudinary.com/${cloudName}/image/upload/`;
+  const normalized = [];
+  for (const image of images) {
+    const url = String((typeof image === 'string' ? image : image?.url) ?? '').trim();
+    if (!url.startsWith(prefix) || !url.includes(`/${REVIEW_IMAGE_FOLDER}/`) || /[\s"'<>]/.test(url)) {
+      return { error: 'Photos must be uploaded through the review photo upload' };
+    }
+    if (!normalized.some((entry) => entry.url === url)) normalized.push({ url });
+  }
+  return { images: normalized };
+};
+
+// { average, count, distribution } over approved reviews, from rows of
+// { rating, count } (one per star value).
+export const ratingSummary = (rows = []) => {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const row of rows) {
+    const rating = Number(row.rating);
+    if (distribution[rating] !== undefined) distribution[rating] += Number(row.count) || 0;
+  }
+  const count = Object.values(distribution).reduce((total, value) => total + value, 0);
+  const sum = Object.entries(distribution).reduce((total, [rating, value]) => total + Number(rating) * value, 0);
+  return {
+    average: count > 0 ? Math.round((sum / count) * 10) / 10 : null,
+    count,
+    distribution,
+  };
+};
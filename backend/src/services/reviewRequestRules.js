@@ -0,0 +1,38 @@
+import { GUEST_USER_ID, normalizeEmail } from './guestOrderLinkingRules.js';
+
+// Post-delivery review requests (services/reviewRequests.js).
+
+const parseItems = (items) => {
+  if (Array.isArray(items)) return items;
+  try {
+    const parsed = JSON.parse(items || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// The order's products still waiting for a review, one entry per product ID
+// in basket order. Product IDs are matched as text, like /can-review does.
+export const reviewRequestProducts = (items, reviewedProductIds = []) => {
+  const reviewed = new Set(reviewedProductIds.map((id) => String(id)));
+  const products = [];
+  for (const item of parseItems(items)) {
+    const productId = String(item?.id ?? '').trim();
+    if (!productId || reviewed.has(productId) || products.some((product) => product.productId === productId)) continue;
+    products.push({
+      productId,
+      name: String(item.name || 'SnuggleUp item'),
+      image: item.image || item.imageUrl || (Array.isArray(item.images) ? item.images[0] : null) || null,
+    });
+  }
+  return products;
+};
+
+// customer_reviews.user_id for a review left through an emailed link. Guest
+// orders have no account, so the checkout email identifies the reviewer.
+export const reviewerIdForOrder = (order = {}) => (
+  order.user_id && order.user_id !== GUEST_USER_ID
+    ? String(order.user_id)
+    : `${GUEST_USER_ID}:${normalizeEmail(order.customer_email)}`
+);
@@ -0,0 +1,128 @@
+import pool from '../db.js';
+import { sendReviewRequestEmail } from './emailService.js';
+import { buildReviewPageUrl, buildReviewUnsubscribeUrl } from './reviewLinks.js';
+import { reviewRequestProducts } from './reviewRequestRules.js';
+
+// Emails customers a review request a few days after their parcel is delivered
+// (Bob Go tracking status or CJ status), one email per order, never to anyone
+// who has unsubscribed from review requests.
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+export const reviewRequestsEnabled = () => process.env.REVIEW_REQUESTS_ENABLED === 'true';
+
+export const getReviewRequestConfig = () => ({
+  delayDays: positiveNumber(process.env.REVIEW_REQUEST_DELAY_DAYS, 7),
+  maxAgeDays: positiveNumber(process.env.REVIEW_REQUEST_MAX_AGE_DAYS, 45),
+  batchLimit: positiveNumber(process.env.REVIEW_REQUEST_BATCH_LIMIT, 50),
+});
+
+const normaliseEmail = (email) => String(email || '').trim().toLowerCase();
+
+export const unsubscribeFromReviewRequests = async (email, source = 'email_link') => {
+  const normalized = normaliseEmail(email);
+  if (!normalized) return false;
+  await pool.query(
+    `INSERT INTO email_unsubscribes (email, list, source)
+     VALUES ($1, 'review_requests', $2)
+     ON CONFLICT (email, list) DO NOTHING`,
+    [normalized, source]
+  );
+  return true;
+};
+
+// Delivered orders past the delay. Delivery time is when the lifecycle moved
+// to delivered, falling back to the last courier event for older orders.
+export const findReviewRequestCandidates = async ({ delayDays, maxAgeDays, batchLimit } = getReviewRequestConfig()) => {
+  const { rows } = await pool.query(
+    `SELECT o.id, o.order_number, o.user_id, o.customer_email, o.customer_name, o.items, d.delivered_at
+     FROM orders o
+     CROSS JOIN LATERAL (
+       SELECT COALESCE(
+         (SELECT MIN(e.created_at) FROM order_events e WHERE e.order_id = o.id AND e.to_state = 'delivered'),
+         o.bob_tracking_last_event_time,
+         o.updated_at
+       ) AS delivered_at
+     ) d
+     WHERE (LOWER(COALESCE(o.bob_tracking_status, '')) = 'delivered' OR UPPER(COALESCE(o.cj_status, '')) = 'DELIVERED')
+       AND o.status IN ('paid', 'completed')
+       AND COALESCE(o.customer_email, '') <> ''
+       AND d.delivered_at <= NOW() - ($1 || ' days')::interval
+       AND d.delivered_at > NOW() - ($2 || ' days')::interval
+       AND NOT EXISTS (SELECT 1 FROM review_request_emails r WHERE r.order_id = o.id)
+       AND NOT EXISTS (
+         SELECT 1 FROM email_unsubscribes u
+         WHERE u.email = LOWER(o.customer_email) AND u.list IN ('review_requests', 'all')
+       )
+     ORDER BY d.delivered_at
+     LIMIT $3`,
+    [String(delayDays), String(maxAgeDays), batchLimit]
+  );
+  return rows;
+};
+
+const finishRequest = (id, { status, messageId = null, error = null }) => pool.query(
+  `UPDATE review_request_emails
+   SET status = $1, message_id = $2, error = $3, sent_at = CASE WHEN $1 = 'sent' THEN NOW() ELSE NULL END
+   WHERE id = $4`,
+  [status, messageId, error, id]
+);
+
+export const runReviewRequests = async ({ dryRun = false } = {}) => {
+  const orders = await findReviewRequestCandidates();
+  const summary = { candidates: orders.length, sent: 0, failed: 0, skipped: 0, dryRun };
+  if (dryRun || orders.length === 0) return summary;
+
+  for (const order of orders) {
+    const email = normaliseEmail(order.customer_email);
+    const { rows: reviewed } = await pool.query(
+      'SELECT product_id FROM customer_reviews WHERE order_id = $1',
+      [order.id]
+    );
+    const products = reviewRequestProducts(order.items, reviewed.map((row) => row.product_id));
+
+    // Claim the order first so overlapping runs cannot both email it
+    const claim = await pool.query(
+      `INSERT INTO review_request_emails (order_id, customer_email, delivered_at, status, product_ids)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (order_id) DO NOTHING
+       RETURNING id`,
+      [order.id, email, order.delivered_at, products.length > 0 ? 'sending' : 'skipped', JSON.stringify(products.map((product) => product.productId))]
+    );
+    if (claim.rowCount === 0 || products.length === 0) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const result = await sendReviewRequestEmail({
+      to: email,
+      customerName: order.customer_name,
+      orderNumber: order.order_number,
+      products: products.map((product) => ({
+        ...product,
+        reviewUrl: buildReviewPageUrl({ orderNumber: order.order_number, email, productId: product.productId }),
+      })),
+      unsubscribeUrl: buildReviewUnsubscribeUrl(email),
+    });
+
+    await finishRequest(claim.rows[0].id, {
+      status: result.success ? 'sent' : 'failed',
+      messageId: result.messageId || null,
+      error: result.success ? null : result.error,
+    });
+    if (result.success) summary.sent += 1;
+    else summary.failed += 1;
+  }
+
+  return summary;
+};
+
+export default {
+  getReviewRequestConfig,
+  unsubscribeFromReviewRequests,
+  findReviewRequestCandidates,
+  runReviewRequests,
+};
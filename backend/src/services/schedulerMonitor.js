@@ -1,145 +1,269 @@
 /**
  * Scheduler Monitoring Service
- * Tracks inventory sync and price sync execution history
- * Provides health status and performance metrics
+ * Persists inventory sync, price sync and Learning Centre automation runs
+ * Provides health status, performance metrics and multi-week trends
  */
 
-// In-memory store for scheduler execution history
-// Production should migrate to DB for persistence across restarts
-const executionHistory = {
-  inventorySync: [],
-  priceSync: [],
-  lastCheck: new Date()
+import pool from '../db.js';
+import {
+  summarizeRuns,
+  inventorySyncSlots,
+  priceSyncSlots,
+  findMissedRuns,
+  weeklyTrends
+} from './schedulerTrends.js';
+
+export const JOB_TYPES = {
+  INVENTORY: 'inventory',
+  PRICE: 'price',
+  LEARNING_CENTRE: 'learning_centre'
 };
 
 // Configuration
-const MAX_HISTORY_RECORDS = 100; // Keep last 100 executions
-const HISTORY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const HISTORY_RETENTION_DAYS = Math.max(7, Number(process.env.SCHEDULER_HISTORY_RETENTION_DAYS || 90));
+const TREND_WINDOW_DAYS = 28; // Trends cover the last 4 weeks
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000; // Prune at most every 6 hours
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let lastPrunedAt = 0;
+
+/**
+ * Delete runs older than the retention window
+ */
+export const pruneSchedulerHistory = async ({ force = false } = {}) => {
+  if (!force && Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return 0;
+  lastPrunedAt = Date.now();
+  const result = await pool.query(
+    `DELETE FROM scheduler_executions WHERE ran_at < NOW() - ($1 || ' days')::interval`,
+    [String(HISTORY_RETENTION_DAYS)]
+  );
+  if (result.rowCount > 0) {
+    console.log(`🧹 Pruned ${result.rowCount} scheduler run(s) older than ${HISTORY_RETENTION_DAYS} days`);
+  }
+  return result.rowCount;
+};
+
+// Recording must never break the scheduler itself, so DB failures are only logged
+const persistExecution = async (jobType, record, triggerType = 'scheduled') => {
+  const { timestamp, status, durationMs, error, ...summary } = record;
+  try {
+    await pool.query(
+      `INSERT INTO scheduler_executions (job_type, status, trigger_type, ran_at, duration_ms, summary, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [jobType, status, triggerType, timestamp, durationMs, JSON.stringify(summary), error]
+    );
+    await pruneSchedulerHistory();
+  } catch (e) {
+    console.error(`Failed to persist ${jobType} scheduler run:`, e.message);
+  }
+  return record;
+};
+
+const toRecord = (row) => ({
+  ...(row.summary || {}),
+  timestamp: new Date(row.ran_at),
+  status: row.status,
+  trigger: row.trigger_type,
+  durationMs: row.duration_ms,
+  error: row.error
+});
 
 /**
  * Record an inventory sync execution
  */
-export const recordInventorySyncExecution = (result) => {
+export const recordInventorySyncExecution = async (result, triggerType = 'scheduled') => {
   const record = {
     timestamp: new Date(),
-    status: result.failures === 0 ? 'success' : 'partial',
+    status: result.error ? 'failed' : result.failures === 0 ? 'success' : 'partial',
     updated: result.updated || 0,
     processed: result.processed || 0,
-    failures: result.failures || 0,
+    failures: Math.max(result.failures || 0, 0),
     batchSize: result.batchSize || 0,
     durationMs: result.durationMs || 0,
     error: result.error || null
   };
 
-  executionHistory.inventorySync.push(record);
-
-  // Keep only recent records
-  if (executionHistory.inventorySync.length > MAX_HISTORY_RECORDS) {
-    executionHistory.inventorySync = executionHistory.inventorySync.slice(-MAX_HISTORY_RECORDS);
-  }
-
-  return record;
+  return persistExecution(JOB_TYPES.INVENTORY, record, triggerType);
 };
 
 /**
  * Record a price sync execution
  */
-export const recordPriceSyncExecution = (result) => {
+export const recordPriceSyncExecution = async (result, triggerType = 'scheduled') => {
+  const errorCount = result.errors ? result.errors.length : 0;
   const record = {
     timestamp: new Date(),
-    status: result.errors && result.errors.length === 0 ? 'success' : 'partial',
+    status: result.error ? 'failed' : errorCount === 0 ? 'success' : 'partial',
     synced: result.synced || 0,
     priceChanges: result.priceChanges ? result.priceChanges.length : 0,
-    errors: result.errors ? result.errors.length : 0,
+    errors: errorCount,
     batchSize: result.processed || result.synced || 0,
     durationMs: result.durationMs || 0,
-    errorDetails: result.errors || null
+    errorDetails: errorCount ? result.errors.slice(0, 20) : null,
+    usdToZar: result.usdToZar || null,
+    rateSource: result.rateSource || null,
+    error: result.error || null
   };
 
-  executionHistory.priceSync.push(record);
-
-  if (executionHistory.priceSync.length > MAX_HISTORY_RECORDS) {
-    executionHistory.priceSync = executionHistory.priceSync.slice(-MAX_HISTORY_RECORDS);
-  }
-
-  return record;
+  return persistExecution(JOB_TYPES.PRICE, record, triggerType);
 };
 
 /**
- * Get health status of both schedulers
+ * Record a Learning Centre automation run
  */
-export const getSchedulerHealth = () => {
-  const now = new Date();
-  const invHistory = executionHistory.inventorySync;
-  const priceHistory = executionHistory.priceSync;
-
-  // Last execution times
-  const lastInvSync = invHistory.length > 0 ? invHistory[invHistory.length - 1].timestamp : null;
-  const lastPriceSync = priceHistory.length > 0 ? priceHistory[priceHistory.length - 1].timestamp : null;
-
-  // Calculate success rate (last 10 runs)
-  const getSuccessRate = (history) => {
-    if (history.length === 0) return null;
-    const recent = history.slice(-10);
-    const successes = recent.filter(r => r.status === 'success').length;
-    return (successes / recent.length) * 100;
+export const recordLearningCentreExecution = async (result, triggerType = 'scheduled') => {
+  const record = {
+    timestamp: new Date(),
+    status: result.error ? 'failed' : result.skipped ? 'skipped' : 'success',
+    published: result.published || 0,
+    articleId: result.article?.id || null,
+    articleStatus: result.article?.status || null,
+    reason: result.reason || null,
+    durationMs: result.durationMs || 0,
+    error: result.error || null
   };
 
-  // Calculate average duration
-  const getAvgDuration = (history) => {
-    if (history.length === 0) return null;
-    const recent = history.slice(-10);
-    const total = recent.reduce((sum, r) => sum + (r.durationMs || 0), 0);
-    return Math.round(total / recent.length);
-  };
+  return persistExecution(JOB_TYPES.LEARNING_CENTRE, record, triggerType);
+};
 
-  // Check for overdue runs (if last sync was >1.5x the expected interval)
-  const isInventorySyncOverdue = () => {
-    if (!lastInvSync) return false;
-    const now = new Date();
-    const dayOfWeek = now.getDay();
-    const isWeekend = dayOfWeek === 0 || dayOfWeek === 5 || dayOfWeek === 6;
-    const expectedIntervalMs = (isWeekend ? 2 : 6) * 60 * 60 * 1000;
-    const timeSinceLastSync = now.getTime() - new Date(lastInvSync).getTime();
-    return timeSinceLastSync > expectedIntervalMs * 1.5; // 1.5x grace period
-  };
+const loadRuns = async (jobType, since) => {
+  const { rows } = await pool.query(
+    `SELECT job_type, status, trigger_type, ran_at, duration_ms, summary, error
+     FROM scheduler_executions
+     WHERE job_type = $1 AND ran_at >= $2
+     ORDER BY ran_at ASC`,
+    [jobType, since]
+  );
+  return rows.map(toRecord);
+};
 
-  const isPriceSyncOverdue = () => {
-    if (!lastPriceSync) return false;
-    const now = new Date();
-    const lastSync = new Date(lastPriceSync);
-    // Price sync should run every 24 hours (allow 26 hour grace period)
-    const timeSinceLastSync = now.getTime() - lastSync.getTime();
-    const MS_26_HOURS = 26 * 60 * 60 * 1000;
-    return timeSinceLastSync > MS_26_HOURS;
-  };
+const firstRunAt = async (jobType) => {
+  const { rows } = await pool.query(
+    'SELECT MIN(ran_at) AS first_run FROM scheduler_executions WHERE job_type = $1',
+    [jobType]
+  );
+  return rows[0]?.first_run ? new Date(rows[0].first_run) : null;
+};
+
+// Calculate success rate (last 10 runs)
+const getSuccessRate = (history) => {
+  const counted = history.filter(r => r.status !== 'skipped');
+  if (counted.length === 0) return null;
+  const recent = counted.slice(-10);
+  const successes = recent.filter(r => r.status === 'success').length;
+  return (successes / recent.length) * 100;
+};
+
+// Calculate average duration (last 10 runs)
+const getAvgDuration = (history) => {
+  const counted = history.filter(r => r.status !== 'skipped');
+  if (counted.length === 0) return null;
+  const recent = counted.slice(-10);
+  const total = recent.reduce((sum, r) => sum + (r.durationMs || 0), 0);
+  return Math.round(total / recent.length);
+};
+
+// Inventory: overdue if last sync was >1.5x the expected interval
+const isInventorySyncOverdue = (lastSync, now) => {
+  if (!lastSync) return false;
+  const dayOfWeek = now.getDay();
+  const isWeekend = dayOfWeek === 0 || dayOfWeek === 5 || dayOfWeek === 6;
+  const expectedIntervalMs = (isWeekend ? 2 : 6) * 60 * 60 * 1000;
+  return now.getTime() - new Date(lastSync).getTime() > expectedIntervalMs * 1.5;
+};
+
+// Price sync should run every 24 hours (allow 26 hour grace period)
+const isPriceSyncOverdue = (lastSync, now) => {
+  if (!lastSync) return false;
+  return now.getTime() - new Date(lastSync).getTime() > 26 * 60 * 60 * 1000;
+};
+
+const buildJobHealth = async (jobType, { enabled, slotsFor, isOverdue, now }) => {
+  const windowStart = new Date(now.getTime() - TREND_WINDOW_DAYS * DAY_MS);
+  const [history, firstRun] = await Promise.all([loadRuns(jobType, windowStart), firstRunAt(jobType)]);
+  const lastRun = [...history].reverse().find(r => r.status !== 'skipped') || null;
+
+  // Only expect runs after monitoring started and while the scheduler is enabled
+  const slotsFrom = firstRun && firstRun > windowStart ? firstRun : windowStart;
+  const missed = enabled && firstRun && slotsFor
+    ? findMissedRuns(slotsFor(slotsFrom, now), history.map(r => r.timestamp))
+    : [];
 
   return {
-    inventorySync: {
+    enabled,
+    lastExecution: lastRun ? lastRun.timestamp : null,
+    totalRuns: history.filter(r => r.status !== 'skipped').length,
+    successRate: getSuccessRate(history),
+    avgDurationMs: getAvgDuration(history),
+    overdue: enabled && lastRun ? isOverdue(lastRun.timestamp, now) : false,
+    recentRuns: history.slice(-5),
+    trends: {
+      windowDays: TREND_WINDOW_DAYS,
+      ...summarizeRuns(history),
+      missedRuns: missed.length,
+      lastMissedRun: missed.length ? missed[missed.length - 1].start : null,
+      weekly: weeklyTrends(history, missed, { weeks: TREND_WINDOW_DAYS / 7, now })
+    }
+  };
+};
+
+const learningCentreOverdue = async (lastRun, now) => {
+  const { rows } = await pool.query(
+    'SELECT automation_enabled, interval_days, last_automation_run_at FROM learning_centre_settings WHERE id = 1'
+  );
+  const settings = rows[0];
+  if (!settings?.automation_enabled) return false;
+  const lastAutomation = settings.last_automation_run_at || lastRun;
+  if (!lastAutomation) return false;
+  const intervalMs = Math.max(1, Number(settings.interval_days || 5)) * DAY_MS;
+  return now.getTime() - new Date(lastAutomation).getTime() > intervalMs * 1.5;
+};
+
+/**
+ * Get health status of all schedulers
+ */
+export const getSchedulerHealth = async () => {
+  const now = new Date();
+
+  const [inventorySync, priceSync, learningCentre] = await Promise.all([
+    buildJobHealth(JOB_TYPES.INVENTORY, {
       enabled: process.env.CJ_INVENTORY_SYNC_ENABLED !== 'false',
-      lastExecution: lastInvSync,
-      totalRuns: invHistory.length,
-      successRate: getSuccessRate(invHistory),
-      avgDurationMs: getAvgDuration(invHistory),
-      overdue: isInventorySyncOverdue(),
-      recentRuns: invHistory.slice(-5)
-    },
-    priceSync: {
+      slotsFor: inventorySyncSlots,
+      isOverdue: isInventorySyncOverdue,
+      now
+    }),
+    buildJobHealth(JOB_TYPES.PRICE, {
       enabled: process.env.CJ_PRICE_SYNC_ENABLED !== 'false',
-      lastExecution: lastPriceSync,
-      totalRuns: priceHistory.length,
-      successRate: getSuccessRate(priceHistory),
-      avgDurationMs: getAvgDuration(priceHistory),
-      overdue: isPriceSyncOverdue(),
-      recentRuns: priceHistory.slice(-5)
-    },
+      slotsFor: priceSyncSlots,
+      isOverdue: isPriceSyncOverdue,
+      now
+    }),
+    buildJobHealth(JOB_TYPES.LEARNING_CENTRE, {
+      enabled: process.env.LEARNING_CENTRE_SCHEDULER_DISABLED !== 'true',
+      slotsFor: null, // Runs every few days from settings; overdue is checked instead
+      isOverdue: () => false,
+      now
+    })
+  ]);
+  learningCentre.overdue = learningCentre.enabled
+    ? await learningCentreOverdue(learningCentre.lastExecution, now)
+    : false;
+
+  return {
+    inventorySync,
+    priceSync,
+    learningCentre,
     systemHealth: {
       timestamp: now,
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
+      retentionDays: HISTORY_RETENTION_DAYS,
       warnings: [
-        ...(isInventorySyncOverdue() ? ['⚠️ Inventory sync may be overdue'] : []),
-        ...(isPriceSyncOverdue() ? ['⚠️ Price sync may be overdue'] : [])
+        ...(inventorySync.overdue ? ['⚠️ Inventory sync may be overdue'] : []),
+        ...(priceSync.overdue ? ['⚠️ Price sync may be overdue'] : []),
+        ...(learningCentre.overdue ? ['⚠️ Learning Centre automation may be overdue'] : []),
+        ...(inventorySync.trends.missedRuns > 0 ? [`⚠️ Inventory sync missed ${inventorySync.trends.missedRuns} expected run(s) in ${TREND_WINDOW_DAYS} days`] : []),
+        ...(priceSync.trends.missedRuns > 0 ? [`⚠️ Price sync missed ${priceSync.trends.missedRuns} expected run(s) in ${TREND_WINDOW_DAYS} days`] : [])
       ]
     }
   };
@@ -148,19 +272,30 @@ export const getSchedulerHealth = () => {
 /**
  * Get detailed execution history (for charts/analytics)
  */
-export const getExecutionHistory = (type, limit = 50) => {
-  const history = type === 'inventory' ? executionHistory.inventorySync : executionHistory.priceSync;
-  return history.slice(-limit).map(record => ({
-    ...record,
-    timestamp: new Date(record.timestamp).toISOString()
-  }));
+export const getExecutionHistory = async (type, limit = 50) => {
+  const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 1000);
+  const { rows } = await pool.query(
+    `SELECT job_type, status, trigger_type, ran_at, duration_ms, summary, error
+     FROM scheduler_executions
+     WHERE job_type = $1
+     ORDER BY ran_at DESC
+     LIMIT $2`,
+    [type, safeLimit]
+  );
+  return rows.reverse().map(row => {
+    const record = toRecord(row);
+    return {
+      ...record,
+      timestamp: record.timestamp.toISOString()
+    };
+  });
 };
 
 /**
  * Generate a text report for admin viewing
  */
-export const generateSchedulerReport = () => {
-  const health = getSchedulerHealth();
+export const generateSchedulerReport = async () => {
+  const health = await getSchedulerHealth();
   const now = new Date();
 
   const formatTime = (date) => {
@@ -175,6 +310,25 @@ export const generateSchedulerReport = () => {
     return `${(ms / 60000).toFixed(1)}m`;
   };
 
+  const formatRate = (rate) => (rate !== null && rate !== undefined ? `${Number(rate).toFixed(1)}%` : 'N/A');
+
+  const trendSection = (trends) => {
+    let section = `
+Trends (last ${trends.windowDays} days):
+  Failure Rate:   ${formatRate(trends.failureRate)} (${trends.failedRuns}/${trends.totalRuns} runs)
+  Duration p50:   ${formatDuration(trends.durationP50Ms)}
+  Duration p95:   ${formatDuration(trends.durationP95Ms)}
+  Missed Runs:    ${trends.missedRuns}${trends.lastMissedRun ? ` (latest ${formatTime(trends.lastMissedRun)})` : ''}
+
+  Week starting        Runs  Failed  p95        Missed
+`;
+    trends.weekly.forEach(week => {
+      const weekLabel = new Date(week.weekStart).toLocaleDateString('en-ZA', { timeZone: 'Africa/Johannesburg' });
+      section += `  ${weekLabel.padEnd(20)} ${String(week.totalRuns).padEnd(5)} ${formatRate(week.failureRate).padEnd(7)} ${formatDuration(week.durationP95Ms).padEnd(10)} ${week.missedRuns}\n`;
+    });
+    return section;
+  };
+
   let report = `
 SNUGGLEUP SCHEDULER STATUS REPORT
 Generated: ${now.toISOString()}
@@ -189,7 +343,7 @@ Total Runs:       ${health.inventorySync.totalRuns}
 Success Rate:     ${health.inventorySync.successRate !== null ? `${health.inventorySync.successRate.toFixed(1)}%` : 'N/A'}
 Avg Duration:     ${formatDuration(health.inventorySync.avgDurationMs)}
 Status:           ${health.inventorySync.overdue ? '⚠️  OVERDUE' : '✅ ON SCHEDULE'}
-
+${trendSection(health.inventorySync.trends)}
 Recent Runs:
 `;
 
@@ -212,7 +366,7 @@ Total Runs:       ${health.priceSync.totalRuns}
 Success Rate:     ${health.priceSync.successRate !== null ? `${health.priceSync.successRate.toFixed(1)}%` : 'N/A'}
 Avg Duration:     ${formatDuration(health.priceSync.avgDurationMs)}
 Status:           ${health.priceSync.overdue ? '⚠️  OVERDUE' : '✅ ON SCHEDULE'}
-
+${trendSection(health.priceSync.trends)}
 Recent Runs:
 `;
 
@@ -220,7 +374,32 @@ Recent Runs:
     report += '  (No runs yet)\n';
   } else {
     health.priceSync.recentRuns.forEach(run => {
-      report += `  • ${formatTime(run.timestamp)} - ${run.status.toUpperCase()} (synced: ${run.synced}, changes: ${run.priceChanges}, duration: ${formatDuration(run.durationMs)})\n`;
+      report += `  • ${formatTime(run.timestamp)} - ${run.status.toUpperCase()} (synced: ${run.synced}, changes: ${run.priceChanges}${run.usdToZar ? `, USD→ZAR: ${run.usdToZar}` : ''}, duration: ${formatDuration(run.durationMs)})\n`;
+    });
+  }
+
+  report += `
+═════════════════════════════════════════════════════════════
+
+LEARNING CENTRE AUTOMATION
+─────────────────────────────────────────────────────────────
+Status:           ${health.learningCentre.enabled ? '✅ ENABLED' : '❌ DISABLED'}
+Last Run:         ${formatTime(health.learningCentre.lastExecution)}
+Total Runs:       ${health.learningCentre.totalRuns}
+Failure Rate:     ${formatRate(health.learningCentre.trends.failureRate)}
+Status:           ${health.learningCentre.overdue ? '⚠️  OVERDUE' : '✅ ON SCHEDULE'}
+
+Recent Runs:
+`;
+
+  if (health.learningCentre.recentRuns.length === 0) {
+    report += '  (No runs yet)\n';
+  } else {
+    health.learningCentre.recentRuns.forEach(run => {
+      const detail = run.status === 'skipped'
+        ? run.reason
+        : run.error || `published: ${run.published}${run.articleStatus ? `, article: ${run.articleStatus}` : ''}`;
+      report += `  • ${formatTime(run.timestamp)} - ${run.status.toUpperCase()} (${detail})\n`;
     });
   }
 
@@ -231,6 +410,7 @@ SYSTEM HEALTH
 ─────────────────────────────────────────────────────────────
 Uptime:           ${(health.systemHealth.uptime / 3600).toFixed(1)} hours
 Memory Used:      ${(health.systemHealth.memoryUsage.heapUsed / 1024 / 1024).toFixed(1)}MB
+History Kept:     ${health.systemHealth.retentionDays} days
 
 Alerts:
 ${health.systemHealth.warnings.length === 0 ? '  ✅ No warnings' : health.systemHealth.warnings.map(w => `  ${w}`).join('\n')}
@@ -244,6 +424,8 @@ ${health.systemHealth.warnings.length === 0 ? '  ✅ No warnings' : health.syste
 export default {
   recordInventorySyncExecution,
   recordPriceSyncExecution,
+  recordLearningCentreExecution,
+  pruneSchedulerHistory,
   getSchedulerHealth,
   getExecutionHistory,
   generateSchedulerReport
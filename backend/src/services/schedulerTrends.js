@@ -0,0 +1,135 @@
+/**
+ * Scheduler trend helpers
+ * Pure calculations over persisted scheduler runs (no DB access) so the
+ * health endpoint and text report agree on failure rates and missed runs.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Must match the wake window and intervals used by the inventory scheduler in server.js
+const INVENTORY_WAKE_START = 8;
+const INVENTORY_WAKE_END = 20;
+const PRICE_SYNC_HOUR = 2;
+
+/**
+ * Linear-interpolated percentile of a list of numbers (p in 0..100)
+ */
+export const percentile = (values, p) => {
+  const sorted = values
+    .map(Number)
+    .filter((value) => Number.isFinite(value))
+    .sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const rank = (Math.min(Math.max(p, 0), 100) / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  return Math.round(value);
+};
+
+/**
+ * Failure rate and duration percentiles for a set of runs
+ */
+export const summarizeRuns = (runs = []) => {
+  const counted = runs.filter((run) => run.status !== 'skipped');
+  const failed = counted.filter((run) => run.status !== 'success').length;
+  const durations = counted.map((run) => run.durationMs).filter((ms) => ms !== null && ms !== undefined);
+  const rate = (count) => (counted.length ? Math.round((count / counted.length) * 1000) / 10 : null);
+
+  return {
+    totalRuns: counted.length,
+    failedRuns: failed,
+    skippedRuns: runs.length - counted.length,
+    failureRate: rate(failed),
+    successRate: rate(counted.length - failed),
+    avgDurationMs: durations.length
+      ? Math.round(durations.reduce((sum, ms) => sum + Number(ms), 0) / durations.length)
+      : null,
+    durationP50Ms: percentile(durations, 50),
+    durationP90Ms: percentile(durations, 90),
+    durationP95Ms: percentile(durations, 95),
+  };
+};
+
+/**
+ * Expected inventory sync windows between two dates.
+ * Fri-Sun every 2 hours, Mon-Thu every 6 hours, only between 8am and 8pm.
+ * Each window runs until the next expected run, so a restart that shifts the
+ * schedule by an hour still lands inside the window.
+ */
+export const inventorySyncSlots = (from, to) => {
+  const slots = [];
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  while (day < to) {
+    const dayOfWeek = day.getDay();
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 5 || dayOfWeek === 6;
+    const intervalHours = isWeekend ? 2 : 6;
+    for (let hour = INVENTORY_WAKE_START; hour < INVENTORY_WAKE_END; hour += intervalHours) {
+      const start = new Date(day);
+      start.setHours(hour, 0, 0, 0);
+      const end = new Date(day);
+      end.setHours(Math.min(hour + intervalHours, INVENTORY_WAKE_END), 0, 0, 0);
+      if (start >= from && end <= to) slots.push({ start, end });
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return slots;
+};
+
+/**
+ * Expected price sync windows: one run per day starting at 2am
+ */
+export const priceSyncSlots = (from, to) => {
+  const slots = [];
+  const start = new Date(from);
+  start.setHours(PRICE_SYNC_HOUR, 0, 0, 0);
+  if (start < from) start.setDate(start.getDate() + 1);
+  while (start.getTime() + DAY_MS <= to.getTime()) {
+    slots.push({ start: new Date(start), end: new Date(start.getTime() + DAY_MS) });
+    start.setDate(start.getDate() + 1);
+  }
+  return slots;
+};
+
+/**
+ * Expected windows with no recorded run inside them
+ */
+export const findMissedRuns = (slots, runTimes) => {
+  const times = runTimes.map((time) => new Date(time).getTime()).sort((a, b) => a - b);
+  return slots.filter((slot) => !times.some(
+    (time) => time >= slot.start.getTime() && time < slot.end.getTime()
+  ));
+};
+
+/**
+ * Week-by-week trend rows (oldest first) for charts and the text report
+ */
+export const weeklyTrends = (runs, missedSlots, { weeks = 4, now = new Date() } = {}) => {
+  const rows = [];
+  for (let index = weeks - 1; index >= 0; index -= 1) {
+    const end = new Date(now.getTime() - index * 7 * DAY_MS);
+    const start = new Date(end.getTime() - 7 * DAY_MS);
+    const inWeek = (time) => {
+      const ms = new Date(time).getTime();
+      return ms >= start.getTime() && ms < end.getTime();
+    };
+    rows.push({
+      weekStart: start.toISOString(),
+      weekEnd: end.toISOString(),
+      ...summarizeRuns(runs.filter((run) => inWeek(run.timestamp))),
+      missedRuns: missedSlots.filter((slot) => inWeek(slot.start)).length,
+    });
+  }
+  return rows;
+};
+
+export default {
+  percentile,
+  summarizeRuns,
+  inventorySyncSlots,
+  priceSyncSlots,
+  findMissedRuns,
+  weeklyTrends,
+};
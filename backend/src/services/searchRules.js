@@ -0,0 +1,130 @@
+import { BUNDLE_SOURCES } from './bundleRules.js';
+
+// Public product search (services/productSearch.js): query and filter
+// parsing, facet counts and the text logged with `search` analytics events.
+
+export const MIN_SEARCH_QUERY_LENGTH = 2;
+export const MAX_SEARCH_QUERY_LENGTH = 100;
+export const MAX_SEARCH_LIMIT = 48;
+export const SEARCH_SOURCES = Object.values(BUNDLE_SOURCES);
+
+// Rand price bands; max is exclusive
+export const PRICE_BANDS = [
+  { key: 'under-100', label: 'Under R100', min: 0, max: 100 },
+  { key: '100-250', label: 'R100 – R250', min: 100, max: 250 },
+  { key: '250-500', label: 'R250 – R500', min: 250, max: 500 },
+  { key: '500-1000', label: 'R500 – R1000', min: 500, max: 1000 },
+  { key: '1000-plus', label: 'R1000 and up', min: 1000, max: null },
+];
+
+export const normalizeSearchQuery = (value) => String(value ?? '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, MAX_SEARCH_QUERY_LENGTH);
+
+export const priceBand = (price) => {
+  if (price === null || price === undefined || price === '') return null;
+  const amount = Number(price);
+  if (!Number.isFinite(amount)) return null;
+  return PRICE_BANDS.find((band) => amount >= band.min && (band.max === null || amount < band.max))?.key || null;
+};
+
+const boundedInt = (value, fallback, min, max) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+// Query-string parameters -> { query, filters, limit, offset } or { error } for a 400
+export const normalizeSearchParams = (params = {}) => {
+  const query = normalizeSearchQuery(params.q);
+  if (query.length < MIN_SEARCH_QUERY_LENGTH) {
+    return { error: `q must be at least ${MIN_SEARCH_QUERY_LENGTH} characters` };
+  }
+
+  const source = params.source ? String(params.source) : null;
+  if (source && !SEARCH_SOURCES.includes(source)) {
+    return { error: `source must be one of ${SEARCH_SOURCES.join(', ')}` };
+  }
+  const band = params.priceBand ? String(params.priceBand) : null;
+  if (band && !PRICE_BANDS.some((entry) => entry.key === band)) {
+    return { error: `priceBand must be one of ${PRICE_BANDS.map((entry) => entry.key).join(', ')}` };
+  }
+  let inStock = null;
+  if (params.inStock === 'true') inStock = true;
+  if (params.inStock === 'false') inStock = false;
+
+  return {
+    query,
+    filters: {
+      category: params.category && params.category !== 'all' ? String(params.category) : null,
+      source,
+      priceBand: band,
+      inStock,
+    },
+    limit: boundedInt(params.limit, 24, 1, MAX_SEARCH_LIMIT),
+    offset: boundedInt(params.offset, 0, 0, 10000),
+  };
+};
+
+const FACET_VALUES = {
+  category: (result) => result.category || 'Uncategorised',
+  source: (result) => result.source,
+  priceBand: (result) => priceBand(result.price),
+  inStock: (result) => result.inStock,
+};
+
+const matchesFilters = (result, filters, skip = null) => Object.entries(FACET_VALUES).every(([name, valueOf]) => (
+  name === skip || filters[name] === null || filters[name] === undefined || valueOf(result) === filters[name]
+));
+
+export const applySearchFilters = (results, filters = {}) => results
+  .filter((result) => matchesFilters(result, filters));
+
+const countBy = (results, valueOf) => {
+  const counts = new Map();
+  for (const result of results) {
+    const value = valueOf(result);
+    if (value === null || value === undefined) continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return counts;
+};
+
+// Each facet is counted with every other active filter applied, so a shopper
+// sees how many results picking that value would give.
+export const buildSearchFacets = (results, filters = {}) => {
+  const facetResults = (name) => results.filter((result) => matchesFilters(result, filters, name));
+
+  const categories = countBy(facetResults('category'), FACET_VALUES.category);
+  const sources = countBy(facetResults('source'), FACET_VALUES.source);
+  const bands = countBy(facetResults('priceBand'), FACET_VALUES.priceBand);
+  const stock = countBy(facetResults('inStock'), FACET_VALUES.inStock);
+
+  return {
+    category: [...categories]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    source: SEARCH_SOURCES.map((value) => ({ value, count: sources.get(value) || 0 })),
+    priceBand: PRICE_BANDS.map((band) => ({ value: band.key, label: band.label, count: bands.get(band.key) || 0 })),
+    inStock: [true, false].map((value) => ({ value, count: stock.get(value) || 0 })),
+  };
+};
+
+// Curated variants of one product share a group; keep the best-ranked one.
+// Results arrive best first.
+export const collapseVariants = (results) => {
+  const seen = new Set();
+  return results.filter((result) => {
+    if (!result.variantGroup) return true;
+    if (seen.has(result.variantGroup)) return false;
+    seen.add(result.variantGroup);
+    return true;
+  });
+};
+
+// Search text as stored on analytics events: lower-cased, with anything that
+// looks like an email address or phone number removed.
+export const searchLogText = (query) => normalizeSearchQuery(query)
+  .toLowerCase()
+  .replace(/\S+@\S+/g, '[email]')
+  .replace(/\+?\d[\d\s-]{7,}\d/g, '[number]');
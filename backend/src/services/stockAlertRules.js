@@ -0,0 +1,77 @@
+// Wishlist and back-in-stock alert rules (services/stockAlerts.js).
+
+export const PRODUCT_SOURCES = Object.freeze({
+  LOCAL: 'local',
+  IMPORT: 'import',
+});
+
+// Subscription statuses: active -> sending (claimed while the alert goes out) ->
+// notified, or failed (retried by the sweep) until the attempts run out and it
+// is undeliverable. Claims older than STALE_SENDING_MINUTES belong to a run that
+// died and count as a failed attempt.
+export const STALE_SENDING_MINUTES = 15;
+export const DEFAULT_STOCK_ALERT_MAX_ATTEMPTS = 3;
+
+const frontendBase = () => (
+  process.env.FRONTEND_URL ||
+  process.env.SITE_URL ||
+  'https://snuggleup.co.za'
+).replace(/\/+$/g, '');
+
+const slugify = (value = '') => String(value || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80);
+
+// Same paths the sitemap publishes for each product type
+export const productUrl = (product) => (product.source === PRODUCT_SOURCES.LOCAL
+  ? `${frontendBase()}/local-products/${product.id}/${slugify(product.name || 'local-baby-product')}`
+  : `${frontendBase()}/products/${product.id}/${slugify(product.name || 'baby-product')}`);
+
+export const normalizeProductRef = (body = {}) => {
+  const source = String(body.source || '').trim().toLowerCase();
+  if (!Object.values(PRODUCT_SOURCES).includes(source)) {
+    return { error: 'source must be "local" or "import"' };
+  }
+  const productId = Number.parseInt(String(body.productId ?? body.product_id ?? '').replace('curated-', ''), 10);
+  if (!Number.isInteger(productId) || productId <= 0) {
+    return { error: 'productId is required' };
+  }
+  return { source, productId };
+};
+
+// Product row -> summary shown on the wishlist and used to decide alerts.
+// stock_quantity is local stock or, for imports, the CN warehouse total checkout sells from.
+export const buildProductSummary = (source, row) => ({
+  id: Number(row.id),
+  source,
+  name: row.name,
+  price: Number(row.price || 0),
+  image: row.image || null,
+  stockQuantity: Math.max(0, Number(row.stock_quantity || 0)),
+  purchasable: Boolean(row.purchasable),
+  inStock: Boolean(row.purchasable) && Number(row.stock_quantity || 0) > 0,
+});
+
+// Products that went from none to some stock
+export const restockedProductIds = (changes = []) => changes
+  .filter((change) => Number(change.before || 0) <= 0 && Number(change.after || 0) > 0)
+  .map((change) => Number(change.productId));
+
+// Result of one send (attempts counts this one): notified when either channel
+// got through, else failed while attempts are left and undeliverable after.
+export const stockAlertOutcome = (emailResult, smsResult = null, {
+  attempts = 1,
+  maxAttempts = DEFAULT_STOCK_ALERT_MAX_ATTEMPTS,
+} = {}) => {
+  const delivered = Boolean(emailResult?.success) || Boolean(smsResult?.success);
+  const errors = [
+    emailResult?.success ? null : `email: ${emailResult?.error}`,
+    smsResult && !smsResult.success ? `sms: ${smsResult.error || smsResult.reason}` : null,
+  ].filter(Boolean);
+  let status = 'notified';
+  if (!delivered) status = Number(attempts) >= Number(maxAttempts) ? 'undeliverable' : 'failed';
+  return { status, error: errors.join('; ') || null };
+};
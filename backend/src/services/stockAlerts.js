@@ -0,0 +1,227 @@
+import crypto from 'crypto';
+import pool from '../db.js';
+import { sendBackInStockEmail } from './emailService.js';
+import { sendBackInStockSms } from './winsmsService.js';
+import {
+  DEFAULT_STOCK_ALERT_MAX_ATTEMPTS,
+  PRODUCT_SOURCES,
+  STALE_SENDING_MINUTES,
+  buildProductSummary,
+  normalizeProductRef,
+  productUrl,
+  restockedProductIds,
+  stockAlertOutcome,
+} from './stockAlertRules.js';
+
+export { PRODUCT_SOURCES, normalizeProductRef, productUrl };
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const getMaxAttempts = () => positiveNumber(process.env.STOCK_ALERT_MAX_ATTEMPTS, DEFAULT_STOCK_ALERT_MAX_ATTEMPTS);
+
+const backendBase = () => (process.env.BACKEND_URL || 'https://api.snuggleup.co.za').replace(/\/+$/g, '');
+
+export const buildStockAlertUnsubscribeUrl = (token) => (
+  `${backendBase()}/api/stock-alerts/unsubscribe?token=${encodeURIComponent(token)}`
+);
+
+// Name, price, image and stock for a set of products of one source, keyed by id.
+// Import stock is the CN warehouse total from curated_product_inventories, as at checkout.
+export const getProductSummaries = async (source, productIds) => {
+  const ids = [...new Set(productIds.map(Number).filter(Number.isInteger))];
+  if (ids.length === 0) return new Map();
+
+  const { rows } = source === PRODUCT_SOURCES.LOCAL
+    ? await pool.query(
+      `SELECT id, name, price, images[1] AS image, stock_quantity,
+              (is_active = TRUE AND approval_status = 'approved') AS purchasable
+       FROM local_products
+       WHERE id = ANY($1::int[])`,
+      [ids]
+    )
+    : await pool.query(
+      `SELECT cp.id, COALESCE(cp.seo_title, cp.product_name) AS name,
+              COALESCE(cp.custom_price, cp.suggested_price) AS price,
+              cp.product_image AS image, cp.is_active AS purchasable,
+              COALESCE(SUM(CASE WHEN cpi.country_code = 'CN' THEN cpi.total_inventory ELSE 0 END), 0) AS stock_quantity
+       FROM curated_products cp
+       LEFT JOIN curated_product_inventories cpi ON cp.id = cpi.curated_product_id
+       WHERE cp.id = ANY($1::int[])
+       GROUP BY cp.id`,
+      [ids]
+    );
+
+  return new Map(rows.map((row) => [Number(row.id), buildProductSummary(source, row)]));
+};
+
+export const subscribeBackInStock = async ({ source, productId, email, phone, smsOptIn = false, userId = null }) => {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    return { subscribed: false, reason: 'invalid_email', error: 'A valid email address is required' };
+  }
+  const cleanPhone = String(phone || '').trim() || null;
+  if (smsOptIn && !cleanPhone) {
+    return { subscribed: false, reason: 'invalid_phone', error: 'A phone number is required for SMS alerts' };
+  }
+
+  const products = await getProductSummaries(source, [productId]);
+  const product = products.get(productId);
+  if (!product || !product.purchasable) {
+    return { subscribed: false, reason: 'not_found', error: 'Product not found' };
+  }
+  if (product.inStock) {
+    return { subscribed: false, reason: 'in_stock', error: 'This product is already in stock' };
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO back_in_stock_subscriptions (source, product_id, user_id, email, phone, sms_opt_in, token)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (source, product_id, email) WHERE status = 'active'
+     DO UPDATE SET user_id = COALESCE(EXCLUDED.user_id, back_in_stock_subscriptions.user_id),
+                   phone = COALESCE(EXCLUDED.phone, back_in_stock_subscriptions.phone),
+                   sms_opt_in = EXCLUDED.sms_opt_in,
+                   updated_at = NOW()
+     RETURNING id, source, product_id, email, phone, sms_opt_in, status, created_at`,
+    [
+      source,
+      productId,
+      userId && userId !== 'guest' ? String(userId) : null,
+      normalizedEmail,
+      cleanPhone,
+      Boolean(smsOptIn),
+      crypto.randomBytes(24).toString('hex'),
+    ]
+  );
+  return { subscribed: true, subscription: rows[0], product };
+};
+
+// Failed rows are still queued for retries and a send may be in flight, so both
+// can be cancelled too; the send then leaves the cancelled row alone.
+export const cancelBackInStockSubscription = async ({ token, id, userId }) => {
+  const { rowCount } = token
+    ? await pool.query(
+      `UPDATE back_in_stock_subscriptions SET status = 'cancelled', locked_at = NULL, updated_at = NOW()
+       WHERE token = $1 AND status IN ('active', 'failed', 'sending')`,
+      [token]
+    )
+    : await pool.query(
+      `UPDATE back_in_stock_subscriptions SET status = 'cancelled', locked_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status IN ('active', 'failed', 'sending')`,
+      [id, String(userId)]
+    );
+  return rowCount;
+};
+
+// Emails (and optionally texts) every active subscriber of products that are now
+// purchasable and in stock, plus earlier failed sends with attempts left. Each
+// subscription is claimed before sending, so it is notified at most once even
+// when two stock updates land together.
+export const notifyBackInStock = async (source, productIds) => {
+  const summary = { products: 0, notified: 0, failed: 0 };
+  const products = await getProductSummaries(source, productIds);
+
+  for (const product of products.values()) {
+    if (!product.inStock) continue;
+    const { rows: subscriptions } = await pool.query(
+      `UPDATE back_in_stock_subscriptions
+       SET status = 'sending', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+       WHERE source = $1 AND product_id = $2
+         AND status IN ('active', 'failed')
+       RETURNING *`,
+      [source, product.id]
+    );
+    if (subscriptions.length === 0) continue;
+    summary.products += 1;
+
+    const url = productUrl(product);
+    for (const subscription of subscriptions) {
+      const emailResult = await sendBackInStockEmail({
+        to: subscription.email,
+        productName: product.name,
+        productUrl: url,
+        imageUrl: product.image,
+        price: product.price,
+        unsubscribeUrl: buildStockAlertUnsubscribeUrl(subscription.token),
+      });
+      const smsResult = subscription.sms_opt_in && subscription.phone
+        ? await sendBackInStockSms({
+          phone: subscription.phone,
+          productName: product.name,
+          productUrl: url,
+          subscriptionId: subscription.id,
+        })
+        : null;
+
+      const outcome = stockAlertOutcome(emailResult, smsResult, {
+        attempts: subscription.attempts,
+        maxAttempts: getMaxAttempts(),
+      });
+      await pool.query(
+        `UPDATE back_in_stock_subscriptions
+         SET status = $1, notified_at = CASE WHEN $1 = 'notified' THEN NOW() ELSE NULL END,
+             notify_error = $2, locked_at = NULL, updated_at = NOW()
+         WHERE id = $3 AND status = 'sending'`,
+        [outcome.status, outcome.error, subscription.id]
+      );
+      if (outcome.status === 'notified') summary.notified += 1;
+      else summary.failed += 1;
+    }
+  }
+
+  if (summary.products > 0) {
+    console.log(`🔔 Back-in-stock alerts (${source}): products=${summary.products} notified=${summary.notified} failed=${summary.failed}`);
+  }
+  return summary;
+};
+
+// Stock-change hook: fires alerts for products that went from zero to in stock.
+// Runs in the background so stock updates and the inventory sync never wait on SMTP.
+export const notifyIfRestocked = (source, changes = []) => {
+  const restockedIds = restockedProductIds(changes);
+  if (restockedIds.length === 0) return;
+  notifyBackInStock(source, restockedIds).catch((error) => {
+    console.error(`❌ Back-in-stock alerts failed (${source}):`, error.message);
+  });
+};
+
+// Retry sweep: sends interrupted mid-run count as failed attempts, then
+// products with failed sends are notified again if still in stock.
+export const retryStockAlerts = async () => {
+  await pool.query(
+    `UPDATE back_in_stock_subscriptions
+     SET status = CASE WHEN attempts >= $1 THEN 'undeliverable' ELSE 'failed' END,
+         notify_error = 'Send interrupted', locked_at = NULL, updated_at = NOW()
+     WHERE status = 'sending' AND locked_at < NOW() - INTERVAL '${STALE_SENDING_MINUTES} minutes'`,
+    [getMaxAttempts()]
+  );
+  const { rows } = await pool.query(
+    `SELECT source, ARRAY_AGG(DISTINCT product_id) AS product_ids
+     FROM back_in_stock_subscriptions
+     WHERE status = 'failed'
+     GROUP BY source`
+  );
+
+  const summary = { products: 0, notified: 0, failed: 0 };
+  for (const row of rows) {
+    const result = await notifyBackInStock(row.source, row.product_ids);
+    summary.products += result.products;
+    summary.notified += result.notified;
+    summary.failed += result.failed;
+  }
+  return summary;
+};
+
+export default {
+  PRODUCT_SOURCES,
+  productUrl,
+  normalizeProductRef,
+  getProductSummaries,
+  subscribeBackInStock,
+  cancelBackInStockSubscription,
+  notifyBackInStock,
+  notifyIfRestocked,
+  retryStockAlerts,
+};
@@ -0,0 +1,208 @@
+import pool from '../db.js';
+import {
+  inboxStatusForResponse,
+  redactWebhookHeaders,
+  redactWebhookPath,
+  redactWebhookPayload,
+  webhookEventId,
+} from './webhookInboxRules.js';
+
+// Every inbound CJ, Bob Go and PayFast callback is stored in webhook_inbox before
+// it is processed. Processing is claimed per (provider, event_id): the partial
+// unique index only lets one delivery of an event be processing or processed, so
+// provider retries are recorded as duplicates instead of being applied twice.
+//
+// A processor is async (payload, { headers }) => ({ status, body, error }), where
+// status and body are what the provider is answered with. Live deliveries and
+// replays call it with the same stored (redacted) payload and headers.
+
+// Stores an inbound callback. Deliveries with a bad signature are stored as
+// rejected and never processed.
+export const recordWebhook = async ({ provider, req, signatureStatus }) => {
+  const body = req.body || {};
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_inbox
+       (provider, event_id, method, path, headers, payload, signature_status, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      provider,
+      webhookEventId(provider, { headers: req.headers, body }),
+      req.method,
+      redactWebhookPath(req.originalUrl),
+      JSON.stringify(redactWebhookHeaders(req.headers)),
+      JSON.stringify(redactWebhookPayload(body)),
+      signatureStatus,
+      signatureStatus === 'invalid' ? 'rejected' : 'received',
+    ]
+  );
+  return rows[0];
+};
+
+// A delivery left processing this long was cut off (a restart, say) and may be retried.
+const STALE_PROCESSING_MINUTES = 10;
+
+const findProcessedDelivery = async (entry) => {
+  const { rows } = await pool.query(
+    `SELECT * FROM webhook_inbox
+     WHERE provider = $1 AND event_id = $2 AND id <> $3 AND status IN ('processing', 'processed')
+     ORDER BY id
+     LIMIT 1`,
+    [entry.provider, entry.event_id, entry.id]
+  );
+  return rows[0] || null;
+};
+
+const claimEntry = async (entry) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE webhook_inbox
+       SET status = 'processing', attempts = attempts + 1, error = NULL, claimed_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+         AND (status <> 'processing' OR claimed_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_PROCESSING_MINUTES} minutes')
+       RETURNING *`,
+      [entry.id]
+    );
+    return { entry: rows[0] || null };
+  } catch (error) {
+    if (error.code !== '23505') throw error;
+    return { entry: null, holder: await findProcessedDelivery(entry) };
+  }
+};
+
+const finishEntry = async (id, { status, httpStatus, result, error }) => {
+  const { rows } = await pool.query(
+    `UPDATE webhook_inbox
+     SET status = $2, http_status = $3, result = $4, error = $5, processed_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id, status, httpStatus, result === undefined ? null : JSON.stringify(result), error ? String(error).slice(0, 2000) : null]
+  );
+  return rows[0];
+};
+
+const runProcessor = async (entry, processor) => {
+  try {
+    const response = await processor(entry.payload, { headers: entry.headers || {} });
+    const status = inboxStatusForResponse(response.status);
+    await finishEntry(entry.id, {
+      status,
+      httpStatus: response.status,
+      result: response.body,
+      error: status === 'failed' ? (response.error || response.body?.details || response.body?.error || null) : null,
+    });
+    return response;
+  } catch (error) {
+    console.error(`[webhook-inbox] ${entry.provider} processing error:`, error);
+    await finishEntry(entry.id, { status: 'failed', httpStatus: 500, result: null, error: error.message });
+    return { status: 500, body: { error: 'Webhook processing failed' }, error: error.message };
+  }
+};
+
+// Closes a delivery that was checked but not processed (held for review, say).
+// Rejected and failed deliveries can still be replayed.
+export const markWebhook = (id, { status, httpStatus = null, error = null }) => (
+  finishEntry(id, { status, httpStatus, result: undefined, error })
+);
+
+// Processes a delivery stored by recordWebhook(). A redelivery of an event that
+// another delivery has processed (or is processing) is marked duplicate and
+// answered with that delivery's response.
+export const processWebhook = async (entry, processor) => {
+  const claim = await claimEntry(entry);
+  if (claim.entry) return runProcessor(claim.entry, processor);
+
+  const holder = claim.holder;
+  await pool.query(
+    `UPDATE webhook_inbox
+     SET status = 'duplicate', duplicate_of = $2, http_status = 200, processed_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [entry.id, holder?.id || null]
+  );
+  console.log(`[webhook-inbox] duplicate ${entry.provider} event ignored`, { eventId: entry.event_id, originalId: holder?.id });
+  return { status: 200, body: { ...(holder?.result || {}), duplicate: true } };
+};
+
+// Re-runs a stored delivery, e.g. after a processing bug is fixed. Duplicates
+// replay the delivery they duplicated. Returns { entry, response } or { reason, error }.
+export const replayWebhook = async (id, processorFor, { actorEmail = null, ignoreSignature = false } = {}) => {
+  const { rows: [stored] } = await pool.query('SELECT * FROM webhook_inbox WHERE id = $1', [id]);
+  if (!stored) return { reason: 'not_found', error: 'Webhook not found' };
+
+  let entry = stored;
+  if (stored.status === 'duplicate' && stored.duplicate_of) {
+    const { rows: [original] } = await pool.query('SELECT * FROM webhook_inbox WHERE id = $1', [stored.duplicate_of]);
+    entry = original || stored;
+  }
+
+  if (entry.signature_status === 'invalid' && !ignoreSignature) {
+    return {
+      reason: 'invalid_signature',
+      error: 'This delivery failed its signature check; pass ignoreSignature to replay it anyway',
+    };
+  }
+  const processor = processorFor(entry.provider);
+  if (!processor) return { reason: 'unknown_provider', error: `No processor for ${entry.provider}` };
+
+  const claim = await claimEntry(entry);
+  if (!claim.entry) {
+    return claim.holder
+      ? { reason: 'already_processed', error: `Delivery #${claim.holder.id} holds this event; replay that one instead` }
+      : { reason: 'busy', error: 'This delivery is being processed right now' };
+  }
+
+  await pool.query(
+    `UPDATE webhook_inbox
+     SET replay_count = replay_count + 1, last_replayed_at = CURRENT_TIMESTAMP, last_replayed_by = $2
+     WHERE id = $1`,
+    [entry.id, actorEmail]
+  );
+  console.log(`[webhook-inbox] replaying ${entry.provider} delivery`, { id: entry.id, eventId: entry.event_id, actorEmail });
+
+  const response = await runProcessor(claim.entry, processor);
+  const { rows: [updated] } = await pool.query('SELECT * FROM webhook_inbox WHERE id = $1', [entry.id]);
+  return { entry: updated, response };
+};
+
+export const listWebhooks = async ({ provider = null, status = null, eventId = null, limit = 50, offset = 0 } = {}) => {
+  const params = [provider, status, eventId, limit, offset];
+  const { rows } = await pool.query(
+    `SELECT id, provider, event_id, method, path, signature_status, status, http_status, error,
+            attempts, duplicate_of, replay_count, last_replayed_at, last_replayed_by, received_at, processed_at,
+            COUNT(*) OVER() AS total
+     FROM webhook_inbox
+     WHERE ($1::text IS NULL OR provider = $1)
+       AND ($2::text IS NULL OR status = $2)
+       AND ($3::text IS NULL OR event_id = $3)
+     ORDER BY received_at DESC, id DESC
+     LIMIT $4 OFFSET $5`,
+    params
+  );
+  return {
+    total: rows.length ? Number(rows[0].total) : 0,
+    webhooks: rows.map(({ total, ...row }) => row),
+  };
+};
+
+// One delivery in full, with every other delivery of the same event.
+export const getWebhook = async (id) => {
+  const { rows: [entry] } = await pool.query('SELECT * FROM webhook_inbox WHERE id = $1', [id]);
+  if (!entry) return null;
+  const { rows: deliveries } = await pool.query(
+    `SELECT id, status, signature_status, http_status, received_at, processed_at
+     FROM webhook_inbox
+     WHERE provider = $1 AND event_id = $2 AND id <> $3
+     ORDER BY id`,
+    [entry.provider, entry.event_id, entry.id]
+  );
+  return { ...entry, otherDeliveries: deliveries };
+};
+
+export default {
+  recordWebhook,
+  markWebhook,
+  processWebhook,
+  replayWebhook,
+  listWebhooks,
+  getWebhook,
+};
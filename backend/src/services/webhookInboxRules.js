@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+
+// Inbound webhook inbox (services/webhookInbox.js): what is stored for each
+// callback and how deliveries of the same provider event are recognised.
+export const WEBHOOK_PROVIDERS = ['cj', 'bob', 'payfast'];
+
+export const WEBHOOK_INBOX_STATUSES = ['received', 'processing', 'processed', 'failed', 'rejected', 'duplicate'];
+
+// valid: signature checked and matched; invalid: checked and failed;
+// unsigned: no secret configured for the provider, so nothing to check.
+export const SIGNATURE_STATUSES = ['valid', 'invalid', 'unsigned'];
+
+const SENSITIVE_HEADER = /^(authorization|cookie|set-cookie|proxy-authorization)$|secret|token|api-key/i;
+
+export const redactWebhookHeaders = (headers = {}) => Object.fromEntries(
+  Object.entries(headers || {}).map(([name, value]) => [
+    name.toLowerCase(),
+    SENSITIVE_HEADER.test(name) ? '[redacted]' : value,
+  ])
+);
+
+// Bob Go may carry its shared secret in the body or the query string.
+export const redactWebhookPayload = (payload) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return payload ?? null;
+  if (!('secret' in payload)) return payload;
+  const { secret, ...rest } = payload;
+  return { ...rest, secret: '[redacted]' };
+};
+
+export const redactWebhookPath = (url = '') => String(url || '')
+  .replace(/([?&](?:secret|token)=)[^&]*/gi, '$1[redacted]');
+
+const text = (value) => String(value ?? '').trim();
+
+// Key order is irrelevant to whether two payloads are the same event.
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+export const payloadFingerprint = (payload) => crypto
+  .createHash('sha256')
+  .update(canonicalJson(redactWebhookPayload(payload)))
+  .digest('hex');
+
+// The provider's own event ID where it sends one. PayFast sends one IPN per
+// payment status change, so its ID is the payment ID plus the status. Anything
+// else falls back to a fingerprint of the payload, so a byte-for-byte redelivery
+// is recognised as the same event.
+export const webhookEventId = (provider, { headers = {}, body = {} } = {}) => {
+  const header = (name) => text(headers?.[name]);
+  const data = body?.data && typeof body.data === 'object' ? body.data : {};
+
+  let id = '';
+  if (provider === 'payfast') {
+    const paymentId = text(body?.pf_payment_id) || text(body?.m_payment_id);
+    id = paymentId ? `${paymentId}:${text(body?.payment_status).toUpperCase() || 'UNKNOWN'}` : '';
+  } else if (provider === 'cj') {
+    id = text(body?.messageId) || text(body?.id) || text(data.messageId) || header('x-cj-message-id');
+  } else if (provider === 'bob') {
+    id = header('x-bobgo-event-id') || header('x-webhook-id') || text(body?.event_id) || text(body?.webhook_id);
+  }
+
+  return id ? `${provider}:${id}` : `${provider}:sha256:${payloadFingerprint(body)}`;
+};
+
+// A processor answers with the HTTP status the provider should see; anything
+// from 400 up means the event was not applied and may be replayed.
+export const inboxStatusForResponse = (httpStatus) => (Number(httpStatus) >= 400 ? 'failed' : 'processed');
@@ -110,15 +110,8 @@ const buildTrackingSmsMessage = ({ order, currentStep }) => {
   return `SnuggleUp update: ${statusText}. Track at ${trackingLink}`;
 };
 
-export const sendTrackingSms = async ({ order, currentStep }) => {
-  const decision = shouldSendTrackingSms({ order, currentStep });
-  if (!decision.send) {
-    return { success: false, skipped: true, reason: decision.reason };
-  }
-
-  const message = buildTrackingSmsMessage({ order, currentStep });
-  const clientMessageId = `snug-${order?.id || Date.now()}-${String(currentStep || 'update').slice(0, 12)}`;
-
+// Sends one SMS through WinSMS. Callers decide whether the customer opted in.
+const postWinSms = async ({ mobileNumber, message, clientMessageId }) => {
   try {
     const response = await fetch(`${winsmsBaseUrl()}/sms/outgoing/send`, {
       method: 'POST',
@@ -130,7 +123,7 @@ export const sendTrackingSms = async ({ order, currentStep }) => {
         message,
         recipients: [
           {
-            mobileNumber: decision.mobileNumber,
+            mobileNumber,
             clientMessageId,
           },
         ],
@@ -158,9 +151,44 @@ export const sendTrackingSms = async ({ order, currentStep }) => {
       messageId: recipient?.apiMessageId || body?.apiMessageId || clientMessageId,
       creditCost: recipient?.creditCost,
       newCreditBalance: body?.newCreditBalance,
-      mobileNumber: decision.mobileNumber,
+      mobileNumber,
     };
   } catch (error) {
     return { success: false, error: error.message };
   }
 };
+
+export const sendTrackingSms = async ({ order, currentStep }) => {
+  const decision = shouldSendTrackingSms({ order, currentStep });
+  if (!decision.send) {
+    return { success: false, skipped: true, reason: decision.reason };
+  }
+
+  const message = buildTrackingSmsMessage({ order, currentStep });
+  const clientMessageId = `snug-${order?.id || Date.now()}-${String(currentStep || 'update').slice(0, 12)}`;
+
+  return postWinSms({ mobileNumber: decision.mobileNumber, message, clientMessageId });
+};
+
+export const sendBackInStockSms = async ({ phone, productName, productUrl, subscriptionId }) => {
+  if (!winsmsEnabled()) {
+    return { success: false, skipped: true, reason: 'WinSMS not configured' };
+  }
+
+  const mobileNumber = normalizeSaPhoneForWinSms(phone);
+  if (!mobileNumber) {
+    return { success: false, skipped: true, reason: 'missing SMS phone number' };
+  }
+
+  const name = String(productName || '').trim();
+  const fullMessage = `Good news! ${name} is back in stock at SnuggleUp. Shop now: ${productUrl}`;
+  const message = smsFitsOneSegment(fullMessage)
+    ? fullMessage
+    : `Back in stock at SnuggleUp: ${productUrl}`;
+
+  return postWinSms({
+    mobileNumber,
+    message,
+    clientMessageId: `snug-bis-${subscriptionId || Date.now()}`,
+  });
+};
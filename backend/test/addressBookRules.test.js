@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidSouthAfricanPhone,
+  isValidSouthAfricanPostalCode,
+  normalizeAddressInput,
+  shippingDetailsFromAddress,
+} from '../src/services/addressBookRules.js';
+
+const body = {
+  label: 'Home',
+  recipientName: 'Thandi M',
+  phone: '082 123 4567',
+  address: '12 Jacaranda Street',
+  suburb: 'Parkhurst',
+  city: 'Johannesburg',
+  province: 'gauteng',
+  postalCode: '2193',
+};
+
+test('addresses are validated and mapped onto customer_addresses columns', () => {
+  assert.deepEqual(normalizeAddressInput(body).values, {
+    label: 'Home',
+    recipient_name: 'Thandi M',
+    phone: '082 123 4567',
+    address: '12 Jacaranda Street',
+    suburb: 'Parkhurst',
+    city: 'Johannesburg',
+    province: 'Gauteng',
+    postal_code: '2193',
+  });
+  assert.equal(normalizeAddressInput({ ...body, province: 'KZN' }).values.province, 'KwaZulu-Natal');
+  assert.equal(normalizeAddressInput({ ...body, phone: '' }).values.phone, null);
+});
+
+test('incomplete or foreign addresses are rejected', () => {
+  assert.equal(normalizeAddressInput({ ...body, address: ' ' }).error, 'address is required');
+  assert.equal(normalizeAddressInput({ ...body, city: '' }).error, 'city is required');
+  assert.equal(normalizeAddressInput({ ...body, province: 'Ontario' }).error, 'province must be a South African province');
+  assert.equal(normalizeAddressInput({ ...body, postalCode: '21930' }).error, 'postalCode must be a 4-digit South African postal code');
+  assert.equal(normalizeAddressInput({ ...body, phone: '12345' }).error, 'phone must be a South African number');
+});
+
+test('postal codes and phone numbers follow South African formats', () => {
+  assert.equal(isValidSouthAfricanPostalCode('0001'), true);
+  assert.equal(isValidSouthAfricanPostalCode('SW1A'), false);
+  assert.equal(isValidSouthAfricanPhone('+27 82 123 4567'), true);
+  assert.equal(isValidSouthAfricanPhone('27821234567'), true);
+  assert.equal(isValidSouthAfricanPhone('(011) 555-1234'), true);
+  assert.equal(isValidSouthAfricanPhone('0821234'), false);
+});
+
+test('a saved address becomes checkout shippingDetails without blank fields', () => {
+  assert.deepEqual(shippingDetailsFromAddress({
+    recipient_name: 'Thandi M',
+    phone: null,
+    address: '12 Jacaranda Street',
+    suburb: '',
+    city: 'Johannesburg',
+    province: 'Gauteng',
+    postal_code: '2193',
+  }), {
+    customerName: 'Thandi M',
+    address: '12 Jacaranda Street',
+    city: 'Johannesburg',
+    province: 'Gauteng',
+    postalCode: '2193',
+  });
+});
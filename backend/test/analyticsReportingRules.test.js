@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_FUNNEL_STEPS,
+  buildCohortReport,
+  buildFunnelReport,
+  daysBetween,
+  funnelStepConditions,
+  normalizeBreakdown,
+  normalizeFunnelSteps,
+  normalizeReportRange,
+  archiveFileName,
+  monthDateRange,
+  rangeNeedsRollups,
+  rawEventWindowStart,
+  reportDate,
+} from '../src/services/analyticsReportingRules.js';
+
+test('funnel steps default to the checkout funnel and accept aliases', () => {
+  assert.deepEqual(normalizeFunnelSteps(undefined).steps, DEFAULT_FUNNEL_STEPS);
+  assert.deepEqual(normalizeFunnelSteps('product_view, add_to_cart,purchase').steps, ['product_view', 'add_to_cart', 'purchase_complete']);
+  assert.deepEqual(normalizeFunnelSteps(['begin_checkout', 'payment_started']).steps, ['checkout_clicked', 'payfast_redirected']);
+});
+
+test('funnel steps reject unknown, repeated and too few steps', () => {
+  assert.match(normalizeFunnelSteps('product_view').error, /at least 2/);
+  assert.match(normalizeFunnelSteps('product_view,drop table').error, /Unknown funnel step/);
+  assert.match(normalizeFunnelSteps('purchase,purchase_complete').error, /must not repeat/);
+});
+
+test('breakdowns map to rollup columns', () => {
+  assert.deepEqual(normalizeBreakdown('device'), { breakdown: 'device', column: 'device_type' });
+  assert.deepEqual(normalizeBreakdown(''), { breakdown: null, column: null });
+  assert.ok(normalizeBreakdown('email').error);
+});
+
+test('report ranges default to 30 South African days and are bounded', () => {
+  // 23:30 UTC is already the next day in Johannesburg
+  const now = new Date('2026-03-31T23:30:00Z');
+  assert.equal(reportDate(now), '2026-04-01');
+  assert.deepEqual(normalizeReportRange({}, now), { from: '2026-03-03', to: '2026-04-01' });
+  assert.deepEqual(normalizeReportRange({ from: '2026-01-01', to: '2026-01-31' }), { from: '2026-01-01', to: '2026-01-31' });
+  assert.ok(normalizeReportRange({ from: '2026-02-30', to: '2026-03-01' }).error);
+  assert.ok(normalizeReportRange({ from: '2026-02-01', to: '2026-01-01' }).error);
+  assert.ok(normalizeReportRange({ from: '2024-01-01', to: '2026-01-01' }).error);
+  assert.deepEqual(daysBetween('2026-02-27', '2026-03-01'), ['2026-02-27', '2026-02-28', '2026-03-01']);
+});
+
+test('ranges before the raw-event window are read from rollups', () => {
+  const now = new Date('2026-04-10T08:00:00Z');
+  assert.equal(rawEventWindowStart(0, now), null);
+  assert.equal(rawEventWindowStart(1, now), '2026-04-10');
+  assert.equal(rawEventWindowStart(90, now), '2026-01-11');
+  assert.equal(rangeNeedsRollups('2026-01-10', '2026-01-11'), true);
+  assert.equal(rangeNeedsRollups('2026-01-11', '2026-01-11'), false);
+  assert.equal(rangeNeedsRollups('2020-01-01', null), false);
+  assert.deepEqual(monthDateRange('2024-02'), { from: '2024-02-01', to: '2024-02-29' });
+  assert.deepEqual(monthDateRange('2025-12'), { from: '2025-12-01', to: '2025-12-31' });
+  assert.equal(archiveFileName('2026-01-10'), 'storefront-analytics-events-2026-01-10.ndjson.gz');
+});
+
+test('each funnel condition requires the earlier steps in order', () => {
+  const [first, second, third] = funnelStepConditions(3, 3);
+  assert.equal(first, 's.step_times ? $3::text');
+  assert.equal(second, '(s.step_times ? $3::text AND s.step_times ? $4::text AND (s.step_times->>$4::text)::bigint >= (s.step_times->>$3::text)::bigint)');
+  assert.ok(third.startsWith(`(${second} AND s.step_times ? $5::text`));
+});
+
+test('funnel report totals segments and computes drop-off', () => {
+  const steps = ['product_view', 'add_to_cart', 'purchase_complete'];
+  const report = buildFunnelReport(steps, [
+    { segment: 'google', reached: [100, 40, 10] },
+    { segment: 'Direct', reached: [300, 60, 5] },
+    { segment: 'empty', reached: [0, 0, 0] },
+  ]);
+  assert.equal(report.entered, 400);
+  assert.equal(report.completed, 15);
+  assert.equal(report.conversionRate, 3.8);
+  assert.deepEqual(report.steps[1], {
+    event: 'add_to_cart',
+    sessions: 100,
+    fromPreviousRate: 25,
+    fromStartRate: 25,
+    dropOff: 300,
+    dropOffRate: 75,
+  });
+  assert.deepEqual(report.segments.map((segment) => segment.segment), ['Direct', 'google']);
+  assert.equal(report.segments[1].steps[2].fromPreviousRate, 25);
+});
+
+test('cohort report computes purchase and repeat-purchase rates', () => {
+  assert.deepEqual(buildCohortReport([
+    { cohort_week: '2026-03-02', visitors: 200, purchasers: 8, repeat_purchasers: 2, purchases: 11 },
+    { cohort_week: '2026-03-09', visitors: 50, purchasers: 0, repeat_purchasers: 0, purchases: 0 },
+  ]), [
+    {
+      cohortWeek: '2026-03-02',
+      visitors: 200,
+      purchasers: 8,
+      repeatPurchasers: 2,
+      purchases: 11,
+      purchaseRate: 4,
+      repeatPurchaseRate: 25,
+      purchasesPerPurchaser: 1.38,
+    },
+    {
+      cohortWeek: '2026-03-09',
+      visitors: 50,
+      purchasers: 0,
+      repeatPurchasers: 0,
+      purchases: 0,
+      purchaseRate: 0,
+      repeatPurchaseRate: null,
+      purchasesPerPurchaser: null,
+    },
+  ]);
+});
@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildShipmentPayload,
+  canonicalProvince,
+  missingShipmentFields,
+  normalizeProvince,
+  parcelsFromCart,
+  selectedCourierRate,
+  shipmentTrackingFromResponse,
+  waybillUrlFromResponse,
+} from '../src/services/bobShipmentRules.js';
+
+const order = {
+  order_number: 'ORDER-1-LOCAL',
+  customer_name: 'Thandi M',
+  customer_email: 'thandi@example.com',
+  shipping_address: '12 Oak Ave',
+  shipping_city: 'Randburg',
+  shipping_province: 'Gauteng',
+  shipping_postal_code: '2194',
+  shipping_phone: '0821234567',
+  subtotal: 450,
+};
+
+test('parcels repeat per unit and never fall below the courier minimums', () => {
+  const parcels = parcelsFromCart([{ name: 'Blanket', quantity: 2, dimensions: '{"length":40,"width":10}', weight_kg: 1.5 }]);
+  assert.equal(parcels.length, 2);
+  assert.deepEqual(parcels[0], {
+    description: 'Blanket',
+    submitted_length_cm: 40,
+    submitted_width_cm: 25,
+    submitted_height_cm: 15,
+    submitted_weight_kg: 1.5,
+  });
+});
+
+test('checkout rates are reduced to what is needed to book them', () => {
+  const rate = selectedCourierRate({
+    courier: 'The Courier Guy',
+    service: 'Local Overnight Flyer',
+    priceZAR: '120.5',
+    raw: { provider_slug: 'tcg', service_level_code: 'LOF', pickup_point_location_id: 0 },
+  });
+  assert.deepEqual(rate, {
+    providerSlug: 'tcg',
+    serviceLevelCode: 'LOF',
+    courier: 'The Courier Guy',
+    service: 'Local Overnight Flyer',
+    priceZAR: 120.5,
+    pickupPointId: null,
+  });
+  assert.equal(selectedCourierRate({ courier: 'No codes' }), null);
+  assert.equal(selectedCourierRate(null), null);
+});
+
+test('shipment payload uses the order address, selected rate and order number', () => {
+  const payload = buildShipmentPayload({
+    order,
+    items: [{ name: 'Blanket', quantity: 1 }],
+    rate: { providerSlug: 'tcg', serviceLevelCode: 'LOF', pickupPointId: 'P1' },
+    collectionAddress: { company: 'SnuggleUp', code: '2196' },
+    collectionContact: { phone: '0110000000' },
+  });
+  assert.equal(payload.delivery_address.code, '2194');
+  assert.equal(payload.delivery_address.country, 'ZA');
+  assert.equal(payload.delivery_contact_name, 'Thandi M');
+  assert.equal(payload.collection_contact_name, 'SnuggleUp');
+  assert.equal(payload.custom_order_number, 'ORDER-1-LOCAL');
+  assert.equal(payload.declared_value, 450);
+  assert.equal(payload.provider_slug, 'tcg');
+  assert.equal(payload.delivery_pickup_point_id, 'P1');
+  assert.equal(payload.parcels.length, 1);
+});
+
+test('orders without a deliverable address are reported field by field', () => {
+  assert.deepEqual(missingShipmentFields(order), []);
+  assert.deepEqual(
+    missingShipmentFields({ ...order, shipping_phone: ' ', shipping_postal_code: null }),
+    ['postal code', 'phone number']
+  );
+});
+
+test('shipment responses map onto tracking columns and waybills onto a URL', () => {
+  assert.deepEqual(shipmentTrackingFromResponse({
+    id: 991,
+    tracking_reference: 'UABC123',
+    provider_slug: 'tcg',
+    service_level_code: 'LOF',
+    status: 'pending-collection',
+  }), {
+    bobShipmentId: '991',
+    bobTrackingReference: 'UABC123',
+    bobTrackingUrl: null,
+    bobCourierName: 'tcg',
+    bobProviderSlug: 'tcg',
+    bobServiceLevel: 'LOF',
+    bobTrackingStatus: 'pending-collection',
+  });
+  assert.equal(waybillUrlFromResponse('"https://files.bobgo.co.za/w.pdf"'), 'https://files.bobgo.co.za/w.pdf');
+  assert.equal(waybillUrlFromResponse({ url: 'https://files.bobgo.co.za/w.pdf' }), 'https://files.bobgo.co.za/w.pdf');
+  assert.equal(waybillUrlFromResponse({ message: 'not ready' }), null);
+});
+
+test('provinces are recognised by name or abbreviation', () => {
+  assert.equal(canonicalProvince('kwazulu natal'), 'KwaZulu-Natal');
+  assert.equal(canonicalProvince('WC'), 'Western Cape');
+  assert.equal(canonicalProvince('North-West'), 'North West');
+  assert.equal(canonicalProvince('Texas'), null);
+  assert.equal(normalizeProvince(''), 'Gauteng');
+  assert.equal(normalizeProvince('gp'), 'Gauteng');
+  assert.equal(normalizeProvince('Somewhere'), 'Somewhere');
+});
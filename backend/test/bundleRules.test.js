@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  availableBundleSets,
+  calculateBundleDiscount,
+  normalizeBundleInput,
+} from '../src/services/bundleRules.js';
+
+const now = new Date('2026-09-01T10:00:00.000Z');
+const mixedBundle = {
+  slug: 'starter-mix',
+  saving: 30,
+  isActive: true,
+  items: [
+    { source: 'local', productId: 4, quantity: 1 },
+    { source: 'import', productId: 12, quantity: 2 },
+  ],
+};
+const cart = [
+  { id: 4, isLocal: true, price: 100, quantity: 2 },
+  { id: 'curated-12', isLocal: false, price: 50, quantity: 3 },
+];
+
+test('mixed bundles split the saving by component value', () => {
+  const result = calculateBundleDiscount([mixedBundle], [{ id: 'starter-mix', quantity: 1 }], cart, { now });
+  assert.equal(result.discount, 30);
+  assert.equal(result.localAmount, 15);
+  assert.equal(result.importAmount, 15);
+  assert.deepEqual(result.selections, [{ id: 'starter-mix', quantity: 1 }]);
+});
+
+test('requested sets are capped by the components actually in the cart', () => {
+  const result = calculateBundleDiscount([mixedBundle], [{ id: 'starter-mix', quantity: 3 }], cart, { now });
+  assert.deepEqual(result.selections, [{ id: 'starter-mix', quantity: 1 }]);
+  assert.equal(availableBundleSets(mixedBundle, new Map([['local:4', 5], ['import:12', 9]])), 4);
+});
+
+test('bundles outside their window or inactive give no discount', () => {
+  const selections = [{ id: 'starter-mix', quantity: 1 }];
+  const ended = { ...mixedBundle, endsAt: '2026-08-31T00:00:00Z' };
+  const upcoming = { ...mixedBundle, startsAt: '2026-09-02T00:00:00Z' };
+  const inactive = { ...mixedBundle, isActive: false };
+  for (const bundle of [ended, upcoming, inactive]) {
+    assert.equal(calculateBundleDiscount([bundle], selections, cart, { now }).discount, 0);
+  }
+});
+
+test('admin input is normalized and validated', () => {
+  const { values, items } = normalizeBundleInput({
+    name: 'Bath Time Trio!',
+    saving: '10',
+    items: [{ source: 'local', productId: 21 }, { source: 'IMPORT', productId: '8', quantity: 2 }],
+  });
+  assert.equal(values.slug, 'bath-time-trio');
+  assert.equal(values.is_active, true);
+  assert.deepEqual(items[1], { source: 'import', productId: 8, quantity: 2 });
+
+  assert.match(normalizeBundleInput({ name: 'One', saving: 5, items: [{ source: 'local', productId: 1 }] }).error, /two units/);
+  assert.match(normalizeBundleInput({ name: 'Bad', saving: 5, items: [{ source: 'air', productId: 1 }] }).error, /source/);
+  assert.match(
+    normalizeBundleInput({
+      name: 'Window',
+      saving: 5,
+      startsAt: '2026-09-02',
+      endsAt: '2026-09-01',
+      items: [{ source: 'local', productId: 1, quantity: 2 }],
+    }).error,
+    /endsAt/
+  );
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  abandonmentWindow,
+  cartRecoveryBlocker,
+  getCartRecoveryConfig,
+  reminderCooldownStart,
+  selectRecoveryCarts,
+} from '../src/services/cartRecoveryRules.js';
+
+const now = new Date('2026-03-10T12:00:00Z');
+const config = { idleHours: 24, maxAgeDays: 7, cooldownDays: 7, batchLimit: 2, discountCode: null };
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+const cart = (overrides = {}) => ({
+  id: 1,
+  user_id: 'u-1',
+  items: [{ id: 3, quantity: 1 }],
+  customer_email: 'Parent@Example.com',
+  updated_at: hoursAgo(30),
+  paid_since_update: false,
+  unsubscribed: false,
+  reminded: false,
+  last_reminder_at: null,
+  ...overrides,
+});
+
+test('config falls back to defaults for missing or invalid values', () => {
+  assert.deepEqual(getCartRecoveryConfig({ CART_RECOVERY_IDLE_HOURS: '6', CART_RECOVERY_BATCH_LIMIT: '-1' }), {
+    idleHours: 6,
+    maxAgeDays: 7,
+    cooldownDays: 7,
+    batchLimit: 50,
+    discountCode: null,
+  });
+});
+
+test('carts are abandoned between the idle time and the maximum age', () => {
+  assert.deepEqual(abandonmentWindow(config, now), {
+    from: new Date('2026-03-03T12:00:00Z'),
+    to: new Date('2026-03-09T12:00:00Z'),
+  });
+  assert.equal(cartRecoveryBlocker(cart({ updated_at: hoursAgo(23) }), config, now), 'not_idle');
+  assert.equal(cartRecoveryBlocker(cart({ updated_at: hoursAgo(24) }), config, now), null);
+  assert.equal(cartRecoveryBlocker(cart({ updated_at: hoursAgo(7 * 24) }), config, now), 'too_old');
+});
+
+test('opted-out, paid and already reminded carts are skipped', () => {
+  assert.equal(cartRecoveryBlocker(cart({ items: [] }), config, now), 'empty');
+  assert.equal(cartRecoveryBlocker(cart({ customer_email: ' ' }), config, now), 'no_email');
+  assert.equal(cartRecoveryBlocker(cart({ unsubscribed: true }), config, now), 'unsubscribed');
+  assert.equal(cartRecoveryBlocker(cart({ paid_since_update: true }), config, now), 'paid_since_update');
+  assert.equal(cartRecoveryBlocker(cart({ reminded: true }), config, now), 'already_reminded');
+});
+
+test('an address gets at most one reminder per cooldown', () => {
+  assert.deepEqual(reminderCooldownStart(config, now), new Date('2026-03-03T12:00:00Z'));
+  assert.equal(cartRecoveryBlocker(cart({ last_reminder_at: hoursAgo(6 * 24) }), config, now), 'cooldown');
+  assert.equal(cartRecoveryBlocker(cart({ last_reminder_at: hoursAgo(8 * 24) }), config, now), null);
+});
+
+test('each run reminds the oldest carts, one per address, up to the batch limit', () => {
+  const selected = selectRecoveryCarts([
+    cart({ id: 1, updated_at: hoursAgo(30) }),
+    cart({ id: 2, updated_at: hoursAgo(50), customer_email: 'parent@example.com ' }),
+    cart({ id: 3, updated_at: hoursAgo(40), customer_email: 'other@example.com' }),
+    cart({ id: 4, updated_at: hoursAgo(60), customer_email: 'optout@example.com', unsubscribed: true }),
+    cart({ id: 5, updated_at: hoursAgo(35), customer_email: 'third@example.com' }),
+  ], config, now);
+  assert.deepEqual(selected.map((entry) => entry.id), [2, 3]);
+});
@@ -0,0 +1,55 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import pg from 'pg';
+
+// Cart reminder opt-outs against a stubbed pool that records email_unsubscribes inserts.
+const unsubscribes = [];
+mock.method(pg.Pool.prototype, 'query', async (sql, params = []) => {
+  if (String(sql).includes('INSERT INTO email_unsubscribes')) unsubscribes.push({ email: params[0], source: params[1] });
+  return { rows: [], rowCount: 0 };
+});
+
+const { createUnsubscribeToken } = await import('../src/services/cartRecovery.js');
+const { router } = await import('../src/routes/cart.js');
+
+const email = 'parent@example.com';
+const link = `/api/cart/unsubscribe?e=${encodeURIComponent(email)}&t=${encodeURIComponent(createUnsubscribeToken(email))}`;
+
+const request = async (path, init = {}) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use('/api/cart', router);
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, init);
+    return { status: response.status, html: await response.text() };
+  } finally {
+    server.close();
+  }
+};
+
+test('opening the emailed link only asks for confirmation', async () => {
+  unsubscribes.length = 0;
+  const page = await request(link);
+  assert.equal(page.status, 200);
+  assert.match(page.html, /<form method="post" action="\/api\/cart\/unsubscribe\?e=parent%40example\.com&amp;t=/);
+  assert.deepEqual(unsubscribes, []);
+  assert.equal((await request('/api/cart/unsubscribe?e=parent%40example.com&t=forged')).status, 400);
+});
+
+test('the confirm button and one-click List-Unsubscribe opt the address out', async () => {
+  unsubscribes.length = 0;
+  assert.equal((await request(link, { method: 'POST' })).status, 200);
+  const oneClick = await request(link, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'List-Unsubscribe=One-Click',
+  });
+  assert.equal(oneClick.status, 200);
+  assert.deepEqual(unsubscribes, [
+    { email, source: 'email_link' },
+    { email, source: 'list_unsubscribe' },
+  ]);
+  assert.equal((await request('/api/cart/unsubscribe?e=parent%40example.com&t=forged', { method: 'POST' })).status, 400);
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cjOrderChanges } from '../src/services/cjOrderSyncRules.js';
+
+const submitted = { cj_order_id: 'CJ1', cj_status: 'SUBMITTED', cj_tracking_number: null, cj_tracking_url: null };
+
+test('a tracking number from CJ backfills the order and marks it shipped', () => {
+  assert.deepEqual(
+    cjOrderChanges(submitted, { orderStatus: 'UNSHIPPED', trackNumber: 'YT123', trackingUrl: 'https://t.example/YT123' }),
+    { cjStatus: 'SHIPPED', trackingNumber: 'YT123', trackingUrl: 'https://t.example/YT123' }
+  );
+  assert.deepEqual(cjOrderChanges(submitted, { orderStatus: 'UNSHIPPED' }), {
+    cjStatus: 'UNSHIPPED',
+    trackingNumber: null,
+    trackingUrl: null,
+  });
+});
+
+test('carrier tracking can mark an order delivered, but undelivered scans cannot', () => {
+  const shipped = { ...submitted, cj_status: 'SHIPPED', cj_tracking_number: 'YT123' };
+  assert.equal(cjOrderChanges(shipped, { orderStatus: 'SHIPPED' }, [{ trackingStatus: 'Delivered' }]).cjStatus, 'DELIVERED');
+  assert.equal(cjOrderChanges(shipped, { orderStatus: 'SHIPPED' }, [{ trackingStatus: 'Undelivered' }]), null);
+});
+
+test('nothing changes when CJ agrees with the order or the order is already final', () => {
+  const shipped = { ...submitted, cj_status: 'shipped', cj_tracking_number: 'YT123' };
+  assert.equal(cjOrderChanges(shipped, { orderStatus: 'SHIPPED', trackNumber: 'YT123' }), null);
+  assert.equal(cjOrderChanges(shipped, {}), null);
+  assert.equal(cjOrderChanges({ ...shipped, cj_status: 'DELIVERED' }, { orderStatus: 'SHIPPED' }), null);
+  assert.equal(cjOrderChanges(submitted, { orderStatus: 'CANCELLED', trackNumber: 'YT1' }).cjStatus, 'CANCELLED');
+});
@@ -0,0 +1,42 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+
+// Runs the queue listing against a stubbed pool (no database here) that answers
+// the listing with one dead job joined to its order, and the status counts.
+const queries = [];
+mock.method(pg.Pool.prototype, 'query', async (sql, params) => {
+  const text = String(sql);
+  queries.push({ sql: text, params });
+  if (text.includes('FROM cj_submission_jobs j')) {
+    return {
+      rows: [{
+        id: 4,
+        order_id: 9,
+        status: 'dead',
+        attempts: 5,
+        order_number: 'ORDER-1-IMPORT',
+        order_status: 'paid',
+        customer_email: 'parent@example.com',
+        total: '349.00',
+      }],
+    };
+  }
+  if (text.includes('GROUP BY status')) {
+    return { rows: [{ status: 'dead', count: 1 }, { status: 'done', count: 12 }] };
+  }
+  return { rows: [], rowCount: 0 };
+});
+const { listCJSubmissionJobs } = await import('../src/services/cjSubmissionQueue.js');
+
+test('submission queue listing returns each job with its order total and counts by status', async () => {
+  queries.length = 0;
+  const result = await listCJSubmissionJobs({ status: 'dead', limit: 10 });
+
+  assert.deepEqual(queries.find((query) => query.sql.includes('FROM cj_submission_jobs j')).params, ['dead', 10]);
+  assert.equal(result.jobs.length, 1);
+  assert.equal(result.jobs[0].order_number, 'ORDER-1-IMPORT');
+  assert.equal(result.jobs[0].order_status, 'paid');
+  assert.equal(result.jobs[0].total, '349.00');
+  assert.deepEqual(result.counts, { dead: 1, done: 12 });
+});
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyCJSubmissionError,
+  jobStatusAfterFailure,
+  nextRetryDelayMs,
+} from '../src/services/cjSubmissionRules.js';
+
+const httpError = (status, response) => Object.assign(new Error(`CJ HTTP ${status}`), { status, response });
+
+test('CJ failures are classified as rate limited, permanent or transient', () => {
+  assert.equal(classifyCJSubmissionError(httpError(429, {})), 'rate_limited');
+  assert.equal(classifyCJSubmissionError(httpError(200, { code: 1600200, message: 'QPS limit' })), 'rate_limited');
+  assert.equal(classifyCJSubmissionError(new Error('logisticName is required')), 'permanent');
+  assert.equal(classifyCJSubmissionError(new Error('CJ createOrder failed: Balance is insufficient')), 'transient');
+  assert.equal(classifyCJSubmissionError(httpError(502, { raw: 'Bad Gateway' })), 'transient');
+});
+
+test('retry delays double from the base, respect the throttle and stop at the cap', () => {
+  const options = { baseMs: 60000, maxMs: 3600000 };
+  assert.equal(nextRetryDelayMs(1, options), 60000);
+  assert.equal(nextRetryDelayMs(3, options), 240000);
+  assert.equal(nextRetryDelayMs(10, options), 3600000);
+  assert.equal(nextRetryDelayMs(2, { ...options, kind: 'rate_limited' }), 240000);
+  assert.equal(nextRetryDelayMs(1, { baseMs: 100, maxMs: 10000, minIntervalMs: 1500 }), 1500);
+});
+
+test('jobs are dead-lettered on permanent errors or when attempts run out', () => {
+  assert.equal(jobStatusAfterFailure({ attempts: 1, maxAttempts: 6, kind: 'transient' }), 'queued');
+  assert.equal(jobStatusAfterFailure({ attempts: 6, maxAttempts: 6, kind: 'rate_limited' }), 'dead');
+  assert.equal(jobStatusAfterFailure({ attempts: 1, maxAttempts: 6, kind: 'permanent' }), 'dead');
+});
@@ -0,0 +1,70 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+
+// Export worker runs against a stubbed pool: the claim hands back db.claimed and
+// every finishExport write is recorded.
+const db = { claimed: [], finished: [] };
+
+mock.method(pg.Pool.prototype, 'query', async (sql, params = []) => {
+  const text = String(sql);
+  if (text.includes("SET status = 'sending'")) return { rows: db.claimed };
+  if (text.includes('SET status = $2')) {
+    db.finished.push({ id: params[0], status: params[1], error: params[4] });
+    return { rows: [], rowCount: 1 };
+  }
+  return { rows: [], rowCount: 0 };
+});
+
+const { runConversionExports } = await import('../src/services/conversionExport.js');
+
+const conversion = {
+  eventId: 'purchase:ORDER-1',
+  kind: 'purchase',
+  clientId: 'c-1',
+  occurredAt: '2026-03-10T12:00:00Z',
+  currency: 'ZAR',
+  value: 100,
+  transactionId: 'ORDER-1',
+};
+
+const run = async (claimed) => {
+  db.claimed = claimed;
+  db.finished = [];
+  mock.method(console, 'warn', () => {});
+  try {
+    return await runConversionExports();
+  } finally {
+    console.warn.mock.restore();
+  }
+};
+
+test('a row whose request cannot be built is retried, then dead at max_attempts', async () => {
+  const summary = await run([
+    { id: 1, destination: 'ga4', conversion: null, attempts: 1, max_attempts: 3 },
+    { id: 2, destination: 'ga4', conversion: null, attempts: 3, max_attempts: 3 },
+  ]);
+  assert.deepEqual(summary, { processed: 2, sent: 0, dryRun: 0, retrying: 1, dead: 1 });
+  assert.deepEqual(db.finished.map(({ id, status }) => ({ id, status })), [
+    { id: 1, status: 'queued' },
+    { id: 2, status: 'dead' },
+  ]);
+  assert.match(db.finished[0].error, /TypeError|Cannot read/);
+});
+
+test('a dry-run log that cannot be written fails the attempt, not the batch', async () => {
+  process.env.CONVERSION_EXPORT_DRY_RUN = 'true';
+  process.env.CONVERSION_EXPORT_LOG = '/dev/null/conversion-exports.ndjson';
+  try {
+    const summary = await run([
+      { id: 3, destination: 'ga4', conversion, attempts: 1, max_attempts: 3 },
+      { id: 4, destination: 'meta', conversion, attempts: 1, max_attempts: 3 },
+    ]);
+    assert.equal(summary.processed, 2);
+    assert.equal(summary.retrying, 2);
+    assert.deepEqual(db.finished.map(({ status }) => status), ['queued', 'queued']);
+  } finally {
+    delete process.env.CONVERSION_EXPORT_DRY_RUN;
+    delete process.env.CONVERSION_EXPORT_LOG;
+  }
+});
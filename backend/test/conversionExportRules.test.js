@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildConversion,
+  buildGa4Request,
+  buildMetaRequest,
+  conversionItems,
+  exportRetryDelayMs,
+  exportStatusAfterFailure,
+  hashIdentifier,
+  normalizeConsent,
+  redactRequestUrl,
+} from '../src/services/conversionExportRules.js';
+
+const purchase = () => buildConversion({
+  kind: 'purchase',
+  eventId: 'purchase:SU-1001',
+  visitorId: 'visitor-1',
+  sessionId: 'session-1',
+  occurredAt: '2026-05-01T10:00:00.000Z',
+  cartItems: [{ productId: 'p1', productName: 'Swaddle', productCategory: 'Baby', quantity: 2, unitPrice: 149.5 }],
+  value: 349,
+  orderReference: 'SU-1001',
+  gclid: 'gclid-abc',
+  pageUrl: 'https://snuggleup.co.za/#/checkout/success',
+  email: '  Parent@Example.com ',
+});
+
+test('consent accepts the storefront banner values only', () => {
+  assert.equal(normalizeConsent(true), true);
+  assert.equal(normalizeConsent('granted'), true);
+  assert.equal(normalizeConsent('denied'), false);
+  assert.equal(normalizeConsent(undefined), false);
+});
+
+test('identifiers are trimmed and lower-cased before hashing', () => {
+  assert.equal(hashIdentifier(' Parent@Example.com'), hashIdentifier('parent@example.com'));
+  assert.match(hashIdentifier('parent@example.com'), /^[0-9a-f]{64}$/);
+  assert.equal(hashIdentifier(''), null);
+});
+
+test('conversion items skip lines without a product and derive unit prices', () => {
+  assert.deepEqual(conversionItems([
+    { productId: 'p1', quantity: 3, lineTotal: 90 },
+    { productName: 'No id' },
+  ]), [{ id: 'p1', name: null, category: null, price: 30, quantity: 3 }]);
+});
+
+test('conversions keep only the hashed email and require an order for purchases', () => {
+  const conversion = purchase();
+  assert.equal(conversion.emailHash, hashIdentifier('parent@example.com'));
+  assert.ok(!JSON.stringify(conversion).includes('Parent@Example.com'));
+  assert.equal(conversion.value, 349);
+  assert.equal(conversion.currency, 'ZAR');
+  assert.equal(buildConversion({ kind: 'purchase', eventId: 'x', visitorId: 'v', value: 10 }), null);
+  assert.equal(buildConversion({ kind: 'page_view', eventId: 'x', visitorId: 'v' }), null);
+  assert.equal(buildConversion({
+    kind: 'add_to_cart',
+    eventId: 'atc-1',
+    visitorId: 'v',
+    cartItems: [{ productId: 'p1', quantity: 2, unitPrice: 50 }],
+  }).value, 100);
+});
+
+test('GA4 request carries the purchase event and hashed email', () => {
+  const { url, body } = buildGa4Request(purchase(), {
+    measurementId: 'G-TEST',
+    apiSecret: 'secret',
+    endpoint: 'https://www.google-analytics.com/mp/collect',
+  });
+  assert.equal(url, 'https://www.google-analytics.com/mp/collect?measurement_id=G-TEST&api_secret=secret');
+  assert.equal(body.client_id, 'visitor-1');
+  assert.deepEqual(body.user_data.sha256_email_address, [hashIdentifier('parent@example.com')]);
+  assert.equal(body.events[0].name, 'purchase');
+  assert.equal(body.events[0].params.transaction_id, 'SU-1001');
+  assert.deepEqual(body.events[0].params.items[0], { item_id: 'p1', item_name: 'Swaddle', item_category: 'Baby', price: 149.5, quantity: 2 });
+});
+
+test('Meta request uses the event id for deduplication with the browser pixel', () => {
+  const { url, body } = buildMetaRequest(purchase(), {
+    pixelId: '123',
+    accessToken: 'token',
+    endpoint: 'https://graph.facebook.com/v19.0',
+    testEventCode: 'TEST1',
+  });
+  assert.equal(url, 'https://graph.facebook.com/v19.0/123/events?access_token=token');
+  assert.equal(body.test_event_code, 'TEST1');
+  const [event] = body.data;
+  assert.equal(event.event_name, 'Purchase');
+  assert.equal(event.event_id, 'purchase:SU-1001');
+  assert.equal(event.event_time, 1777629600);
+  assert.deepEqual(event.user_data.em, [hashIdentifier('parent@example.com')]);
+  assert.deepEqual(event.custom_data.content_ids, ['p1']);
+});
+
+test('credentials are redacted from logged URLs', () => {
+  assert.equal(
+    redactRequestUrl('https://x/mp/collect?measurement_id=G-1&api_secret=abc'),
+    'https://x/mp/collect?measurement_id=G-1&api_secret=[redacted]'
+  );
+  assert.equal(redactRequestUrl('https://x/1/events?access_token=abc'), 'https://x/1/events?access_token=[redacted]');
+});
+
+test('rejected payloads are dead-lettered and other failures back off', () => {
+  assert.equal(exportStatusAfterFailure({ attempts: 1, maxAttempts: 6, httpStatus: 400 }), 'dead');
+  assert.equal(exportStatusAfterFailure({ attempts: 1, maxAttempts: 6, httpStatus: 429 }), 'queued');
+  assert.equal(exportStatusAfterFailure({ attempts: 1, maxAttempts: 6, httpStatus: 503 }), 'queued');
+  assert.equal(exportStatusAfterFailure({ attempts: 6, maxAttempts: 6 }), 'dead');
+  assert.equal(exportRetryDelayMs(1), 60 * 1000);
+  assert.equal(exportRetryDelayMs(3), 4 * 60 * 1000);
+  assert.equal(exportRetryDelayMs(20), 6 * 60 * 60 * 1000);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  evaluateDiscountCode,
+  normalizeDiscountCodeInput,
+} from '../src/services/discountCodeRules.js';
+
+const cart = [
+  { price: 200, quantity: 2, source: 'local', category: 'Feeding' },
+  { price: 300, quantity: 1, source: 'import', category: 'Toys' },
+];
+const now = new Date('2026-09-01T10:00:00.000Z');
+
+test('percentage codes respect category scope, caps and split by source', () => {
+  const result = evaluateDiscountCode(
+    { code: 'FEED20', discount_type: 'percentage', value: '20', applies_to_category: 'feeding', max_discount_amount: '50' },
+    { items: cart, now }
+  );
+  assert.equal(result.applied, true);
+  assert.equal(result.discountAmount, 50);
+  assert.equal(result.localAmount, 50);
+  assert.equal(result.importAmount, 0);
+});
+
+test('free delivery only covers shipping for the scoped source', () => {
+  const result = evaluateDiscountCode(
+    { code: 'LOCALSHIP', discount_type: 'free_delivery', applies_to_source: 'local' },
+    { items: cart, shipping: { local: 99, import: 150 }, now }
+  );
+  assert.equal(result.discountAmount, 99);
+  assert.equal(result.importAmount, 0);
+
+  const noFee = evaluateDiscountCode(
+    { code: 'FREEDELIVERY', discount_type: 'free_delivery' },
+    { items: cart, shipping: { local: 0, import: 0 }, now }
+  );
+  assert.equal(noFee.applied, false);
+  assert.equal(noFee.reason, 'no_delivery_fee');
+});
+
+test('buy X get Y gives away the cheapest qualifying units', () => {
+  const result = evaluateDiscountCode(
+    { code: 'B2G1', discount_type: 'buy_x_get_y', value: '100', buy_quantity: 2, get_quantity: 1 },
+    { items: cart, now }
+  );
+  assert.equal(result.discountAmount, 200);
+  assert.equal(result.localAmount, 200);
+});
+
+test('windows, minimum spend and usage limits reject the code', () => {
+  const base = { code: 'SAVE', discount_type: 'fixed_amount', value: '50' };
+  assert.equal(evaluateDiscountCode({ ...base, ends_at: '2026-08-31T00:00:00Z' }, { items: cart, now }).reason, 'expired');
+  assert.equal(evaluateDiscountCode({ ...base, starts_at: '2026-09-02T00:00:00Z' }, { items: cart, now }).reason, 'not_started');
+  assert.equal(evaluateDiscountCode({ ...base, min_order_value: '1000' }, { items: cart, now }).reason, 'minimum_not_met');
+  assert.equal(
+    evaluateDiscountCode({ ...base, usage_limit_total: 10 }, { items: cart, usage: { total: 10 }, now }).reason,
+    'usage_limit'
+  );
+  assert.equal(
+    evaluateDiscountCode({ ...base, usage_limit_per_customer: 1 }, { items: cart, usage: { customer: 1 }, now }).reason,
+    'customer_limit'
+  );
+  assert.equal(evaluateDiscountCode({ ...base, is_active: false }, { items: cart, now }).reason, 'not_found');
+});
+
+test('admin input is normalized and validated per discount type', () => {
+  const { values } = normalizeDiscountCodeInput({ code: ' spring 10 ', discountType: 'percentage', value: '10' });
+  assert.equal(values.code, 'SPRING10');
+  assert.equal(values.value, 10);
+  assert.equal(values.is_active, true);
+
+  assert.match(normalizeDiscountCodeInput({ code: 'BXGY', discountType: 'buy_x_get_y' }).error, /buyQuantity/);
+  assert.match(normalizeDiscountCodeInput({ code: 'PCT', discountType: 'percentage', value: 150 }).error, /between 0 and 100/);
+  assert.match(normalizeDiscountCodeInput({ code: 'SRC', discountType: 'free_delivery', appliesToSource: 'air' }).error, /appliesToSource/);
+});
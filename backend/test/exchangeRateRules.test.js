@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseProviderChain,
+  rateChangePercent,
+  readRatePath,
+} from '../src/services/exchangeRateRules.js';
+
+test('rates are read from dotted paths and rejected when implausible', () => {
+  assert.equal(readRatePath({ rates: { ZAR: 18.23456 } }, 'rates.ZAR'), 18.2346);
+  assert.equal(readRatePath({ data: [{ rate: '17.9' }] }, 'data.0.rate'), 17.9);
+  assert.equal(readRatePath({ rates: { ZAR: 0.055 } }, 'rates.ZAR'), null);
+  assert.equal(readRatePath({ rates: {} }, 'rates.ZAR'), null);
+  assert.equal(readRatePath(null, 'rates.ZAR'), null);
+});
+
+test('rate changes are signed percentages with no baseline giving null', () => {
+  assert.equal(rateChangePercent(18, 18.9), 5);
+  assert.equal(rateChangePercent(18, 17.46), -3);
+  assert.equal(rateChangePercent(null, 18), null);
+});
+
+test('provider chains keep known providers in order and fall back when empty', () => {
+  const known = ['http', 'frankfurter', 'open_er_api'];
+  assert.deepEqual(parseProviderChain('Frankfurter, bogus, http, frankfurter', known, ['open_er_api']), ['frankfurter', 'http']);
+  assert.deepEqual(parseProviderChain('', known, ['frankfurter', 'open_er_api']), ['frankfurter', 'open_er_api']);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  expandOrderNumbers,
+  guestLinkSessionKey,
+  isEmailVerifiedClaim,
+  normalizeGuestMergeInput,
+} from '../src/services/guestOrderLinkingRules.js';
+
+test('only confirmed emails count as verified', () => {
+  assert.equal(isEmailVerifiedClaim({ userId: 4, email: 'a@example.com', emailVerified: true }), true);
+  assert.equal(isEmailVerifiedClaim({ userId: 4, email: 'a@example.com' }), false);
+  assert.equal(isEmailVerifiedClaim({ email: 'a@example.com', user_metadata: { email_verified: true } }), false);
+  assert.equal(isEmailVerifiedClaim({ email: 'a@example.com', email_verified: true }), true);
+  assert.equal(isEmailVerifiedClaim({ email: 'a@example.com', email_confirmed_at: '2026-01-02T10:00:00Z' }), true);
+  assert.equal(isEmailVerifiedClaim({ email: 'a@example.com', email_confirmed_at: null }), false);
+});
+
+test('guest orders are linked once per sign-in', () => {
+  const refreshed = guestLinkSessionKey({ userId: 'u-1', sessionId: 's-1', iat: 200 });
+  assert.equal(refreshed, guestLinkSessionKey({ userId: 'u-1', sessionId: 's-1', iat: 100 }));
+  assert.notEqual(guestLinkSessionKey({ userId: 4, iat: 100 }), guestLinkSessionKey({ userId: 4, iat: 200 }));
+  assert.equal(guestLinkSessionKey({ email: 'a@example.com' }), null);
+});
+
+test('admin merges need an account and guest orders to move', () => {
+  assert.deepEqual(normalizeGuestMergeInput({
+    userId: ' 3f2a ',
+    email: ' Guest@Example.com ',
+    orderNumbers: ['ORDER-1', 'ORDER-1', ' '],
+  }).values, {
+    userId: '3f2a',
+    accountEmail: null,
+    email: 'guest@example.com',
+    orderNumbers: ['ORDER-1'],
+  });
+  assert.equal(normalizeGuestMergeInput({ accountEmail: 'me@example.com', orderNumbers: ['ORDER-2'] }).values.accountEmail, 'me@example.com');
+  assert.equal(normalizeGuestMergeInput({ email: 'guest@example.com' }).error, 'userId or accountEmail is required');
+  assert.equal(normalizeGuestMergeInput({ userId: 'guest', email: 'guest@example.com' }).error, 'userId must be a customer account');
+  assert.equal(normalizeGuestMergeInput({ userId: '7' }).error, 'email or orderNumbers is required');
+  assert.equal(normalizeGuestMergeInput({ userId: '7', email: 'nope' }).error, 'email must be a valid email address');
+  assert.equal(normalizeGuestMergeInput({ userId: '7', orderNumbers: 'ORDER-1' }).error, 'orderNumbers must be a list of order numbers');
+});
+
+test('order numbers cover the master order and both child orders', () => {
+  assert.deepEqual(expandOrderNumbers(['ORDER-5-LOCAL']), ['ORDER-5-LOCAL', 'ORDER-5', 'ORDER-5-IMPORT']);
+  assert.deepEqual(expandOrderNumbers([]), []);
+});
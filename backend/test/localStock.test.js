@@ -0,0 +1,175 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import pg from 'pg';
+
+// Runs the hold/commit/release flows and payment creation against a stubbed
+// pool (no database here): the fake tables below answer the queries they send.
+const db = { products: new Map(), holds: [], released: [], failDiscountLookup: false, failOrderInsert: false };
+
+const answer = async (sql, params = []) => {
+  const text = String(sql);
+  if (/^(BEGIN|COMMIT|ROLLBACK)/.test(text)) return { rows: [], rowCount: 0 };
+  if (text.includes('FROM local_products') && text.includes('ANY($1::int[])')) {
+    return { rows: params[0].map((id) => db.products.get(id)).filter(Boolean) };
+  }
+  if (text.includes('SUM(quantity)::int AS held')) {
+    const held = new Map();
+    for (const hold of db.holds) {
+      if (hold.status === 'held' && hold.order_number !== params[1] && params[0].includes(hold.local_product_id)) {
+        held.set(hold.local_product_id, (held.get(hold.local_product_id) || 0) + hold.quantity);
+      }
+    }
+    return { rows: [...held].map(([id, total]) => ({ local_product_id: id, held: total })) };
+  }
+  if (text.includes('INSERT INTO local_stock_reservations')) {
+    db.holds.push({ id: db.holds.length + 1, order_number: params[0], local_product_id: params[1], quantity: params[2], status: 'held' });
+    return { rows: [], rowCount: 1 };
+  }
+  if (text.includes('FROM local_stock_reservations') && text.includes('FOR UPDATE')) {
+    const rows = db.holds.filter((hold) => hold.order_number === params[0] && params[1].includes(hold.status));
+    return { rows, rowCount: rows.length };
+  }
+  if (text.includes('SELECT stock_quantity FROM local_products')) {
+    return { rows: [db.products.get(params[0])].filter(Boolean) };
+  }
+  if (text.startsWith('UPDATE local_products SET stock_quantity')) {
+    db.products.get(params[1]).stock_quantity = params[0];
+    return { rows: [], rowCount: 1 };
+  }
+  if (text.includes('UPDATE local_stock_reservations') && text.includes("status = 'committed'")) {
+    db.holds.find((hold) => hold.id === params[0]).status = 'committed';
+    return { rows: [], rowCount: 1 };
+  }
+  if (text.includes('UPDATE local_stock_reservations') && text.includes('order_number = $1')) {
+    const rows = db.holds.filter((hold) => hold.order_number === params[0] && params[2].includes(hold.status));
+    for (const hold of rows) hold.status = params[1];
+    db.released.push(params[0]);
+    return { rows: [], rowCount: rows.length };
+  }
+  if (text.includes('discount_codes') && db.failDiscountLookup) throw new Error('discount lookup failed');
+  if (text.includes('INSERT INTO orders') && db.failOrderInsert) throw new Error('order insert failed');
+  return { rows: [], rowCount: 0 };
+};
+
+mock.method(pg.Pool.prototype, 'query', answer);
+mock.method(pg.Pool.prototype, 'connect', async () => ({ query: answer, release: () => {} }));
+
+const {
+  commitLocalStockReservations,
+  releaseLocalStockReservations,
+  reserveLocalStock,
+} = await import('../src/services/localStock.js');
+const { checkoutCancelToken, router: paymentsRouter } = await import('../src/routes/payments.js');
+
+const reset = (products) => {
+  db.products = new Map(products.map((row) => [row.id, { is_active: true, approval_status: 'approved', ...row }]));
+  db.holds = [];
+  db.released = [];
+  db.failDiscountLookup = false;
+  db.failOrderInsert = false;
+};
+
+test('a checkout holds only what other checkouts have not', async () => {
+  reset([{ id: 1, name: 'Cot sheet', stock_quantity: 3 }]);
+  assert.deepEqual(await reserveLocalStock({ orderNumber: 'ORDER-1', items: [{ id: 1, quantity: 2 }] }), { reserved: true, soldOutItems: [] });
+  assert.deepEqual(
+    await reserveLocalStock({ orderNumber: 'ORDER-2', items: [{ id: 1, name: 'Cot sheet', quantity: 2 }] }),
+    { reserved: false, soldOutItems: ['Cot sheet'] }
+  );
+  assert.deepEqual(await reserveLocalStock({ orderNumber: 'ORDER-2', items: [{ id: 1, quantity: 1 }] }), { reserved: true, soldOutItems: [] });
+  assert.equal(db.products.get(1).stock_quantity, 3);
+});
+
+test('payment commits held stock once and release leaves committed holds alone', async () => {
+  reset([{ id: 1, name: 'Cot sheet', stock_quantity: 3 }]);
+  await reserveLocalStock({ orderNumber: 'ORDER-1', items: [{ id: 1, quantity: 2 }] });
+
+  assert.deepEqual(await commitLocalStockReservations('ORDER-1'), [{ productId: 1, quantity: 2, stockAfter: 1 }]);
+  assert.deepEqual(await commitLocalStockReservations('ORDER-1'), []);
+  assert.equal(await releaseLocalStockReservations('ORDER-1'), 0);
+  assert.equal(db.products.get(1).stock_quantity, 1);
+});
+
+test('released holds free their units for the next checkout', async () => {
+  reset([{ id: 1, name: 'Cot sheet', stock_quantity: 1 }]);
+  await reserveLocalStock({ orderNumber: 'ORDER-1', items: [{ id: 1, quantity: 1 }] });
+  assert.equal(await releaseLocalStockReservations('ORDER-1'), 1);
+  assert.equal(db.holds[0].status, 'released');
+  assert.equal((await reserveLocalStock({ orderNumber: 'ORDER-2', items: [{ id: 1, quantity: 1 }] })).reserved, true);
+});
+
+// Calls the payments router on a throwaway server with console output muted
+const callPayments = async (path, init = {}) => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  const app = express();
+  app.use(express.json());
+  app.use('/api/payments', paymentsRouter);
+  const server = app.listen(0);
+  try {
+    return await fetch(`http://127.0.0.1:${server.address().port}/api/payments${path}`, { redirect: 'manual', ...init });
+  } finally {
+    server.close();
+    console.log.mock.restore();
+    console.error.mock.restore();
+  }
+};
+
+test('payment creation gives held stock back when a later step fails', async () => {
+  reset([{ id: 1, name: 'Cot sheet', stock_quantity: 2, price: 100 }]);
+  db.failDiscountLookup = true;
+  process.env.PAYFAST_MERCHANT_ID = '12345678';
+  process.env.PAYFAST_MERCHANT_KEY = 'merchant-key';
+
+  const response = await callPayments('/create', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      email: 'parent@example.com',
+      orderItems: [{ id: 1, name: 'Cot sheet', price: 100, quantity: 2, isLocal: true }],
+      discountCode: 'WELCOME10',
+      shippingDetails: { customerName: 'Parent' },
+    }),
+  });
+  assert.equal(response.status, 500);
+
+  assert.equal(db.holds.length, 1);
+  assert.equal(db.holds[0].status, 'released');
+  assert.deepEqual(db.released, [db.holds[0].order_number]);
+});
+
+test('the PayFast cancel link releases a hold only with its signed token', async () => {
+  reset([{ id: 1, name: 'Cot sheet', stock_quantity: 1 }]);
+  await reserveLocalStock({ orderNumber: 'ORDER-1', items: [{ id: 1, quantity: 1 }] });
+
+  const guessed = await callPayments('/cancel?order=ORDER-1');
+  assert.equal(guessed.status, 302);
+  assert.equal(db.holds[0].status, 'held');
+  assert.equal((await callPayments('/cancel?order=ORDER-1&t=0123456789abcdef0123456789abcdef')).status, 302);
+  assert.equal(db.holds[0].status, 'held');
+
+  const signed = await callPayments(`/cancel?order=ORDER-1&t=${checkoutCancelToken('ORDER-1')}`);
+  assert.equal(db.holds[0].status, 'released');
+  assert.doesNotMatch(signed.headers.get('location'), /[?&]t=/);
+});
+
+test('payment creation stops before PayFast when the order cannot be saved', async () => {
+  reset([{ id: 1, name: 'Cot sheet', stock_quantity: 2, price: 100 }]);
+  db.failOrderInsert = true;
+  process.env.PAYFAST_MERCHANT_ID = '12345678';
+  process.env.PAYFAST_MERCHANT_KEY = 'merchant-key';
+
+  const response = await callPayments('/create', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      email: 'parent@example.com',
+      orderItems: [{ id: 1, name: 'Cot sheet', price: 100, quantity: 2, isLocal: true }],
+      shippingDetails: { customerName: 'Parent' },
+    }),
+  });
+  assert.equal(response.status, 500);
+  assert.doesNotMatch(await response.text(), /payfastForm/);
+  assert.equal(db.holds[0].status, 'released');
+});
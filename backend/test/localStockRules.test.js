@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  availableQuantity,
+  committedStock,
+  quantitiesByProduct,
+  reservationSourceStatuses,
+  unavailableItems,
+} from '../src/services/localStockRules.js';
+
+const product = (id, stock, overrides = {}) => [id, {
+  id,
+  name: `Product ${id}`,
+  stock_quantity: stock,
+  is_active: true,
+  approval_status: 'approved',
+  ...overrides,
+}];
+
+test('repeated cart lines are summed per product', () => {
+  const quantities = quantitiesByProduct([
+    { id: '4', quantity: 2 },
+    { id: 4, quantity: 1 },
+    { id: 9 },
+    { id: 'curated-1', quantity: 3 },
+  ]);
+  assert.deepEqual([...quantities], [[4, 3], [9, 1]]);
+});
+
+test('available stock is shelf stock minus other checkouts holds', () => {
+  assert.equal(availableQuantity(5, 3), 2);
+  assert.equal(availableQuantity('5'), 5);
+  assert.equal(availableQuantity(2, 3), -1);
+});
+
+test('a checkout cannot hold units other checkouts already hold', () => {
+  const items = [{ id: 1, name: 'Cot sheet', quantity: 2 }, { id: 2, quantity: 1 }];
+  const quantities = quantitiesByProduct(items);
+  const productById = new Map([product(1, 3), product(2, 1)]);
+
+  assert.deepEqual(unavailableItems({ items, quantities, productById, heldById: new Map() }), []);
+  assert.deepEqual(unavailableItems({ items, quantities, productById, heldById: new Map([[1, 1]]) }), []);
+  assert.deepEqual(unavailableItems({ items, quantities, productById, heldById: new Map([[1, 2]]) }), ['Cot sheet']);
+});
+
+test('missing, inactive and unapproved products are never held', () => {
+  const items = [{ id: 1, quantity: 1 }, { id: 2, quantity: 1 }, { id: 3, quantity: 1 }];
+  const productById = new Map([product(1, 5, { is_active: false }), product(2, 5, { approval_status: 'pending' })]);
+  assert.deepEqual(
+    unavailableItems({ items, quantities: quantitiesByProduct(items), productById, heldById: new Map() }),
+    ['Product 1', 'Product 2', 'Product 3']
+  );
+});
+
+test('holds move held -> committed | released | expired, and committed -> restocked', () => {
+  assert.deepEqual(reservationSourceStatuses('committed'), ['held', 'released', 'expired']);
+  assert.deepEqual(reservationSourceStatuses('released'), ['held']);
+  assert.deepEqual(reservationSourceStatuses('expired'), ['held']);
+  assert.deepEqual(reservationSourceStatuses('restocked'), ['committed']);
+  assert.deepEqual(reservationSourceStatuses('held'), []);
+  assert.throws(() => reservationSourceStatuses('sold'), /Unknown reservation status/);
+});
+
+test('committing a paid hold never takes stock below zero', () => {
+  assert.deepEqual(committedStock(5, 2), { before: 5, after: 3, reason: 'sale', notes: null });
+  assert.deepEqual(committedStock('1', 3), {
+    before: 1,
+    after: 0,
+    reason: 'oversold',
+    notes: 'Paid for 3 with only 1 in stock',
+  });
+});
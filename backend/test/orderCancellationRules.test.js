@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  cancellationBlocker,
+  cancellationEffects,
+  masterOrderNumber,
+  refundableAmount,
+  siblingOrderNumbers,
+  splitOrderPart,
+  validateRefund,
+} from '../src/services/orderCancellationRules.js';
+
+test('split children map back to their checkout', () => {
+  assert.equal(masterOrderNumber('ORDER-1-LOCAL'), 'ORDER-1');
+  assert.equal(masterOrderNumber('ORDER-1'), 'ORDER-1');
+  assert.equal(splitOrderPart('ORDER-1-IMPORT'), 'import');
+  assert.equal(splitOrderPart('ORDER-1-LOCAL'), 'local');
+  assert.equal(splitOrderPart('ORDER-1'), null);
+  assert.deepEqual(siblingOrderNumbers('ORDER-1-IMPORT'), ['ORDER-1', 'ORDER-1-LOCAL']);
+});
+
+test('cancelled or shipped orders cannot be cancelled', () => {
+  assert.equal(cancellationBlocker(null).reason, 'not_found');
+  assert.equal(cancellationBlocker({ status: 'cancelled' }).reason, 'already_cancelled');
+  assert.equal(cancellationBlocker({ status: 'paid', cj_tracking_number: 'YT1' }).reason, 'shipped');
+  assert.equal(cancellationBlocker({ status: 'paid', supplier_pickup_status: 'picked_up' }).reason, 'shipped');
+  assert.equal(cancellationBlocker({ status: 'paid', lifecycle_state: 'in_transit' }).reason, 'shipped');
+  assert.equal(cancellationBlocker({ status: 'paid', lifecycle_state: 'packed' }), null);
+  assert.equal(cancellationBlocker({ status: 'pending' }), null);
+});
+
+test('refunds need a reference and stay within what is left', () => {
+  const order = { status: 'paid', total: 500, refunded_amount: 150.5 };
+  assert.equal(refundableAmount(order), 349.5);
+  assert.equal(validateRefund(order, 349.5, 'PF-1'), null);
+  assert.match(validateRefund(order, 349.51, 'PF-1'), /R 349\.50/);
+  assert.match(validateRefund(order, 0, 'PF-1'), /greater than 0/);
+  assert.match(validateRefund(order, 10, ''), /payfastReference/);
+  assert.match(validateRefund({ status: 'pending', total: 100 }, 10, 'PF-1'), /never paid/);
+});
+
+test('a paid order returns its local stock', () => {
+  assert.deepEqual(cancellationEffects({ order_number: 'ORDER-1', status: 'paid' }), {
+    restockLocal: true,
+    releaseHolds: false,
+    voidRedemption: false,
+  });
+});
+
+test('an unpaid order releases its holds and voucher use', () => {
+  assert.deepEqual(cancellationEffects({ order_number: 'ORDER-1', status: 'pending' }), {
+    restockLocal: false,
+    releaseHolds: true,
+    voidRedemption: true,
+  });
+});
+
+test('cancelling the import child leaves the local child stock and voucher alone', () => {
+  const local = { order_number: 'ORDER-1-LOCAL', status: 'paid' };
+  assert.deepEqual(cancellationEffects({ order_number: 'ORDER-1-IMPORT', status: 'paid' }, [local]), {
+    restockLocal: false,
+    releaseHolds: false,
+    voidRedemption: false,
+  });
+  assert.deepEqual(
+    cancellationEffects({ order_number: 'ORDER-1-IMPORT', status: 'pending' }, [{ ...local, status: 'pending' }]),
+    { restockLocal: false, releaseHolds: false, voidRedemption: false }
+  );
+});
+
+test('the voucher use is voided only once every child is cancelled', () => {
+  const importChild = { order_number: 'ORDER-1-IMPORT', status: 'pending' };
+  const localChild = { order_number: 'ORDER-1-LOCAL', status: 'pending' };
+  assert.deepEqual(cancellationEffects(localChild, [importChild]), {
+    restockLocal: false,
+    releaseHolds: true,
+    voidRedemption: false,
+  });
+  assert.equal(cancellationEffects(localChild, [{ ...importChild, status: 'cancelled' }]).voidRedemption, true);
+  assert.equal(cancellationEffects(importChild, [{ ...localChild, status: 'cancelled' }]).voidRedemption, true);
+});
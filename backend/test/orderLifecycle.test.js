@@ -0,0 +1,60 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+
+// Admin status edits against a stubbed pool holding a single order row.
+const db = { order: null, events: [] };
+
+const answer = async (sql, params = []) => {
+  const text = String(sql);
+  if (/^(BEGIN|COMMIT|ROLLBACK)/.test(text)) return { rows: [], rowCount: 0 };
+  if (text.startsWith('SELECT * FROM orders WHERE id = $1')) {
+    return { rows: db.order && db.order.id === params[0] ? [{ ...db.order }] : [] };
+  }
+  if (text.startsWith('UPDATE orders SET status')) {
+    db.order.status = params[0];
+    return { rows: [], rowCount: 1 };
+  }
+  if (text.includes('SET lifecycle_state = $1')) {
+    if (db.order.lifecycle_state !== params[2]) return { rows: [], rowCount: 0 };
+    db.order.lifecycle_state = params[0];
+    return { rows: [], rowCount: 1 };
+  }
+  if (text.includes('INSERT INTO order_events')) {
+    db.events.push({ from: params[2], to: params[3], source: params[6] });
+    return { rows: [{}], rowCount: 1 };
+  }
+  return { rows: [], rowCount: 0 };
+};
+
+mock.method(pg.Pool.prototype, 'query', answer);
+mock.method(pg.Pool.prototype, 'connect', async () => ({ query: answer, release: () => {} }));
+
+const { setOrderStatus } = await import('../src/services/orderLifecycle.js');
+
+const reset = (order) => {
+  db.order = { id: 7, order_number: 'ORDER-1-LOCAL', ...order };
+  db.events = [];
+};
+
+test('a status edit moves the lifecycle with it', async () => {
+  reset({ status: 'pending', lifecycle_state: 'pending_payment' });
+  const result = await setOrderStatus(7, 'paid', { actorEmail: 'admin@example.com' });
+  assert.equal(result.order.status, 'paid');
+  assert.equal(result.order.lifecycle_state, 'paid');
+  assert.deepEqual(db.events, [{ from: 'pending_payment', to: 'paid', source: 'admin_status' }]);
+});
+
+test('a status edit the lifecycle cannot follow is refused before it is written', async () => {
+  reset({ status: 'completed', lifecycle_state: 'delivered' });
+  const result = await setOrderStatus(7, 'pending');
+  assert.equal(result.reason, 'invalid_transition');
+  assert.equal(db.order.status, 'completed');
+  assert.equal(db.order.lifecycle_state, 'delivered');
+  assert.deepEqual(db.events, []);
+});
+
+test('an unknown order is reported as not found', async () => {
+  reset({ status: 'pending', lifecycle_state: 'pending_payment' });
+  assert.equal((await setOrderStatus(8, 'paid')).reason, 'not_found');
+});
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ORDER_STATES,
+  ORDER_TRANSITIONS,
+  buildOrderTimeline,
+  canTransition,
+  deriveOrderState,
+} from '../src/services/orderLifecycleRules.js';
+
+test('every transition targets a known state and nothing leaves refunded', () => {
+  for (const [from, targets] of Object.entries(ORDER_TRANSITIONS)) {
+    assert.ok(ORDER_STATES.includes(from));
+    targets.forEach((to) => assert.ok(ORDER_STATES.includes(to), `${from} -> ${to}`));
+  }
+  assert.deepEqual(ORDER_TRANSITIONS.refunded, []);
+});
+
+test('orders move forward, may skip steps, and cannot be cancelled once with a courier', () => {
+  assert.equal(canTransition('paid', 'in_transit'), true);
+  assert.equal(canTransition('fulfilling', 'cancelled'), true);
+  assert.equal(canTransition('in_transit', 'cancelled'), false);
+  assert.equal(canTransition('delivered', 'in_transit'), false);
+  assert.equal(canTransition('delivered', 'refunded'), true);
+  assert.equal(canTransition('unknown', 'paid'), false);
+});
+
+test('state is derived from the payment, CJ, Bob Go and supplier columns', () => {
+  assert.equal(deriveOrderState({ status: 'pending' }), 'pending_payment');
+  assert.equal(deriveOrderState({ status: 'failed' }), 'pending_payment');
+  assert.equal(deriveOrderState({ status: 'paid' }), 'paid');
+  assert.equal(deriveOrderState({ status: 'paid', cj_order_id: 'cj1', cj_status: 'SUBMITTED' }), 'fulfilling');
+  assert.equal(deriveOrderState({ status: 'paid', bob_shipment_id: '77' }), 'fulfilling');
+  assert.equal(deriveOrderState({ status: 'paid', supplier_pickup_status: 'picked_up' }), 'handed_to_courier');
+  assert.equal(deriveOrderState({ status: 'paid', bob_tracking_status: 'out-for-delivery' }), 'in_transit');
+  assert.equal(deriveOrderState({ status: 'paid', cj_status: 'SHIPPED' }), 'in_transit');
+  assert.equal(deriveOrderState({ status: 'paid', bob_tracking_status: 'delivered' }), 'delivered');
+  assert.equal(deriveOrderState({ status: 'completed' }), 'delivered');
+  assert.equal(deriveOrderState({ status: 'cancelled', refund_status: 'partial' }), 'cancelled');
+  assert.equal(deriveOrderState({ status: 'cancelled', refund_status: 'full' }), 'refunded');
+});
+
+test('timelines merge courier scans in time order and hide internals from the public', () => {
+  const events = [
+    {
+      id: 1,
+      event_type: 'order_created',
+      from_state: null,
+      to_state: 'pending_payment',
+      actor_type: 'customer',
+      created_at: new Date('2026-03-01T08:00:00Z'),
+    },
+    {
+      id: 2,
+      event_type: 'state_changed',
+      from_state: 'pending_payment',
+      to_state: 'paid',
+      actor_type: 'payfast',
+      reason: 'PayFast reported paid',
+      created_at: '2026-03-01T08:01:00Z',
+    },
+    {
+      id: 3,
+      event_type: 'late_flagged',
+      from_state: 'paid',
+      to_state: 'paid',
+      actor_type: 'customer',
+      created_at: '2026-03-04T09:00:00Z',
+    },
+  ];
+  const courierEvents = [{ time: '2026-03-02T10:00:00Z', status: 'collected', description: 'Parcel collected' }];
+
+  const admin = buildOrderTimeline({ events, courierEvents });
+  assert.deepEqual(admin.map((entry) => entry.kind), ['order', 'order', 'courier', 'order']);
+  assert.equal(admin[1].reason, 'PayFast reported paid');
+
+  const publicTimeline = buildOrderTimeline({ events, courierEvents, audience: 'public' });
+  assert.deepEqual(publicTimeline.map((entry) => entry.label), ['Awaiting payment', 'Payment confirmed', 'Parcel collected']);
+  assert.equal(publicTimeline[1].reason, undefined);
+  assert.equal(publicTimeline[1].actorType, undefined);
+});
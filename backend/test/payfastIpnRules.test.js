@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  amountsMatch,
+  describeIpnFailures,
+  expectedPaymentAmount,
+  ipInRange,
+  isPayFastSourceIp,
+  payfastParamString,
+  sourceIpFromRequest,
+} from '../src/services/payfastIpnRules.js';
+
+test('addresses are matched against CIDR ranges', () => {
+  assert.equal(ipInRange('197.97.145.150', '197.97.145.144/28'), true);
+  assert.equal(ipInRange('197.97.145.160', '197.97.145.144/28'), false);
+  assert.equal(ipInRange('::ffff:41.74.179.200', '41.74.179.192/27'), true);
+  assert.equal(ipInRange('not-an-ip', '41.74.179.192/27'), false);
+  assert.equal(ipInRange('10.0.0.1', 'bad/99'), false);
+});
+
+test('PayFast source addresses come from the published ranges, DNS or extra allowances', () => {
+  assert.equal(isPayFastSourceIp('144.126.193.139'), true);
+  assert.equal(isPayFastSourceIp('8.8.8.8'), false);
+  assert.equal(isPayFastSourceIp('8.8.8.8', { resolvedIps: ['8.8.8.8'] }), true);
+  assert.equal(isPayFastSourceIp('127.0.0.1', { extraRanges: ['127.0.0.1'] }), true);
+  assert.equal(isPayFastSourceIp('10.1.2.3', { extraRanges: ['10.0.0.0/8'] }), true);
+  assert.equal(isPayFastSourceIp(''), false);
+});
+
+test('the source address ignores X-Forwarded-For entries added by the caller', () => {
+  assert.equal(sourceIpFromRequest({
+    forwardedFor: '197.97.145.150, 203.0.113.9',
+    remoteAddress: '10.0.0.2',
+    proxyHops: 1,
+  }), '203.0.113.9');
+  assert.equal(sourceIpFromRequest({
+    forwardedFor: '203.0.113.9, 197.97.145.150, 10.0.0.5',
+    proxyHops: 2,
+  }), '197.97.145.150');
+  assert.equal(sourceIpFromRequest({ forwardedFor: '197.97.145.150', remoteAddress: '::ffff:10.0.0.2', proxyHops: 0 }), '10.0.0.2');
+  assert.equal(sourceIpFromRequest({ remoteAddress: '10.0.0.2', proxyHops: 1 }), '10.0.0.2');
+});
+
+test('the expected amount covers both child orders and allows a cent of rounding', () => {
+  const expected = expectedPaymentAmount([{ total: '199.99' }, { total: 350.1 }]);
+  assert.equal(expected, 550.09);
+  assert.equal(amountsMatch('550.09', expected), true);
+  assert.equal(amountsMatch('550.10', expected), true);
+  assert.equal(amountsMatch('550.11', expected), false);
+  assert.equal(amountsMatch('', expected), false);
+  assert.equal(amountsMatch(undefined, 0), false);
+  assert.equal(expectedPaymentAmount([]), 0);
+});
+
+test('the validate postback echoes fields in order and stops at the signature', () => {
+  assert.equal(payfastParamString({
+    m_payment_id: 'SU-1001',
+    item_name: 'Baby carrier & wrap',
+    amount_gross: '550.09',
+    signature: 'abc',
+    extra: 'ignored',
+  }), 'm_payment_id=SU-1001&item_name=Baby+carrier+%26+wrap&amount_gross=550.09');
+});
+
+test('failures are summarised for the review queue', () => {
+  assert.equal(describeIpnFailures([
+    { check: 'source_ip', message: '8.8.8.8 is not a PayFast address' },
+    { check: 'postback', message: 'PayFast answered 200 "INVALID"' },
+  ]), 'source_ip: 8.8.8.8 is not a PayFast address; postback: PayFast answered 200 "INVALID"');
+  assert.equal(describeIpnFailures([]), '');
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildPriceSeries,
+  evaluatePriceChange,
+  marginPercent,
+  normalizePriceAlertThresholds,
+} from '../src/services/priceAlertRules.js';
+
+const thresholds = { costJumpPercent: 10, marginFloorPercent: 20 };
+
+test('cost rises above the jump threshold are flagged', () => {
+  const result = evaluatePriceChange(
+    { oldCostUsd: 10, newCostUsd: 11.5, newCostZar: 207, newRetailZar: 289.8 },
+    thresholds
+  );
+  assert.deepEqual(result.reasons, ['cost_jump']);
+  assert.equal(result.costChangePercent, 15);
+  assert.equal(result.marginPercent, 28.6);
+});
+
+test('margins under the floor are flagged even when cost falls', () => {
+  const result = evaluatePriceChange(
+    { oldCostUsd: 10, newCostUsd: 9, newCostZar: 162, newRetailZar: 180 },
+    thresholds
+  );
+  assert.deepEqual(result.reasons, ['margin_floor']);
+  assert.equal(result.costChangePercent, -10);
+  assert.equal(marginPercent(0, 10), null);
+});
+
+test('first prices and small moves raise no alert', () => {
+  assert.deepEqual(
+    evaluatePriceChange({ oldCostUsd: 0, newCostUsd: 12, newCostZar: 216, newRetailZar: 302.4 }, thresholds).reasons,
+    []
+  );
+  assert.deepEqual(
+    evaluatePriceChange({ oldCostUsd: 10, newCostUsd: 10.5, newCostZar: 189, newRetailZar: 264.6 }, thresholds).reasons,
+    []
+  );
+});
+
+test('thresholds fall back to defaults when out of range', () => {
+  assert.deepEqual(normalizePriceAlertThresholds({ costJumpPercent: '25', marginFloorPercent: '12.5' }), {
+    costJumpPercent: 25,
+    marginFloorPercent: 12.5,
+  });
+  assert.deepEqual(normalizePriceAlertThresholds({ costJumpPercent: '-5', marginFloorPercent: 'abc' }), {
+    costJumpPercent: 10,
+    marginFloorPercent: 15,
+  });
+});
+
+test('history rows become an oldest-first numeric series', () => {
+  const series = buildPriceSeries([
+    { recorded_at: '2026-09-02T00:00:00Z', source: 'price_sync', cj_cost_usd: '11.00', cost_zar: '198.00', retail_price: '277.20', margin_percent: '28.6' },
+    { recorded_at: '2026-09-01T00:00:00Z', source: 'admin_edit', cj_cost_usd: '10.00', cost_zar: null, retail_price: '250.00', margin_percent: null },
+  ]);
+  assert.equal(series[0].source, 'admin_edit');
+  assert.equal(series[0].costZar, null);
+  assert.equal(series[1].retailPrice, 277.2);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyRounding,
+  calculateRetailPrice,
+  normalizePricingRuleInput,
+  selectPricingRule,
+} from '../src/services/pricingRules.js';
+
+const context = {
+  usdToZar: 18,
+  defaults: { markup: 1.4, minMarginZar: 0, rounding: 'none' },
+  rules: [
+    { id: 1, scope: 'price_band', maxCostZar: 100, markup: 2, priority: 0 },
+    { id: 2, scope: 'category', category: 'Toys', markup: 1.6, rounding: '99' },
+    { id: 3, scope: 'product', productId: 7, fixedPrice: 349 },
+    { id: 4, scope: 'category', category: 'Feeding', markup: 1.2, minMarginZar: 60, isActive: false },
+  ],
+};
+
+test('without a matching rule the default markup applies unchanged', () => {
+  const result = calculateRetailPrice({ id: 1, category: 'Bedding', costUsd: 10 }, context);
+  assert.equal(result.costZar, 180);
+  assert.equal(result.price, 252);
+  assert.equal(result.ruleId, null);
+});
+
+test('product overrides beat categories, which beat price bands', () => {
+  assert.equal(selectPricingRule(context.rules, { id: 2, category: 'toys' }, 50).id, 2);
+  assert.equal(selectPricingRule(context.rules, { id: 2, category: 'Bedding' }, 50).id, 1);
+  assert.equal(calculateRetailPrice({ id: 7, category: 'Toys', costUsd: 10 }, context).price, 349);
+  assert.equal(calculateRetailPrice({ id: 8, category: 'Toys', costUsd: 10 }, context).price, 288.99);
+});
+
+test('minimum rand margin lifts thin prices; inactive rules are ignored', () => {
+  const withFloor = { ...context, defaults: { ...context.defaults, minMarginZar: 80 } };
+  const result = calculateRetailPrice({ id: 9, category: 'Feeding', costUsd: 10 }, withFloor);
+  assert.equal(result.price, 260);
+  assert.equal(result.minMarginApplied, true);
+});
+
+test('psychological rounding never lowers the price', () => {
+  assert.equal(applyRounding(100.5, '99'), 100.99);
+  assert.equal(applyRounding(100.97, '95'), 101.95);
+  assert.equal(applyRounding(240.1, '9'), 249);
+  assert.equal(applyRounding(249, '9'), 249);
+  assert.equal(applyRounding(12.01, 'whole'), 13);
+});
+
+test('rule input is validated per scope', () => {
+  assert.deepEqual(normalizePricingRuleInput({ scope: 'category', category: ' Toys ', markup: '1.6' }).values.category, 'Toys');
+  assert.match(normalizePricingRuleInput({ scope: 'category', markup: 1.6 }).error, /category/);
+  assert.match(normalizePricingRuleInput({ scope: 'price_band', minCostZar: 200, maxCostZar: 100, markup: 2 }).error, /maxCostZar/);
+  assert.match(normalizePricingRuleInput({ scope: 'category', category: 'Toys', fixedPrice: 99 }).error, /product rules/);
+  assert.match(normalizePricingRuleInput({ scope: 'product', productId: 3 }).error, /at least one/);
+  assert.match(normalizePricingRuleInput({ scope: 'product', productId: 3, rounding: '49' }).error, /rounding/);
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  analyticsProductKey,
+  computeItemSimilarity,
+  normalizeRecommendationLimit,
+  orderItemKeys,
+  parseProductKey,
+  pickAvailableProducts,
+  productKeyFromRequest,
+  rankCartRecommendations,
+} from '../src/services/recommendationRules.js';
+
+test('storefront and analytics ids map onto source-prefixed keys', () => {
+  assert.equal(productKeyFromRequest({ id: '12' }), 'import:12');
+  assert.equal(productKeyFromRequest({ id: 'curated-12', source: 'local' }), 'import:12');
+  assert.equal(productKeyFromRequest({ id: '7', source: 'local' }), 'local:7');
+  assert.equal(productKeyFromRequest({ id: 'abc' }), null);
+  assert.equal(productKeyFromRequest({ id: '7', source: 'cj' }), null);
+  assert.equal(analyticsProductKey('curated-12'), 'import:12');
+  assert.equal(analyticsProductKey('local-7'), 'local:7');
+  assert.equal(analyticsProductKey('7'), 'local:7');
+  assert.equal(analyticsProductKey('import:3'), 'import:3');
+  assert.equal(analyticsProductKey('CJ-PID-XYZ'), null);
+  assert.deepEqual(parseProductKey('local:7'), { source: 'local', productId: 7 });
+  assert.equal(parseProductKey('local:0'), null);
+});
+
+test('order items become distinct keys across both sources', () => {
+  assert.deepEqual(orderItemKeys([
+    { id: 'curated-4', quantity: 2 },
+    { id: 4, isLocal: false },
+    { id: 9, isLocal: true },
+    { id: 'bad' },
+  ]), ['import:4', 'local:9']);
+  assert.deepEqual(orderItemKeys('not an array'), []);
+});
+
+test('similarity needs minimum support and is symmetric', () => {
+  const rows = computeItemSimilarity([
+    ['a', 'b'],
+    ['a', 'b', 'c'],
+    ['a', 'c'],
+    ['a'],
+  ], { minSupport: 2 });
+  const score = (from, to) => rows.find((row) => row.productKey === from && row.relatedKey === to)?.score;
+  // a is in 4 baskets, b in 2, c in 2; b and c only share one basket
+  assert.equal(score('a', 'b'), Math.round((2 / Math.sqrt(8)) * 10000) / 10000);
+  assert.equal(score('b', 'a'), score('a', 'b'));
+  assert.equal(score('b', 'c'), undefined);
+});
+
+test('similarity keeps the best related products first', () => {
+  const rows = computeItemSimilarity([
+    ['a', 'b'], ['a', 'b'], ['a', 'c'], ['a', 'd'], ['a', 'd'], ['d'],
+  ], { minSupport: 1, maxRelated: 2 });
+  assert.deepEqual(rows.filter((row) => row.productKey === 'a').map((row) => row.relatedKey), ['b', 'd']);
+});
+
+test('cart recommendations weight co-purchases over co-views and skip cart items', () => {
+  const ranked = rankCartRecommendations([
+    { related_key: 'import:2', kind: 'viewed_together', score: 0.9 },
+    { related_key: 'local:5', kind: 'bought_together', score: 0.5 },
+    { related_key: 'local:1', kind: 'bought_together', score: 0.99 },
+    { related_key: 'import:2', kind: 'bought_together', score: 0.2 },
+  ], { cartKeys: ['local:1'] });
+  assert.deepEqual(ranked, ['import:2', 'local:5']);
+});
+
+test('only available products are picked, one per variant group', () => {
+  const products = new Map([
+    ['import:1', { id: 'curated-1', variantGroup: 'import-group:G1' }],
+    ['import:2', { id: 'curated-2', variantGroup: 'import-group:G2' }],
+    ['import:3', { id: 'curated-3', variantGroup: 'import-group:G2' }],
+    ['local:4', { id: 4, variantGroup: null }],
+  ]);
+  const picked = pickAvailableProducts(['import:1', 'missing:9', 'import:2', 'import:3', 'local:4'], products, {
+    excludeGroups: ['import-group:G1'],
+    limit: 2,
+  });
+  assert.deepEqual(picked.map((product) => product.id), ['curated-2', 4]);
+  assert.equal(normalizeRecommendationLimit('500'), 24);
+  assert.equal(normalizeRecommendationLimit('x'), 8);
+});
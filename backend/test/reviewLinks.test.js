@@ -0,0 +1,80 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import pg from 'pg';
+
+// Review-link access (photo upload signatures, unsubscribes) against a stubbed
+// pool holding one order and recording email_unsubscribes inserts.
+const order = {
+  id: 3,
+  order_number: 'ORDER-1-LOCAL',
+  customer_email: 'parent@example.com',
+  customer_name: 'Parent',
+  items: [],
+  status: 'completed',
+};
+
+const unsubscribes = [];
+
+mock.method(pg.Pool.prototype, 'query', async (sql, params = []) => {
+  const text = String(sql);
+  if (text.includes('INSERT INTO email_unsubscribes')) unsubscribes.push({ email: params[0], source: params[1] });
+  return text.includes('FROM orders WHERE order_number = $1') && params[0] === order.order_number
+    ? { rows: [order] }
+    : { rows: [] };
+});
+
+Object.assign(process.env, {
+  CLOUDINARY_CLOUD_NAME: 'snuggleup',
+  CLOUDINARY_API_KEY: 'key',
+  CLOUDINARY_API_SECRET: 'secret',
+});
+
+const { createReviewToken, createReviewUnsubscribeToken } = await import('../src/services/reviewLinks.js');
+const { router } = await import('../src/routes/reviews.js');
+
+const request = async (path, init = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/reviews', router);
+  const server = app.listen(0);
+  try {
+    return await fetch(`http://127.0.0.1:${server.address().port}/api/reviews${path}`, init);
+  } finally {
+    server.close();
+  }
+};
+
+const requestSignature = (body) => request('/upload-signature', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('a review link can sign photo uploads for its order', async () => {
+  const response = await requestSignature({
+    orderNumber: order.order_number,
+    reviewToken: createReviewToken({ orderNumber: order.order_number, email: order.customer_email }),
+  });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).folder, 'snuggleup/reviews');
+});
+
+test('a bad review link or no credentials cannot sign uploads', async () => {
+  const forged = await requestSignature({ orderNumber: order.order_number, reviewToken: 'not-a-token' });
+  assert.equal(forged.status, 403);
+  assert.equal((await requestSignature({})).status, 401);
+});
+
+test('the emailed unsubscribe link asks first and opts out only on POST', async () => {
+  unsubscribes.length = 0;
+  const link = `/unsubscribe?e=${encodeURIComponent(order.customer_email)}&t=${createReviewUnsubscribeToken(order.customer_email)}`;
+
+  const confirm = await request(link);
+  assert.equal(confirm.status, 200);
+  assert.match(await confirm.text(), /<form method="post"/);
+  assert.deepEqual(unsubscribes, []);
+
+  assert.equal((await request(link, { method: 'POST' })).status, 200);
+  assert.deepEqual(unsubscribes, [{ email: order.customer_email, source: 'email_link' }]);
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_REVIEW_IMAGES,
+  normalizeReviewImages,
+  ratingSummary,
+  screenReview,
+} from '../src/services/reviewModerationRules.js';
+
+test('clean reviews pass the screen', () => {
+  assert.deepEqual(screenReview({
+    title: 'Lovely soft blanket',
+    comment: 'Arrived quickly and our daughter sleeps so well with it. Washes nicely too.',
+  }), { flagged: false, reasons: [] });
+});
+
+test('profanity, links, contact details and spam phrases are flagged', () => {
+  assert.deepEqual(screenReview({ comment: 'This pram is shit, it broke in a week' }).reasons, ['profanity']);
+  assert.ok(screenReview({ comment: 'Better prices at www.example.com for this one' }).reasons.includes('link'));
+  assert.ok(screenReview({ comment: 'Great, WhatsApp me on 082 123 4567 for more' }).reasons.includes('contact_details'));
+  assert.ok(screenReview({ comment: 'Click here to earn R5000 a day from home' }).reasons.includes('spam_phrase'));
+  assert.ok(screenReview({ comment: 'WORST PURCHASE I HAVE EVER MADE IN MY LIFE' }).reasons.includes('shouting'));
+  assert.ok(screenReview({ comment: 'Soooooooooo good for the price honestly' }).reasons.includes('repeated_characters'));
+  assert.ok(screenReview({ comment: 'good good good good good good good good good' }).reasons.includes('repetitive'));
+  assert.equal(screenReview({ comment: 'Scunthorpe delivery was fine' }).flagged, false);
+});
+
+test('review photos must be Cloudinary uploads in the review folder', () => {
+  const url = 'https://res.cloudinary.com/snug/image/upload/v1/snuggleup/reviews/abc.jpg';
+  assert.deepEqual(normalizeReviewImages([url, { url }], { cloudName: 'snug' }), { images: [{ url }] });
+  assert.deepEqual(normalizeReviewImages(undefined, { cloudName: 'snug' }), { images: [] });
+  assert.equal(normalizeReviewImages(['https://evil.example/a.jpg'], { cloudName: 'snug' }).error, 'Photos must be uploaded through the review photo upload');
+  assert.equal(normalizeReviewImages(['https://res.cloudinary.com/snug/image/upload/v1/snuggleup/products/a.jpg'], { cloudName: 'snug' }).error, 'Photos must be uploaded through the review photo upload');
+  assert.equal(normalizeReviewImages([url], {}).error, 'Photo uploads are not available');
+  assert.equal(normalizeReviewImages(Array(MAX_REVIEW_IMAGES + 1).fill(url), { cloudName: 'snug' }).error, `You can attach up to ${MAX_REVIEW_IMAGES} photos`);
+  assert.equal(normalizeReviewImages('abc', { cloudName: 'snug' }).error, 'images must be a list of uploaded photos');
+});
+
+test('rating summaries average approved reviews and fill every star', () => {
+  assert.deepEqual(ratingSummary([{ rating: 5, count: 3 }, { rating: 4, count: '1' }, { rating: 1, count: 1 }]), {
+    average: 4,
+    count: 5,
+    distribution: { 1: 1, 2: 0, 3: 0, 4: 1, 5: 3 },
+  });
+  assert.deepEqual(ratingSummary([]), { average: null, count: 0, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+});
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { reviewRequestProducts, reviewerIdForOrder } from '../src/services/reviewRequestRules.js';
+import { createReviewToken, verifyReviewToken } from '../src/services/reviewLinks.js';
+
+test('review requests list each unreviewed product once', () => {
+  const items = JSON.stringify([
+    { id: 12, name: 'Swaddle set', image: 'https://cdn.example/s.jpg', quantity: 2 },
+    { id: '12', name: 'Swaddle set' },
+    { id: 'local-3', name: 'Night light', images: ['https://cdn.example/n.jpg'] },
+    { name: 'No id' },
+    { id: 40, name: 'Teether' },
+  ]);
+  assert.deepEqual(reviewRequestProducts(items, [40]), [
+    { productId: '12', name: 'Swaddle set', image: 'https://cdn.example/s.jpg' },
+    { productId: 'local-3', name: 'Night light', image: 'https://cdn.example/n.jpg' },
+  ]);
+  assert.deepEqual(reviewRequestProducts('not json'), []);
+});
+
+test('guest reviewers are identified by their checkout email', () => {
+  assert.equal(reviewerIdForOrder({ user_id: 'guest', customer_email: ' Mom@Example.com ' }), 'guest:mom@example.com');
+  assert.equal(reviewerIdForOrder({ user_id: 'a1b2', customer_email: 'mom@example.com' }), 'a1b2');
+});
+
+test('review tokens are bound to the order and checkout email', () => {
+  const token = createReviewToken({ orderNumber: 'ORDER-1-LOCAL', email: 'Mom@Example.com' });
+  assert.equal(verifyReviewToken({ orderNumber: 'ORDER-1-LOCAL', email: 'mom@example.com', token }), true);
+  assert.equal(verifyReviewToken({ orderNumber: 'ORDER-2-LOCAL', email: 'mom@example.com', token }), false);
+  assert.equal(verifyReviewToken({ orderNumber: 'ORDER-1-LOCAL', email: 'dad@example.com', token }), false);
+  assert.equal(verifyReviewToken({ orderNumber: 'ORDER-1-LOCAL', email: 'mom@example.com', token: '' }), false);
+});
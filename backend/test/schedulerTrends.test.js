@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findMissedRuns,
+  inventorySyncSlots,
+  percentile,
+  priceSyncSlots,
+  summarizeRuns,
+} from '../src/services/schedulerTrends.js';
+
+test('duration percentiles interpolate between recorded runs', () => {
+  assert.equal(percentile([100, 200, 300, 400], 50), 250);
+  assert.equal(percentile([100, 200, 300, 400], 95), 385);
+  assert.equal(percentile([], 50), null);
+});
+
+test('run summaries ignore skipped runs when computing failure rate', () => {
+  const summary = summarizeRuns([
+    { status: 'success', durationMs: 1000 },
+    { status: 'partial', durationMs: 3000 },
+    { status: 'failed', durationMs: 0 },
+    { status: 'success', durationMs: 2000 },
+    { status: 'skipped', durationMs: 5 },
+  ]);
+  assert.equal(summary.totalRuns, 4);
+  assert.equal(summary.skippedRuns, 1);
+  assert.equal(summary.failureRate, 50);
+  assert.equal(summary.durationP50Ms, 1500);
+});
+
+test('inventory slots follow the weekday and weekend schedule', () => {
+  // Thursday 2026-09-03 (6-hourly) and Friday 2026-09-04 (2-hourly), local time
+  const thursday = inventorySyncSlots(new Date(2026, 8, 3, 0, 0), new Date(2026, 8, 4, 0, 0));
+  assert.deepEqual(thursday.map((slot) => slot.start.getHours()), [8, 14]);
+  const friday = inventorySyncSlots(new Date(2026, 8, 4, 0, 0), new Date(2026, 8, 5, 0, 0));
+  assert.equal(friday.length, 6);
+});
+
+test('a window without a run inside it counts as missed', () => {
+  const slots = inventorySyncSlots(new Date(2026, 8, 3, 0, 0), new Date(2026, 8, 4, 0, 0));
+  const missed = findMissedRuns(slots, [new Date(2026, 8, 3, 9, 5)]);
+  assert.equal(missed.length, 1);
+  assert.equal(missed[0].start.getHours(), 14);
+
+  const priceSlots = priceSyncSlots(new Date(2026, 8, 1, 0, 0), new Date(2026, 8, 4, 0, 0));
+  assert.equal(priceSlots.length, 2);
+  assert.equal(findMissedRuns(priceSlots, [new Date(2026, 8, 1, 2, 1), new Date(2026, 8, 2, 2, 1)]).length, 0);
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applySearchFilters,
+  buildSearchFacets,
+  collapseVariants,
+  normalizeSearchParams,
+  priceBand,
+  searchLogText,
+} from '../src/services/searchRules.js';
+
+const results = [
+  { id: 'curated-1', category: 'Blankets', price: 89, source: 'import', inStock: true },
+  { id: 'curated-2', category: 'Blankets', price: 320, source: 'import', inStock: false },
+  { id: 3, category: 'Blankets', price: 150, source: 'local', inStock: true },
+  { id: 4, category: 'Toys', price: 1200, source: 'local', inStock: true },
+  { id: 5, category: null, price: 99.99, source: 'local', inStock: false },
+];
+
+test('search params need a query and accept only known filters', () => {
+  assert.match(normalizeSearchParams({ q: ' a ' }).error, /at least 2/);
+  assert.match(normalizeSearchParams({ q: 'blanket', source: 'cj' }).error, /source must be/);
+  assert.match(normalizeSearchParams({ q: 'blanket', priceBand: 'cheap' }).error, /priceBand must be/);
+  assert.deepEqual(normalizeSearchParams({ q: '  soft   blanket ', category: 'all', inStock: 'true', limit: '500' }), {
+    query: 'soft blanket',
+    filters: { category: null, source: null, priceBand: null, inStock: true },
+    limit: 48,
+    offset: 0,
+  });
+});
+
+test('prices fall into rand bands with exclusive upper bounds', () => {
+  assert.equal(priceBand(99.99), 'under-100');
+  assert.equal(priceBand(100), '100-250');
+  assert.equal(priceBand('499'), '250-500');
+  assert.equal(priceBand(5000), '1000-plus');
+  assert.equal(priceBand(null), null);
+});
+
+test('filters combine across facets', () => {
+  const filtered = applySearchFilters(results, { category: 'Blankets', inStock: true, source: null, priceBand: null });
+  assert.deepEqual(filtered.map((result) => result.id), ['curated-1', 3]);
+});
+
+test('each facet is counted with the other filters applied', () => {
+  const facets = buildSearchFacets(results, { category: 'Blankets', source: null, priceBand: null, inStock: true });
+  // category ignores its own filter but respects inStock
+  assert.deepEqual(facets.category, [{ value: 'Blankets', count: 2 }, { value: 'Toys', count: 1 }]);
+  assert.deepEqual(facets.source, [{ value: 'local', count: 1 }, { value: 'import', count: 1 }]);
+  assert.deepEqual(facets.inStock, [{ value: true, count: 2 }, { value: false, count: 1 }]);
+  assert.deepEqual(
+    facets.priceBand.map((band) => [band.value, band.count]),
+    [['under-100', 1], ['100-250', 1], ['250-500', 0], ['500-1000', 0], ['1000-plus', 0]]
+  );
+  assert.deepEqual(buildSearchFacets(results, {}).category.at(-1), { value: 'Uncategorised', count: 1 });
+});
+
+test('curated variants collapse to their best-ranked result', () => {
+  const collapsed = collapseVariants([
+    { id: 'curated-7', variantGroup: 'import-group:G' },
+    { id: 2, variantGroup: null },
+    { id: 'curated-8', variantGroup: 'import-group:G' },
+    { id: 3, variantGroup: null },
+  ]);
+  assert.deepEqual(collapsed.map((result) => result.id), ['curated-7', 2, 3]);
+});
+
+test('logged search text drops contact details', () => {
+  assert.equal(searchLogText('  Baby   Wipes '), 'baby wipes');
+  assert.equal(searchLogText('order for mom@example.com'), 'order for [email]');
+  assert.equal(searchLogText('call 082 123 4567 re cot'), 'call [number] re cot');
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildProductSummary,
+  normalizeProductRef,
+  productUrl,
+  restockedProductIds,
+  stockAlertOutcome,
+} from '../src/services/stockAlertRules.js';
+
+test('wishlist and alert product refs accept curated ids', () => {
+  assert.deepEqual(normalizeProductRef({ source: 'Import', productId: 'curated-12' }), { source: 'import', productId: 12 });
+  assert.deepEqual(normalizeProductRef({ source: 'local', product_id: '7' }), { source: 'local', productId: 7 });
+  assert.match(normalizeProductRef({ source: 'cj', productId: 1 }).error, /source must be/);
+  assert.match(normalizeProductRef({ source: 'local', productId: 0 }).error, /productId/);
+});
+
+test('product links follow the sitemap paths', () => {
+  process.env.FRONTEND_URL = 'https://shop.example/';
+  assert.equal(productUrl({ source: 'local', id: 3, name: 'Towels & Cloths' }), 'https://shop.example/local-products/3/towels-and-cloths');
+  assert.equal(productUrl({ source: 'import', id: 9, name: '' }), 'https://shop.example/products/9/baby-product');
+  delete process.env.FRONTEND_URL;
+});
+
+test('only purchasable products with stock count as in stock', () => {
+  const row = { id: '5', name: 'Cot', price: '899.90', image: null, stock_quantity: '4', purchasable: true };
+  assert.deepEqual(buildProductSummary('import', row), {
+    id: 5,
+    source: 'import',
+    name: 'Cot',
+    price: 899.9,
+    image: null,
+    stockQuantity: 4,
+    purchasable: true,
+    inStock: true,
+  });
+  assert.equal(buildProductSummary('import', { ...row, purchasable: false }).inStock, false);
+  assert.equal(buildProductSummary('local', { ...row, stock_quantity: -2 }).stockQuantity, 0);
+  assert.equal(buildProductSummary('local', { ...row, stock_quantity: 0 }).inStock, false);
+});
+
+test('alerts fire only for products that came back from zero', () => {
+  assert.deepEqual(restockedProductIds([
+    { productId: 1, before: 0, after: 3 },
+    { productId: '2', before: -1, after: 1 },
+    { productId: 3, before: 2, after: 5 },
+    { productId: 4, before: 0, after: 0 },
+  ]), [1, 2]);
+});
+
+test('a send is notified when either channel gets through', () => {
+  assert.deepEqual(stockAlertOutcome({ success: true }), { status: 'notified', error: null });
+  assert.deepEqual(
+    stockAlertOutcome({ success: false, error: 'SMTP down' }, { success: true }),
+    { status: 'notified', error: 'email: SMTP down' }
+  );
+  assert.deepEqual(
+    stockAlertOutcome({ success: true }, { success: false, reason: 'not_configured' }),
+    { status: 'notified', error: 'sms: not_configured' }
+  );
+});
+
+test('failed sends are retried until the attempts run out', () => {
+  const down = { success: false, error: 'SMTP down' };
+  assert.equal(stockAlertOutcome(down, null, { attempts: 1, maxAttempts: 3 }).status, 'failed');
+  assert.equal(stockAlertOutcome(down, null, { attempts: 2, maxAttempts: 3 }).status, 'failed');
+  assert.deepEqual(
+    stockAlertOutcome(down, { success: false, error: 'timeout' }, { attempts: 3, maxAttempts: 3 }),
+    { status: 'undeliverable', error: 'email: SMTP down; sms: timeout' }
+  );
+});
@@ -0,0 +1,89 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import pg from 'pg';
+
+// Unsubscribes and alert sends against a stubbed pool. No SMTP is configured
+// here, so every email send fails and the row's failure path runs.
+const db = { rows: [], cancelDuringSend: false };
+
+const answer = async (sql, params = []) => {
+  const text = String(sql);
+  if (text.includes('FROM local_products')) {
+    return { rows: [{ id: 5, name: 'Cot sheet', price: 100, stock_quantity: 2, purchasable: true }] };
+  }
+  if (text.includes("SET status = 'cancelled'")) {
+    const statuses = text.match(/status IN \(([^)]*)\)/)[1].replace(/'/g, '').split(', ');
+    const rows = db.rows.filter((row) => row.token === params[0] && statuses.includes(row.status));
+    for (const row of rows) row.status = 'cancelled';
+    return { rows: [], rowCount: rows.length };
+  }
+  if (text.includes("SET status = 'sending'")) {
+    const rows = db.rows.filter((row) => ['active', 'failed'].includes(row.status));
+    for (const row of rows) Object.assign(row, { status: 'sending', attempts: row.attempts + 1 });
+    const claimed = rows.map((row) => ({ ...row }));
+    if (db.cancelDuringSend) for (const row of rows) row.status = 'cancelled';
+    return { rows: claimed, rowCount: claimed.length };
+  }
+  if (text.includes('SET status = $1, notified_at')) {
+    const row = db.rows.find((entry) => entry.id === params[2]);
+    if (!text.includes("AND status = 'sending'") || row.status === 'sending') row.status = params[0];
+    return { rows: [], rowCount: 1 };
+  }
+  return { rows: [], rowCount: 0 };
+};
+
+mock.method(pg.Pool.prototype, 'query', answer);
+
+const { cancelBackInStockSubscription, notifyBackInStock } = await import('../src/services/stockAlerts.js');
+const { router: stockAlertsRouter } = await import('../src/routes/stockAlerts.js');
+
+const reset = (status, { cancelDuringSend = false } = {}) => {
+  db.rows = [{ id: 1, token: 'tok-1', email: 'parent@example.com', status, attempts: 1 }];
+  db.cancelDuringSend = cancelDuringSend;
+};
+
+test('failed subscriptions waiting for a retry can be unsubscribed', async () => {
+  reset('failed');
+  assert.equal(await cancelBackInStockSubscription({ token: 'tok-1' }), 1);
+  assert.equal(db.rows[0].status, 'cancelled');
+
+  reset('notified');
+  assert.equal(await cancelBackInStockSubscription({ token: 'tok-1' }), 0);
+  assert.equal(db.rows[0].status, 'notified');
+});
+
+test('a send finishing after an unsubscribe leaves the row cancelled', async () => {
+  mock.method(console, 'warn', () => {});
+  try {
+    reset('active', { cancelDuringSend: true });
+    const summary = await notifyBackInStock('local', [5]);
+    assert.equal(summary.failed, 1);
+    assert.equal(db.rows[0].status, 'cancelled');
+
+    reset('active');
+    await notifyBackInStock('local', [5]);
+    assert.equal(db.rows[0].status, 'failed');
+  } finally {
+    console.warn.mock.restore();
+  }
+});
+
+test('the emailed cancel link asks first and cancels only on POST', async () => {
+  reset('active');
+  const app = express();
+  app.use('/api/stock-alerts', stockAlertsRouter);
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/api/stock-alerts/unsubscribe?token=tok-1`;
+  try {
+    const confirm = await fetch(url);
+    assert.equal(confirm.status, 200);
+    assert.match(await confirm.text(), /<form method="post"/);
+    assert.equal(db.rows[0].status, 'active');
+
+    assert.equal((await fetch(url, { method: 'POST' })).status, 200);
+    assert.equal(db.rows[0].status, 'cancelled');
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  inboxStatusForResponse,
+  redactWebhookHeaders,
+  redactWebhookPath,
+  redactWebhookPayload,
+  webhookEventId,
+} from '../src/services/webhookInboxRules.js';
+
+test('secrets are redacted from stored headers, payloads and paths', () => {
+  assert.deepEqual(redactWebhookHeaders({
+    'Content-Type': 'application/json',
+    Authorization: 'Bearer abc',
+    'x-snuggleup-webhook-secret': 'shh',
+    'x-cj-signature': 'sig',
+  }), {
+    'content-type': 'application/json',
+    authorization: '[redacted]',
+    'x-snuggleup-webhook-secret': '[redacted]',
+    'x-cj-signature': 'sig',
+  });
+  assert.deepEqual(redactWebhookPayload({ secret: 'shh', id: 1 }), { id: 1, secret: '[redacted]' });
+  assert.equal(redactWebhookPath('/api/bob/webhooks?secret=shh&x=1'), '/api/bob/webhooks?secret=[redacted]&x=1');
+});
+
+test('PayFast events are one per payment status change', () => {
+  const complete = webhookEventId('payfast', { body: { pf_payment_id: '123', payment_status: 'COMPLETE' } });
+  assert.equal(complete, 'payfast:123:COMPLETE');
+  assert.notEqual(webhookEventId('payfast', { body: { pf_payment_id: '123', payment_status: 'PENDING' } }), complete);
+});
+
+test('provider event IDs are used when sent, otherwise a payload fingerprint', () => {
+  assert.equal(webhookEventId('cj', { body: { messageId: 'm-1', data: {} } }), 'cj:m-1');
+  assert.equal(webhookEventId('bob', { headers: { 'x-bobgo-event-id': 'e-9' }, body: {} }), 'bob:e-9');
+
+  const first = webhookEventId('bob', { body: { status: 'collected', tracking_reference: 'U1', secret: 'a' } });
+  const reordered = webhookEventId('bob', { body: { secret: 'b', tracking_reference: 'U1', status: 'collected' } });
+  const later = webhookEventId('bob', { body: { status: 'delivered', tracking_reference: 'U1' } });
+  assert.match(first, /^bob:sha256:[0-9a-f]{64}$/);
+  assert.equal(first, reordered);
+  assert.notEqual(first, later);
+});
+
+test('responses from 400 up leave the delivery failed and replayable', () => {
+  assert.equal(inboxStatusForResponse(200), 'processed');
+  assert.equal(inboxStatusForResponse(400), 'failed');
+  assert.equal(inboxStatusForResponse(500), 'failed');
+});